@@ -3,12 +3,23 @@ Flask Backend Server
 PWA Offline Data Collector API
 """
 
-from flask import Flask, request, jsonify
+from flask import Flask, request, jsonify, send_file, g
 from flask_cors import CORS
-from datetime import datetime
+from werkzeug.security import generate_password_hash, check_password_hash
+from datetime import datetime, timedelta, timezone
+from functools import wraps
+import base64
+import click
+import hashlib
+import hmac
 import logging
+import math
 import os
 import json
+import re
+import secrets
+import threading
+import time
 
 # ロギング設定
 logging.basicConfig(
@@ -20,54 +31,645 @@ logger = logging.getLogger(__name__)
 # Flaskアプリ初期化
 app = Flask(__name__)
 
-# CORS設定（開発時はすべて許可、本番環境では適切に設定）
-CORS(app, resources={r"/api/*": {"origins": "*"}})
+# CORS設定（許可するオリジンは環境変数ALLOWED_ORIGINSにカンマ区切りで指定）
+ALLOWED_ORIGINS = [
+    origin.strip()
+    for origin in os.environ.get('ALLOWED_ORIGINS', 'http://localhost:8000,http://127.0.0.1:8000').split(',')
+    if origin.strip()
+]
+CORS(app, resources={r"/api/*": {"origins": ALLOWED_ORIGINS}})
 
 # データ保存ディレクトリ
 DATA_DIR = 'data'
 DATA_FILE = os.path.join(DATA_DIR, 'submissions.json')
 
+# フォームスキーマ定義ファイル（リビジョンごとの入力項目）
+FORM_SCHEMA_FILE = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'form_schemas.json')
+
+# 一括送信で受け付ける最大件数
+BATCH_MAX_SIZE = 100
+
+# 添付ファイル（メタデータと本体の保存先）
+ATTACHMENTS_FILE = os.path.join(DATA_DIR, 'attachments.json')
+ATTACHMENT_DIR = os.path.join(DATA_DIR, 'attachments')
+
+# 添付ファイル1件の最大サイズと、分割アップロード1回あたりの最大サイズ
+ATTACHMENT_MAX_SIZE = 20 * 1024 * 1024
+ATTACHMENT_CHUNK_MAX_SIZE = 2 * 1024 * 1024
+
+# 分割アップロードのContent-Range（bytes 開始-終了/全体）
+CONTENT_RANGE_PATTERN = re.compile(r'^bytes (\d+)-(\d+)/(\d+)$')
+
+# アップロードID（添付ファイルのUUID）の形式
+UPLOAD_ID_PATTERN = re.compile(r'^[0-9a-fA-F-]{36}$')
+
+# 記録時の状況: 位置情報の取得結果
+LOCATION_STATUSES = ('ok', 'disabled', 'denied', 'timeout', 'unavailable', 'unsupported')
+
+# 認証（ユーザー・発行済みリフレッシュトークン・トークン署名用の秘密鍵）
+USERS_FILE = os.path.join(DATA_DIR, 'users.json')
+REFRESH_TOKENS_FILE = os.path.join(DATA_DIR, 'refresh_tokens.json')
+SECRET_KEY_FILE = os.path.join(DATA_DIR, 'secret_key')
+
+# トークンの有効期間（秒）
+ACCESS_TOKEN_TTL = 15 * 60
+REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60
+
 # データディレクトリの作成
 if not os.path.exists(DATA_DIR):
     os.makedirs(DATA_DIR)
     logger.info(f'データディレクトリを作成: {DATA_DIR}')
 
+if not os.path.exists(ATTACHMENT_DIR):
+    os.makedirs(ATTACHMENT_DIR)
+    logger.info(f'添付ファイルディレクトリを作成: {ATTACHMENT_DIR}')
+
 # データファイルの初期化
-if not os.path.exists(DATA_FILE):
-    with open(DATA_FILE, 'w', encoding='utf-8') as f:
-        json.dump([], f)
-    logger.info(f'データファイルを作成: {DATA_FILE}')
+for path in (DATA_FILE, ATTACHMENTS_FILE, USERS_FILE, REFRESH_TOKENS_FILE):
+    if not os.path.exists(path):
+        with open(path, 'w', encoding='utf-8') as f:
+            json.dump([], f)
+        logger.info(f'データファイルを作成: {path}')
 
 
-def load_data():
-    """データファイルから全データを読み込む"""
+def load_json_file(path):
+    """JSONファイルから全件を読み込む"""
     try:
-        with open(DATA_FILE, 'r', encoding='utf-8') as f:
+        with open(path, 'r', encoding='utf-8') as f:
             return json.load(f)
     except Exception as e:
-        logger.error(f'データ読み込みエラー: {e}')
+        logger.error(f'データ読み込みエラー: {path}: {e}')
         return []
 
 
-def save_data(data):
-    """データファイルに全データを保存"""
+def save_json_file(path, data):
+    """JSONファイルに全件を保存"""
     try:
-        with open(DATA_FILE, 'w', encoding='utf-8') as f:
+        with open(path, 'w', encoding='utf-8') as f:
             json.dump(data, f, ensure_ascii=False, indent=2)
         return True
     except Exception as e:
-        logger.error(f'データ保存エラー: {e}')
+        logger.error(f'データ保存エラー: {path}: {e}')
         return False
 
 
-def get_next_id():
+# データファイルの読み込みから保存までの排他（同時のリクエストで更新が失われないようにする）
+DATA_LOCK = threading.Lock()
+
+# 添付ファイル情報の読み込みから保存までの排他（アップロードIDの重複の確認と登録を同時に行わせない）
+ATTACHMENTS_LOCK = threading.Lock()
+
+
+def load_data():
+    """データファイルから全データを読み込む"""
+    return load_json_file(DATA_FILE)
+
+
+def save_data(data):
+    """データファイルに全データを保存"""
+    return save_json_file(DATA_FILE, data)
+
+
+def load_attachments():
+    """添付ファイルのメタデータを読み込む"""
+    return load_json_file(ATTACHMENTS_FILE)
+
+
+def save_attachments(attachments):
+    """添付ファイルのメタデータを保存"""
+    return save_json_file(ATTACHMENTS_FILE, attachments)
+
+
+def load_users():
+    """ユーザーを読み込む"""
+    return load_json_file(USERS_FILE)
+
+
+def save_users(users):
+    """ユーザーを保存"""
+    return save_json_file(USERS_FILE, users)
+
+
+def load_refresh_tokens():
+    """発行済みのリフレッシュトークン（ハッシュ値）を読み込む"""
+    return load_json_file(REFRESH_TOKENS_FILE)
+
+
+def save_refresh_tokens(tokens):
+    """発行済みのリフレッシュトークンを保存"""
+    return save_json_file(REFRESH_TOKENS_FILE, tokens)
+
+
+def load_secret_key():
+    """トークン署名用の秘密鍵を取得
+
+    環境変数SECRET_KEYがなければデータディレクトリに生成した鍵を使う（再起動後も発行済みのトークンが有効）
+    """
+    if os.environ.get('SECRET_KEY'):
+        return os.environ['SECRET_KEY']
+
+    if not os.path.exists(SECRET_KEY_FILE):
+        with open(SECRET_KEY_FILE, 'w', encoding='utf-8') as f:
+            f.write(secrets.token_hex(32))
+        logger.info(f'トークン署名用の秘密鍵を作成: {SECRET_KEY_FILE}')
+
+    with open(SECRET_KEY_FILE, 'r', encoding='utf-8') as f:
+        return f.read().strip()
+
+
+SECRET_KEY = load_secret_key()
+
+
+def normalize_uuid(value):
+    """冪等性キーを正規化（空の場合はNone）"""
+    return str(value).strip() if value else None
+
+
+def load_form_schemas():
+    """フォームスキーマ定義を読み込む（バージョン → スキーマ）"""
+    with open(FORM_SCHEMA_FILE, 'r', encoding='utf-8') as f:
+        return {schema['version']: schema for schema in json.load(f)}
+
+
+def get_form_schema(version=None):
+    """指定バージョンのフォームスキーマを取得（省略時は最新、存在しない場合はNone）"""
+    schemas = load_form_schemas()
+    if version is None:
+        return schemas[max(schemas)]
+    try:
+        return schemas.get(int(version))
+    except (TypeError, ValueError):
+        return None
+
+
+def is_empty_value(value):
+    """未入力とみなす値かどうか"""
+    return value is None or value is False or (isinstance(value, str) and not value.strip())
+
+
+def validate_submission(data, schema):
+    """フォームスキーマに従って受信データを検証
+
+    Returns:
+        dict: フィールド名 → エラー内容（エラーがなければ空）
+    """
+    errors = {}
+
+    for field in schema['fields']:
+        name = field['name']
+        value = data.get(name)
+
+        if is_empty_value(value):
+            if field.get('required'):
+                errors[name] = 'required'
+            continue
+
+        field_type = field['type']
+
+        if field_type == 'number':
+            try:
+                number = float(value)
+            except (TypeError, ValueError):
+                errors[name] = 'must be a number'
+                continue
+            # NaN・Infinityはmin/maxの比較をすり抜け、保存するとJSONとして読めなくなる
+            if not math.isfinite(number):
+                errors[name] = 'must be a finite number'
+            elif 'min' in field and number < field['min']:
+                errors[name] = f'must be >= {field["min"]}'
+            elif 'max' in field and number > field['max']:
+                errors[name] = f'must be <= {field["max"]}'
+
+        elif field_type == 'select':
+            allowed = [option['value'] for option in field.get('options', [])]
+            if str(value) not in allowed:
+                errors[name] = 'invalid option'
+
+        elif field_type in ('text', 'textarea', 'date'):
+            text = str(value).strip()
+            if 'min' in field and len(text) < field['min']:
+                errors[name] = f'must be at least {field["min"]} characters'
+            elif 'max' in field and len(text) > field['max']:
+                errors[name] = f'must be at most {field["max"]} characters'
+            elif field.get('pattern') and not re.fullmatch(field['pattern'], text):
+                errors[name] = 'does not match pattern'
+
+    return errors
+
+
+def find_submission_errors(data):
+    """受信データのスキーマを解決して検証
+
+    Returns:
+        tuple: (スキーマ, エラーレスポンス用のdict) エラーがなければ後者はNone
+    """
+    schema = get_form_schema(data.get('schema_version'))
+    if schema is None:
+        return None, {
+            'error': 'Unknown schema version',
+            'schema_version': data.get('schema_version')
+        }
+
+    errors = validate_submission(data, schema)
+    if errors:
+        return schema, {
+            'error': 'Validation failed',
+            'errors': errors,
+            'missing_fields': [name for name, error in errors.items() if error == 'required']
+        }
+
+    return schema, None
+
+
+def coerce_field_value(field, value):
+    """スキーマのフィールド型に合わせて値を変換（未入力はNone）"""
+    if field['type'] == 'checkbox':
+        return bool(value)
+    if is_empty_value(value):
+        return None
+    if field['type'] == 'number':
+        return float(value)
+    return str(value).strip()
+
+
+def truncate_text(value, max_length):
+    """文字列に変換して最大長で切り詰める（空の場合はNone）"""
+    if is_empty_value(value):
+        return None
+    return str(value).strip()[:max_length]
+
+
+def sanitize_location(location):
+    """位置情報をサニタイズ（座標として不正な場合はNone）"""
+    if not isinstance(location, dict):
+        return None
+
+    try:
+        latitude = float(location.get('latitude'))
+        longitude = float(location.get('longitude'))
+        accuracy = float(location.get('accuracy'))
+    except (TypeError, ValueError):
+        return None
+
+    if not (-90 <= latitude <= 90 and -180 <= longitude <= 180 and accuracy >= 0):
+        return None
+
+    return {
+        'latitude': latitude,
+        'longitude': longitude,
+        'accuracy': accuracy,
+        'captured_at': truncate_text(location.get('captured_at'), 40)
+    }
+
+
+def sanitize_capture_context(context):
+    """記録時の状況（位置情報・端末情報・オンライン状態）をサニタイズ
+
+    任意項目のため、不正な値はエラーにせず破棄する
+    """
+    if not isinstance(context, dict):
+        return None
+
+    location_status = context.get('location_status')
+
+    return {
+        'location': sanitize_location(context.get('location')),
+        'location_status': location_status if location_status in LOCATION_STATUSES else None,
+        'device': truncate_text(context.get('device'), 255),
+        'app_version': truncate_text(context.get('app_version'), 40),
+        'online': bool(context.get('online'))
+    }
+
+
+def sanitize_submission(data, idempotency_key, schema):
+    """受信データをサニタイズして保存用の形式に変換
+
+    スキーマに定義されたフィールドのみ保存する。
+    数値に変換できない値が含まれる場合はValueErrorを送出する
+    """
+    now = datetime.now().isoformat()
+    sanitized = {
+        'uuid': normalize_uuid(idempotency_key),
+        'schema_version': schema['version'],
+        'capture_context': sanitize_capture_context(data.get('capture_context'))
+    }
+
+    for field in schema['fields']:
+        sanitized[field['name']] = coerce_field_value(field, data.get(field['name']))
+
+    sanitized.update({
+        'timestamp': data.get('timestamp', now),
+        'received_at': now,
+        'updated_at': now,
+        'revision': 1
+    })
+    return sanitized
+
+
+def get_revision(item):
+    """データのリビジョンを取得（リビジョン導入前のデータは1）"""
+    return item.get('revision', 1)
+
+
+def format_etag(item):
+    """リビジョンからETagを生成"""
+    return f'"{get_revision(item)}"'
+
+
+def parse_if_match(value):
+    """If-Matchヘッダからリビジョンを取得（指定なし・解析不能の場合はNone）"""
+    if not value:
+        return None
+    value = value.strip()
+    if value.startswith('W/'):
+        value = value[2:]
+    try:
+        return int(value.strip('"'))
+    except ValueError:
+        return None
+
+
+def get_updated_at(item):
+    """データの最終更新日時を取得（updated_at導入前のデータは受信日時）"""
+    return item.get('updated_at') or item.get('received_at') or ''
+
+
+def get_pull_position(item):
+    """差分取得の並び順（更新日時、同じ日時ではID順）"""
+    return (get_updated_at(item), item['id'])
+
+
+def format_pull_cursor(item):
+    """差分取得のカーソル（「更新日時|ID」）
+
+    更新日時だけでは同じ日時のデータがページの境目にあると残りを取りこぼすため、IDも含める
+    """
+    updated_at, data_id = get_pull_position(item)
+    return f'{updated_at}|{data_id}'
+
+
+def is_after_pull_cursor(item, cursor):
+    """データがカーソルより後かどうか（日時のみのカーソルはその日時より後に更新されたデータ）"""
+    updated_at, separator, data_id = cursor.rpartition('|')
+    if separator and data_id.isdigit():
+        return get_pull_position(item) > (updated_at, int(data_id))
+    return get_updated_at(item) > cursor
+
+
+def summarize_values(values):
+    """数値の件数・合計・平均・最小・最大（値がない場合は件数0、ほかはNone）"""
+    if not values:
+        return {'count': 0, 'sum': None, 'avg': None, 'min': None, 'max': None}
+
+    total = sum(values)
+    return {
+        'count': len(values),
+        'sum': total,
+        'avg': total / len(values),
+        'min': min(values),
+        'max': max(values)
+    }
+
+
+def get_local_date(timestamp, tz_offset):
+    """記録日時を端末の日付（YYYY-MM-DD）に変換
+
+    Args:
+        timestamp: 記録日時（ISO 8601、タイムゾーンがない場合はUTCとみなす）
+        tz_offset: UTCとの差（分、JavaScriptのgetTimezoneOffsetと同じ符号）
+
+    Returns:
+        str: 日付（解釈できない場合はNone）
+    """
+    try:
+        parsed = datetime.fromisoformat(str(timestamp).replace('Z', '+00:00'))
+    except ValueError:
+        return None
+
+    if parsed.tzinfo is not None:
+        parsed = parsed.astimezone(timezone.utc).replace(tzinfo=None)
+    return (parsed - timedelta(minutes=tz_offset)).date().isoformat()
+
+
+def compute_aggregates(items, tz_offset=0):
+    """カテゴリ別・日別の件数とvalueの集計（端末のdashboard.jsと同じ集計）
+
+    Args:
+        items: 削除済みを除いたデータ
+        tz_offset: 日付を求める端末のUTCとの差（分）
+    """
+    def is_number(value):
+        return isinstance(value, (int, float)) and not isinstance(value, bool) and math.isfinite(value)
+
+    def group(key):
+        groups = {}
+        for item in items:
+            groups.setdefault(key(item), []).append(item)
+        return groups
+
+    def summarize(group_items):
+        values = [item['value'] for item in group_items if is_number(item.get('value'))]
+        return {'count': len(group_items), 'value': summarize_values(values)}
+
+    by_category = group(lambda item: item.get('category') or '')
+    by_day = group(lambda item: get_local_date(item.get('timestamp'), tz_offset) or '')
+
+    return {
+        'total': summarize(items),
+        'by_category': [
+            {'category': category, **summarize(by_category[category])}
+            for category in sorted(by_category)
+        ],
+        'by_day': [
+            {'date': date, **summarize(by_day[date])}
+            for date in sorted(by_day)
+        ]
+    }
+
+
+def find_by_uuid(data, uuid):
+    """UUID（冪等性キー）に一致するデータを検索"""
+    if not uuid:
+        return None
+    return next((item for item in data if item.get('uuid') == uuid), None)
+
+
+def find_by_id(data, data_id):
+    """IDに一致するデータを検索（削除済みのデータは除く）"""
+    return next(
+        (item for item in data if item.get('id') == data_id and not item.get('deleted')),
+        None
+    )
+
+
+def get_next_id(data=None):
     """次のIDを取得"""
-    data = load_data()
+    if data is None:
+        data = load_data()
     if not data:
         return 1
     return max(item.get('id', 0) for item in data) + 1
 
 
+def get_attachment_path(upload_id):
+    """添付ファイル本体の保存パス（アップロード中も同じファイルに追記する）"""
+    return os.path.join(ATTACHMENT_DIR, upload_id.lower())
+
+
+def find_attachment(attachments, upload_id):
+    """アップロードIDに一致する添付ファイルを検索"""
+    if not upload_id:
+        return None
+    return next((item for item in attachments if item['uuid'] == upload_id.lower()), None)
+
+
+def format_upload_status(attachment):
+    """分割アップロードの状態をレスポンス用に整形"""
+    return {
+        'success': True,
+        'upload_id': attachment['uuid'],
+        'attachment_id': attachment['id'],
+        'size': attachment['size'],
+        'received': attachment['received'],
+        'complete': attachment['status'] == 'complete'
+    }
+
+
+def base64url_encode(data):
+    """バイト列をBase64URL（パディングなし）に変換"""
+    return base64.urlsafe_b64encode(data).rstrip(b'=').decode('ascii')
+
+
+def base64url_decode(text):
+    """Base64URL（パディングなし）をバイト列に変換"""
+    return base64.urlsafe_b64decode(text + '=' * (-len(text) % 4))
+
+
+def sign_token_body(body):
+    """トークン本体の署名（HMAC-SHA256）"""
+    return base64url_encode(hmac.new(SECRET_KEY.encode('utf-8'), body.encode('ascii'), hashlib.sha256).digest())
+
+
+def create_access_token(user):
+    """アクセストークンを作成（ユーザーと有効期限を署名付きで含む）"""
+    payload = {
+        'sub': user['id'],
+        'username': user['username'],
+        'exp': int(time.time()) + ACCESS_TOKEN_TTL
+    }
+    body = base64url_encode(json.dumps(payload, separators=(',', ':')).encode('utf-8'))
+    return f'{body}.{sign_token_body(body)}'
+
+
+def verify_access_token(token):
+    """アクセストークンを検証（署名が不正・期限切れの場合はNone）"""
+    try:
+        body, signature = token.split('.')
+        if not hmac.compare_digest(signature, sign_token_body(body)):
+            return None
+        payload = json.loads(base64url_decode(body))
+    except ValueError:
+        return None
+
+    if payload.get('exp', 0) < time.time():
+        return None
+    return payload
+
+
+def hash_refresh_token(token):
+    """リフレッシュトークンのハッシュ値（トークン自体は保存しない）"""
+    return hashlib.sha256(token.encode('utf-8')).hexdigest()
+
+
+def find_user(users, user_id=None, username=None):
+    """IDまたはユーザー名に一致するユーザーを検索"""
+    return next(
+        (user for user in users
+         if (user_id is not None and user['id'] == user_id) or (username is not None and user['username'] == username)),
+        None
+    )
+
+
+def format_user(user):
+    """ユーザーをレスポンス用に整形（パスワードのハッシュ値は含めない）"""
+    return {'id': user['id'], 'username': user['username']}
+
+
+def issue_tokens(user, revoked_hash=None):
+    """アクセストークンとリフレッシュトークンを発行
+
+    revoked_hashを指定した場合はそのリフレッシュトークンを無効にする（更新時のローテーション）。
+    期限切れのリフレッシュトークンもここで削除する
+    """
+    now = int(time.time())
+    refresh_token = secrets.token_urlsafe(32)
+
+    tokens = [
+        token for token in load_refresh_tokens()
+        if token['expires_at'] > now and token['token_hash'] != revoked_hash
+    ]
+    tokens.append({
+        'token_hash': hash_refresh_token(refresh_token),
+        'user_id': user['id'],
+        'expires_at': now + REFRESH_TOKEN_TTL,
+        'created_at': datetime.now().isoformat()
+    })
+
+    if not save_refresh_tokens(tokens):
+        raise RuntimeError('Failed to save refresh token')
+
+    return {
+        'success': True,
+        'access_token': create_access_token(user),
+        'token_type': 'Bearer',
+        'expires_in': ACCESS_TOKEN_TTL,
+        'refresh_token': refresh_token,
+        'refresh_expires_in': REFRESH_TOKEN_TTL,
+        'user': format_user(user)
+    }
+
+
+def require_auth(view):
+    """認証が必要なエンドポイントのデコレータ
+
+    Authorization: Bearer <アクセストークン> を検証し、g.userにログイン中のユーザーを設定する
+    """
+    @wraps(view)
+    def wrapper(*args, **kwargs):
+        scheme, _, token = request.headers.get('Authorization', '').partition(' ')
+        payload = verify_access_token(token) if scheme.lower() == 'bearer' and token else None
+        user = find_user(load_users(), user_id=payload['sub']) if payload else None
+
+        if not user:
+            logger.warning(f'認証エラー: {request.method} {request.path}')
+            return jsonify({'error': 'Unauthorized'}), 401, {'WWW-Authenticate': 'Bearer'}
+
+        g.user = format_user(user)
+        return view(*args, **kwargs)
+
+    return wrapper
+
+
+def filter_owned(items):
+    """ログイン中のユーザーのデータ・添付ファイルのみに絞り込む"""
+    return [item for item in items if item.get('user_id') == g.user['id']]
+
+
+def find_owned_by_id(data, data_id):
+    """ログイン中のユーザーのデータからIDに一致するデータを検索（他のユーザーのデータは見つからない扱い）"""
+    data_item = find_by_id(data, data_id)
+    return data_item if data_item and data_item.get('user_id') == g.user['id'] else None
+
+
+def find_owned_tombstone(data, data_id):
+    """ログイン中のユーザーの削除済みのデータ（トゥームストーン）からIDに一致するデータを検索"""
+    return next(
+        (item for item in data
+         if item.get('id') == data_id and item.get('deleted') and item.get('user_id') == g.user['id']),
+        None
+    )
+
+
 @app.route('/api/health', methods=['GET'])
 def health_check():
     """ヘルスチェックエンドポイント"""
@@ -79,7 +681,105 @@ def health_check():
     }), 200
 
 
+@app.route('/api/form-schema', methods=['GET'])
+def get_current_form_schema():
+    """フォームスキーマ取得エンドポイント
+
+    クエリパラメータ:
+        version: 取得するバージョン（省略時は最新）
+    """
+    try:
+        schema = get_form_schema(request.args.get('version'))
+
+        if schema is None:
+            logger.warning(f'フォームスキーマが見つかりません: version={request.args.get("version")}')
+            return jsonify({'error': 'Schema not found'}), 404
+
+        logger.info(f'フォームスキーマ取得: version={schema["version"]}')
+        return jsonify({
+            'success': True,
+            'schema': schema
+        }), 200
+
+    except Exception as e:
+        logger.error(f'フォームスキーマ取得エラー: {e}')
+        return jsonify({'error': 'Failed to retrieve schema'}), 500
+
+
+@app.route('/api/auth/login', methods=['POST'])
+def login():
+    """ログインエンドポイント
+
+    リクエストボディ:
+        username, password: ユーザー名・パスワード
+    """
+    try:
+        body = request.get_json(silent=True) or {}
+        username = str(body.get('username') or '').strip()
+        password = str(body.get('password') or '')
+
+        user = find_user(load_users(), username=username)
+
+        if not user or not check_password_hash(user['password_hash'], password):
+            logger.warning(f'ログイン失敗: {username}')
+            return jsonify({'error': 'Invalid username or password'}), 401
+
+        logger.info(f'ログイン: {username}')
+        return jsonify(issue_tokens(user)), 200
+
+    except Exception as e:
+        logger.error(f'サーバエラー: {e}', exc_info=True)
+        return jsonify({'error': 'Internal server error'}), 500
+
+
+@app.route('/api/auth/refresh', methods=['POST'])
+def refresh_token():
+    """トークン更新エンドポイント
+
+    リフレッシュトークンは1回のみ使用でき、更新のたびに新しいリフレッシュトークンを発行する
+    """
+    try:
+        body = request.get_json(silent=True) or {}
+        token_hash = hash_refresh_token(str(body.get('refresh_token') or ''))
+
+        entry = next((token for token in load_refresh_tokens() if token['token_hash'] == token_hash), None)
+        user = find_user(load_users(), user_id=entry['user_id']) if entry else None
+
+        if not user or entry['expires_at'] <= time.time():
+            logger.warning('トークン更新失敗: リフレッシュトークンが無効')
+            return jsonify({'error': 'Invalid refresh token'}), 401
+
+        logger.info(f'トークン更新: {user["username"]}')
+        return jsonify(issue_tokens(user, revoked_hash=token_hash)), 200
+
+    except Exception as e:
+        logger.error(f'サーバエラー: {e}', exc_info=True)
+        return jsonify({'error': 'Internal server error'}), 500
+
+
+@app.route('/api/auth/logout', methods=['POST'])
+def logout():
+    """ログアウトエンドポイント（リフレッシュトークンを無効にする）"""
+    try:
+        body = request.get_json(silent=True) or {}
+        token_hash = hash_refresh_token(str(body.get('refresh_token') or ''))
+
+        tokens = load_refresh_tokens()
+        remaining = [token for token in tokens if token['token_hash'] != token_hash]
+
+        if len(remaining) != len(tokens) and not save_refresh_tokens(remaining):
+            logger.error('リフレッシュトークン削除失敗')
+            return jsonify({'error': 'Failed to revoke token'}), 500
+
+        return jsonify({'success': True}), 200
+
+    except Exception as e:
+        logger.error(f'サーバエラー: {e}', exc_info=True)
+        return jsonify({'error': 'Internal server error'}), 500
+
+
 @app.route('/api/submit', methods=['POST'])
+@require_auth
 def submit_data():
     """データ受信エンドポイント"""
     try:
@@ -95,48 +795,56 @@ def submit_data():
             logger.warning('空のリクエスト')
             return jsonify({'error': 'Empty request body'}), 400
 
-        # 必須フィールドのチェック
-        required_fields = ['title', 'category']
-        missing_fields = [field for field in required_fields if not data.get(field)]
+        # 冪等性キー（ヘッダ優先、なければボディのuuid）
+        idempotency_key = request.headers.get('Idempotency-Key') or data.get('uuid')
 
-        if missing_fields:
-            logger.warning(f'必須フィールド欠落: {missing_fields}')
-            return jsonify({
-                'error': 'Missing required fields',
-                'missing_fields': missing_fields
-            }), 400
-
-        # データのサニタイゼーション
-        sanitized_data = {
-            'title': str(data.get('title', '')).strip(),
-            'description': str(data.get('description', '')).strip() if data.get('description') else None,
-            'category': str(data.get('category', '')).strip(),
-            'value': float(data.get('value')) if data.get('value') is not None else None,
-            'memo': str(data.get('memo', '')).strip() if data.get('memo') else None,
-            'timestamp': data.get('timestamp', datetime.now().isoformat()),
-            'received_at': datetime.now().isoformat()
-        }
+        # 登録済みの確認から保存までを排他する（同じキーの同時送信で二重登録しない）
+        with DATA_LOCK:
+            # 既存データを読み込み
+            all_data = load_data()
 
-        # IDを割り当て
-        sanitized_data['id'] = get_next_id()
+            # 同じキーで登録済みの場合は再登録せず元のIDを返す
+            existing = find_by_uuid(filter_owned(all_data), normalize_uuid(idempotency_key))
+            if existing:
+                logger.info(f'重複送信を検出: ID={existing["id"]}, UUID={existing["uuid"]}')
+                return jsonify({
+                    'success': True,
+                    'id': existing['id'],
+                    'revision': get_revision(existing),
+                    'duplicate': True,
+                    'message': 'Data already received'
+                }), 200
 
-        # 既存データを読み込み
-        all_data = load_data()
+            # フォームスキーマに従って検証（登録済みの再送は、その後スキーマが変わっても元のIDを返すため先に確認する）
+            schema, validation_error = find_submission_errors(data)
 
-        # 新しいデータを追加
-        all_data.append(sanitized_data)
+            if validation_error:
+                logger.warning(f'バリデーションエラー: {validation_error}')
+                return jsonify(validation_error), 400
 
-        # データを保存
-        if not save_data(all_data):
-            logger.error('データ保存失敗')
-            return jsonify({'error': 'Failed to save data'}), 500
+            # データのサニタイゼーション
+            sanitized_data = sanitize_submission(data, idempotency_key, schema)
 
-        logger.info(f'データ受信成功: ID={sanitized_data["id"]}, Title={sanitized_data["title"]}')
+            # IDと所有者を割り当て
+            sanitized_data['id'] = get_next_id(all_data)
+            sanitized_data['user_id'] = g.user['id']
+
+            # 新しいデータを追加
+            all_data.append(sanitized_data)
+
+            # データを保存
+            if not save_data(all_data):
+                logger.error('データ保存失敗')
+                return jsonify({'error': 'Failed to save data'}), 500
+
+        # タイトルのないスキーマもあるためgetで参照する（保存後に500を返すとクライアントが再送する）
+        logger.info(f'データ受信成功: ID={sanitized_data["id"]}, Title={sanitized_data.get("title")}')
 
         # 成功レスポンス
         return jsonify({
             'success': True,
             'id': sanitized_data['id'],
+            'revision': sanitized_data['revision'],
             'message': 'Data received successfully'
         }), 201
 
@@ -149,17 +857,149 @@ def submit_data():
         return jsonify({'error': 'Internal server error'}), 500
 
 
+@app.route('/api/submit/batch', methods=['POST'])
+@require_auth
+def submit_batch():
+    """一括データ受信エンドポイント
+
+    配列（または{"items": [...]}）で受け取り、各要素ごとの結果を返す。
+    1件のバリデーションエラーで一括送信全体を失敗させない。
+    """
+    try:
+        if not request.is_json:
+            logger.warning('無効なContent-Type')
+            return jsonify({'error': 'Content-Type must be application/json'}), 400
+
+        payload = request.get_json()
+        items = payload.get('items') if isinstance(payload, dict) else payload
+
+        if not isinstance(items, list) or not items:
+            logger.warning('空の一括リクエスト')
+            return jsonify({'error': 'Request body must be a non-empty array'}), 400
+
+        if len(items) > BATCH_MAX_SIZE:
+            logger.warning(f'一括送信の件数超過: {len(items)}件')
+            return jsonify({
+                'error': f'Too many items (max {BATCH_MAX_SIZE})'
+            }), 413
+
+        with DATA_LOCK:
+            # ファイルの読み書きは1回だけ行う
+            all_data = load_data()
+            owned_data = filter_owned(all_data)
+            next_id = get_next_id(all_data)
+            results = []
+
+            for index, item in enumerate(items):
+                if not isinstance(item, dict):
+                    results.append({'index': index, 'status': 'error', 'error': 'Item must be an object'})
+                    continue
+
+                uuid = normalize_uuid(item.get('uuid'))
+                result = {'index': index, 'uuid': uuid}
+
+                # 登録済みの再送はスキーマの検証より先に確認する（その後スキーマが変わっても元のIDを返す）
+                existing = find_by_uuid(owned_data, uuid)
+                if existing:
+                    result.update({
+                        'status': 'duplicate',
+                        'id': existing['id'],
+                        'revision': get_revision(existing)
+                    })
+                    results.append(result)
+                    continue
+
+                schema, validation_error = find_submission_errors(item)
+                if validation_error:
+                    result.update({'status': 'error', **validation_error})
+                    results.append(result)
+                    continue
+
+                try:
+                    sanitized_data = sanitize_submission(item, uuid, schema)
+                except (TypeError, ValueError) as e:
+                    result.update({'status': 'error', 'error': f'Validation error: {str(e)}'})
+                    results.append(result)
+                    continue
+
+                sanitized_data['id'] = next_id
+                sanitized_data['user_id'] = g.user['id']
+                next_id += 1
+                all_data.append(sanitized_data)
+                owned_data.append(sanitized_data)
+
+                result.update({
+                    'status': 'created',
+                    'id': sanitized_data['id'],
+                    'revision': sanitized_data['revision']
+                })
+                results.append(result)
+
+            counts = {
+                status: sum(1 for result in results if result['status'] == status)
+                for status in ('created', 'duplicate', 'error')
+            }
+
+            if counts['created'] > 0 and not save_data(all_data):
+                logger.error('データ保存失敗')
+                return jsonify({'error': 'Failed to save data'}), 500
+
+        logger.info(
+            f'一括データ受信: 新規 {counts["created"]}件, '
+            f'重複 {counts["duplicate"]}件, エラー {counts["error"]}件'
+        )
+
+        return jsonify({
+            'success': True,
+            'results': results,
+            **counts
+        }), 200
+
+    except Exception as e:
+        logger.error(f'サーバエラー: {e}', exc_info=True)
+        return jsonify({'error': 'Internal server error'}), 500
+
+
 @app.route('/api/data', methods=['GET'])
+@require_auth
 def get_all_data():
-    """全データ取得エンドポイント（管理用）"""
+    """全データ取得エンドポイント（管理用・クライアントの差分取得用）
+
+    ログイン中のユーザーのデータのみ返す
+
+    クエリパラメータ:
+        since (updatedAfter): 前回のレスポンスのcursor、または日時。これより後に更新されたデータのみ返す
+            （削除済みデータもdeleted=trueのトゥームストーンとして含む）
+        limit: 最大件数（省略時は全件）
+    """
     try:
-        data = load_data()
-        logger.info(f'データ取得: {len(data)}件')
+        data = filter_owned(load_data())
+
+        since = request.args.get('since') or request.args.get('updatedAfter')
+        limit = request.args.get('limit', type=int)
+
+        if since:
+            data = [item for item in data if is_after_pull_cursor(item, since)]
+        else:
+            data = [item for item in data if not item.get('deleted')]
+
+        # 差分取得のカーソルが単調増加するよう更新日時・ID順に並べる
+        data.sort(key=get_pull_position)
+
+        has_more = False
+        if limit is not None and limit > 0 and len(data) > limit:
+            data = data[:limit]
+            has_more = True
+
+        cursor = format_pull_cursor(data[-1]) if data else since
+        logger.info(f'データ取得: {len(data)}件 (since={since})')
 
         return jsonify({
             'success': True,
             'count': len(data),
-            'data': data
+            'data': data,
+            'cursor': cursor,
+            'has_more': has_more
         }), 200
 
     except Exception as e:
@@ -167,12 +1007,41 @@ def get_all_data():
         return jsonify({'error': 'Failed to retrieve data'}), 500
 
 
+@app.route('/api/data/aggregates', methods=['GET'])
+@require_auth
+def get_aggregates():
+    """集計エンドポイント（端末のダッシュボードの集計と比較する）
+
+    ログイン中のユーザーの削除済みを除くデータを、カテゴリ別・日別に集計する
+
+    クエリパラメータ:
+        tz_offset: 日付を求める端末のUTCとの差（分、省略時は0=UTC）
+    """
+    try:
+        data = [item for item in filter_owned(load_data()) if not item.get('deleted')]
+        tz_offset = request.args.get('tz_offset', default=0, type=int)
+
+        aggregates = compute_aggregates(data, tz_offset)
+        logger.info(f'集計: {len(data)}件 (tz_offset={tz_offset})')
+
+        return jsonify({
+            'success': True,
+            'generated_at': datetime.now().isoformat(),
+            **aggregates
+        }), 200
+
+    except Exception as e:
+        logger.error(f'集計エラー: {e}')
+        return jsonify({'error': 'Failed to compute aggregates'}), 500
+
+
 @app.route('/api/data/<int:data_id>', methods=['GET'])
+@require_auth
 def get_data_by_id(data_id):
     """特定データ取得エンドポイント（管理用）"""
     try:
         all_data = load_data()
-        data_item = next((item for item in all_data if item.get('id') == data_id), None)
+        data_item = find_owned_by_id(all_data, data_id)
 
         if not data_item:
             logger.warning(f'データが見つかりません: ID={data_id}')
@@ -182,13 +1051,351 @@ def get_data_by_id(data_id):
         return jsonify({
             'success': True,
             'data': data_item
-        }), 200
+        }), 200, {'ETag': format_etag(data_item)}
 
     except Exception as e:
         logger.error(f'データ取得エラー: {e}')
         return jsonify({'error': 'Failed to retrieve data'}), 500
 
 
+@app.route('/api/data/<int:data_id>', methods=['PUT'])
+@require_auth
+def update_data(data_id):
+    """データ更新エンドポイント（同期済みデータの編集）
+
+    If-Matchヘッダのリビジョンが現在のリビジョンと異なる場合は、
+    他の端末で先に更新されているため409と現在のサーバのデータを返す。
+    他の端末で削除されている場合も409でトゥームストーン（deleted: true）を返す
+    """
+    try:
+        if not request.is_json:
+            logger.warning('無効なContent-Type')
+            return jsonify({'error': 'Content-Type must be application/json'}), 400
+
+        data = request.get_json()
+
+        if not data:
+            logger.warning('空のリクエスト')
+            return jsonify({'error': 'Empty request body'}), 400
+
+        schema, validation_error = find_submission_errors(data)
+
+        if validation_error:
+            logger.warning(f'バリデーションエラー: {validation_error}')
+            return jsonify(validation_error), 400
+
+        # リビジョンの確認から保存までを排他する
+        with DATA_LOCK:
+            all_data = load_data()
+            data_item = find_owned_by_id(all_data, data_id)
+
+            # 他の端末で削除済みの場合は、クライアントが再作成するか削除を受け入れるか選べるよう
+            # 404ではなく409でトゥームストーン（deleted: true）を返す
+            tombstone = None if data_item else find_owned_tombstone(all_data, data_id)
+            if tombstone:
+                logger.warning(f'削除済みのデータへの更新: ID={data_id}')
+                return jsonify({
+                    'error': 'Conflict',
+                    'message': 'Data was deleted by another client',
+                    'current': tombstone
+                }), 409, {'ETag': format_etag(tombstone)}
+
+            if not data_item:
+                logger.warning(f'更新対象のデータが見つかりません: ID={data_id}')
+                return jsonify({'error': 'Data not found'}), 404
+
+            # 楽観的排他制御: 編集元のリビジョンが古い場合は競合
+            expected_revision = parse_if_match(request.headers.get('If-Match'))
+            if expected_revision is not None and expected_revision != get_revision(data_item):
+                logger.warning(
+                    f'更新の競合: ID={data_id}, '
+                    f'If-Match={expected_revision}, 現在={get_revision(data_item)}'
+                )
+                return jsonify({
+                    'error': 'Conflict',
+                    'message': 'Data was modified by another client',
+                    'current': data_item
+                }), 409, {'ETag': format_etag(data_item)}
+
+            # ID・UUID・所有者・受信日時・記録時の状況は変更しない
+            sanitized_data = sanitize_submission(data, data_item.get('uuid'), schema)
+            sanitized_data['received_at'] = data_item.get('received_at')
+            sanitized_data['capture_context'] = data_item.get('capture_context')
+            sanitized_data['revision'] = get_revision(data_item) + 1
+            data_item.update(sanitized_data)
+
+            if not save_data(all_data):
+                logger.error('データ保存失敗')
+                return jsonify({'error': 'Failed to save data'}), 500
+
+        logger.info(f'データ更新成功: ID={data_id}, Revision={data_item["revision"]}')
+        return jsonify({
+            'success': True,
+            'id': data_id,
+            'revision': data_item['revision'],
+            'updated_at': data_item['updated_at'],
+            'message': 'Data updated successfully'
+        }), 200, {'ETag': format_etag(data_item)}
+
+    except ValueError as e:
+        logger.error(f'バリデーションエラー: {e}')
+        return jsonify({'error': f'Validation error: {str(e)}'}), 400
+
+    except Exception as e:
+        logger.error(f'サーバエラー: {e}', exc_info=True)
+        return jsonify({'error': 'Internal server error'}), 500
+
+
+@app.route('/api/data/<int:data_id>', methods=['DELETE'])
+@require_auth
+def delete_data(data_id):
+    """データ削除エンドポイント
+
+    他の端末が差分取得で削除を検知できるよう、データはトゥームストーンとして残す
+    """
+    try:
+        with DATA_LOCK:
+            all_data = load_data()
+            data_item = find_owned_by_id(all_data, data_id)
+
+            if not data_item:
+                logger.warning(f'削除対象のデータが見つかりません: ID={data_id}')
+                return jsonify({'error': 'Data not found'}), 404
+
+            now = datetime.now().isoformat()
+            data_item.update({
+                'revision': get_revision(data_item) + 1,
+                'deleted': True,
+                'deleted_at': now,
+                'updated_at': now
+            })
+
+            if not save_data(all_data):
+                logger.error('データ保存失敗')
+                return jsonify({'error': 'Failed to save data'}), 500
+
+        logger.info(f'データ削除成功: ID={data_id}')
+        return jsonify({
+            'success': True,
+            'id': data_id,
+            'message': 'Data deleted successfully'
+        }), 200
+
+    except Exception as e:
+        logger.error(f'サーバエラー: {e}', exc_info=True)
+        return jsonify({'error': 'Internal server error'}), 500
+
+
+@app.route('/api/attachments/uploads', methods=['POST'])
+@require_auth
+def start_attachment_upload():
+    """添付ファイルの分割アップロード開始エンドポイント
+
+    同じUUIDで再度呼び出すと新規作成せず、受信済みのバイト数を返す（中断後の再開用）
+    他のユーザーが使用しているUUIDの場合は409を返す
+
+    リクエストボディ:
+        uuid: 添付ファイルのUUID（アップロードIDとして使用）
+        record_id: 紐付けるデータのID
+        name, type, size: ファイル名・MIMEタイプ・バイト数
+    """
+    try:
+        if not request.is_json:
+            logger.warning('無効なContent-Type')
+            return jsonify({'error': 'Content-Type must be application/json'}), 400
+
+        body = request.get_json() or {}
+        upload_id = normalize_uuid(body.get('uuid'))
+
+        if not upload_id or not UPLOAD_ID_PATTERN.match(upload_id):
+            return jsonify({'error': 'Invalid uuid'}), 400
+
+        with ATTACHMENTS_LOCK:
+            attachments = load_attachments()
+
+            # 既存のアップロードは受信済みの位置から再開させる
+            # 保存先のファイル名はUUIDだけのため、他のユーザーのアップロードと重複するUUIDは使わせない
+            existing = find_attachment(attachments, upload_id)
+            if existing and existing.get('user_id') != g.user['id']:
+                logger.warning(f'添付ファイルのUUIDが他のユーザーと重複: {upload_id}')
+                return jsonify({'error': 'Upload id already in use'}), 409
+            if existing:
+                logger.info(f'添付ファイルアップロード再開: ID={existing["id"]}, 受信済み={existing["received"]}/{existing["size"]}')
+                return jsonify(format_upload_status(existing)), 200
+
+            try:
+                record_id = int(body.get('record_id'))
+                size = int(body.get('size'))
+            except (TypeError, ValueError):
+                return jsonify({'error': 'record_id and size must be integers'}), 400
+
+            if not find_owned_by_id(load_data(), record_id):
+                return jsonify({'error': 'Record not found'}), 404
+
+            if size <= 0:
+                return jsonify({'error': 'size must be positive'}), 400
+
+            if size > ATTACHMENT_MAX_SIZE:
+                logger.warning(f'添付ファイルサイズ超過: {size}')
+                return jsonify({
+                    'error': 'Attachment too large',
+                    'max_size': ATTACHMENT_MAX_SIZE
+                }), 413
+
+            now = datetime.now().isoformat()
+            attachment = {
+                'id': max((item['id'] for item in attachments), default=0) + 1,
+                'uuid': upload_id.lower(),
+                'record_id': record_id,
+                'user_id': g.user['id'],
+                'name': str(body.get('name') or 'attachment').strip(),
+                'type': str(body.get('type') or 'application/octet-stream').strip(),
+                'size': size,
+                'received': 0,
+                'status': 'uploading',
+                'created_at': now,
+                'completed_at': None
+            }
+
+            # 追記先の空ファイルを作成
+            open(get_attachment_path(upload_id), 'wb').close()
+
+            attachments.append(attachment)
+            if not save_attachments(attachments):
+                logger.error('添付ファイル情報保存失敗')
+                return jsonify({'error': 'Failed to save attachment'}), 500
+
+        logger.info(f'添付ファイルアップロード開始: ID={attachment["id"]}, データID={record_id}, サイズ={size}')
+        return jsonify(format_upload_status(attachment)), 201
+
+    except Exception as e:
+        logger.error(f'サーバエラー: {e}', exc_info=True)
+        return jsonify({'error': 'Internal server error'}), 500
+
+
+@app.route('/api/attachments/uploads/<upload_id>', methods=['PUT'])
+@require_auth
+def upload_attachment_chunk(upload_id):
+    """添付ファイルの分割データ受信エンドポイント
+
+    Content-Range（bytes 開始-終了/全体）で指定された範囲を追記する。
+    開始位置が受信済みのバイト数と一致しない場合は409で受信済みのバイト数を返す
+    """
+    try:
+        # 受信はロックの外で行う（遅いクライアントが他のアップロードを止めないようにする）
+        chunk = request.get_data()
+
+        with ATTACHMENTS_LOCK:
+            attachments = load_attachments()
+            attachment = find_attachment(filter_owned(attachments), upload_id)
+
+            if not attachment:
+                return jsonify({'error': 'Upload not found'}), 404
+
+            if attachment['status'] == 'complete':
+                return jsonify(format_upload_status(attachment)), 200
+
+            match = CONTENT_RANGE_PATTERN.match(request.headers.get('Content-Range', ''))
+            if not match:
+                return jsonify({'error': 'Content-Range header is required'}), 400
+
+            start, end, total = (int(value) for value in match.groups())
+
+            if total != attachment['size'] or end < start or end >= total or len(chunk) != end - start + 1:
+                return jsonify({'error': 'Invalid Content-Range'}), 400
+
+            if len(chunk) > ATTACHMENT_CHUNK_MAX_SIZE:
+                return jsonify({
+                    'error': 'Chunk too large',
+                    'max_chunk_size': ATTACHMENT_CHUNK_MAX_SIZE
+                }), 413
+
+            if start != attachment['received']:
+                logger.warning(f'添付ファイル受信位置の不一致: ID={attachment["id"]}, 受信済み={attachment["received"]}, 開始={start}')
+                return jsonify({
+                    'error': 'Offset mismatch',
+                    'upload_id': attachment['uuid'],
+                    'received': attachment['received']
+                }), 409
+
+            # 受信済みの位置に追記
+            with open(get_attachment_path(attachment['uuid']), 'r+b') as f:
+                f.seek(start)
+                f.write(chunk)
+                f.truncate()
+
+            attachment['received'] = end + 1
+            if attachment['received'] == attachment['size']:
+                attachment['status'] = 'complete'
+                attachment['completed_at'] = datetime.now().isoformat()
+                logger.info(f'添付ファイルアップロード完了: ID={attachment["id"]}, Name={attachment["name"]}')
+
+            if not save_attachments(attachments):
+                logger.error('添付ファイル情報保存失敗')
+                return jsonify({'error': 'Failed to save attachment'}), 500
+
+        return jsonify(format_upload_status(attachment)), 200
+
+    except Exception as e:
+        logger.error(f'サーバエラー: {e}', exc_info=True)
+        return jsonify({'error': 'Internal server error'}), 500
+
+
+@app.route('/api/attachments/<int:attachment_id>', methods=['GET'])
+@require_auth
+def get_attachment(attachment_id):
+    """添付ファイル取得エンドポイント（アップロード完了分のみ）"""
+    try:
+        attachment = next((item for item in filter_owned(load_attachments()) if item['id'] == attachment_id), None)
+
+        if not attachment or attachment['status'] != 'complete':
+            return jsonify({'error': 'Attachment not found'}), 404
+
+        return send_file(
+            os.path.abspath(get_attachment_path(attachment['uuid'])),
+            mimetype=attachment['type'],
+            download_name=attachment['name']
+        )
+
+    except Exception as e:
+        logger.error(f'添付ファイル取得エラー: {e}')
+        return jsonify({'error': 'Failed to retrieve attachment'}), 500
+
+
+@app.cli.command('create-user')
+@click.argument('username')
+@click.password_option()
+@click.option('--claim-unowned', is_flag=True, help='所有者のいない既存のデータ・添付ファイルをこのユーザーのものにする')
+def create_user(username, password, claim_unowned):
+    """ユーザーを作成（例: flask --app app create-user alice）"""
+    users = load_users()
+
+    if find_user(users, username=username):
+        raise click.ClickException(f'ユーザー名 {username} は既に使われています')
+
+    user = {
+        'id': max((item['id'] for item in users), default=0) + 1,
+        'username': username,
+        'password_hash': generate_password_hash(password),
+        'created_at': datetime.now().isoformat()
+    }
+    users.append(user)
+    if not save_users(users):
+        raise click.ClickException('ユーザーの保存に失敗しました')
+    click.echo(f'ユーザーを作成しました: ID={user["id"]}, {username}')
+
+    # 認証導入前に受信したデータを引き継ぐ
+    if claim_unowned:
+        for label, load, save in (('データ', load_data, save_data), ('添付ファイル', load_attachments, save_attachments)):
+            items = load()
+            unowned = [item for item in items if item.get('user_id') is None]
+            for item in unowned:
+                item['user_id'] = user['id']
+            if unowned and not save(items):
+                raise click.ClickException(f'{label}の保存に失敗しました')
+            click.echo(f'所有者のいない{label}を引き継ぎました: {len(unowned)}件')
+
+
 @app.errorhandler(404)
 def not_found(error):
     """404エラーハンドラ"""
@@ -206,7 +1413,7 @@ if __name__ == '__main__':
     # 開発サーバ起動
     # 本番環境ではgunicornなどのWSGIサーバを使用
     logger.info('Flask開発サーバ起動')
-    logger.info('CORS: 有効（全オリジン許可）')
+    logger.info(f'CORS: 許可するオリジン {ALLOWED_ORIGINS}')
     logger.info(f'データ保存先: {DATA_FILE}')
 
     app.run(
@@ -9,228 +9,2315 @@ const syncBtn = document.getElementById('sync-btn');
 const onlineStatus = document.getElementById('online-status');
 const pendingCount = document.getElementById('pending-count');
 const syncMessage = document.getElementById('sync-message');
+const syncProgress = document.getElementById('sync-progress');
+const syncProgressBar = document.getElementById('sync-progress-bar');
+const syncProgressText = document.getElementById('sync-progress-text');
+const syncCancelBtn = document.getElementById('sync-cancel-btn');
 const dataList = document.getElementById('data-list');
+const syncStrategy = document.getElementById('sync-strategy');
+const periodicSyncToggle = document.getElementById('periodic-sync-toggle');
+const locationCaptureToggle = document.getElementById('location-capture-toggle');
+const retentionDays = document.getElementById('retention-days');
+const storageUsage = document.getElementById('storage-usage');
+const submitBtn = document.getElementById('submit-btn');
+const cancelEditBtn = document.getElementById('cancel-edit-btn');
+const saveDraftBtn = document.getElementById('save-draft-btn');
+const draftList = document.getElementById('draft-list');
+const formTitle = document.getElementById('form-title');
+const formFields = document.getElementById('form-fields');
+const photoInput = document.getElementById('photo-input');
+const fileInput = document.getElementById('file-input');
+const attachmentSelection = document.getElementById('attachment-selection');
+const listSearch = document.getElementById('list-search');
+const listCategory = document.getElementById('list-category');
+const listStatus = document.getElementById('list-status');
+const listSort = document.getElementById('list-sort');
+const listFrom = document.getElementById('list-from');
+const listTo = document.getElementById('list-to');
+const pagePrevBtn = document.getElementById('page-prev');
+const pageNextBtn = document.getElementById('page-next');
+const pageInfo = document.getElementById('page-info');
+const exportFormat = document.getElementById('export-format');
+const exportBtn = document.getElementById('export-btn');
+const shareBtn = document.getElementById('share-btn');
+const importInput = document.getElementById('import-input');
+const importPanel = document.getElementById('import-panel');
+const syncHistory = document.getElementById('sync-history');
+const historyRefreshBtn = document.getElementById('history-refresh-btn');
+const historyExportBtn = document.getElementById('history-export-btn');
+const listTab = document.getElementById('list-tab');
+const dashboardTab = document.getElementById('dashboard-tab');
+const listView = document.getElementById('list-view');
+const dashboardView = document.getElementById('dashboard-view');
+const dashboardContent = document.getElementById('dashboard-content');
+const dashboardComparison = document.getElementById('dashboard-comparison');
+const dashboardRefreshBtn = document.getElementById('dashboard-refresh-btn');
+const dashboardCompareBtn = document.getElementById('dashboard-compare-btn');
+const appContainer = document.querySelector('.container');
+const encryptionSettings = document.getElementById('encryption-settings');
+const encryptionStatus = document.getElementById('encryption-status');
+const encryptionCurrent = document.getElementById('encryption-current');
+const encryptionNew = document.getElementById('encryption-new');
+const encryptionConfirm = document.getElementById('encryption-confirm');
+const lockScreen = document.getElementById('lock-screen');
+const unlockForm = document.getElementById('unlock-form');
+const unlockPassphrase = document.getElementById('unlock-passphrase');
+const unlockError = document.getElementById('unlock-error');
+const unlockBtn = document.getElementById('unlock-btn');
+const userName = document.getElementById('user-name');
+const logoutBtn = document.getElementById('logout-btn');
+const loginScreen = document.getElementById('login-screen');
+const loginForm = document.getElementById('login-form');
+const loginDescription = document.getElementById('login-description');
+const loginUsername = document.getElementById('login-username');
+const loginPassword = document.getElementById('login-password');
+const loginError = document.getElementById('login-error');
+const loginBtn = document.getElementById('login-btn');
+const loginLaterBtn = document.getElementById('login-later-btn');
+const updateBanner = document.getElementById('update-banner');
+const updateReloadBtn = document.getElementById('update-reload-btn');
+const languageSelect = document.getElementById('language-select');
+
+// 同期ステータス → 表示名のメッセージのキー
+const SYNC_STATUS_MESSAGES = {
+    'pending': 'status.pending',
+    'synced': 'status.synced',
+    'modified': 'status.modified',
+    'conflict': 'status.conflict',
+    'error': 'status.error',
+    'failed': 'status.failed'
+};
+
+// データ一覧の1ページの件数
+const LIST_PAGE_SIZE = 20;
+
+// 検索キーワード入力後に一覧を更新するまでの待ち時間（ミリ秒）
+const SEARCH_DEBOUNCE_DELAY = 300;
+
+// 設定の保存キー（localStorage）
+const SETTINGS_KEY = 'pwa-offline-collector-settings';
+
+// Periodic Background Syncの最小間隔（12時間）
+const PERIODIC_SYNC_MIN_INTERVAL = 12 * 60 * 60 * 1000;
+
+// フォールバック時のページ内再試行間隔（60秒）
+const FALLBACK_SYNC_INTERVAL = 60 * 1000;
+
+// Service Worker登録情報
+let swRegistration = null;
+
+// 有効化を待っている新しいバージョンのService Worker（更新の通知中のみ）
+let waitingWorker = null;
+
+// このタブで更新を適用したかどうか（有効化後に再読み込みする）
+let updateRequested = false;
+
+// フォールバック再試行タイマー
+let fallbackSyncTimer = null;
+
+// 再送予定時刻に同期を要求するタイマー
+let retrySyncTimer = null;
+
+// 編集中のデータID（新規入力時はnull）
+let editingRecordId = null;
+
+// フォームで入力中の下書きのID（まだ保存していない場合はnull）
+let currentDraftId = null;
+
+// 下書きの自動保存タイマーと、未保存の入力があるかどうか
+let draftTimer = null;
+let draftDirty = false;
+
+// 実行中の下書きの保存（IDの採番前に次の保存が始まらないよう順番に実行する）
+let draftSaving = Promise.resolve();
+
+// 入力フォームのスキーマ（initAppでキャッシュまたはサーバから読み込む）
+let formSchema = DEFAULT_FORM_SCHEMA;
+
+// 保存前に選択された添付ファイル
+let selectedFiles = [];
+
+// データ一覧で表示中の添付ファイルのオブジェクトURL（再描画時に解放する）
+let attachmentUrls = [];
+
+// データ一覧のページ位置（各ページの開始位置、先頭ページはnull）と次ページの開始位置
+let pageStarts = [null];
+let nextPageStart = null;
+
+// 検索キーワード入力の遅延タイマー
+let searchTimer = null;
+
+// インポート中のファイルの内容と検証結果（プレビュー表示中のみ）
+let importState = null;
+
+// ダッシュボードに表示中の端末の集計と、比較のために取得したサーバの集計
+let localAggregates = null;
+let serverAggregates = null;
+
+// 暗号化が有効な場合に、操作がないまま自動でロックするまでの時間
+const AUTO_LOCK_DELAY = 5 * 60 * 1000;
+
+// 操作中とみなすイベント（自動ロックのタイマーを延長する）
+const AUTO_LOCK_ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+// ロック画面を表示中かどうか
+let appLocked = false;
+
+// 自動ロックのタイマー
+let autoLockTimer = null;
+
+// 起動時のロック解除を待っている処理
+let unlockWaiter = null;
+
+// 起動時のログインを待っている処理
+let loginWaiter = null;
+
+/**
+ * アプリケーション初期化
+ */
+async function initApp() {
+    console.log('アプリケーション初期化開始');
+
+    // 表示言語の反映（以降の表示はすべて表示言語で行う）
+    initLanguage();
+
+    // オンライン/オフライン状態の初期化
+    updateOnlineStatus();
+
+    // 設定の反映
+    const settings = loadSettings();
+    periodicSyncToggle.checked = settings.periodicSync;
+    locationCaptureToggle.checked = settings.locationCapture;
+    retentionDays.value = String(settings.retentionDays);
+
+    // ログインしていない場合はログインを待つ（データはユーザーごとのデータベースに保存する）
+    loginForm.addEventListener('submit', handleLoginSubmit);
+    loginLaterBtn.addEventListener('click', hideLoginScreen);
+    await loginOnStart();
+
+    // 入力フォームの描画（キャッシュ済みスキーマ → サーバの最新スキーマ）
+    formSchema = await loadFormSchema();
+    renderForm(formSchema, formFields);
+    renderFormTitle();
+    renderListFilters();
+    updateFormSchema();
+
+    // 保存データが暗号化されている場合はロック解除を待つ
+    unlockForm.addEventListener('submit', handleUnlockSubmit);
+    await unlockOnStart();
+    await renderEncryptionSettings();
+
+    // 保存期間を過ぎた同期済みデータを削除してからUI更新
+    await maintainStorage();
+    await updateUI();
+
+    // 未送信のデータがブラウザに削除されないよう永続ストレージを要求
+    requestPersistentStorage().then(updateStorageStatus);
+
+    // 前回の入力途中で閉じられた下書きの復元
+    await restoreDraftOnStart();
+
+    // イベントリスナーの設定
+    setupEventListeners();
+
+    // Service Workerの登録と同期方式の決定
+    registerServiceWorker().then(setupSyncStrategy);
+
+    console.log('アプリケーション初期化完了');
+}
+
+/**
+ * イベントリスナーの設定
+ */
+function setupEventListeners() {
+    // フォーム送信
+    dataForm.addEventListener('submit', handleFormSubmit);
+
+    // 同期ボタン
+    syncBtn.addEventListener('click', handleSyncClick);
+
+    // 編集キャンセル
+    cancelEditBtn.addEventListener('click', exitEditMode);
+
+    // 下書きの自動保存・保存・一覧の操作
+    dataForm.addEventListener('input', scheduleDraftSave);
+    dataForm.addEventListener('change', scheduleDraftSave);
+    saveDraftBtn.addEventListener('click', handleSaveDraftClick);
+    draftList.addEventListener('click', handleDraftListClick);
+
+    // 添付ファイルの選択・取り消し
+    photoInput.addEventListener('change', handleFileSelect);
+    fileInput.addEventListener('change', handleFileSelect);
+    attachmentSelection.addEventListener('click', handleSelectionRemove);
+
+    // データカードの編集・削除ボタン
+    dataList.addEventListener('click', handleDataListClick);
+
+    // データ一覧の検索・絞り込み・並べ替え・ページ移動
+    listSearch.addEventListener('input', handleSearchInput);
+    [listCategory, listStatus, listSort, listFrom, listTo].forEach(element => {
+        element.addEventListener('change', resetDataListPage);
+    });
+    pagePrevBtn.addEventListener('click', () => changeDataListPage(-1));
+    pageNextBtn.addEventListener('click', () => changeDataListPage(1));
+
+    // エクスポート（共有はWeb Share APIでファイルを送れる端末のみ）
+    exportBtn.addEventListener('click', () => handleExport('download'));
+    shareBtn.addEventListener('click', () => handleExport('share'));
+    shareBtn.hidden = !canShareFiles();
+
+    // インポート（列の対応付けの変更・取り込み・キャンセル）
+    importInput.addEventListener('change', handleImportFileSelect);
+    importPanel.addEventListener('change', handleImportMappingChange);
+    importPanel.addEventListener('click', handleImportPanelClick);
+
+    // 同期履歴
+    historyRefreshBtn.addEventListener('click', updateSyncHistory);
+    historyExportBtn.addEventListener('click', handleSyncHistoryExport);
+
+    // 一覧・集計の切り替え
+    listTab.addEventListener('click', () => showDataTab('list'));
+    dashboardTab.addEventListener('click', () => showDataTab('dashboard'));
+    dashboardRefreshBtn.addEventListener('click', updateDashboard);
+    dashboardCompareBtn.addEventListener('click', handleDashboardCompareClick);
+
+    // オンライン/オフライン状態の監視
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    // 定期同期の設定
+    periodicSyncToggle.addEventListener('change', handlePeriodicSyncToggle);
+
+    // 位置情報の記録の設定
+    locationCaptureToggle.addEventListener('change', handleLocationCaptureToggle);
+
+    // 同期済みデータの保存期間
+    retentionDays.addEventListener('change', handleRetentionDaysChange);
+
+    // 表示言語
+    languageSelect.addEventListener('change', handleLanguageChange);
+
+    // データの暗号化の設定と、操作がない場合の自動ロック
+    encryptionSettings.addEventListener('click', handleEncryptionSettingsClick);
+    AUTO_LOCK_ACTIVITY_EVENTS.forEach(type => {
+        document.addEventListener(type, resetAutoLockTimer, { passive: true });
+    });
+
+    // ログアウト・再ログイン
+    logoutBtn.addEventListener('click', handleLogoutClick);
+
+    // 同期の経過（このページとService Worker・他のタブの同期）とキャンセル
+    onSyncEvent(handleSyncEvent);
+    syncCancelBtn.addEventListener('click', cancelSync);
+}
+
+/**
+ * フォーム送信処理
+ * @param {Event} event - submitイベント
+ */
+async function handleFormSubmit(event) {
+    event.preventDefault();
+
+    try {
+        // 保存に失敗しても入力内容が残るよう、先に下書きを保存する
+        if (editingRecordId === null) {
+            await flushDraft();
+        }
+
+        // フォームデータを取得（スキーマのバージョンを記録）
+        const data = {
+            ...collectFormValues(formSchema, dataForm),
+            schemaVersion: formSchema.version
+        };
+
+        // バリデーション
+        const errors = Object.values(validateFormValues(formSchema, data));
+        if (errors.length > 0) {
+            showMessage(errors[0], 'error');
+            return;
+        }
+
+        // 空き容量が少ない場合は保存する前に確認する
+        if (!(await confirmStorageSpace())) {
+            return;
+        }
+
+        // 添付ファイルの縮小と空き容量の確認（失敗した場合はデータも保存しない）
+        let attachments;
+        try {
+            attachments = await prepareAttachments(selectedFiles);
+        } catch (error) {
+            console.error('添付ファイル変換エラー:', error);
+            showMessage(error.message, 'error');
+            return;
+        }
+
+        // IndexedDBに保存（編集中の場合は更新）
+        if (editingRecordId !== null) {
+            const id = editingRecordId;
+            await editRecord(id, data);
+            if (attachments.length > 0) {
+                await addAttachments(id, attachments);
+            }
+            showMessage(t('data.updated'), 'success');
+            exitEditMode();
+        } else {
+            // 記録時の状況（位置情報・端末情報）は新規保存時のみ記録し、編集では変更しない
+            if (loadSettings().locationCapture) {
+                showMessage(t('location.acquiring'), 'info');
+            }
+            data.captureContext = await collectCaptureContext({ location: loadSettings().locationCapture });
+
+            const id = await addData(data);
+            if (attachments.length > 0) {
+                await addAttachments(id, attachments);
+            }
+
+            // データとして保存できたため下書きは不要
+            await discardCurrentDraft();
+            showMessage(t('data.saved'), 'success');
+            dataForm.reset();
+            clearSelectedFiles();
+        }
+
+        // UI更新
+        await updateUI();
+
+        // 同期を予約（オンライン復帰時にも送信される）
+        await requestSync(500);
+
+    } catch (error) {
+        console.error('フォーム送信エラー:', error);
+        if (error.name === 'QuotaExceededError') {
+            showMessage(t('data.quotaExceeded'), 'error');
+        } else {
+            showMessage(t('data.saveFailed'), 'error');
+        }
+    }
+}
+
+/**
+ * 添付ファイル選択時の処理
+ * @param {Event} event - changeイベント
+ */
+function handleFileSelect(event) {
+    selectedFiles.push(...event.target.files);
+
+    // 同じファイルを続けて選択できるよう入力をリセット
+    event.target.value = '';
+    renderSelectedFiles();
+}
+
+/**
+ * 選択中の添付ファイルの取り消し
+ * @param {Event} event - clickイベント
+ */
+function handleSelectionRemove(event) {
+    const button = event.target.closest('button[data-index]');
+    if (!button) {
+        return;
+    }
+
+    selectedFiles.splice(Number(button.dataset.index), 1);
+    renderSelectedFiles();
+}
+
+/**
+ * 選択中の添付ファイルをクリア
+ */
+function clearSelectedFiles() {
+    selectedFiles = [];
+    renderSelectedFiles();
+}
+
+/**
+ * 選択中の添付ファイル一覧を表示
+ */
+function renderSelectedFiles() {
+    attachmentSelection.innerHTML = selectedFiles.map((file, index) => `
+        <li>
+            <span>${escapeHtml(file.name)}（${formatFileSize(file.size)}）</span>
+            <button type="button" class="btn-small" data-index="${index}">${t('attachments.remove')}</button>
+        </li>
+    `).join('');
+}
+
+/**
+ * サーバから最新のフォームスキーマを取得して反映
+ * 編集中は入力内容を失わないよう再描画しない（次回起動時に反映）
+ */
+async function updateFormSchema() {
+    const schema = await refreshFormSchema();
+
+    if (!schema || schema.version === formSchema.version || editingRecordId !== null) {
+        return;
+    }
+
+    formSchema = schema;
+    renderForm(formSchema, formFields);
+    renderFormTitle();
+    renderListFilters();
+    await updateDataList();
+    console.log('フォームスキーマ更新:', schema.version);
+}
+
+/**
+ * データ一覧のクリック処理（編集・削除ボタン）
+ * @param {Event} event - clickイベント
+ */
+async function handleDataListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) {
+        return;
+    }
+
+    const id = Number(button.dataset.id);
+
+    switch (button.dataset.action) {
+        case 'edit':
+            await enterEditMode(id);
+            break;
+        case 'delete':
+            await handleDeleteClick(id);
+            break;
+        case 'resolve-mine':
+        case 'resolve-theirs':
+        case 'resolve-merge':
+            await handleResolveConflict(id, button.dataset.action, button.closest('.conflict-panel'));
+            break;
+        case 'history':
+            await toggleSyncTimeline(id, button.closest('.data-card'));
+            break;
+        case 'history-export':
+            await handleRecordHistoryExport(id);
+            break;
+    }
+}
+
+/**
+ * 競合解決ボタンクリック処理
+ * @param {number} id - データのID
+ * @param {string} action - 'resolve-mine' | 'resolve-theirs' | 'resolve-merge'
+ * @param {HTMLElement} panel - 競合表示パネル（フィールドごとの選択を含む）
+ */
+async function handleResolveConflict(id, action, panel) {
+    const choices = {};
+
+    if (action === 'resolve-merge') {
+        panel.querySelectorAll('input[type="radio"]:checked').forEach(input => {
+            choices[input.dataset.field] = input.value;
+        });
+    }
+
+    try {
+        await resolveConflict(id, choices, action === 'resolve-theirs' ? 'theirs' : 'mine');
+        showMessage(t('conflict.resolved'), 'success');
+        await updateUI();
+        await requestSync(500);
+
+    } catch (error) {
+        console.error('競合解決エラー:', error);
+        showMessage(t('conflict.resolveFailed'), 'error');
+    }
+}
+
+/**
+ * フォームの入力時に下書きの自動保存を予約（新規入力時のみ）
+ */
+function scheduleDraftSave() {
+    if (editingRecordId !== null) {
+        return;
+    }
+
+    draftDirty = true;
+    clearTimeout(draftTimer);
+    draftTimer = setTimeout(flushDraft, DRAFT_AUTOSAVE_DELAY);
+}
+
+/**
+ * 予約中の下書きの自動保存をすぐに実行
+ * @returns {Promise<void>}
+ */
+function flushDraft() {
+    clearTimeout(draftTimer);
+    draftTimer = null;
+
+    if (draftDirty) {
+        draftDirty = false;
+        draftSaving = draftSaving
+            .then(() => saveCurrentDraft())
+            .catch(error => console.error('下書き保存エラー:', error));
+    }
+    return draftSaving;
+}
+
+/**
+ * フォームの入力内容を入力中の下書きに保存
+ * @param {Object} updates - 下書きに設定する項目（名前・入力中かどうか）
+ * @returns {Promise<void>}
+ */
+async function saveCurrentDraft(updates = {}) {
+    const values = collectFormValues(formSchema, dataForm);
+
+    // 何も入力していない場合は下書きを作らない
+    if (currentDraftId === null && !hasDraftContent(values)) {
+        return;
+    }
+
+    const now = new Date().toISOString();
+    const existing = currentDraftId !== null ? await getDraft(currentDraftId) : null;
+    const draft = {
+        name: null,
+        createdAt: now,
+        ...existing,
+        values,
+        schemaVersion: formSchema.version,
+        active: true,
+        updatedAt: now,
+        ...updates
+    };
+
+    const id = await saveDraft(draft);
+    currentDraftId = draft.active ? id : null;
+    await updateDraftList();
+}
+
+/**
+ * 入力中の下書きを保存して閉じる（一覧に残り、後で開ける）
+ * @returns {Promise<void>}
+ */
+async function closeCurrentDraft() {
+    await flushDraft();
+
+    if (currentDraftId === null) {
+        return;
+    }
+
+    const draft = await getDraft(currentDraftId);
+    currentDraftId = null;
+    if (draft) {
+        await saveDraft({ ...draft, active: false });
+    }
+    await updateDraftList();
+}
+
+/**
+ * データの保存後に入力中の下書きを削除
+ * @returns {Promise<void>}
+ */
+async function discardCurrentDraft() {
+    clearTimeout(draftTimer);
+    draftDirty = false;
+    await draftSaving;
+
+    if (currentDraftId === null) {
+        return;
+    }
+
+    await deleteDraft(currentDraftId);
+    currentDraftId = null;
+    await updateDraftList();
+}
+
+/**
+ * 下書き保存ボタンの処理（名前を付けて保存し、フォームを空にする）
+ */
+async function handleSaveDraftClick() {
+    try {
+        clearTimeout(draftTimer);
+        draftDirty = false;
+        await draftSaving;
+
+        const values = collectFormValues(formSchema, dataForm);
+        if (currentDraftId === null && !hasDraftContent(values)) {
+            showMessage(t('drafts.noInput'), 'info');
+            return;
+        }
+
+        const current = currentDraftId !== null ? await getDraft(currentDraftId) : null;
+        const name = prompt(t('drafts.namePrompt'), current ? getDraftLabel(current) : (values.title || ''));
+        if (name === null) {
+            return;
+        }
+
+        await saveCurrentDraft({ name: name.trim() || null, active: false });
+
+        const message = selectedFiles.length > 0
+            ? t('drafts.savedWithoutAttachments')
+            : t('drafts.saved');
+        dataForm.reset();
+        clearSelectedFiles();
+        showMessage(message, 'success');
+
+    } catch (error) {
+        console.error('下書き保存エラー:', error);
+        showMessage(t('drafts.saveFailed'), 'error');
+    }
+}
+
+/**
+ * 下書きをフォームに読み込んで入力中にする
+ * @param {Object} draft - 下書き
+ * @returns {Promise<void>}
+ */
+async function openDraft(draft) {
+    if (editingRecordId !== null) {
+        exitEditMode();
+    }
+    await closeCurrentDraft();
+
+    dataForm.reset();
+    clearSelectedFiles();
+    fillForm(formSchema, dataForm, draft.values);
+
+    await saveDraft({ ...draft, active: true });
+    currentDraftId = draft.id;
+    await updateDraftList();
+}
+
+/**
+ * 下書き一覧のボタンクリック処理
+ * @param {Event} event - クリックイベント
+ */
+async function handleDraftListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) {
+        return;
+    }
+
+    const id = Number(button.dataset.id);
+
+    try {
+        if (button.dataset.action === 'draft-open') {
+            const draft = await getDraft(id);
+            if (draft) {
+                await openDraft(draft);
+                dataForm.scrollIntoView({ behavior: 'smooth' });
+            }
+        } else if (button.dataset.action === 'draft-delete') {
+            if (!confirm(t('drafts.deleteConfirm'))) {
+                return;
+            }
+            await deleteDraft(id);
+            if (id === currentDraftId) {
+                currentDraftId = null;
+            }
+            await updateDraftList();
+        }
+    } catch (error) {
+        console.error('下書き操作エラー:', error);
+        showMessage(t('drafts.actionFailed'), 'error');
+    }
+}
+
+/**
+ * 起動時に、前回入力途中のまま閉じられた下書きの復元を確認
+ * 復元しない場合も下書きは一覧に残す
+ */
+async function restoreDraftOnStart() {
+    if (appLocked) {
+        return;
+    }
+
+    try {
+        const draft = (await getDrafts()).find(item => item.active);
+        if (!draft) {
+            return;
+        }
+
+        const updatedAt = formatDateTime(draft.updatedAt);
+        if (confirm(t('drafts.restoreConfirm', { name: getDraftLabel(draft), updatedAt }))) {
+            await openDraft(draft);
+            showMessage(t('drafts.restored'), 'info');
+        } else {
+            await saveDraft({ ...draft, active: false });
+            await updateDraftList();
+        }
+    } catch (error) {
+        console.error('下書き復元エラー:', error);
+    }
+}
+
+/**
+ * 下書き一覧を更新（下書きがない場合は表示しない）
+ */
+async function updateDraftList() {
+    try {
+        const drafts = await getDrafts();
+        draftList.hidden = drafts.length === 0;
+        draftList.innerHTML = drafts.length > 0 ? createDraftListHtml(drafts, currentDraftId) : '';
+    } catch (error) {
+        console.error('下書き一覧更新エラー:', error);
+    }
+}
+
+/**
+ * 編集モードに切り替え、フォームにデータを読み込む
+ * @param {number} id - 編集するデータのID
+ */
+async function enterEditMode(id) {
+    try {
+        const data = await getData(id);
+        if (!data) {
+            showMessage(t('data.notFound'), 'error');
+            return;
+        }
+
+        // 入力中の新規データは下書きに残してから編集内容に切り替える
+        await closeCurrentDraft();
+        fillForm(formSchema, dataForm, data);
+
+        editingRecordId = id;
+        renderFormTitle();
+        cancelEditBtn.classList.remove('hidden');
+        saveDraftBtn.classList.add('hidden');
+        dataForm.scrollIntoView({ behavior: 'smooth' });
+
+    } catch (error) {
+        console.error('編集データ取得エラー:', error);
+        showMessage(t('data.loadFailed'), 'error');
+    }
+}
+
+/**
+ * 編集モードを終了し、新規入力に戻す
+ */
+function exitEditMode() {
+    editingRecordId = null;
+    dataForm.reset();
+    clearSelectedFiles();
+    renderFormTitle();
+    cancelEditBtn.classList.add('hidden');
+    saveDraftBtn.classList.remove('hidden');
+}
+
+/**
+ * フォームの見出しと保存ボタンを表示（新規入力・編集で切り替える）
+ */
+function renderFormTitle() {
+    const editing = editingRecordId !== null;
+
+    formTitle.textContent = editing ? t('form.editTitle') : (getLocalizedText(formSchema, 'title') || t('form.defaultTitle'));
+    submitBtn.textContent = editing ? t('form.update') : t('form.save');
+}
+
+/**
+ * 削除ボタンクリック処理
+ * @param {number} id - 削除するデータのID
+ */
+async function handleDeleteClick(id) {
+    if (!confirm(t('data.deleteConfirm'))) {
+        return;
+    }
+
+    try {
+        await removeRecord(id);
+
+        if (editingRecordId === id) {
+            exitEditMode();
+        }
+
+        showMessage(t('data.deleted'), 'success');
+        await updateUI();
+        await requestSync(500);
+
+    } catch (error) {
+        console.error('データ削除エラー:', error);
+        showMessage(t('data.deleteFailed'), 'error');
+    }
+}
+
+/**
+ * 同期ボタンクリック処理
+ */
+async function handleSyncClick() {
+    if (!navigator.onLine) {
+        showMessage(t('sync.offlineRetry'), 'error');
+        return;
+    }
+
+    try {
+        syncBtn.disabled = true;
+        syncBtn.textContent = t('sync.button.syncing');
+
+        await syncData();
+
+    } catch (error) {
+        console.error('同期エラー:', error);
+        showMessage(t('sync.failed'), 'error');
+    } finally {
+        renderSyncStatus(getSyncStatus());
+    }
+}
+
+/**
+ * オンライン状態になった時の処理
+ */
+function handleOnline() {
+    console.log('オンラインになりました');
+    updateOnlineStatus();
+    showMessage(t('network.online'), 'info');
+
+    // 自動同期
+    requestSync(1000);
+
+    // オフライン中に更新されたフォームスキーマを取得
+    updateFormSchema();
+}
+
+/**
+ * 同期を要求
+ * Background Syncが使える場合はService Workerに委ね、使えない場合はページ内で直接同期する
+ * @param {number} delay - ページ内で同期する場合の遅延（ミリ秒）
+ */
+async function requestSync(delay) {
+    if (swRegistration && 'sync' in swRegistration) {
+        try {
+            await swRegistration.sync.register(SYNC_TAGS.oneOff);
+            console.log('Background Sync登録成功:', SYNC_TAGS.oneOff);
+            return;
+        } catch (error) {
+            console.error('Background Sync登録エラー:', error);
+        }
+    }
+
+    // フォールバック: オンライン時はページ内で同期
+    if (navigator.onLine) {
+        setTimeout(() => {
+            syncData();
+        }, delay);
+    }
+}
+
+/**
+ * 同期イベントの処理（sync.jsのonSyncEventで購読）
+ * 他のコンテキストの同期（remote）も同じように画面に反映する
+ * @param {Object} event - 同期イベント
+ */
+async function handleSyncEvent(event) {
+    if (event.type === 'attachment-progress') {
+        updateAttachmentProgress(event);
+        return;
+    }
+
+    renderSyncStatus(getSyncStatus());
+
+    if (event.type === 'sync-item-succeeded' || event.type === 'sync-item-failed') {
+        if (!appLocked) {
+            await updatePendingCount();
+        }
+        return;
+    }
+
+    if (event.type === 'sync-aborted') {
+        await updateUI();
+
+        if (event.reason === 'cancelled') {
+            showMessage(t('sync.cancelledProgress', { done: event.done, total: event.total }), 'info');
+        } else if (event.reason === 'error') {
+            showMessage(t('sync.error'), 'error');
+        }
+        // セッション切れはhandleSessionExpiredで再ログインを促す
+        return;
+    }
+
+    if (event.type !== 'sync-finished') {
+        return;
+    }
+
+    await maintainStorage();
+    await updateUI();
+
+    if (event.success === 0 && event.failed === 0 && !event.uploaded && event.pulled === 0) {
+        // バックグラウンドの同期で何もなかった場合は表示しない
+        if (!event.remote) {
+            showMessage(t('sync.nothing'), 'info');
+        }
+        return;
+    }
+
+    const { message, type } = describeSyncResult(event);
+    showMessage(message, type);
+}
+
+/**
+ * 同期の進捗（ステータスバーの進捗バー・キャンセルボタン）を表示
+ * @param {Object} status - getSyncStatusの同期の状態
+ */
+function renderSyncStatus(status) {
+    const syncing = status.state === 'syncing';
+
+    syncProgress.hidden = !syncing;
+    syncBtn.disabled = syncing;
+    syncBtn.textContent = syncing ? t('sync.button.syncing') : t('sync.button.sync');
+
+    if (!syncing) {
+        return;
+    }
+
+    // 対象件数が決まるまでは進捗バーを不確定表示にする
+    if (status.total > 0) {
+        syncProgressBar.max = status.total;
+        syncProgressBar.value = status.done;
+    } else {
+        syncProgressBar.removeAttribute('value');
+    }
+    syncProgressText.textContent = `${status.done}/${status.total}`;
+}
+
+/**
+ * オフライン状態になった時の処理
+ */
+function handleOffline() {
+    console.log('オフラインになりました');
+    updateOnlineStatus();
+    showMessage(t('network.offline'), 'info');
+}
+
+/**
+ * オンライン/オフライン状態の表示更新
+ */
+function updateOnlineStatus() {
+    if (navigator.onLine) {
+        onlineStatus.textContent = t('network.badge.online');
+        onlineStatus.className = 'status-badge online';
+    } else {
+        onlineStatus.textContent = t('network.badge.offline');
+        onlineStatus.className = 'status-badge offline';
+    }
+}
+
+/**
+ * 設定を読み込む
+ * @returns {Object} 設定値
+ */
+function loadSettings() {
+    const defaults = {
+        periodicSync: false,
+        locationCapture: false,
+        retentionDays: DEFAULT_RETENTION_DAYS,
+        language: null
+    };
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        return { ...defaults, ...saved };
+    } catch (error) {
+        console.error('設定読み込みエラー:', error);
+        return defaults;
+    }
+}
+
+/**
+ * 設定を保存
+ * @param {Object} updates - 更新する設定値
+ */
+function saveSettings(updates) {
+    const settings = { ...loadSettings(), ...updates };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * 定期同期の切り替え処理
+ */
+async function handlePeriodicSyncToggle() {
+    saveSettings({ periodicSync: periodicSyncToggle.checked });
+    await setupSyncStrategy();
+}
+
+/**
+ * 位置情報の記録の切り替え処理
+ * 有効にする時に許可を確認し、拒否された場合は無効に戻す
+ */
+async function handleLocationCaptureToggle() {
+    if (!locationCaptureToggle.checked) {
+        saveSettings({ locationCapture: false });
+        return;
+    }
+
+    if (!navigator.geolocation) {
+        locationCaptureToggle.checked = false;
+        showMessage(t('location.unsupported'), 'error');
+        return;
+    }
+
+    // 許可を求めるため一度取得する（拒否済みの場合は問い合わせない）
+    const { status } = await getCurrentLocation();
+
+    if (status === 'denied') {
+        locationCaptureToggle.checked = false;
+        saveSettings({ locationCapture: false });
+        showMessage(t('location.permissionRequired'), 'error');
+        return;
+    }
+
+    saveSettings({ locationCapture: true });
+    showMessage(t('location.enabled'), 'success');
+}
+
+/**
+ * 起動時のログイン
+ * ログインしていない場合はログイン画面を表示して待つ
+ * セッションの期限切れ中は待たずに起動し、オフラインで記録を続けられるようにする
+ */
+async function loginOnStart() {
+    const session = await getSession();
+
+    if (session) {
+        renderSession(session);
+        if (session.expired && navigator.onLine) {
+            showLoginScreen(session);
+        }
+        return;
+    }
+
+    showLoginScreen(null);
+    await new Promise(resolve => {
+        loginWaiter = resolve;
+    });
+}
+
+/**
+ * ログイン画面を表示
+ * @param {Object|null} session - 期限切れのセッション（再ログインの場合。ユーザー名を入力済みにし、後回しにできる）
+ */
+function showLoginScreen(session) {
+    const relogin = Boolean(session);
+
+    loginDescription.textContent = relogin
+        ? t('login.expiredDescription')
+        : t('login.description');
+    loginUsername.value = relogin ? session.username : '';
+    loginPassword.value = '';
+    loginError.hidden = true;
+    loginLaterBtn.hidden = !relogin;
+
+    appContainer.hidden = true;
+    loginScreen.hidden = false;
+    (relogin ? loginPassword : loginUsername).focus();
+}
+
+/**
+ * ログイン画面を閉じる
+ */
+function hideLoginScreen() {
+    loginScreen.hidden = true;
+    loginPassword.value = '';
+    appContainer.hidden = appLocked;
+}
+
+/**
+ * ログイン送信処理
+ * 前回と別のユーザーでログインした場合は、そのユーザーのデータベースで開き直す
+ * @param {Event} event - submitイベント
+ */
+async function handleLoginSubmit(event) {
+    event.preventDefault();
+
+    try {
+        loginBtn.disabled = true;
+        loginBtn.textContent = t('login.submitting');
+
+        const { session, userChanged } = await login(loginUsername.value.trim(), loginPassword.value);
+
+        if (loginWaiter) {
+            hideLoginScreen();
+            renderSession(session);
+            loginWaiter();
+            loginWaiter = null;
+            return;
+        }
+
+        if (userChanged) {
+            location.reload();
+            return;
+        }
+
+        // 再ログイン: セッション切れで延期した同期を行う
+        hideLoginScreen();
+        renderSession(session);
+        showMessage(t('login.succeeded'), 'success');
+        requestSync(0);
+
+    } catch (error) {
+        console.error('ログインエラー:', error);
+        loginError.textContent = navigator.onLine ? error.message : t('login.offline');
+        loginError.hidden = false;
+        loginPassword.select();
+    } finally {
+        loginBtn.disabled = false;
+        loginBtn.textContent = t('login.submit');
+    }
+}
+
+/**
+ * ログイン中のユーザーを表示
+ * @param {Object} session - セッション
+ */
+function renderSession(session) {
+    userName.textContent = session.expired ? t('session.expiredUser', { username: session.username }) : session.username;
+    logoutBtn.textContent = session.expired ? t('session.relogin') : t('session.logout');
+}
+
+/**
+ * ログアウトボタン（セッションの期限切れ中は再ログインボタン）の処理
+ * 未同期のデータはユーザーのデータベースに残り、同じユーザーで再度ログインした後に送信する
+ */
+async function handleLogoutClick() {
+    const session = await getSession();
+
+    if (session && session.expired) {
+        showLoginScreen(session);
+        return;
+    }
+
+    const pending = await getPendingCount();
+    const message = pending > 0
+        ? t('session.logoutConfirmPending', { count: pending })
+        : t('session.logoutConfirm');
+
+    if (!confirm(message)) {
+        return;
+    }
+
+    try {
+        logoutBtn.disabled = true;
+        await logout();
+        location.reload();
+    } catch (error) {
+        console.error('ログアウトエラー:', error);
+        showMessage(t('session.logoutFailed'), 'error');
+        logoutBtn.disabled = false;
+    }
+}
+
+/**
+ * セッションの期限が切れた時の処理（auth.jsから呼ばれる）
+ * 記録は続けられるため、再ログインを促すのみ
+ */
+async function handleSessionExpired() {
+    const session = await getSession();
+    if (!session) {
+        return;
+    }
+
+    renderSession(session);
+    if (!loginWaiter && loginScreen.hidden) {
+        showLoginScreen(session);
+    }
+}
+
+/**
+ * 他のタブでログイン・ログアウトした時の処理（auth.jsから呼ばれる）
+ * 別のユーザーのデータを表示したままにしないよう、読み込み直す
+ */
+function handleSessionChanged() {
+    location.reload();
+}
+
+/**
+ * 起動時のロック解除
+ * 暗号化が有効で、他のタブもロック解除していない場合はロック画面を表示して解除を待つ
+ */
+async function unlockOnStart() {
+    if (await ensureEncryptionUnlocked()) {
+        resetAutoLockTimer();
+        return;
+    }
+
+    showLockScreen();
+    await new Promise(resolve => {
+        unlockWaiter = resolve;
+    });
+}
+
+/**
+ * ロック画面を表示
+ * 復号したデータを画面から取り除く（編集中のデータも破棄する）
+ */
+function showLockScreen() {
+    appLocked = true;
+    clearTimeout(autoLockTimer);
+    autoLockTimer = null;
+
+    if (editingRecordId !== null) {
+        exitEditMode();
+    }
+    closeImportPanel();
+    attachmentUrls.forEach(url => URL.revokeObjectURL(url));
+    attachmentUrls = [];
+    dataList.innerHTML = '';
+    dashboardContent.innerHTML = '';
+    localAggregates = null;
+    renderAggregateComparison();
+
+    appContainer.hidden = true;
+    lockScreen.hidden = false;
+    unlockError.hidden = true;
+    unlockPassphrase.value = '';
+    unlockPassphrase.focus();
+}
+
+/**
+ * ロックして画面を隠す（すべてのタブ・Service Workerの鍵を破棄する）
+ */
+function lockApp() {
+    lockEncryption();
+    showLockScreen();
+}
+
+/**
+ * ロック解除のパスフレーズ送信処理
+ * @param {Event} event - submitイベント
+ */
+async function handleUnlockSubmit(event) {
+    event.preventDefault();
+
+    try {
+        unlockBtn.disabled = true;
+        unlockBtn.textContent = t('lock.submitting');
+
+        if (await unlockEncryption(unlockPassphrase.value)) {
+            await completeUnlock();
+        } else {
+            unlockError.hidden = false;
+            unlockPassphrase.select();
+        }
+
+    } catch (error) {
+        console.error('ロック解除エラー:', error);
+        unlockError.hidden = false;
+    } finally {
+        unlockBtn.disabled = false;
+        unlockBtn.textContent = t('lock.submit');
+    }
+}
+
+/**
+ * ロック解除後の処理
+ * 起動時は初期化の続きに戻り、それ以外は画面を更新してロック中に延期した同期を行う
+ */
+async function completeUnlock() {
+    appLocked = false;
+    lockScreen.hidden = true;
+    appContainer.hidden = false;
+    unlockPassphrase.value = '';
+    resetAutoLockTimer();
+
+    if (unlockWaiter) {
+        unlockWaiter();
+        unlockWaiter = null;
+        return;
+    }
+
+    await updateUI();
+    requestSync(0);
+}
+
+/**
+ * 他のタブでロックが解除された時の処理（encryption.jsから呼ばれる）
+ */
+function handleEncryptionUnlocked() {
+    if (appLocked) {
+        completeUnlock();
+    }
+}
+
+/**
+ * 他のタブでロックされた時の処理（encryption.jsから呼ばれる）
+ */
+function handleEncryptionLocked() {
+    if (!appLocked) {
+        showLockScreen();
+    }
+}
+
+/**
+ * 他のタブで暗号化の設定が変更された時の処理（encryption.jsから呼ばれる）
+ */
+function handleEncryptionConfigChanged() {
+    renderEncryptionSettings();
+    resetAutoLockTimer();
+}
+
+/**
+ * 自動ロックのタイマーを設定し直す（操作のたびに呼ばれる）
+ */
+function resetAutoLockTimer() {
+    clearTimeout(autoLockTimer);
+    autoLockTimer = null;
+
+    if (appLocked || !isEncryptionUnlocked()) {
+        return;
+    }
+
+    autoLockTimer = setTimeout(() => {
+        console.log('操作がないため自動ロック');
+        lockApp();
+    }, AUTO_LOCK_DELAY);
+}
+
+/**
+ * データの暗号化の設定を表示
+ */
+async function renderEncryptionSettings() {
+    const enabled = await isEncryptionEnabled();
+
+    encryptionStatus.textContent = enabled
+        ? t('encryption.statusEnabled', { minutes: AUTO_LOCK_DELAY / 60000 })
+        : t('encryption.statusDisabled');
+    encryptionCurrent.hidden = !enabled;
+
+    encryptionSettings.querySelectorAll('[data-action]').forEach(button => {
+        button.hidden = (button.dataset.action === 'enable') === enabled;
+    });
+}
+
+/**
+ * データの暗号化の設定のボタン処理（有効化・パスフレーズ変更・解除・ロック）
+ * @param {Event} event - clickイベント
+ */
+async function handleEncryptionSettingsClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) {
+        return;
+    }
+
+    const action = button.dataset.action;
+    if (action === 'lock') {
+        lockApp();
+        return;
+    }
+
+    if (action !== 'disable' && encryptionNew.value !== encryptionConfirm.value) {
+        showMessage(t('encryption.passphraseMismatch'), 'error');
+        return;
+    }
+
+    const messages = {
+        enable: t('encryption.enabled'),
+        change: t('encryption.changed'),
+        disable: t('encryption.disabled')
+    };
+
+    try {
+        button.disabled = true;
+        showMessage(t('encryption.rewriting'), 'info');
+
+        // 書き換え中に同期で保存された内容が失われないよう、同期ロックを取得して行う
+        const completed = await withSyncLock(async () => {
+            if (action === 'enable') {
+                await enableEncryption(encryptionNew.value);
+            } else if (action === 'change') {
+                await changeEncryptionPassphrase(encryptionCurrent.value, encryptionNew.value);
+            } else {
+                await disableEncryption(encryptionCurrent.value);
+            }
+            return true;
+        });
+
+        if (!completed) {
+            showMessage(t('encryption.syncInProgress'), 'error');
+            return;
+        }
+
+        [encryptionCurrent, encryptionNew, encryptionConfirm].forEach(input => {
+            input.value = '';
+        });
+        await renderEncryptionSettings();
+        resetAutoLockTimer();
+        showMessage(messages[action], 'success');
+
+    } catch (error) {
+        console.error('暗号化設定エラー:', error);
+        showMessage(error.message, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * 同期方式を決定して表示
+ * Background Sync / Periodic Background Syncのどちらも使えない場合はページ内再試行にフォールバック
+ */
+async function setupSyncStrategy() {
+    const hasBackgroundSync = Boolean(swRegistration && 'sync' in swRegistration);
+    const hasPeriodicSync = await updatePeriodicSync(loadSettings().periodicSync);
+
+    const strategies = [];
+    if (hasBackgroundSync) {
+        strategies.push('Background Sync');
+    }
+    if (hasPeriodicSync) {
+        strategies.push('Periodic Sync');
+    }
+
+    // API名は翻訳しない。ページ内再試行の表示名は表示言語の切り替え時にtranslatePageで置き換える
+    if (strategies.length > 0) {
+        stopFallbackSync();
+        delete syncStrategy.dataset.i18n;
+        syncStrategy.textContent = strategies.join(' + ');
+    } else {
+        startFallbackSync();
+        syncStrategy.dataset.i18n = 'settings.fallbackSync';
+        syncStrategy.textContent = t('settings.fallbackSync');
+    }
+
+    console.log('同期方式:', syncStrategy.textContent);
+}
+
+/**
+ * Periodic Background Syncの登録/解除
+ * @param {boolean} enabled - 定期同期を有効にするか
+ * @returns {Promise<boolean>} 定期同期が有効になったかどうか
+ */
+async function updatePeriodicSync(enabled) {
+    if (!swRegistration || !('periodicSync' in swRegistration)) {
+        return false;
+    }
+
+    try {
+        if (!enabled) {
+            await swRegistration.periodicSync.unregister(SYNC_TAGS.periodic);
+            return false;
+        }
+
+        const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (status.state !== 'granted') {
+            console.log('Periodic Background Sync 権限なし:', status.state);
+            return false;
+        }
+
+        await swRegistration.periodicSync.register(SYNC_TAGS.periodic, {
+            minInterval: PERIODIC_SYNC_MIN_INTERVAL
+        });
+        console.log('Periodic Background Sync登録成功:', SYNC_TAGS.periodic);
+        return true;
+
+    } catch (error) {
+        console.error('Periodic Background Sync登録エラー:', error);
+        return false;
+    }
+}
+
+/**
+ * ページ内再試行を開始（フォールバック）
+ * 画面表示時と一定間隔で未同期データの送信を試みる
+ */
+function startFallbackSync() {
+    if (fallbackSyncTimer) {
+        return;
+    }
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    fallbackSyncTimer = setInterval(syncIfPending, FALLBACK_SYNC_INTERVAL);
+}
+
+/**
+ * ページ内再試行を停止
+ */
+function stopFallbackSync() {
+    if (!fallbackSyncTimer) {
+        return;
+    }
+
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    clearInterval(fallbackSyncTimer);
+    fallbackSyncTimer = null;
+}
+
+/**
+ * 画面表示状態の変化時の処理
+ */
+function handleVisibilityChange() {
+    if (document.visibilityState === 'visible') {
+        syncIfPending();
+    }
+}
+
+/**
+ * 送信対象のデータ・操作（更新・削除）・添付ファイルがある場合のみ同期
+ */
+async function syncIfPending() {
+    if (!navigator.onLine || appLocked) {
+        return;
+    }
+
+    try {
+        const queue = await getSyncQueue();
+        const operationQueue = await getOperationQueue();
+        const uploadQueue = await getUploadQueue();
+        if (queue.length > 0 || operationQueue.length > 0 || uploadQueue.length > 0) {
+            await syncData();
+        }
+    } catch (error) {
+        console.error('再試行エラー:', error);
+    }
+}
+
+/**
+ * UI全体を更新
+ */
+async function updateUI() {
+    // ロック中は復号できないため表示しない（ロック解除時に更新する）
+    if (appLocked) {
+        return;
+    }
+
+    await updatePendingCount();
+    await updateDataList();
+    await updateSyncHistory();
+    await updateDashboard();
+    await updateDraftList();
+    await updateStorageStatus();
+    await scheduleRetrySync();
+}
+
+/**
+ * ストレージの使用量をステータスバーに表示
+ */
+async function updateStorageStatus() {
+    const status = await getStorageStatus();
+
+    if (!status) {
+        storageUsage.textContent = '-';
+        return;
+    }
+
+    storageUsage.textContent = formatStorageUsage(status);
+    storageUsage.classList.toggle('storage-low', status.low);
+    storageUsage.title = status.persisted
+        ? t('storage.persistent')
+        : t('storage.temporary');
+}
+
+/**
+ * 空き容量が少ない場合に保存してよいか確認
+ * @returns {Promise<boolean>} 保存する場合true
+ */
+async function confirmStorageSpace() {
+    const status = await getStorageStatus();
+
+    if (!status || !status.low) {
+        return true;
+    }
+
+    return confirm(t('storage.lowConfirm', { usage: formatStorageUsage(status) }));
+}
+
+/**
+ * 保存期間を過ぎた同期済みデータを削除（前回から1日以上経過している場合）
+ * @param {boolean} force - 間隔に関係なく実行する
+ * @returns {Promise<number|null>} 削除した件数
+ */
+async function maintainStorage(force = false) {
+    try {
+        return await runStorageMaintenance(loadSettings().retentionDays, {
+            force,
+            keepIds: editingRecordId !== null ? [editingRecordId] : []
+        });
+    } catch (error) {
+        console.error('ストレージメンテナンスエラー:', error);
+        return null;
+    }
+}
+
+/**
+ * 同期済みデータの保存期間の変更処理（変更後の期間ですぐに削除する）
+ */
+async function handleRetentionDaysChange() {
+    saveSettings({ retentionDays: Number(retentionDays.value) });
+
+    const deleted = await maintainStorage(true);
+    if (deleted) {
+        showMessage(t('storage.pruned', { count: deleted }), 'success');
+        await updateUI();
+    }
+}
+
+/**
+ * 設定の表示言語（未設定の場合は端末の言語設定）を反映
+ * Service Workerの通知・オフライン時の応答も同じ言語になるよう、セッション用のデータベースにも保存する
+ */
+function initLanguage() {
+    const language = setLanguage(loadSettings().language || detectLanguage());
+
+    languageSelect.value = language;
+    translatePage();
+    saveLanguage(language).catch(error => console.error('表示言語保存エラー:', error));
+}
+
+/**
+ * 表示言語の切り替え処理
+ * 固定の文言を置き換え、JavaScriptで表示している内容は描画し直す
+ */
+async function handleLanguageChange() {
+    const language = setLanguage(languageSelect.value);
+    saveSettings({ language });
+    translatePage();
+
+    try {
+        await saveLanguage(language);
+    } catch (error) {
+        console.error('表示言語保存エラー:', error);
+    }
+
+    // 入力途中の内容を保ったままフォームを描画し直す
+    const values = collectFormValues(formSchema, dataForm);
+    renderForm(formSchema, formFields);
+    fillForm(formSchema, dataForm, values);
+    renderFormTitle();
+    renderSelectedFiles();
+    renderListFilters();
+
+    updateOnlineStatus();
+    renderSyncStatus(getSyncStatus());
+    const session = await getSession();
+    if (session) {
+        renderSession(session);
+    }
+    await renderEncryptionSettings();
+
+    if (importState) {
+        await renderImportPreview();
+    }
+    await updateUI();
+}
+
+/**
+ * 再送待ちデータの次回再送時刻に同期を予約
+ */
+async function scheduleRetrySync() {
+    try {
+        clearTimeout(retrySyncTimer);
+        retrySyncTimer = null;
+
+        const nextRetryTime = await getNextRetryTime();
+        if (!nextRetryTime) {
+            return;
+        }
+
+        const delay = Math.max(0, nextRetryTime.getTime() - Date.now());
+        retrySyncTimer = setTimeout(() => {
+            requestSync(0);
+        }, delay);
+
+    } catch (error) {
+        console.error('再送予約エラー:', error);
+    }
+}
+
+/**
+ * 未同期データ数の更新
+ */
+async function updatePendingCount() {
+    try {
+        const count = await getPendingCount();
+        pendingCount.textContent = count;
+    } catch (error) {
+        console.error('未同期データ数取得エラー:', error);
+    }
+}
 
 /**
- * アプリケーション初期化
+ * データ一覧の絞り込み条件の選択肢を表示
+ * カテゴリはフォームスキーマの選択肢、状態は同期ステータスから作成する
  */
-async function initApp() {
-    console.log('アプリケーション初期化開始');
+function renderListFilters() {
+    const categoryField = formSchema.fields.find(field => field.name === 'category' && field.type === 'select');
+    const selectedCategory = listCategory.value;
+    const selectedStatus = listStatus.value;
 
-    // オンライン/オフライン状態の初期化
-    updateOnlineStatus();
+    listCategory.innerHTML = `<option value="">${t('list.allCategories')}</option>` + (categoryField ? categoryField.options : [])
+        .map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(getLocalizedText(o, 'label'))}</option>`)
+        .join('');
+    listCategory.value = selectedCategory;
+    listCategory.hidden = !categoryField;
 
-    // UI更新
-    await updateUI();
+    listStatus.innerHTML = `<option value="">${t('list.allStatuses')}</option>` + Object.keys(SYNC_STATUS_MESSAGES)
+        .map(value => `<option value="${value}">${getMessageLabel(SYNC_STATUS_MESSAGES, value)}</option>`)
+        .join('');
+    listStatus.value = selectedStatus;
+}
 
-    // イベントリスナーの設定
-    setupEventListeners();
+/**
+ * データ一覧の検索条件を取得
+ * @returns {{filters: Object, sort: string}} queryRecordsの検索条件
+ */
+function getDataListQuery() {
+    // 期間は端末のタイムゾーンの日付として解釈し、timestamp（UTCのISO文字列）と比較する
+    const from = listFrom.value ? new Date(`${listFrom.value}T00:00:00`).toISOString() : null;
+    const to = listTo.value ? new Date(`${listTo.value}T23:59:59.999`).toISOString() : null;
 
-    // Service Workerの登録
-    registerServiceWorker();
+    return {
+        filters: {
+            text: listSearch.value,
+            textFields: formSchema.fields
+                .filter(field => field.type === 'text' || field.type === 'textarea')
+                .map(field => field.name),
+            category: listCategory.value || null,
+            syncStatus: listStatus.value || null,
+            from,
+            to
+        },
+        sort: listSort.value
+    };
+}
 
-    console.log('アプリケーション初期化完了');
+/**
+ * 検索キーワード入力時の処理（入力が止まってから一覧を更新）
+ */
+function handleSearchInput() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(resetDataListPage, SEARCH_DEBOUNCE_DELAY);
 }
 
 /**
- * イベントリスナーの設定
+ * 検索条件の変更時に先頭ページから表示し直す
  */
-function setupEventListeners() {
-    // フォーム送信
-    dataForm.addEventListener('submit', handleFormSubmit);
+async function resetDataListPage() {
+    pageStarts = [null];
+    await updateDataList();
+}
 
-    // 同期ボタン
-    syncBtn.addEventListener('click', handleSyncClick);
+/**
+ * データ一覧のページを移動
+ * @param {number} delta - 移動するページ数（-1: 前へ, 1: 次へ）
+ */
+async function changeDataListPage(delta) {
+    if (delta > 0 && nextPageStart) {
+        pageStarts.push(nextPageStart);
+    } else if (delta < 0 && pageStarts.length > 1) {
+        pageStarts.pop();
+    } else {
+        return;
+    }
 
-    // オンライン/オフライン状態の監視
-    window.addEventListener('online', handleOnline);
-    window.addEventListener('offline', handleOffline);
+    await updateDataList();
+    dataList.scrollTop = 0;
 }
 
 /**
- * フォーム送信処理
- * @param {Event} event - submitイベント
+ * エクスポート処理
+ * 一覧の絞り込み条件に一致するデータを選択した形式のファイルにする
+ * @param {string} action - 'download' | 'share'
  */
-async function handleFormSubmit(event) {
-    event.preventDefault();
+async function handleExport(action) {
+    exportBtn.disabled = true;
+    shareBtn.disabled = true;
 
     try {
-        // フォームデータを取得
-        const formData = new FormData(dataForm);
-        const data = {
-            title: formData.get('title'),
-            description: formData.get('description'),
-            category: formData.get('category'),
-            value: formData.get('value') ? parseFloat(formData.get('value')) : null,
-            memo: formData.get('memo')
-        };
+        const { file, count } = await createExportFile(exportFormat.value, getDataListQuery().filters, formSchema);
 
-        // バリデーション
-        if (!data.title || !data.category) {
-            showMessage('タイトルとカテゴリは必須です', 'error');
+        if (count === 0) {
+            showMessage(t('export.empty'), 'info');
             return;
         }
 
-        // IndexedDBに保存
-        await addData(data);
+        if (action === 'share') {
+            if (await shareFile(file)) {
+                showMessage(t('export.shared', { count }), 'success');
+            }
+        } else {
+            downloadFile(file);
+            showMessage(t('export.exported', { count }), 'success');
+        }
 
-        // 成功メッセージ
-        showMessage('データを保存しました', 'success');
+    } catch (error) {
+        console.error('エクスポートエラー:', error);
+        showMessage(t('export.failed'), 'error');
+    } finally {
+        exportBtn.disabled = false;
+        shareBtn.disabled = false;
+    }
+}
 
-        // フォームをリセット
-        dataForm.reset();
+/**
+ * インポートファイル選択時の処理（読み込んでプレビューを表示）
+ * @param {Event} event - changeイベント
+ */
+async function handleImportFileSelect(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+        return;
+    }
 
-        // UI更新
-        await updateUI();
+    try {
+        const { columns, rows } = await parseImportFile(file);
 
-        // オンライン時は自動同期を試みる
-        if (navigator.onLine) {
-            setTimeout(() => {
-                syncData();
-            }, 500);
+        if (rows.length === 0) {
+            showMessage(t('import.empty'), 'info');
+            return;
         }
 
+        importState = {
+            fileName: file.name,
+            columns,
+            rows,
+            mapping: suggestColumnMapping(formSchema, columns)
+        };
+        await renderImportPreview();
+
     } catch (error) {
-        console.error('フォーム送信エラー:', error);
-        showMessage('データの保存に失敗しました', 'error');
+        console.error('インポートファイル読み込みエラー:', error);
+        showMessage(t('import.readFailed'), 'error');
     }
 }
 
 /**
- * 同期ボタンクリック処理
+ * 列の対応付け変更時の処理（検証し直してプレビューを更新）
+ * @param {Event} event - changeイベント
  */
-async function handleSyncClick() {
-    if (!navigator.onLine) {
-        showMessage('オフラインです。オンラインになってから同期してください', 'error');
+async function handleImportMappingChange(event) {
+    const select = event.target.closest('select[data-field]');
+    if (!select || !importState) {
+        return;
+    }
+
+    importState.mapping[select.dataset.field] = select.value;
+    await renderImportPreview();
+}
+
+/**
+ * インポートのプレビューの検証とHTMLの表示
+ */
+async function renderImportPreview() {
+    importState.result = await prepareImport(formSchema, importState.mapping, importState.rows);
+    importPanel.innerHTML = createImportPreviewHtml(formSchema, importState);
+    importPanel.hidden = false;
+}
+
+/**
+ * インポートのプレビューのボタン処理（取り込み・キャンセル）
+ * @param {Event} event - clickイベント
+ */
+async function handleImportPanelClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button || !importState) {
         return;
     }
 
+    if (button.dataset.action === 'import-cancel') {
+        closeImportPanel();
+        return;
+    }
+
+    button.disabled = true;
+
     try {
-        syncBtn.disabled = true;
-        syncBtn.textContent = '同期中...';
+        // 1つのトランザクションで追加するため、失敗した場合は1件も追加されない
+        const count = await importRecords(importState.result.records);
+        closeImportPanel();
+        showMessage(t('import.imported', { count }), 'success');
 
-        await syncData();
+        await resetDataListPage();
+        await updatePendingCount();
+        await requestSync(500);
 
     } catch (error) {
-        console.error('同期エラー:', error);
-        showMessage('同期に失敗しました', 'error');
-    } finally {
-        syncBtn.disabled = false;
-        syncBtn.textContent = '同期';
+        console.error('インポートエラー:', error);
+        showMessage(t('import.failed'), 'error');
+        button.disabled = false;
     }
 }
 
 /**
- * オンライン状態になった時の処理
+ * インポートのプレビューを閉じる
  */
-function handleOnline() {
-    console.log('オンラインになりました');
-    updateOnlineStatus();
-    showMessage('オンラインに戻りました。データを同期します...', 'info');
-
-    // 自動同期
-    setTimeout(() => {
-        syncData();
-    }, 1000);
+function closeImportPanel() {
+    importState = null;
+    importPanel.hidden = true;
+    importPanel.innerHTML = '';
 }
 
 /**
- * オフライン状態になった時の処理
+ * データ一覧の表示更新
+ * 現在のページのデータのみIndexedDBから読み込んで表示する
  */
-function handleOffline() {
-    console.log('オフラインになりました');
-    updateOnlineStatus();
-    showMessage('オフラインです。データはローカルに保存されます', 'info');
+async function updateDataList() {
+    try {
+        const { records, next } = await queryRecords({
+            ...getDataListQuery(),
+            after: pageStarts[pageStarts.length - 1],
+            limit: LIST_PAGE_SIZE
+        });
+
+        // 削除等で現在のページが空になった場合は前のページに戻る
+        if (records.length === 0 && pageStarts.length > 1) {
+            pageStarts.pop();
+            await updateDataList();
+            return;
+        }
+
+        nextPageStart = next;
+        pagePrevBtn.disabled = pageStarts.length <= 1;
+        pageNextBtn.disabled = !next;
+        pageInfo.textContent = t('list.page', { page: pageStarts.length });
+
+        // 前回の描画で作成したオブジェクトURLを解放
+        attachmentUrls.forEach(url => URL.revokeObjectURL(url));
+        attachmentUrls = [];
+
+        if (records.length === 0) {
+            dataList.innerHTML = `<p class="no-data">${t('list.empty')}</p>`;
+            return;
+        }
+
+        // 表示するデータの添付ファイルのみ読み込む
+        const attachmentsByRecord = await getAttachmentsByRecords(records.map(data => data.id));
+
+        // HTMLを生成
+        const html = records.map(data => createDataCard(data, attachmentsByRecord.get(data.id))).join('');
+        dataList.innerHTML = html;
+
+    } catch (error) {
+        console.error('データ一覧更新エラー:', error);
+        dataList.innerHTML = `<p class="no-data">${t('data.loadFailed')}</p>`;
+    }
 }
 
 /**
- * オンライン/オフライン状態の表示更新
+ * 同期履歴パネルを更新
  */
-function updateOnlineStatus() {
-    if (navigator.onLine) {
-        onlineStatus.textContent = 'Online';
-        onlineStatus.className = 'status-badge online';
-    } else {
-        onlineStatus.textContent = 'Offline';
-        onlineStatus.className = 'status-badge offline';
+async function updateSyncHistory() {
+    try {
+        const runs = await getSyncRuns(SYNC_HISTORY_DISPLAY_RUNS);
+        syncHistory.innerHTML = createSyncHistoryHtml(runs);
+    } catch (error) {
+        console.error('同期履歴更新エラー:', error);
+        syncHistory.innerHTML = `<p class="no-data">${t('history.loadFailed')}</p>`;
     }
 }
 
 /**
- * UI全体を更新
+ * 保存済みデータの一覧・集計のタブを切り替え
+ * @param {string} tab - 'list' または 'dashboard'
  */
-async function updateUI() {
-    await updatePendingCount();
-    await updateDataList();
+async function showDataTab(tab) {
+    const dashboard = tab === 'dashboard';
+
+    listView.hidden = dashboard;
+    dashboardView.hidden = !dashboard;
+    listTab.classList.toggle('active', !dashboard);
+    dashboardTab.classList.toggle('active', dashboard);
+    listTab.setAttribute('aria-selected', String(!dashboard));
+    dashboardTab.setAttribute('aria-selected', String(dashboard));
+
+    if (dashboard) {
+        await updateDashboard();
+    }
 }
 
 /**
- * 未同期データ数の更新
+ * ダッシュボードを端末のデータから集計し直す（表示していない間は集計しない）
  */
-async function updatePendingCount() {
+async function updateDashboard() {
+    if (dashboardView.hidden) {
+        return;
+    }
+
     try {
-        const count = await getPendingCount();
-        pendingCount.textContent = count;
+        localAggregates = computeAggregates(await getAllData());
+        dashboardContent.innerHTML = createDashboardHtml(localAggregates, formSchema);
+        renderAggregateComparison();
     } catch (error) {
-        console.error('未同期データ数取得エラー:', error);
+        console.error('集計エラー:', error);
+        dashboardContent.innerHTML = `<p class="no-data">${t('dashboard.failed')}</p>`;
     }
 }
 
 /**
- * データ一覧の表示更新
+ * 取得済みのサーバの集計と端末の集計の比較を表示
  */
-async function updateDataList() {
+function renderAggregateComparison() {
+    dashboardComparison.innerHTML = localAggregates && serverAggregates
+        ? createAggregateComparisonHtml(localAggregates, serverAggregates, formSchema)
+        : '';
+}
+
+/**
+ * サーバと比較ボタンのクリック処理
+ */
+async function handleDashboardCompareClick() {
+    if (!navigator.onLine) {
+        showMessage(t('dashboard.serverOffline'), 'error');
+        return;
+    }
+
+    dashboardCompareBtn.disabled = true;
+
     try {
-        const allData = await getAllData();
+        serverAggregates = await fetchServerAggregates();
+        await updateDashboard();
+    } catch (error) {
+        console.error('サーバ集計取得エラー:', error);
+        showMessage(t('dashboard.serverFailed', { message: error.message }), 'error');
+    } finally {
+        dashboardCompareBtn.disabled = false;
+    }
+}
 
-        if (allData.length === 0) {
-            dataList.innerHTML = '<p class="no-data">データがありません</p>';
-            return;
-        }
+/**
+ * データカードの送信のタイムラインを開閉
+ * @param {number} id - データのID
+ * @param {HTMLElement} card - データカード
+ */
+async function toggleSyncTimeline(id, card) {
+    const timeline = card.querySelector('.sync-timeline');
+    if (timeline) {
+        timeline.remove();
+        return;
+    }
 
-        // 新しい順にソート
-        allData.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    try {
+        const [record, attempts] = await Promise.all([getData(id), getSyncAttempts('recordId', id)]);
+        card.querySelector('.data-card-footer').insertAdjacentHTML('beforebegin', createSyncTimelineHtml(record, attempts));
+    } catch (error) {
+        console.error('送信履歴取得エラー:', error);
+        showMessage(t('history.recordLoadFailed'), 'error');
+    }
+}
 
-        // HTMLを生成
-        const html = allData.map(data => createDataCard(data)).join('');
-        dataList.innerHTML = html;
+/**
+ * 同期履歴の書き出し処理
+ */
+async function handleSyncHistoryExport() {
+    try {
+        downloadFile(await createSyncHistoryExportFile());
+        showMessage(t('history.exported'), 'success');
+    } catch (error) {
+        console.error('同期履歴書き出しエラー:', error);
+        showMessage(t('history.exportFailed'), 'error');
+    }
+}
 
+/**
+ * データごとの送信の履歴の書き出し処理
+ * @param {number} id - データのID
+ */
+async function handleRecordHistoryExport(id) {
+    try {
+        downloadFile(await createRecordHistoryExportFile(await getData(id)));
+        showMessage(t('history.recordExported'), 'success');
     } catch (error) {
-        console.error('データ一覧更新エラー:', error);
-        dataList.innerHTML = '<p class="no-data">データの取得に失敗しました</p>';
+        console.error('送信履歴書き出しエラー:', error);
+        showMessage(t('history.recordExportFailed'), 'error');
     }
 }
 
 /**
  * データカードのHTMLを生成
  * @param {Object} data - データオブジェクト
+ * @param {Array<Object>} attachments - データに紐付く添付ファイル
  * @returns {string} HTML文字列
  */
-function createDataCard(data) {
+function createDataCard(data, attachments = []) {
     const statusClass = data.syncStatus;
-    const statusText = {
-        'pending': '未同期',
-        'synced': '同期済み',
-        'error': 'エラー'
-    }[data.syncStatus] || data.syncStatus;
+    const statusText = getMessageLabel(SYNC_STATUS_MESSAGES, data.syncStatus);
+
+    const timestamp = formatDateTime(data.timestamp);
+
+    // 送信エラーの詳細（試行回数と次回の再送時刻）
+    let syncDetail = '';
+    if (data.syncStatus === 'error' || data.syncStatus === 'failed') {
+        const nextAttempt = data.nextAttemptAt
+            ? t('data.nextAttempt', { time: formatDateTime(data.nextAttemptAt) })
+            : '';
+        const attempts = t('data.attempts', { count: data.attempts || 0, next: nextAttempt });
+        syncDetail = `<div class="data-card-sync-error">${escapeHtml(data.errorMessage)}${attempts}</div>`;
+    }
+
+    const conflictPanel = data.syncStatus === 'conflict' ? createConflictPanel(data) : '';
 
-    const timestamp = new Date(data.timestamp).toLocaleString('ja-JP');
+    // タイトル・カテゴリ以外の入力済みフィールド（スキーマの順序で表示）
+    const fields = formSchema.fields
+        .filter(field => !['title', 'category'].includes(field.name))
+        .filter(field => data[field.name] !== null && data[field.name] !== undefined && data[field.name] !== '')
+        .map(field => `<div class="data-card-field"><span class="data-card-field-label">${escapeHtml(getLocalizedText(field, 'label'))}:</span>${escapeHtml(formatFieldValue(formSchema, field.name, data[field.name]))}</div>`)
+        .join('');
+
+    const location = formatCaptureLocation(data.captureContext);
+    const locationLine = location ? `<div class="data-card-location">${t('data.location')}: ${escapeHtml(location)}</div>` : '';
 
     return `
         <div class="data-card">
             <div class="data-card-header">
                 <div>
                     <div class="data-card-title">${escapeHtml(data.title)}</div>
-                    <span class="data-card-category">${escapeHtml(data.category)}</span>
+                    <span class="data-card-category">${escapeHtml(formatFieldValue(formSchema, 'category', data.category))}</span>
                 </div>
                 <span class="data-card-status ${statusClass}">${statusText}</span>
             </div>
             <div class="data-card-body">
-                ${data.description ? `<div class="data-card-field"><span class="data-card-field-label">説明:</span>${escapeHtml(data.description)}</div>` : ''}
-                ${data.value !== null ? `<div class="data-card-field"><span class="data-card-field-label">数値:</span>${data.value}</div>` : ''}
-                ${data.memo ? `<div class="data-card-field"><span class="data-card-field-label">メモ:</span>${escapeHtml(data.memo)}</div>` : ''}
+                ${fields}
+                ${locationLine}
+            </div>
+            ${createAttachmentList(attachments)}
+            ${syncDetail}
+            ${conflictPanel}
+            <div class="data-card-footer">
+                <div class="data-card-timestamp">${timestamp}</div>
+                <div class="data-card-actions">
+                    <button type="button" class="btn-small" data-action="history" data-id="${data.id}">${t('data.history')}</button>
+                    <button type="button" class="btn-small" data-action="edit" data-id="${data.id}">${t('data.edit')}</button>
+                    <button type="button" class="btn-small btn-danger" data-action="delete" data-id="${data.id}">${t('common.delete')}</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * 添付ファイル一覧のHTMLを生成（サムネイルとアップロード進捗）
+ * @param {Array<Object>} attachments - 添付ファイル
+ * @returns {string} HTML文字列
+ */
+function createAttachmentList(attachments) {
+    if (attachments.length === 0) {
+        return '';
+    }
+
+    const items = attachments.map(attachment => {
+        const fileUrl = createAttachmentUrl(attachment.blob);
+        const previewBlob = attachment.thumbnail || (attachment.type.startsWith('image/') ? attachment.blob : null);
+        const preview = previewBlob
+            ? `<img class="attachment-thumbnail" src="${createAttachmentUrl(previewBlob)}" alt="${escapeHtml(attachment.name)}">`
+            : `<span class="attachment-file-icon">${escapeHtml(getFileExtension(attachment.name))}</span>`;
+
+        return `
+            <li class="attachment-item" data-attachment-id="${attachment.id}">
+                <a href="${fileUrl}" download="${escapeHtml(attachment.name)}">${preview}</a>
+                <div class="attachment-info">
+                    <div class="attachment-name">${escapeHtml(attachment.name)}</div>
+                    <progress class="attachment-progress" max="${attachment.size}" value="${attachment.uploadedBytes}"></progress>
+                    <div class="attachment-status ${attachment.uploadStatus}">${describeAttachmentStatus(attachment, attachment.uploadedBytes)}</div>
+                </div>
+            </li>
+        `;
+    }).join('');
+
+    return `<ul class="attachment-list">${items}</ul>`;
+}
+
+/**
+ * 添付ファイルのアップロード状態を表示用の文字列に変換
+ * @param {Object} attachment - 添付ファイル
+ * @param {number} uploadedBytes - 送信済みのバイト数
+ * @returns {string} 表示用の文字列
+ */
+function describeAttachmentStatus(attachment, uploadedBytes) {
+    const size = formatFileSize(attachment.size);
+
+    if (attachment.uploadStatus === 'uploaded') {
+        return t('attachments.uploaded', { size });
+    }
+
+    if (attachment.uploadStatus === 'failed') {
+        return t('attachments.failed', { message: escapeHtml(attachment.errorMessage) });
+    }
+
+    const percent = Math.floor(uploadedBytes / attachment.size * 100);
+    return uploadedBytes > 0 ? t('attachments.uploading', { percent, size }) : t('attachments.waiting', { size });
+}
+
+/**
+ * 添付ファイルのアップロード進捗を表示に反映
+ * 同期処理（sync.js）から呼び出される
+ * @param {Object} message - 進捗 {attachmentId, uploadedBytes, size}
+ */
+function updateAttachmentProgress(message) {
+    const item = dataList.querySelector(`.attachment-item[data-attachment-id="${message.attachmentId}"]`);
+    if (!item) {
+        return;
+    }
+
+    item.querySelector('.attachment-progress').value = message.uploadedBytes;
+    item.querySelector('.attachment-status').textContent = describeAttachmentStatus(
+        { uploadStatus: 'pending', size: message.size },
+        message.uploadedBytes
+    );
+}
+
+/**
+ * BlobのオブジェクトURLを作成（次回の再描画時に解放する）
+ * @param {Blob} blob - 添付ファイルまたはサムネイル
+ * @returns {string} オブジェクトURL
+ */
+function createAttachmentUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    attachmentUrls.push(url);
+    return url;
+}
+
+/**
+ * ファイル名の拡張子を取得（アイコン表示用）
+ * @param {string} name - ファイル名
+ * @returns {string} 大文字の拡張子（なければFILE）
+ */
+function getFileExtension(name) {
+    const match = /\.([^.]+)$/.exec(name);
+    return match ? match[1].toUpperCase() : 'FILE';
+}
+
+/**
+ * 競合表示パネルのHTMLを生成
+ * 値が異なるフィールドを自分の変更とサーバの内容で並べて表示し、フィールドごとに採用する側を選択させる
+ * サーバで削除済みの場合は、自分の変更で再作成するか削除を受け入れるかを選択させる
+ * @param {Object} data - 競合中のデータ
+ * @returns {string} HTML文字列
+ */
+function createConflictPanel(data) {
+    const server = data.conflict.server;
+
+    if (server.deleted) {
+        return `
+            <div class="conflict-panel">
+                <div class="conflict-title">${t('conflict.deletedTitle')}</div>
+                <div class="conflict-actions">
+                    <button type="button" class="btn-small" data-action="resolve-mine" data-id="${data.id}">${t('conflict.recreate')}</button>
+                    <button type="button" class="btn-small" data-action="resolve-theirs" data-id="${data.id}">${t('conflict.acceptDelete')}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    const formatValue = (value) => (value === null || value === undefined || value === '')
+        ? `<span class="conflict-empty">${t('conflict.empty')}</span>`
+        : escapeHtml(value);
+
+    const rows = getConflictFields(data).map(field => `
+        <tr>
+            <th>${escapeHtml(getFieldLabel(formSchema, field))}</th>
+            <td>
+                <label>
+                    <input type="radio" name="conflict-${data.id}-${field}" data-field="${field}" value="mine" checked>
+                    ${formatValue(data[field])}
+                </label>
+            </td>
+            <td>
+                <label>
+                    <input type="radio" name="conflict-${data.id}-${field}" data-field="${field}" value="theirs">
+                    ${formatValue(server[field])}
+                </label>
+            </td>
+        </tr>
+    `).join('');
+
+    return `
+        <div class="conflict-panel">
+            <div class="conflict-title">${t('conflict.title')}</div>
+            <table class="conflict-table">
+                <thead>
+                    <tr><th>${t('conflict.column.field')}</th><th>${t('conflict.column.mine')}</th><th>${t('conflict.column.server')}</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="conflict-actions">
+                <button type="button" class="btn-small" data-action="resolve-mine" data-id="${data.id}">${t('conflict.useMine')}</button>
+                <button type="button" class="btn-small" data-action="resolve-theirs" data-id="${data.id}">${t('conflict.useServer')}</button>
+                <button type="button" class="btn-small" data-action="resolve-merge" data-id="${data.id}">${t('conflict.merge')}</button>
             </div>
-            <div class="data-card-timestamp">${timestamp}</div>
         </div>
     `;
 }
@@ -273,9 +2360,13 @@ async function registerServiceWorker() {
         try {
             const registration = await navigator.serviceWorker.register('sw.js');
             console.log('Service Worker登録成功:', registration.scope);
+            watchServiceWorkerUpdate(registration);
+
+            // 同期の登録にはアクティブなService Workerが必要
+            swRegistration = await navigator.serviceWorker.ready;
 
             // Background Sync APIのサポートチェック
-            if ('sync' in registration) {
+            if ('sync' in swRegistration) {
                 console.log('Background Sync API サポートあり');
             } else {
                 console.log('Background Sync API サポートなし（フォールバック動作）');
@@ -289,6 +2380,77 @@ async function registerServiceWorker() {
     }
 }
 
+/**
+ * 新しいバージョンのService Workerを検出して更新の通知を表示
+ * 新しいバージョンはこのタブまたは他のタブで「更新」が押されるまで待機する
+ * @param {ServiceWorkerRegistration} registration - 登録情報
+ */
+function watchServiceWorkerUpdate(registration) {
+    // 初回インストールではcontrollerchangeが起きても更新ではない
+    let hadController = Boolean(navigator.serviceWorker.controller);
+
+    // 前回までに検出され、待機しているバージョン
+    if (registration.waiting && hadController) {
+        showUpdateBanner(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdateBanner(worker);
+            }
+        });
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateRequested) {
+            window.location.reload();
+            return;
+        }
+
+        // 他のタブで更新された場合は、このタブの再読み込みを促す
+        if (hadController) {
+            showUpdateBanner(null);
+        }
+        hadController = true;
+    });
+
+    updateReloadBtn.addEventListener('click', applyUpdate);
+
+    // 長時間開いたままのタブでも更新を検出する
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            registration.update().catch(error => console.log('Service Worker更新確認エラー:', error));
+        }
+    });
+}
+
+/**
+ * 新しいバージョンの通知を表示
+ * @param {ServiceWorker|null} worker - 待機中のService Worker（既に有効な場合はnull）
+ */
+function showUpdateBanner(worker) {
+    waitingWorker = worker;
+    updateBanner.hidden = false;
+}
+
+/**
+ * 新しいバージョンを有効にしてページを再読み込み
+ * 待機中のService WorkerにSKIP_WAITINGを送り、controllerchangeで再読み込みする
+ */
+function applyUpdate() {
+    updateReloadBtn.disabled = true;
+
+    if (waitingWorker && waitingWorker.state === 'installed') {
+        updateRequested = true;
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        return;
+    }
+
+    window.location.reload();
+}
+
 // ページ読み込み時にアプリケーションを初期化
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initApp);
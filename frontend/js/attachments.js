@@ -0,0 +1,152 @@
+/**
+ * 添付ファイルモジュール
+ * カメラで撮影した写真や選択したファイルを保存用に変換する（ページ専用）
+ * 画像は縮小・再圧縮してサムネイルを作成し、保存前にストレージの空き容量を確認する
+ */
+
+// 縮小後の画像の長辺（ピクセル）とJPEG品質
+const IMAGE_MAX_DIMENSION = 1920;
+const IMAGE_QUALITY = 0.8;
+
+// サムネイルの長辺（ピクセル）とJPEG品質
+const THUMBNAIL_MAX_DIMENSION = 160;
+const THUMBNAIL_QUALITY = 0.7;
+
+// 縮小・再圧縮の対象とする画像形式（GIF・SVG等はそのまま保存）
+const RESIZABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// 添付ファイル1件の最大サイズ（サーバのATTACHMENT_MAX_SIZEと同じ）
+const ATTACHMENT_MAX_SIZE = 20 * 1024 * 1024;
+
+// ストレージ使用量の上限（割り当て容量に対する割合）
+const STORAGE_USAGE_LIMIT = 0.9;
+
+/**
+ * 選択されたファイルを保存用に変換
+ * 容量が不足する場合は何も保存せずにエラーにする
+ * @param {Array<File>} files - 選択されたファイル
+ * @returns {Promise<Array<Object>>} 添付ファイル {name, type, size, blob, thumbnail}
+ */
+async function prepareAttachments(files) {
+    const attachments = [];
+
+    for (const file of files) {
+        if (file.size === 0) {
+            throw new Error(t('attachments.empty', { name: file.name }));
+        }
+        attachments.push(await prepareAttachment(file));
+    }
+
+    const totalSize = attachments.reduce((sum, a) => sum + a.size + (a.thumbnail ? a.thumbnail.size : 0), 0);
+    await checkStorageQuota(totalSize);
+
+    return attachments;
+}
+
+/**
+ * ファイル1件を保存用に変換（画像は縮小・再圧縮してサムネイルを作成）
+ * @param {File} file - 選択されたファイル
+ * @returns {Promise<Object>} 添付ファイル {name, type, size, blob, thumbnail}
+ */
+async function prepareAttachment(file) {
+    let blob = file;
+    let name = file.name;
+    let thumbnail = null;
+
+    if (RESIZABLE_IMAGE_TYPES.includes(file.type)) {
+        try {
+            const bitmap = await createImageBitmap(file);
+            const resized = await drawImage(bitmap, IMAGE_MAX_DIMENSION, IMAGE_QUALITY);
+            thumbnail = await drawImage(bitmap, THUMBNAIL_MAX_DIMENSION, THUMBNAIL_QUALITY);
+            bitmap.close();
+
+            // 再圧縮で大きくなる場合は元のファイルを保存する
+            if (resized.size < file.size) {
+                blob = resized;
+                name = name.replace(/\.[^.]+$/, '') + '.jpg';
+            }
+        } catch (error) {
+            console.error('画像の縮小に失敗しました:', file.name, error);
+        }
+    }
+
+    if (blob.size > ATTACHMENT_MAX_SIZE) {
+        throw new Error(t('attachments.tooLarge', { name: file.name, size: formatFileSize(ATTACHMENT_MAX_SIZE) }));
+    }
+
+    return {
+        name,
+        type: blob.type || 'application/octet-stream',
+        size: blob.size,
+        blob,
+        thumbnail
+    };
+}
+
+/**
+ * 画像を指定した長辺以下に縮小してJPEGに変換
+ * @param {ImageBitmap} bitmap - 元の画像
+ * @param {number} maxDimension - 長辺の最大ピクセル数
+ * @param {number} quality - JPEG品質（0〜1）
+ * @returns {Promise<Blob>} JPEG画像
+ */
+function drawImage(bitmap, maxDimension, quality) {
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+
+    // 透過部分がJPEGで黒くならないよう白で塗りつぶす
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error(t('attachments.convertFailed')));
+            }
+        }, 'image/jpeg', quality);
+    });
+}
+
+/**
+ * 保存に必要な空き容量があるか確認
+ * StorageManager未対応の環境では確認しない（保存時のQuotaExceededErrorで検出する）
+ * @param {number} bytes - 保存するバイト数
+ * @returns {Promise<void>}
+ */
+async function checkStorageQuota(bytes) {
+    if (!navigator.storage || !navigator.storage.estimate) {
+        return;
+    }
+
+    const { usage, quota } = await navigator.storage.estimate();
+
+    if (usage + bytes > quota * STORAGE_USAGE_LIMIT) {
+        const error = new Error(t('attachments.quotaExceeded', {
+            required: formatFileSize(bytes),
+            available: formatFileSize(Math.max(0, quota * STORAGE_USAGE_LIMIT - usage))
+        }));
+        error.name = 'QuotaExceededError';
+        throw error;
+    }
+}
+
+/**
+ * バイト数を表示用の文字列に変換
+ * @param {number} bytes - バイト数
+ * @returns {string} 表示用の文字列（例: 1.5 MB）
+ */
+function formatFileSize(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,431 @@
+/**
+ * 認証モジュール
+ * ログイン・トークンの更新・ログアウトと、ログイン中のユーザーのセッションを管理する
+ * ページ・Service Worker・Web Workerで共通（db.jsより前に読み込むこと）
+ * サーバとの通信（login, refreshSession, authFetch等）はsync.jsを読み込んだコンテキストでのみ使う
+ *
+ * セッション（ユーザー・トークン）はデータとは別のデータベースに保存し、
+ * データはユーザーごとのデータベース（getUserDatabaseName）に分けて保存する。
+ * トークンの期限が切れてもデータベースは開けるため、オフラインでの記録は続けられる
+ */
+
+const SESSION_DB_NAME = 'OfflineCollectorSession';
+const SESSION_STORE_NAME = 'session';
+
+// セッションのキー（ログイン中のユーザー・トークン）
+const SESSION_KEY = 'current';
+
+// ユーザーID → データベース名の対応を保存するキー
+const USER_DATABASES_KEY = 'databases';
+
+// アクセストークンの有効期限のこの時間前になったら先に更新する
+const ACCESS_TOKEN_REFRESH_MARGIN = 30 * 1000;
+
+// ページとService Workerで共有するトークン更新のロック名（リフレッシュトークンは1回しか使えないため）
+const AUTH_REFRESH_LOCK_NAME = 'pwa-offline-collector-auth-refresh';
+
+let sessionDb = null;
+
+// セッションのキャッシュ（undefined: 未読み込み、null: ログインしていない）
+let currentSession;
+
+// ログイン・ログアウト・トークンの更新を他のタブ・Service Workerに通知するチャネル
+const authChannel = typeof BroadcastChannel === 'function'
+    ? new BroadcastChannel('pwa-offline-collector-auth')
+    : null;
+
+if (authChannel) {
+    authChannel.onmessage = (event) => {
+        const message = event.data;
+
+        if (message.type === 'session-changed') {
+            // ユーザーが変わったため、開いているデータベースと鍵を破棄する
+            currentSession = undefined;
+            discardUserDatabase();
+            if (typeof handleSessionChanged === 'function') {
+                handleSessionChanged();
+            }
+        } else if (message.type === 'session-updated') {
+            currentSession = undefined;
+        } else if (message.type === 'session-expired') {
+            currentSession = undefined;
+            if (typeof handleSessionExpired === 'function') {
+                handleSessionExpired();
+            }
+        }
+    };
+}
+
+/**
+ * 他のコンテキストに通知
+ * @param {Object} message - 通知内容
+ */
+function broadcastAuthChange(message) {
+    if (authChannel) {
+        authChannel.postMessage(message);
+    }
+}
+
+/**
+ * 未ログイン・セッション切れで投げるエラーを作成
+ * @param {string} message - エラーメッセージ
+ * @returns {Error} nameがAuthenticationErrorのエラー
+ */
+function createAuthenticationError(message = t('auth.loginRequired')) {
+    const error = new Error(message);
+    error.name = 'AuthenticationError';
+    return error;
+}
+
+/**
+ * 未ログイン・セッション切れのエラーかどうか
+ * @param {Error} error - エラー
+ * @returns {boolean}
+ */
+function isAuthenticationError(error) {
+    return Boolean(error) && error.name === 'AuthenticationError';
+}
+
+/**
+ * セッション用のデータベースを開く
+ * @returns {Promise<IDBDatabase>}
+ */
+function openSessionDatabase() {
+    return new Promise((resolve, reject) => {
+        if (sessionDb) {
+            resolve(sessionDb);
+            return;
+        }
+
+        const request = indexedDB.open(SESSION_DB_NAME, 1);
+
+        request.onupgradeneeded = (event) => {
+            event.target.result.createObjectStore(SESSION_STORE_NAME, { keyPath: 'key' });
+        };
+
+        request.onsuccess = (event) => {
+            sessionDb = event.target.result;
+            resolve(sessionDb);
+        };
+
+        request.onerror = (event) => {
+            console.error('IndexedDB: セッションデータベース接続エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * セッション用のデータベースから読み込む
+ * @param {string} key - キー
+ * @returns {Promise<Object|null>} 保存内容（ない場合はnull）
+ */
+async function readSessionEntry(key) {
+    const database = await openSessionDatabase();
+
+    return new Promise((resolve, reject) => {
+        const request = database.transaction([SESSION_STORE_NAME], 'readonly')
+            .objectStore(SESSION_STORE_NAME)
+            .get(key);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = (event) => reject(event.target.error);
+    });
+}
+
+/**
+ * セッション用のデータベースに保存（valueがnullの場合は削除）
+ * @param {string} key - キー
+ * @param {Object|null} value - 保存内容
+ * @returns {Promise<void>}
+ */
+async function writeSessionEntry(key, value) {
+    const database = await openSessionDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([SESSION_STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(SESSION_STORE_NAME);
+
+        if (value) {
+            objectStore.put({ ...value, key });
+        } else {
+            objectStore.delete(key);
+        }
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+    });
+}
+
+/**
+ * ログイン中のセッションを取得
+ * @returns {Promise<Object|null>} {userId, username, databaseName, accessToken, accessTokenExpiresAt, refreshToken, expired}
+ */
+async function getSession() {
+    if (currentSession === undefined) {
+        currentSession = await readSessionEntry(SESSION_KEY);
+    }
+    return currentSession;
+}
+
+/**
+ * セッションを保存
+ * @param {Object|null} session - セッション（nullの場合は削除）
+ * @returns {Promise<void>}
+ */
+async function saveSession(session) {
+    await writeSessionEntry(SESSION_KEY, session);
+    currentSession = session;
+}
+
+/**
+ * ログイン中のユーザーのデータベース名を取得
+ * セッションの期限切れ中も、前回ログインしたユーザーのデータベースを使う
+ * @returns {Promise<string>} データベース名
+ */
+async function getUserDatabaseName() {
+    const session = await getSession();
+
+    if (!session) {
+        throw createAuthenticationError();
+    }
+    return session.databaseName;
+}
+
+/**
+ * ユーザーのデータベース名を決める
+ * 最初にログインしたユーザーは認証導入前のデータベース（DB_NAME）をそのまま引き継ぐ
+ * @param {number} userId - ユーザーID
+ * @returns {Promise<string>} データベース名
+ */
+async function resolveUserDatabaseName(userId) {
+    const entry = await readSessionEntry(USER_DATABASES_KEY);
+    const databases = entry ? entry.databases : {};
+
+    if (!databases[userId]) {
+        databases[userId] = Object.keys(databases).length === 0 ? DB_NAME : `${DB_NAME}-user-${userId}`;
+        await writeSessionEntry(USER_DATABASES_KEY, { databases });
+    }
+
+    return databases[userId];
+}
+
+/**
+ * ログイン・トークン更新のレスポンスからセッションを作成
+ * @param {Object} body - サーバのレスポンス
+ * @param {string} databaseName - データベース名
+ * @returns {Object} セッション
+ */
+function createSession(body, databaseName) {
+    return {
+        userId: body.user.id,
+        username: body.user.username,
+        databaseName,
+        accessToken: body.access_token,
+        accessTokenExpiresAt: new Date(Date.now() + body.expires_in * 1000).toISOString(),
+        refreshToken: body.refresh_token,
+        expired: false
+    };
+}
+
+/**
+ * 開いているユーザーのデータベースと暗号化の鍵を破棄（ユーザーの切り替え時）
+ */
+function discardUserDatabase() {
+    if (typeof closeDatabase === 'function') {
+        closeDatabase();
+    }
+    if (typeof discardEncryptionState === 'function') {
+        discardEncryptionState();
+    }
+}
+
+/**
+ * ログイン
+ * @param {string} username - ユーザー名
+ * @param {string} password - パスワード
+ * @returns {Promise<{session: Object, userChanged: boolean}>} セッションと、前回と別のユーザーかどうか
+ */
+async function login(username, password) {
+    const response = await fetch(API_ENDPOINTS.login, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ username, password })
+    });
+
+    if (response.status === 401) {
+        throw new Error(t('auth.invalidCredentials'));
+    }
+    if (!response.ok) {
+        throw await createResponseError(response);
+    }
+
+    const body = await response.json();
+    const previous = await readSessionEntry(SESSION_KEY);
+    const session = createSession(body, await resolveUserDatabaseName(body.user.id));
+    const userChanged = !previous || previous.userId !== session.userId;
+
+    await saveSession(session);
+
+    if (userChanged) {
+        discardUserDatabase();
+        broadcastAuthChange({ type: 'session-changed' });
+    } else {
+        broadcastAuthChange({ type: 'session-updated' });
+    }
+
+    console.log(`ログイン: ${session.username}`);
+    return { session, userChanged };
+}
+
+/**
+ * ログアウト
+ * リフレッシュトークンを無効にし、セッションを削除する。端末内のデータはユーザーのデータベースに残す
+ * @returns {Promise<void>}
+ */
+async function logout() {
+    const session = await getSession();
+
+    if (session && session.refreshToken) {
+        try {
+            await fetch(API_ENDPOINTS.logout, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ refresh_token: session.refreshToken })
+            });
+        } catch (error) {
+            // オフラインでもログアウトできる（トークンはサーバ側で期限切れになる）
+            console.warn('ログアウト通知エラー:', error);
+        }
+    }
+
+    await saveSession(null);
+    discardUserDatabase();
+    broadcastAuthChange({ type: 'session-changed' });
+    console.log('ログアウト');
+}
+
+/**
+ * セッションを期限切れにする（リフレッシュトークンが無効になった場合）
+ * データベースは開いたままにし、再ログインまで送信待ちのデータを溜める
+ * @returns {Promise<void>}
+ */
+async function expireSession() {
+    const session = await readSessionEntry(SESSION_KEY);
+
+    if (session && !session.expired) {
+        await saveSession({ ...session, accessToken: null, refreshToken: null, expired: true });
+        broadcastAuthChange({ type: 'session-expired' });
+
+        if (typeof handleSessionExpired === 'function') {
+            handleSessionExpired();
+        }
+        console.log('セッション期限切れ: 再ログインが必要です');
+    }
+}
+
+/**
+ * アクセストークンを更新
+ * 他のコンテキストが先に更新していた場合はその結果を使う
+ * @param {string|null} staleToken - 期限切れ（または401となった）アクセストークン
+ * @returns {Promise<string>} 新しいアクセストークン
+ */
+async function refreshSession(staleToken) {
+    const refresh = async () => {
+        const session = await readSessionEntry(SESSION_KEY);
+
+        if (!session || session.expired) {
+            throw createAuthenticationError();
+        }
+
+        if (session.accessToken !== staleToken && !isAccessTokenExpiring(session)) {
+            currentSession = session;
+            return session.accessToken;
+        }
+
+        const response = await fetch(API_ENDPOINTS.refresh, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refresh_token: session.refreshToken })
+        });
+
+        if (response.status === 401) {
+            await expireSession();
+            throw createAuthenticationError(t('auth.sessionExpired'));
+        }
+        if (!response.ok) {
+            throw await createResponseError(response);
+        }
+
+        const updated = createSession(await response.json(), session.databaseName);
+        await saveSession(updated);
+        broadcastAuthChange({ type: 'session-updated' });
+
+        console.log('アクセストークン更新');
+        return updated.accessToken;
+    };
+
+    if (self.navigator && navigator.locks) {
+        return navigator.locks.request(AUTH_REFRESH_LOCK_NAME, refresh);
+    }
+    return refresh();
+}
+
+/**
+ * アクセストークンの期限が切れる（または近い）かどうか
+ * @param {Object} session - セッション
+ * @returns {boolean}
+ */
+function isAccessTokenExpiring(session) {
+    return !session.accessToken ||
+        new Date(session.accessTokenExpiresAt).getTime() - ACCESS_TOKEN_REFRESH_MARGIN <= Date.now();
+}
+
+/**
+ * 有効なアクセストークンを取得（期限が近い場合は更新する）
+ * @returns {Promise<string>} アクセストークン
+ */
+async function getAccessToken() {
+    const session = await getSession();
+
+    if (!session || session.expired) {
+        throw createAuthenticationError();
+    }
+
+    return isAccessTokenExpiring(session) ? refreshSession(session.accessToken) : session.accessToken;
+}
+
+/**
+ * 認証が必要なAPIへのfetch
+ * Authorizationヘッダーを付けて送信し、401の場合はトークンを更新して1回だけ再送する
+ * @param {string} url - URL
+ * @param {Object} options - fetchのオプション
+ * @returns {Promise<Response>} レスポンス
+ */
+async function authFetch(url, options = {}) {
+    const withToken = (token) => ({
+        ...options,
+        headers: { ...options.headers, Authorization: `Bearer ${token}` }
+    });
+
+    const token = await getAccessToken();
+    const response = await fetch(url, withToken(token));
+
+    if (response.status !== 401) {
+        return response;
+    }
+
+    const retried = await fetch(url, withToken(await refreshSession(token)));
+
+    if (retried.status === 401) {
+        await expireSession();
+        throw createAuthenticationError(t('auth.sessionExpired'));
+    }
+    return retried;
+}
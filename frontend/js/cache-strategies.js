@@ -0,0 +1,229 @@
+/**
+ * キャッシュ戦略モジュール
+ * fetchイベントのリクエストをルート（一致条件と戦略・オプションの組）に振り分け、
+ * ルートの戦略でキャッシュまたはネットワークから応答する（Service Worker専用）
+ */
+
+// 実行時キャッシュに保存した時刻を記録するヘッダー（有効期限の判定用）
+const CACHED_AT_HEADER = 'X-SW-Cached-At';
+
+// ネットワークの応答を待つ時間を過ぎたことを表すエラー名
+const NETWORK_TIMEOUT_ERROR = 'NetworkTimeoutError';
+
+// 戦略名 → 処理
+const CACHE_STRATEGIES = {
+    cacheFirst,
+    networkFirst,
+    networkOnly,
+    staleWhileRevalidate
+};
+
+/**
+ * リクエストに一致する最初のルートを検索
+ * @param {Array<Object>} routes - ルート {name, match({request, url}), strategy, options}
+ * @param {Request} request - リクエスト
+ * @returns {Object|null} 一致したルート
+ */
+function findRoute(routes, request) {
+    const url = new URL(request.url);
+    return routes.find(route => route.match({ request, url })) || null;
+}
+
+/**
+ * ルートの戦略で応答を作成
+ * ネットワークにもキャッシュにもない場合はオフライン用の応答を返す
+ * @param {Object} route - findRouteで見つけたルート
+ * @param {FetchEvent} event - fetchイベント（バックグラウンドの更新をwaitUntilで待つ）
+ * @returns {Promise<Response>}
+ */
+async function handleRoute(route, event) {
+    const strategy = CACHE_STRATEGIES[route.strategy];
+    const options = route.options || {};
+
+    try {
+        return await strategy(event.request, options, event);
+    } catch (error) {
+        console.error('Service Worker: フェッチエラー', route.name, event.request.url, error);
+        return createOfflineResponse(event.request, options);
+    }
+}
+
+/**
+ * キャッシュ優先（内容が変わるとURLまたはキャッシュのバージョンが変わる静的ファイル向け）
+ * @param {Request} request - リクエスト
+ * @param {Object} options - {cacheName: string}
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, options) {
+    const cache = await caches.open(options.cacheName);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * ネットワーク優先（HTML向け）
+ * timeoutMs以内に応答がない、または接続できない場合はキャッシュのfallbackKeyを返す
+ * 応答はキャッシュしない（フォールバックはプリキャッシュのページで、静的ファイルとバージョンが揃う）
+ * @param {Request} request - リクエスト
+ * @param {Object} options - {timeoutMs: number, cacheName?: string, fallbackKey?: string}
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, options) {
+    const networkResponse = fetch(request);
+
+    try {
+        return await withTimeout(networkResponse, options.timeoutMs);
+    } catch (error) {
+        if (options.cacheName && options.fallbackKey) {
+            const cached = await caches.open(options.cacheName)
+                .then(cache => cache.match(options.fallbackKey));
+            if (cached) {
+                console.log('Service Worker: キャッシュから返却', request.url, error.message);
+                return cached;
+            }
+        }
+
+        // 待ち時間を過ぎただけで、フォールバックもない場合はネットワークの応答を待つ
+        if (error.name === NETWORK_TIMEOUT_ERROR) {
+            return networkResponse;
+        }
+        throw error;
+    }
+}
+
+/**
+ * ネットワークのみ（ヘルスチェック・利用者ごとのデータ・送信系のAPI向け）
+ * @param {Request} request - リクエスト
+ * @returns {Promise<Response>}
+ */
+function networkOnly(request) {
+    return fetch(request);
+}
+
+/**
+ * キャッシュを返しつつバックグラウンドで更新（読み取り専用で多少古くてもよいAPI向け）
+ * 有効期限（maxAgeSeconds）を過ぎたキャッシュはネットワークの応答を待ち、
+ * 接続できない場合のみ期限切れのキャッシュを返す
+ * @param {Request} request - リクエスト
+ * @param {Object} options - {cacheName: string, maxEntries: number, maxAgeSeconds: number}
+ * @param {FetchEvent} event - fetchイベント
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, options, event) {
+    const cache = await caches.open(options.cacheName);
+    const cached = await cache.match(request);
+
+    const update = fetch(request).then(async (response) => {
+        if (response.ok) {
+            await putRuntimeCache(cache, request, response.clone(), options.maxEntries);
+        }
+        return response;
+    });
+
+    if (cached && !isCacheExpired(cached, options.maxAgeSeconds)) {
+        event.waitUntil(update.catch(error => {
+            console.log('Service Worker: キャッシュ更新エラー', request.url, error.message);
+        }));
+        return cached;
+    }
+
+    try {
+        return await update;
+    } catch (error) {
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * 実行時キャッシュに保存し、maxEntriesを超えた古いものから削除
+ * @param {Cache} cache - キャッシュ
+ * @param {Request} request - リクエスト
+ * @param {Response} response - 保存する応答
+ * @param {number} maxEntries - 最大件数
+ * @returns {Promise<void>}
+ */
+async function putRuntimeCache(cache, request, response, maxEntries) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, String(Date.now()));
+    const stamped = new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+
+    // 保存し直して最新の位置に移す（keysは保存した順に返る）
+    await cache.delete(request);
+    await cache.put(request, stamped);
+
+    const keys = await cache.keys();
+    const excess = keys.slice(0, Math.max(0, keys.length - maxEntries));
+    await Promise.all(excess.map(key => cache.delete(key)));
+}
+
+/**
+ * キャッシュの有効期限切れを判定
+ * @param {Response} response - キャッシュの応答
+ * @param {number} maxAgeSeconds - 有効期限（秒）
+ * @returns {boolean}
+ */
+function isCacheExpired(response, maxAgeSeconds) {
+    const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+    return !cachedAt || Date.now() - cachedAt > maxAgeSeconds * 1000;
+}
+
+/**
+ * 待ち時間を過ぎたら失敗するPromise
+ * @param {Promise} promise - 待つ処理
+ * @param {number} timeoutMs - 待ち時間（ミリ秒）
+ * @returns {Promise}
+ */
+function withTimeout(promise, timeoutMs) {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(t('sync.timeout', { timeoutMs }));
+            error.name = NETWORK_TIMEOUT_ERROR;
+            reject(error);
+        }, timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * オフライン用の応答を作成
+ * 画面遷移はオフラインページ（options.offlinePage）、それ以外はJSONの503を返す
+ * JSONのエラーメッセージはページで選択した表示言語にする（オフラインページは表示時に自身で切り替える）
+ * @param {Request} request - リクエスト
+ * @param {Object} options - ルートのオプション {offlinePage?: {cacheName, url}}
+ * @returns {Promise<Response>}
+ */
+async function createOfflineResponse(request, options) {
+    if (request.mode === 'navigate' && options.offlinePage) {
+        const page = await caches.open(options.offlinePage.cacheName)
+            .then(cache => cache.match(options.offlinePage.url));
+        if (page) {
+            return page;
+        }
+    }
+
+    await loadLanguage();
+    return new Response(JSON.stringify({ error: t('sync.offline') }), {
+        status: 503,
+        statusText: 'Service Unavailable',
+        headers: new Headers({
+            'Content-Type': 'application/json'
+        })
+    });
+}
@@ -0,0 +1,127 @@
+/**
+ * 記録時の状況（キャプチャコンテキスト）モジュール
+ * データ保存時の位置情報・端末情報・オンライン状態を取得する（ページ専用）
+ */
+
+// アプリのバージョン（記録時の状況として保存）
+const APP_VERSION = '1.0.0';
+
+// 位置情報の取得オプション（測位できない場合はtimeoutで打ち切る）
+const GEOLOCATION_OPTIONS = {
+    enableHighAccuracy: true,
+    timeout: 10 * 1000,
+    maximumAge: 60 * 1000
+};
+
+// 位置情報の取得結果 → 表示名のメッセージのキー
+const LOCATION_STATUS_MESSAGES = {
+    ok: 'location.ok',
+    disabled: 'location.disabled',
+    denied: 'location.denied',
+    timeout: 'location.unavailable',
+    unavailable: 'location.unavailable',
+    unsupported: 'location.unsupported'
+};
+
+/**
+ * 位置情報の許可状態を取得
+ * @returns {Promise<string>} 'granted' | 'denied' | 'prompt'（Permissions API未対応時は'prompt'）
+ */
+async function getLocationPermission() {
+    if (!navigator.permissions || !navigator.permissions.query) {
+        return 'prompt';
+    }
+
+    try {
+        const status = await navigator.permissions.query({ name: 'geolocation' });
+        return status.state;
+    } catch (error) {
+        console.error('位置情報の許可状態取得エラー:', error);
+        return 'prompt';
+    }
+}
+
+/**
+ * 現在地を取得
+ * 失敗しても例外にせず、取得できなかった理由を返す
+ * @returns {Promise<{status: string, location: Object|null}>} 取得結果
+ *   status: 'ok' | 'denied' | 'timeout' | 'unavailable' | 'unsupported'
+ *   location: {latitude, longitude, accuracy, capturedAt}
+ */
+async function getCurrentLocation() {
+    if (!navigator.geolocation) {
+        return { status: 'unsupported', location: null };
+    }
+
+    // 拒否されている場合は問い合わせない
+    if (await getLocationPermission() === 'denied') {
+        return { status: 'denied', location: null };
+    }
+
+    return new Promise((resolve) => {
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                resolve({
+                    status: 'ok',
+                    location: {
+                        latitude: position.coords.latitude,
+                        longitude: position.coords.longitude,
+                        accuracy: position.coords.accuracy,
+                        capturedAt: new Date(position.timestamp).toISOString()
+                    }
+                });
+            },
+            (error) => {
+                console.warn('位置情報取得エラー:', error.message);
+                const status = {
+                    [error.PERMISSION_DENIED]: 'denied',
+                    [error.TIMEOUT]: 'timeout'
+                }[error.code] || 'unavailable';
+                resolve({ status, location: null });
+            },
+            GEOLOCATION_OPTIONS
+        );
+    });
+}
+
+/**
+ * 記録時の状況を取得
+ * @param {Object} options - 取得オプション
+ * @param {boolean} options.location - 位置情報を取得するかどうか（設定）
+ * @returns {Promise<Object>} 記録時の状況 {location, locationStatus, device, appVersion, online}
+ */
+async function collectCaptureContext(options) {
+    const { status, location } = options.location
+        ? await getCurrentLocation()
+        : { status: 'disabled', location: null };
+
+    return {
+        location,
+        locationStatus: status,
+        device: navigator.userAgent,
+        appVersion: APP_VERSION,
+        online: navigator.onLine
+    };
+}
+
+/**
+ * 位置情報を表示用の文字列に変換
+ * @param {Object|null} context - 記録時の状況
+ * @returns {string} 表示用の文字列（位置情報を取得しない設定の場合は空）
+ */
+function formatCaptureLocation(context) {
+    if (!context || context.locationStatus === 'disabled') {
+        return '';
+    }
+
+    if (!context.location) {
+        return t(LOCATION_STATUS_MESSAGES[context.locationStatus] || LOCATION_STATUS_MESSAGES.unavailable);
+    }
+
+    const { latitude, longitude, accuracy } = context.location;
+    return t('location.coordinates', {
+        latitude: latitude.toFixed(5),
+        longitude: longitude.toFixed(5),
+        accuracy: Math.round(accuracy)
+    });
+}
@@ -0,0 +1,382 @@
+/**
+ * ダッシュボードモジュール
+ * 端末のデータ（IndexedDB）からカテゴリ別・日別・同期ステータス別の集計を求めてSVGのグラフで表示し、
+ * サーバの集計（GET /api/data/aggregates）と比較する（ページ専用）
+ * 集計とグラフの描画はネットワークを使わないため、オフラインでも表示できる
+ */
+
+// 集計するフィールド（サーバのcompute_aggregatesと同じ）
+const DASHBOARD_CATEGORY_FIELD = 'category';
+const DASHBOARD_VALUE_FIELD = 'value';
+
+// 日別のグラフに表示する日数（今日を含む）
+const DASHBOARD_CHART_DAYS = 14;
+
+// 横棒グラフの寸法（SVGの座標）
+const BAR_CHART_LAYOUT = { labelWidth: 96, barWidth: 200, valueWidth: 72, rowHeight: 24 };
+
+// 縦棒グラフの寸法（SVGの座標）
+const COLUMN_CHART_LAYOUT = { columnWidth: 24, height: 120, labelHeight: 18, valueHeight: 14 };
+
+/**
+ * 端末のデータを集計
+ * 削除済み（サーバへの削除送信待ち）のデータは集計しない
+ * @param {Array<Object>} records - getAllDataのデータ
+ * @returns {Object} {total, byCategory, byDay, bySyncStatus}
+ */
+function computeAggregates(records) {
+    const items = records.filter(record => record.syncStatus !== 'deleted');
+
+    const byCategory = groupRecords(items, record => record[DASHBOARD_CATEGORY_FIELD] || '');
+    const byDay = groupRecords(items, record => getLocalDate(record.timestamp) || '');
+    const bySyncStatus = groupRecords(items, record => record.syncStatus);
+
+    return {
+        total: summarizeRecords(items),
+        byCategory: [...byCategory.keys()].sort().map(category => ({
+            category,
+            ...summarizeRecords(byCategory.get(category))
+        })),
+        byDay: [...byDay.keys()].sort().map(date => ({
+            date,
+            ...summarizeRecords(byDay.get(date))
+        })),
+        bySyncStatus: [...bySyncStatus.entries()].map(([syncStatus, group]) => ({
+            syncStatus,
+            count: group.length
+        }))
+    };
+}
+
+/**
+ * キーごとにデータをまとめる
+ * @param {Array<Object>} records - データ
+ * @param {Function} getKey - (record) => キー
+ * @returns {Map<string, Array<Object>>}
+ */
+function groupRecords(records, getKey) {
+    const groups = new Map();
+    for (const record of records) {
+        const key = getKey(record);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(record);
+    }
+    return groups;
+}
+
+/**
+ * データの件数とvalueの集計
+ * @param {Array<Object>} records - データ
+ * @returns {Object} {count, value: {count, sum, avg, min, max}}
+ */
+function summarizeRecords(records) {
+    const values = records
+        .map(record => record[DASHBOARD_VALUE_FIELD])
+        .filter(value => typeof value === 'number' && Number.isFinite(value));
+
+    return { count: records.length, value: summarizeValues(values) };
+}
+
+/**
+ * 数値の件数・合計・平均・最小・最大（値がない場合は件数0、ほかはnull）
+ * @param {Array<number>} values - 数値
+ * @returns {Object} {count, sum, avg, min, max}
+ */
+function summarizeValues(values) {
+    if (values.length === 0) {
+        return { count: 0, sum: null, avg: null, min: null, max: null };
+    }
+
+    const sum = values.reduce((total, value) => total + value, 0);
+    return {
+        count: values.length,
+        sum,
+        avg: sum / values.length,
+        min: Math.min(...values),
+        max: Math.max(...values)
+    };
+}
+
+/**
+ * 記録日時を端末のタイムゾーンの日付に変換
+ * @param {string} timestamp - 記録日時（ISO 8601）
+ * @returns {string|null} YYYY-MM-DD（解釈できない場合はnull）
+ */
+function getLocalDate(timestamp) {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * サーバの集計を取得
+ * 日別の集計は端末のタイムゾーンの日付で求める
+ * @returns {Promise<Object>} computeAggregatesと同じ形の集計（同期ステータス別は含まない）と集計日時
+ */
+async function fetchServerAggregates() {
+    const params = new URLSearchParams({ tz_offset: new Date().getTimezoneOffset() });
+    const response = await authFetch(`${API_ENDPOINTS.aggregates}?${params}`, {
+        method: 'GET',
+        headers: {
+            'Content-Type': 'application/json'
+        }
+    });
+
+    if (!response.ok) {
+        throw await createResponseError(response);
+    }
+
+    const body = await response.json();
+    return {
+        total: body.total,
+        byCategory: body.by_category,
+        byDay: body.by_day,
+        generatedAt: body.generated_at
+    };
+}
+
+/**
+ * ダッシュボードのHTMLを生成
+ * @param {Object} aggregates - computeAggregatesの集計
+ * @param {Object} schema - フォームスキーマ（カテゴリ・同期ステータスの表示名に使用）
+ * @returns {string} HTML文字列
+ */
+function createDashboardHtml(aggregates, schema) {
+    if (aggregates.total.count === 0) {
+        return `<p class="no-data">${t('dashboard.empty')}</p>`;
+    }
+
+    const valueLabel = getFieldLabel(schema, DASHBOARD_VALUE_FIELD);
+    const sumTitle = t('dashboard.sumByCategory', { label: valueLabel });
+    const categoryLabel = (category) => getCategoryLabel(schema, category);
+    const recentDays = getRecentDays(aggregates.byDay);
+
+    return `
+        <div class="dashboard-summary">
+            <div>${t('dashboard.totalCount', { count: `<span class="dashboard-figure">${formatAggregateNumber(aggregates.total.count)}</span>` })}</div>
+            <div>${escapeHtml(t('dashboard.totalSum', { label: valueLabel }))} <span class="dashboard-figure">${formatAggregateNumber(aggregates.total.value.sum)}</span></div>
+            <div>${t('dashboard.totalAvg')} <span class="dashboard-figure">${formatAggregateNumber(aggregates.total.value.avg)}</span></div>
+        </div>
+
+        <h3>${t('dashboard.countByCategory')}</h3>
+        ${createBarChartSvg(aggregates.byCategory.map(group => ({ label: categoryLabel(group.category), value: group.count })), t('dashboard.countByCategory'))}
+
+        <h3>${escapeHtml(sumTitle)}</h3>
+        ${createBarChartSvg(aggregates.byCategory.map(group => ({ label: categoryLabel(group.category), value: group.value.sum || 0 })), sumTitle)}
+        ${createAggregateTableHtml(t('dashboard.column.category'), aggregates.byCategory.map(group => ({ ...group, label: categoryLabel(group.category) })))}
+
+        <h3>${t('dashboard.countByDayRecent', { days: DASHBOARD_CHART_DAYS })}</h3>
+        ${createColumnChartSvg(recentDays.map(day => ({ label: formatChartDate(day.date), value: day.count })), t('dashboard.countByDay'))}
+        ${createAggregateTableHtml(t('dashboard.column.date'), recentDays.filter(day => day.count > 0).reverse().map(day => ({ ...day, label: day.date })))}
+
+        <h3>${t('dashboard.countBySyncStatus')}</h3>
+        ${createBarChartSvg(aggregates.bySyncStatus.map(group => ({ label: getMessageLabel(SYNC_STATUS_MESSAGES, group.syncStatus), value: group.count })), t('dashboard.countBySyncStatus'))}
+    `;
+}
+
+/**
+ * 端末とサーバの集計の比較表のHTMLを生成（カテゴリごとの件数とvalueの合計）
+ * @param {Object} local - computeAggregatesの集計
+ * @param {Object} server - fetchServerAggregatesの集計
+ * @param {Object} schema - フォームスキーマ
+ * @returns {string} HTML文字列
+ */
+function createAggregateComparisonHtml(local, server, schema) {
+    const find = (aggregates, category) =>
+        aggregates.byCategory.find(group => group.category === category) || { count: 0, value: { sum: null } };
+    const categories = [...new Set([...local.byCategory, ...server.byCategory].map(group => group.category))].sort();
+
+    const createRow = (label, localGroup, serverGroup) => {
+        const mismatch = localGroup.count !== serverGroup.count || !isSameSum(localGroup.value.sum, serverGroup.value.sum);
+        return `
+            <tr class="${mismatch ? 'mismatch' : ''}">
+                <td>${escapeHtml(label)}</td>
+                <td>${formatAggregateNumber(localGroup.count)}</td>
+                <td>${formatAggregateNumber(serverGroup.count)}</td>
+                <td>${formatAggregateNumber(localGroup.value.sum)}</td>
+                <td>${formatAggregateNumber(serverGroup.value.sum)}</td>
+            </tr>
+        `;
+    };
+
+    const rows = categories
+        .map(category => createRow(getCategoryLabel(schema, category), find(local, category), find(server, category)))
+        .join('');
+
+    return `
+        <h3>${t('dashboard.comparison')}</h3>
+        <table class="dashboard-table">
+            <tr>
+                <th>${t('dashboard.column.category')}</th>
+                <th>${t('dashboard.column.localCount')}</th>
+                <th>${t('dashboard.column.serverCount')}</th>
+                <th>${t('dashboard.column.localSum')}</th>
+                <th>${t('dashboard.column.serverSum')}</th>
+            </tr>
+            ${rows}
+            ${createRow(t('dashboard.allCategories'), local.total, server.total)}
+        </table>
+        <p class="dashboard-note">
+            ${t('dashboard.serverGeneratedAt', { time: formatDateTime(server.generatedAt) })}<br>
+            ${t('dashboard.comparisonNote')}
+        </p>
+    `;
+}
+
+/**
+ * 件数・統計値の表のHTMLを生成
+ * @param {string} heading - 1列目の見出し
+ * @param {Array<Object>} groups - {label, count, value}
+ * @returns {string} HTML文字列
+ */
+function createAggregateTableHtml(heading, groups) {
+    const rows = groups.map(group => `
+        <tr>
+            <td>${escapeHtml(group.label)}</td>
+            <td>${formatAggregateNumber(group.count)}</td>
+            <td>${formatAggregateNumber(group.value.sum)}</td>
+            <td>${formatAggregateNumber(group.value.avg)}</td>
+            <td>${formatAggregateNumber(group.value.min)}</td>
+            <td>${formatAggregateNumber(group.value.max)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <table class="dashboard-table">
+            <tr>
+                <th>${escapeHtml(heading)}</th>
+                <th>${t('dashboard.column.count')}</th>
+                <th>${t('dashboard.column.sum')}</th>
+                <th>${t('dashboard.column.avg')}</th>
+                <th>${t('dashboard.column.min')}</th>
+                <th>${t('dashboard.column.max')}</th>
+            </tr>
+            ${rows}
+        </table>
+    `;
+}
+
+/**
+ * 横棒グラフのSVGを生成（負の値は長さ0の棒）
+ * @param {Array<Object>} items - {label, value}
+ * @param {string} title - グラフの説明（読み上げ用）
+ * @returns {string} SVG文字列
+ */
+function createBarChartSvg(items, title) {
+    const { labelWidth, barWidth, valueWidth, rowHeight } = BAR_CHART_LAYOUT;
+    const max = Math.max(0, ...items.map(item => item.value));
+    const width = labelWidth + barWidth + valueWidth;
+
+    const rows = items.map((item, index) => {
+        const length = max > 0 ? Math.max(0, item.value) / max * barWidth : 0;
+        return `
+            <g transform="translate(0, ${index * rowHeight})">
+                <text class="chart-label" x="${labelWidth - 6}" y="16" text-anchor="end">${escapeHtml(item.label)}</text>
+                <rect class="chart-bar" x="${labelWidth}" y="4" width="${length.toFixed(1)}" height="16" rx="2"></rect>
+                <text class="chart-value" x="${(labelWidth + length + 4).toFixed(1)}" y="16">${formatAggregateNumber(item.value)}</text>
+            </g>
+        `;
+    }).join('');
+
+    return `
+        <svg class="dashboard-chart" viewBox="0 0 ${width} ${items.length * rowHeight}" width="${width}" role="img" aria-label="${escapeHtml(title)}">
+            ${rows}
+        </svg>
+    `;
+}
+
+/**
+ * 縦棒グラフのSVGを生成
+ * @param {Array<Object>} items - {label, value}（左から順に表示）
+ * @param {string} title - グラフの説明（読み上げ用）
+ * @returns {string} SVG文字列
+ */
+function createColumnChartSvg(items, title) {
+    const { columnWidth, height, labelHeight, valueHeight } = COLUMN_CHART_LAYOUT;
+    const max = Math.max(0, ...items.map(item => item.value));
+    const plotHeight = height - labelHeight - valueHeight;
+    const width = items.length * columnWidth;
+
+    const columns = items.map((item, index) => {
+        const length = max > 0 ? item.value / max * plotHeight : 0;
+        const x = index * columnWidth;
+        const center = x + columnWidth / 2;
+        const top = valueHeight + plotHeight - length;
+        return `
+            <rect class="chart-bar" x="${x + 3}" y="${top.toFixed(1)}" width="${columnWidth - 6}" height="${length.toFixed(1)}" rx="2"></rect>
+            ${item.value > 0 ? `<text class="chart-value" x="${center}" y="${(top - 3).toFixed(1)}" text-anchor="middle">${formatAggregateNumber(item.value)}</text>` : ''}
+            <text class="chart-label" x="${center}" y="${height - 4}" text-anchor="middle">${escapeHtml(item.label)}</text>
+        `;
+    }).join('');
+
+    return `
+        <svg class="dashboard-chart" viewBox="0 0 ${width} ${height}" width="${width}" role="img" aria-label="${escapeHtml(title)}">
+            <line class="chart-axis" x1="0" y1="${valueHeight + plotHeight}" x2="${width}" y2="${valueHeight + plotHeight}"></line>
+            ${columns}
+        </svg>
+    `;
+}
+
+/**
+ * 直近DASHBOARD_CHART_DAYS日の日別の集計（データのない日は件数0）
+ * @param {Array<Object>} byDay - computeAggregatesの日別の集計
+ * @returns {Array<Object>} 古い順の {date, count, value}
+ */
+function getRecentDays(byDay) {
+    const days = [];
+    for (let offset = DASHBOARD_CHART_DAYS - 1; offset >= 0; offset--) {
+        const date = new Date();
+        date.setDate(date.getDate() - offset);
+        const key = getLocalDate(date.toISOString());
+        days.push(byDay.find(day => day.date === key) || { date: key, ...summarizeRecords([]) });
+    }
+    return days;
+}
+
+/**
+ * カテゴリの表示名を表示言語で取得（未入力は「未分類」）
+ * @param {Object} schema - フォームスキーマ
+ * @param {string} category - カテゴリの値
+ * @returns {string}
+ */
+function getCategoryLabel(schema, category) {
+    return category ? formatFieldValue(schema, DASHBOARD_CATEGORY_FIELD, category) : t('dashboard.uncategorized');
+}
+
+/**
+ * 合計が一致するかどうか（小数の加算順による誤差は無視する）
+ * @param {number|null} a - 合計
+ * @param {number|null} b - 合計
+ * @returns {boolean}
+ */
+function isSameSum(a, b) {
+    if (a === null || b === null) {
+        return a === b;
+    }
+    return Math.abs(a - b) < 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+/**
+ * 集計値を表示言語の形式に変換（小数は2桁まで）
+ * @param {number|null} value - 集計値
+ * @returns {string}
+ */
+function formatAggregateNumber(value) {
+    return value == null ? '-' : formatNumber(value, { maximumFractionDigits: 2 });
+}
+
+/**
+ * グラフの日付の表示（例: 10/21）
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function formatChartDate(date) {
+    const [, month, day] = date.split('-');
+    return `${Number(month)}/${Number(day)}`;
+}
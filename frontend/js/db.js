@@ -1,51 +1,66 @@
 /**
  * IndexedDB操作モジュール
- * データベース名: OfflineDataDB
- * オブジェクトストア名: pendingData
+ * データベース名: ログイン中のユーザーごと（auth.jsのgetUserDatabaseName、最初のユーザーはOfflineDataDB）
+ * オブジェクトストア名: pendingData, syncState, operations, attachments, syncHistory, drafts
+ * スキーマとマイグレーションはschema.jsで定義
+ * 暗号化が有効な場合、保存前と読み込み後にencryption.jsで暗号化・復号する
  */
 
-const DB_NAME = 'OfflineDataDB';
-const DB_VERSION = 1;
-const STORE_NAME = 'pendingData';
-
 let db = null;
 
+// 全件書き換え中に他のタブ等で変更された場合に、読み込み直して再試行する回数
+const REWRITE_MAX_ATTEMPTS = 5;
+
 /**
- * データベースを開く/初期化
+ * ログイン中のユーザーのデータベースを開く/初期化
  * @returns {Promise<IDBDatabase>}
  */
-function openDatabase() {
+async function openDatabase() {
+    // データベースが既に開かれている場合は再利用
+    if (db) {
+        return db;
+    }
+
+    const databaseName = await getUserDatabaseName();
+
     return new Promise((resolve, reject) => {
-        // データベースが既に開かれている場合は再利用
         if (db) {
             resolve(db);
             return;
         }
 
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        const request = indexedDB.open(databaseName, DB_VERSION);
 
         // データベースアップグレード時の処理（初回作成時も含む）
         request.onupgradeneeded = (event) => {
-            const database = event.target.result;
-
-            // オブジェクトストアが存在しない場合は作成
-            if (!database.objectStoreNames.contains(STORE_NAME)) {
-                const objectStore = database.createObjectStore(STORE_NAME, {
-                    keyPath: 'id',
-                    autoIncrement: true
-                });
+            console.log(`IndexedDB: アップグレード v${event.oldVersion} → v${event.newVersion}`);
+            runMigrations(event.target.result, event.target.transaction, event.oldVersion);
+        };
 
-                // インデックスを作成（検索用）
-                objectStore.createIndex('syncStatus', 'syncStatus', { unique: false });
-                objectStore.createIndex('timestamp', 'timestamp', { unique: false });
+        // 古いバージョンの接続（他のタブ等）が閉じられるまでアップグレードが待たされている
+        request.onblocked = () => {
+            console.warn('IndexedDB: 他の接続によりアップグレードが待機中');
 
-                console.log('IndexedDB: オブジェクトストア作成完了');
+            if (typeof showMessage === 'function') {
+                showMessage(t('db.upgradeBlocked'), 'info');
             }
         };
 
         request.onsuccess = (event) => {
             db = event.target.result;
-            console.log('IndexedDB: データベース接続成功');
+
+            // 新しいバージョンのアップグレードを妨げないよう接続を閉じる
+            db.onversionchange = () => {
+                console.log('IndexedDB: 新しいバージョンが要求されたため接続を閉じます');
+                db.close();
+                db = null;
+
+                if (typeof showMessage === 'function') {
+                    showMessage(t('db.versionChanged'), 'info');
+                }
+            };
+
+            console.log(`IndexedDB: データベース接続成功 (${databaseName})`);
             resolve(db);
         };
 
@@ -56,6 +71,58 @@ function openDatabase() {
     });
 }
 
+/**
+ * データベースを閉じる（ログアウト・ユーザーの切り替え時）
+ * 次回のopenDatabaseでログイン中のユーザーのデータベースを開き直す
+ */
+function closeDatabase() {
+    if (db) {
+        db.close();
+        db = null;
+        console.log('IndexedDB: データベース接続を閉じました');
+    }
+}
+
+/**
+ * UUID（v4）を生成
+ * 同期時の冪等性キーとして使用
+ * @returns {string} UUID文字列
+ */
+function generateUUID() {
+    if (self.crypto && typeof self.crypto.randomUUID === 'function') {
+        return self.crypto.randomUUID();
+    }
+
+    // randomUUID未対応環境（非セキュアコンテキスト等）向けのフォールバック
+    const bytes = new Uint8Array(16);
+    self.crypto.getRandomValues(bytes);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * 送信待ちのデータとして保存する形式に変換
+ * @param {Object} data - データオブジェクト
+ * @param {string} timestamp - 記録日時（ISO 8601）
+ * @param {number} ownerId - 記録したユーザーのID
+ * @returns {Object} UUID、記録日時、所有者と同期ステータスを追加したデータ
+ */
+function createPendingRecord(data, timestamp, ownerId) {
+    return {
+        ...data,
+        uuid: data.uuid || generateUUID(),
+        timestamp,
+        ownerId,
+        syncStatus: 'pending',
+        attempts: 0,
+        lastAttemptAt: null,
+        nextAttemptAt: null
+    };
+}
+
 /**
  * データを追加
  * @param {Object} data - 追加するデータオブジェクト
@@ -63,18 +130,15 @@ function openDatabase() {
  */
 async function addData(data) {
     const database = await openDatabase();
+    const { userId } = await getSession();
+
+    // データにUUID、現在時刻、所有者と同期ステータスを追加
+    // （暗号化はトランザクションの外で行う: 非同期処理を待つ間にトランザクションが終了するため）
+    const dataWithMeta = await encodeStoredValue(STORE_NAME, createPendingRecord(data, new Date().toISOString(), userId));
 
     return new Promise((resolve, reject) => {
         const transaction = database.transaction([STORE_NAME], 'readwrite');
         const objectStore = transaction.objectStore(STORE_NAME);
-
-        // データに現在時刻と同期ステータスを追加
-        const dataWithMeta = {
-            ...data,
-            timestamp: new Date().toISOString(),
-            syncStatus: 'pending'
-        };
-
         const request = objectStore.add(dataWithMeta);
 
         request.onsuccess = (event) => {
@@ -90,6 +154,67 @@ async function addData(data) {
     });
 }
 
+/**
+ * 複数のデータを1つのトランザクションで追加（インポート用）
+ * 1件でも失敗した場合はトランザクションごと取り消され、何も保存されない
+ * @param {Array<Object>} records - 追加するデータ（timestampがない場合は現在時刻）
+ * @returns {Promise<number>} 追加した件数
+ */
+async function importRecords(records) {
+    const database = await openDatabase();
+    const { userId } = await getSession();
+    const now = new Date().toISOString();
+    const pendingRecords = await Promise.all(records.map(record =>
+        encodeStoredValue(STORE_NAME, createPendingRecord(record, record.timestamp || now, userId))
+    ));
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(STORE_NAME);
+
+        pendingRecords.forEach(record => {
+            objectStore.add(record);
+        });
+
+        transaction.oncomplete = () => {
+            console.log('IndexedDB: インポート成功', records.length, '件');
+            resolve(records.length);
+        };
+
+        // UUIDの重複（一意インデックス違反）等で失敗した場合はabortされる
+        transaction.onabort = (event) => {
+            console.error('IndexedDB: インポートエラー', transaction.error);
+            reject(transaction.error || event.target.error);
+        };
+    });
+}
+
+/**
+ * IDを指定してデータを取得
+ * @param {number} id - データのID
+ * @returns {Promise<Object|undefined>} データ（存在しない場合はundefined）
+ */
+async function getData(id) {
+    const database = await openDatabase();
+
+    const data = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_NAME], 'readonly');
+        const objectStore = transaction.objectStore(STORE_NAME);
+        const request = objectStore.get(id);
+
+        request.onsuccess = (event) => {
+            resolve(event.target.result);
+        };
+
+        request.onerror = (event) => {
+            console.error('IndexedDB: データ取得エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+
+    return decodeStoredValue(data);
+}
+
 /**
  * すべてのデータを取得
  * @returns {Promise<Array>} データの配列
@@ -97,7 +222,7 @@ async function addData(data) {
 async function getAllData() {
     const database = await openDatabase();
 
-    return new Promise((resolve, reject) => {
+    const data = await new Promise((resolve, reject) => {
         const transaction = database.transaction([STORE_NAME], 'readonly');
         const objectStore = transaction.objectStore(STORE_NAME);
         const request = objectStore.getAll();
@@ -113,17 +238,19 @@ async function getAllData() {
             reject(event.target.error);
         };
     });
+
+    return decodeStoredValues(data);
 }
 
 /**
  * 特定のステータスのデータを取得
- * @param {string} status - 同期ステータス ('pending', 'synced', 'error')
+ * @param {string} status - 同期ステータス ('pending', 'synced', 'error', 'failed')
  * @returns {Promise<Array>} データの配列
  */
 async function getDataByStatus(status) {
     const database = await openDatabase();
 
-    return new Promise((resolve, reject) => {
+    const data = await new Promise((resolve, reject) => {
         const transaction = database.transaction([STORE_NAME], 'readonly');
         const objectStore = transaction.objectStore(STORE_NAME);
         const index = objectStore.index('syncStatus');
@@ -140,6 +267,205 @@ async function getDataByStatus(status) {
             reject(event.target.error);
         };
     });
+
+    return decodeStoredValues(data);
+}
+
+/**
+ * 条件に一致するデータを1ページ分取得
+ * 絞り込み条件と並び順からインデックスの範囲を決めて必要な範囲だけを読み込み、
+ * インデックスで絞り込めない条件（文字列検索等）はカーソルで1件ずつ判定する
+ * 暗号化が有効な場合はqueryEncryptedRecordsで取得する
+ * @param {Object} query - 取得条件
+ * @param {Object} query.filters - 絞り込み条件 {text, textFields, category, syncStatus, from, to}
+ * @param {string} query.sort - 並び順 ('newest', 'oldest', 'title')
+ * @param {Object|null} query.after - 前ページの最後のデータの位置 {key, primaryKey}（先頭ページはnull）
+ * @param {number} query.limit - 1ページの件数
+ * @returns {Promise<{records: Array, next: Object|null}>} データと次ページの開始位置（最終ページはnull）
+ */
+async function queryRecords({ filters = {}, sort = 'newest', after = null, limit = 20 }) {
+    if (await isEncryptionEnabled()) {
+        return queryEncryptedRecords({ filters, sort, after, limit });
+    }
+
+    const database = await openDatabase();
+    const { indexName, range } = selectQueryIndex(filters, sort);
+    const matches = createRecordMatcher(filters);
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_NAME], 'readonly');
+        const index = transaction.objectStore(STORE_NAME).index(indexName);
+        const request = index.openCursor(range, sort === 'newest' ? 'prev' : 'next');
+        const records = [];
+        let lastPosition = null;
+        let positioned = !after;
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                resolve({ records, next: null });
+                return;
+            }
+
+            const isAfterPosition = after
+                && indexedDB.cmp(cursor.key, after.key) === 0
+                && indexedDB.cmp(cursor.primaryKey, after.primaryKey) === 0;
+
+            // 前ページの最後の位置まで読み飛ばす（その位置のデータ自体は前ページに含まれる）
+            if (!positioned) {
+                positioned = true;
+                if (!isAfterPosition) {
+                    cursor.continuePrimaryKey(after.key, after.primaryKey);
+                    return;
+                }
+            }
+
+            if (isAfterPosition) {
+                cursor.continue();
+                return;
+            }
+
+            if (matches(cursor.value)) {
+                // 1件多く見つかった時点で次ページがあると判断して打ち切る
+                if (records.length === limit) {
+                    resolve({ records, next: lastPosition });
+                    return;
+                }
+
+                records.push(cursor.value);
+                lastPosition = { key: cursor.key, primaryKey: cursor.primaryKey };
+            }
+
+            cursor.continue();
+        };
+
+        request.onerror = (event) => {
+            console.error('IndexedDB: データ検索エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 暗号化されたデータから条件に一致するデータを1ページ分取得
+ * カテゴリ・タイトル等は暗号化されていてインデックスを使えないため、平文の同期ステータス・記録日時の
+ * インデックスで範囲を絞って読み込み、復号してから絞り込みと並べ替えを行う
+ * @param {Object} query - 取得条件（queryRecordsと同じ）
+ * @returns {Promise<{records: Array, next: Object|null}>} データと次ページの開始位置（最終ページはnull）
+ */
+async function queryEncryptedRecords({ filters, sort, after, limit }) {
+    const database = await openDatabase();
+    const { indexName, range } = selectQueryIndex({ ...filters, category: '' }, sort === 'title' ? 'oldest' : sort);
+
+    const stored = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_NAME], 'readonly');
+        const request = transaction.objectStore(STORE_NAME).index(indexName).getAll(range);
+
+        request.onsuccess = (event) => {
+            resolve(event.target.result);
+        };
+
+        request.onerror = (event) => {
+            console.error('IndexedDB: データ検索エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+
+    // 位置はインデックスを使う場合と同じ形式 {key, primaryKey}
+    const toPosition = (record) => ({
+        key: sort === 'title' ? String(record.title ?? '') : record.timestamp,
+        primaryKey: record.id
+    });
+    const compare = (a, b) =>
+        indexedDB.cmp([a.key, a.primaryKey], [b.key, b.primaryKey]) * (sort === 'newest' ? -1 : 1);
+
+    const matches = createRecordMatcher(filters);
+    const items = (await decodeStoredValues(stored))
+        .filter(matches)
+        .map(record => ({ record, position: toPosition(record) }))
+        .sort((a, b) => compare(a.position, b.position));
+
+    const start = after ? items.findIndex(item => compare(item.position, after) > 0) : 0;
+    if (start === -1) {
+        return { records: [], next: null };
+    }
+
+    const page = items.slice(start, start + limit);
+    return {
+        records: page.map(item => item.record),
+        next: items.length > start + limit ? page[page.length - 1].position : null
+    };
+}
+
+/**
+ * 絞り込み条件と並び順から使用するインデックスと範囲を決定
+ * @param {Object} filters - 絞り込み条件
+ * @param {string} sort - 並び順
+ * @returns {{indexName: string, range: IDBKeyRange|null}}
+ */
+function selectQueryIndex(filters, sort) {
+    if (sort === 'title') {
+        return { indexName: 'title', range: null };
+    }
+
+    // timestampはISO 8601文字列のため文字列の範囲で期間を指定できる
+    const from = filters.from || '';
+    const to = filters.to || '\uffff';
+
+    if (filters.category) {
+        return {
+            indexName: 'category_timestamp',
+            range: IDBKeyRange.bound([filters.category, from], [filters.category, to])
+        };
+    }
+
+    if (filters.syncStatus) {
+        return {
+            indexName: 'syncStatus_timestamp',
+            range: IDBKeyRange.bound([filters.syncStatus, from], [filters.syncStatus, to])
+        };
+    }
+
+    if (filters.from || filters.to) {
+        return { indexName: 'timestamp', range: IDBKeyRange.bound(from, to) };
+    }
+
+    return { indexName: 'timestamp', range: null };
+}
+
+/**
+ * 絞り込み条件の判定関数を作成
+ * 削除済み（サーバへの削除送信待ち）のデータは常に除外する
+ * @param {Object} filters - 絞り込み条件
+ * @returns {Function} (record) => boolean
+ */
+function createRecordMatcher(filters) {
+    const text = (filters.text || '').trim().toLowerCase();
+    const textFields = filters.textFields || [];
+
+    return (record) => {
+        if (record.syncStatus === 'deleted') {
+            return false;
+        }
+        if (filters.category && record.category !== filters.category) {
+            return false;
+        }
+        if (filters.syncStatus && record.syncStatus !== filters.syncStatus) {
+            return false;
+        }
+        if (filters.from && record.timestamp < filters.from) {
+            return false;
+        }
+        if (filters.to && record.timestamp > filters.to) {
+            return false;
+        }
+        if (text) {
+            return textFields.some(field =>
+                typeof record[field] === 'string' && record[field].toLowerCase().includes(text)
+            );
+        }
+        return true;
+    };
 }
 
 /**
@@ -150,6 +476,7 @@ async function getDataByStatus(status) {
  */
 async function updateData(id, updates) {
     const database = await openDatabase();
+    const encodedUpdates = await encodeStoredValue(STORE_NAME, updates);
 
     return new Promise((resolve, reject) => {
         const transaction = database.transaction([STORE_NAME], 'readwrite');
@@ -162,12 +489,12 @@ async function updateData(id, updates) {
             const data = event.target.result;
 
             if (!data) {
-                reject(new Error('データが見つかりません'));
+                reject(new Error(t('data.notFound')));
                 return;
             }
 
             // データを更新
-            const updatedData = { ...data, ...updates };
+            const updatedData = mergeStoredValue(data, encodedUpdates);
             const updateRequest = objectStore.put(updatedData);
 
             updateRequest.onsuccess = () => {
@@ -214,39 +541,1099 @@ async function deleteData(id) {
 }
 
 /**
- * 未同期データ数を取得
- * @returns {Promise<number>} 未同期データの件数
+ * サーバから取得したデータをローカルに統合
+ * uuid（なければserverId）で既存データを検索してresolveで統合内容を決め、
+ * 暗号化（有効な場合）の後に別のトランザクションで保存または削除する。
+ * 検索後にローカルで変更されたデータ（同期ステータスが変わったもの）は上書きしない
+ * @param {Array<Object>} serverRecords - サーバのデータ
+ * @param {Function} resolve - (local, remote) => {action: 'put', record} | {action: 'delete', id} | null
+ * @returns {Promise<number>} 保存・削除した件数
  */
-async function getPendingCount() {
-    const pendingData = await getDataByStatus('pending');
-    return pendingData.length;
+async function mergeRecords(serverRecords, resolve) {
+    const database = await openDatabase();
+
+    const found = await new Promise((resolvePromise, reject) => {
+        const transaction = database.transaction([STORE_NAME], 'readonly');
+        const objectStore = transaction.objectStore(STORE_NAME);
+        const results = [];
+
+        const findLocal = (remote, callback) => {
+            const request = remote.uuid
+                ? objectStore.index('uuid').get(remote.uuid)
+                : objectStore.index('serverId').get(remote.id);
+
+            request.onsuccess = (event) => {
+                const local = event.target.result;
+                // uuidで見つからない場合はserverIdで再検索
+                if (!local && remote.uuid) {
+                    objectStore.index('serverId').get(remote.id).onsuccess = (e) => callback(e.target.result);
+                    return;
+                }
+                callback(local);
+            };
+        };
+
+        serverRecords.forEach((remote) => {
+            findLocal(remote, (local) => {
+                results.push({ local, remote });
+            });
+        });
+
+        transaction.oncomplete = () => {
+            resolvePromise(results);
+        };
+
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: サーバデータ検索エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+
+    const changes = [];
+    for (const { local, remote } of found) {
+        const change = resolve(await decodeStoredValue(local), remote);
+        if (change) {
+            const record = change.record && await encodeStoredValue(STORE_NAME, change.record);
+            changes.push({ ...change, record, local });
+        }
+    }
+
+    return new Promise((resolvePromise, reject) => {
+        const transaction = database.transaction([STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(STORE_NAME);
+        let savedCount = 0;
+
+        changes.forEach(({ action, id, record, local }) => {
+            const apply = () => {
+                if (action === 'delete') {
+                    objectStore.delete(id);
+                } else {
+                    objectStore.put(record);
+                }
+                savedCount++;
+            };
+
+            if (local) {
+                objectStore.get(local.id).onsuccess = (event) => {
+                    const current = event.target.result;
+                    if (current && current.syncStatus === local.syncStatus) {
+                        apply();
+                    }
+                };
+            } else {
+                // 検索後に同じuuidのデータが追加されていれば保存しない（一意インデックス違反になる）
+                objectStore.index('uuid').count(record.uuid).onsuccess = (event) => {
+                    if (event.target.result === 0) {
+                        apply();
+                    }
+                };
+            }
+        });
+
+        transaction.oncomplete = () => {
+            console.log('IndexedDB: サーバデータ統合完了', savedCount, '件');
+            resolvePromise(savedCount);
+        };
+
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: サーバデータ統合エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
 }
 
 /**
- * データベースを初期化（開発/テスト用）
+ * 操作ログに追加
+ * データの更新と操作の追加を1つのトランザクションで行う。
+ * 削除操作の場合、同じデータの未送信の操作は不要になるため取り除く
+ * @param {number} recordId - 対象データのID
+ * @param {Object|null} recordUpdates - データに適用する更新内容（データが既に削除済みの場合はnull）
+ * @param {Object} operation - 操作内容 {type: 'update'|'delete', serverId, uuid, payload}
+ * @returns {Promise<number>} 追加された操作のID
+ */
+async function queueOperation(recordId, recordUpdates, operation) {
+    const database = await openDatabase();
+    const encodedUpdates = await encodeStoredValue(STORE_NAME, recordUpdates);
+    const encodedOperation = await encodeStoredValue(OPERATIONS_STORE_NAME, operation);
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_NAME, OPERATIONS_STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(STORE_NAME);
+        const operationStore = transaction.objectStore(OPERATIONS_STORE_NAME);
+        let opId = null;
+
+        if (encodedUpdates) {
+            objectStore.get(recordId).onsuccess = (event) => {
+                const data = event.target.result;
+                if (data) {
+                    objectStore.put(mergeStoredValue(data, encodedUpdates));
+                }
+            };
+        }
+
+        const addOperation = () => {
+            const request = operationStore.add({
+                ...encodedOperation,
+                recordId,
+                status: 'pending',
+                attempts: 0,
+                lastAttemptAt: null,
+                nextAttemptAt: null,
+                createdAt: new Date().toISOString()
+            });
+            request.onsuccess = (event) => {
+                opId = event.target.result;
+            };
+        };
+
+        // 新しい操作で不要になる操作を取り除いてから追加する
+        // （更新操作は送信時点の全項目を持つため、送信失敗・競合した古い更新操作は置き換えてよい）
+        operationStore.index('recordId').openCursor(IDBKeyRange.only(recordId)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                addOperation();
+                return;
+            }
+
+            const existing = cursor.value;
+            const superseded = existing.type === 'update' &&
+                (existing.status === 'failed' || existing.status === 'conflict');
+            if (operation.type === 'delete' || superseded) {
+                cursor.delete();
+            }
+            cursor.continue();
+        };
+
+        transaction.oncomplete = () => {
+            console.log('IndexedDB: 操作ログ追加成功', opId, operation.type);
+            resolve(opId);
+        };
+
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: 操作ログ追加エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 操作ログを全件取得（追加順）
+ * @returns {Promise<Array>} 操作の配列
+ */
+async function getOperations() {
+    const database = await openDatabase();
+
+    const operations = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([OPERATIONS_STORE_NAME], 'readonly');
+        const operationStore = transaction.objectStore(OPERATIONS_STORE_NAME);
+        const request = operationStore.getAll();
+
+        request.onsuccess = (event) => {
+            resolve(event.target.result);
+        };
+
+        request.onerror = (event) => {
+            console.error('IndexedDB: 操作ログ取得エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+
+    return decodeStoredValues(operations);
+}
+
+/**
+ * 操作を更新
+ * @param {number} opId - 操作のID
+ * @param {Object} updates - 更新内容
  * @returns {Promise<void>}
  */
-async function clearDatabase() {
+async function updateOperation(opId, updates) {
     const database = await openDatabase();
+    const encodedUpdates = await encodeStoredValue(OPERATIONS_STORE_NAME, updates);
 
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction([STORE_NAME], 'readwrite');
+        const transaction = database.transaction([OPERATIONS_STORE_NAME], 'readwrite');
+        const operationStore = transaction.objectStore(OPERATIONS_STORE_NAME);
+
+        operationStore.get(opId).onsuccess = (event) => {
+            const operation = event.target.result;
+            // 後続の削除操作で取り除かれている場合は何もしない
+            if (operation) {
+                operationStore.put(mergeStoredValue(operation, encodedUpdates));
+            }
+        };
+
+        transaction.oncomplete = () => {
+            resolve();
+        };
+
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: 操作ログ更新エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 送信済みの操作を完了
+ * 操作をログから取り除いてデータにrecordUpdatesを適用し、
+ * 同じデータの操作が残っていなければfinalUpdatesも適用する。
+ * 削除操作の場合はデータ（トゥームストーン）を削除する
+ * @param {Object} operation - 完了した操作
+ * @param {Object} recordUpdates - データに適用する更新内容（サーバのリビジョン等）
+ * @param {Object} finalUpdates - 残りの操作がない場合にデータに適用する更新内容
+ * @returns {Promise<void>}
+ */
+async function completeOperation(operation, recordUpdates, finalUpdates) {
+    const database = await openDatabase();
+    const encodedUpdates = await encodeStoredValue(STORE_NAME, recordUpdates);
+    const encodedFinalUpdates = await encodeStoredValue(STORE_NAME, finalUpdates);
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_NAME, OPERATIONS_STORE_NAME], 'readwrite');
         const objectStore = transaction.objectStore(STORE_NAME);
-        const request = objectStore.clear();
+        const operationStore = transaction.objectStore(OPERATIONS_STORE_NAME);
 
-        request.onsuccess = () => {
-            console.log('IndexedDB: データベースクリア完了');
+        operationStore.delete(operation.opId);
+
+        if (operation.type === 'delete') {
+            objectStore.delete(operation.recordId);
+        } else {
+            operationStore.index('recordId').count(IDBKeyRange.only(operation.recordId)).onsuccess = (event) => {
+                const remaining = event.target.result;
+
+                objectStore.get(operation.recordId).onsuccess = (getEvent) => {
+                    const data = getEvent.target.result;
+                    if (data) {
+                        const updated = mergeStoredValue(data, encodedUpdates);
+                        objectStore.put(remaining > 0 ? updated : mergeStoredValue(updated, encodedFinalUpdates));
+                    }
+                };
+            };
+        }
+
+        transaction.oncomplete = () => {
+            console.log('IndexedDB: 操作完了', operation.opId, operation.type);
             resolve();
         };
 
-        request.onerror = (event) => {
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: 操作完了エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * データの未送信の操作をすべて破棄
+ * 競合の解決でサーバの内容を採用した場合などに使用する
+ * @param {number} recordId - 対象データのID
+ * @param {Object} recordUpdates - データに適用する更新内容
+ * @returns {Promise<void>}
+ */
+async function discardOperations(recordId, recordUpdates) {
+    const database = await openDatabase();
+    const encodedUpdates = await encodeStoredValue(STORE_NAME, recordUpdates);
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_NAME, OPERATIONS_STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(STORE_NAME);
+        const operationStore = transaction.objectStore(OPERATIONS_STORE_NAME);
+
+        operationStore.index('recordId').openCursor(IDBKeyRange.only(recordId)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+
+        objectStore.get(recordId).onsuccess = (event) => {
+            const data = event.target.result;
+            if (data) {
+                objectStore.put(mergeStoredValue(data, encodedUpdates));
+            }
+        };
+
+        transaction.oncomplete = () => {
+            console.log('IndexedDB: 操作破棄完了', recordId);
+            resolve();
+        };
+
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: 操作破棄エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * データに添付ファイルを追加
+ * 1つのトランザクションでまとめて保存する（途中で失敗した場合はすべて取り消される）
+ * @param {number} recordId - 紐付けるデータのID
+ * @param {Array<Object>} attachments - 添付ファイル {name, type, size, blob, thumbnail}
+ * @returns {Promise<Array<number>>} 追加された添付ファイルのID
+ */
+async function addAttachments(recordId, attachments) {
+    const database = await openDatabase();
+    const records = await Promise.all(attachments.map(attachment =>
+        encodeStoredValue(ATTACHMENTS_STORE_NAME, {
+            ...attachment,
+            uuid: generateUUID(),
+            recordId,
+            uploadStatus: 'pending',
+            uploadedBytes: 0,
+            serverAttachmentId: null,
+            errorMessage: null,
+            createdAt: new Date().toISOString()
+        })
+    ));
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([ATTACHMENTS_STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(ATTACHMENTS_STORE_NAME);
+        const ids = [];
+
+        records.forEach(record => {
+            const request = objectStore.add(record);
+
+            request.onsuccess = (event) => {
+                ids.push(event.target.result);
+            };
+        });
+
+        transaction.oncomplete = () => {
+            console.log('IndexedDB: 添付ファイル追加成功', ids);
+            resolve(ids);
+        };
+
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: 添付ファイル追加エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 複数のデータに紐付く添付ファイルを取得
+ * @param {Array<number>} recordIds - データのID
+ * @returns {Promise<Map<number, Array>>} データのID → 添付ファイルの配列
+ */
+async function getAttachmentsByRecords(recordIds) {
+    const database = await openDatabase();
+
+    const attachmentsByRecord = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([ATTACHMENTS_STORE_NAME], 'readonly');
+        const index = transaction.objectStore(ATTACHMENTS_STORE_NAME).index('recordId');
+        const attachmentsByRecord = new Map();
+
+        recordIds.forEach(recordId => {
+            index.getAll(recordId).onsuccess = (event) => {
+                attachmentsByRecord.set(recordId, event.target.result);
+            };
+        });
+
+        transaction.oncomplete = () => {
+            resolve(attachmentsByRecord);
+        };
+
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: 添付ファイル取得エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+
+    for (const [recordId, attachments] of attachmentsByRecord) {
+        attachmentsByRecord.set(recordId, await decodeStoredValues(attachments));
+    }
+    return attachmentsByRecord;
+}
+
+/**
+ * 特定のアップロード状態の添付ファイルを取得
+ * @param {string} status - アップロード状態 ('pending', 'uploaded', 'failed')
+ * @returns {Promise<Array>} 添付ファイルの配列
+ */
+async function getAttachmentsByStatus(status) {
+    const database = await openDatabase();
+
+    const attachments = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([ATTACHMENTS_STORE_NAME], 'readonly');
+        const objectStore = transaction.objectStore(ATTACHMENTS_STORE_NAME);
+        const request = objectStore.index('uploadStatus').getAll(status);
+
+        request.onsuccess = (event) => {
+            resolve(event.target.result);
+        };
+
+        request.onerror = (event) => {
+            console.error('IndexedDB: 添付ファイル取得エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+
+    return decodeStoredValues(attachments);
+}
+
+/**
+ * 添付ファイルを更新
+ * @param {number} id - 添付ファイルのID
+ * @param {Object} updates - 更新内容
+ * @returns {Promise<void>}
+ */
+async function updateAttachment(id, updates) {
+    const database = await openDatabase();
+    const encodedUpdates = await encodeStoredValue(ATTACHMENTS_STORE_NAME, updates);
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([ATTACHMENTS_STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(ATTACHMENTS_STORE_NAME);
+        const getRequest = objectStore.get(id);
+
+        getRequest.onsuccess = (event) => {
+            const attachment = event.target.result;
+
+            if (!attachment) {
+                reject(new Error(t('attachments.notFound')));
+                return;
+            }
+
+            objectStore.put(mergeStoredValue(attachment, encodedUpdates));
+        };
+
+        transaction.oncomplete = () => {
+            resolve();
+        };
+
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: 添付ファイル更新エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * データに紐付く添付ファイルをすべて削除
+ * @param {number} recordId - データのID
+ * @returns {Promise<void>}
+ */
+async function deleteAttachmentsByRecord(recordId) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([ATTACHMENTS_STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(ATTACHMENTS_STORE_NAME);
+        const request = objectStore.index('recordId').openKeyCursor(IDBKeyRange.only(recordId));
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                objectStore.delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+
+        transaction.oncomplete = () => {
+            console.log('IndexedDB: 添付ファイル削除成功', recordId);
+            resolve();
+        };
+
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: 添付ファイル削除エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 同期済みで記録日時がbeforeより前のデータを、添付ファイルとともに削除
+ * syncStatus_timestampインデックスで対象を絞り込み、平文のメタデータのみで判定するためロック中でも実行できる。
+ * 未送信の操作または未送信の添付ファイルがあるデータは残す
+ * @param {string} before - 記録日時の基準（ISO 8601文字列）
+ * @param {Array<number>} keepIds - 削除しないデータのID（編集中のデータ等）
+ * @returns {Promise<number>} 削除した件数
+ */
+async function pruneSyncedRecords(before, keepIds = []) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_NAME, OPERATIONS_STORE_NAME, ATTACHMENTS_STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(STORE_NAME);
+        const operationStore = transaction.objectStore(OPERATIONS_STORE_NAME);
+        const attachmentStore = transaction.objectStore(ATTACHMENTS_STORE_NAME);
+        const range = IDBKeyRange.bound(['synced', ''], ['synced', before], false, true);
+        let deleted = 0;
+
+        objectStore.index('syncStatus_timestamp').openKeyCursor(range).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                return;
+            }
+
+            const id = cursor.primaryKey;
+            if (keepIds.includes(id)) {
+                cursor.continue();
+                return;
+            }
+
+            operationStore.index('recordId').count(IDBKeyRange.only(id)).onsuccess = (countEvent) => {
+                if (countEvent.target.result > 0) {
+                    cursor.continue();
+                    return;
+                }
+
+                attachmentStore.index('recordId').getAll(IDBKeyRange.only(id)).onsuccess = (attachmentEvent) => {
+                    const attachments = attachmentEvent.target.result;
+                    if (attachments.some(attachment => attachment.uploadStatus !== 'uploaded')) {
+                        cursor.continue();
+                        return;
+                    }
+
+                    attachments.forEach(attachment => attachmentStore.delete(attachment.id));
+                    objectStore.delete(id);
+                    deleted++;
+                    cursor.continue();
+                };
+            };
+        };
+
+        transaction.oncomplete = () => {
+            console.log('IndexedDB: 同期済みデータを削除', deleted, '件');
+            resolve(deleted);
+        };
+
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: 同期済みデータ削除エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 同期状態を取得
+ * @param {string} key - 状態のキー（例: 'pullCursor'）
+ * @returns {Promise<*>} 保存されている値（未保存の場合はnull）
+ */
+async function getSyncState(key) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([SYNC_STATE_STORE_NAME], 'readonly');
+        const objectStore = transaction.objectStore(SYNC_STATE_STORE_NAME);
+        const request = objectStore.get(key);
+
+        request.onsuccess = (event) => {
+            const entry = event.target.result;
+            resolve(entry ? entry.value : null);
+        };
+
+        request.onerror = (event) => {
+            console.error('IndexedDB: 同期状態取得エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 同期状態を保存
+ * @param {string} key - 状態のキー
+ * @param {*} value - 保存する値
+ * @returns {Promise<void>}
+ */
+async function setSyncState(key, value) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([SYNC_STATE_STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(SYNC_STATE_STORE_NAME);
+        const request = objectStore.put({ key, value });
+
+        request.onsuccess = () => {
+            resolve();
+        };
+
+        request.onerror = (event) => {
+            console.error('IndexedDB: 同期状態保存エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 下書きを保存
+ * @param {Object} draft - 下書き {id?, name, values, schemaVersion, active, createdAt, updatedAt}（idがある場合は上書き）
+ * @returns {Promise<number>} 下書きのID
+ */
+async function saveDraft(draft) {
+    const database = await openDatabase();
+    const record = await encodeStoredValue(DRAFTS_STORE_NAME, draft);
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([DRAFTS_STORE_NAME], 'readwrite');
+        const request = transaction.objectStore(DRAFTS_STORE_NAME).put(record);
+
+        request.onsuccess = (event) => {
+            resolve(event.target.result);
+        };
+
+        request.onerror = (event) => {
+            console.error('IndexedDB: 下書き保存エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 下書きを取得
+ * @param {number} id - 下書きのID
+ * @returns {Promise<Object|undefined>} 下書き
+ */
+async function getDraft(id) {
+    const database = await openDatabase();
+
+    const draft = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([DRAFTS_STORE_NAME], 'readonly');
+        const request = transaction.objectStore(DRAFTS_STORE_NAME).get(id);
+
+        request.onsuccess = (event) => {
+            resolve(event.target.result);
+        };
+
+        request.onerror = (event) => {
+            console.error('IndexedDB: 下書き取得エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+
+    return decodeStoredValue(draft);
+}
+
+/**
+ * すべての下書きを取得（更新日時の新しい順）
+ * @returns {Promise<Array<Object>>} 下書き
+ */
+async function getDrafts() {
+    const database = await openDatabase();
+
+    const drafts = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([DRAFTS_STORE_NAME], 'readonly');
+        const request = transaction.objectStore(DRAFTS_STORE_NAME).index('updatedAt').getAll();
+
+        request.onsuccess = (event) => {
+            resolve(event.target.result.reverse());
+        };
+
+        request.onerror = (event) => {
+            console.error('IndexedDB: 下書き取得エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+
+    return decodeStoredValues(drafts);
+}
+
+/**
+ * 下書きを削除
+ * @param {number} id - 下書きのID
+ * @returns {Promise<void>}
+ */
+async function deleteDraft(id) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([DRAFTS_STORE_NAME], 'readwrite');
+        const request = transaction.objectStore(DRAFTS_STORE_NAME).delete(id);
+
+        request.onsuccess = () => {
+            console.log('IndexedDB: 下書き削除成功', id);
+            resolve();
+        };
+
+        request.onerror = (event) => {
+            console.error('IndexedDB: 下書き削除エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 同期履歴（同期の実行・送信の試行）を保存
+ * 入力内容は含まないメタデータのみのため暗号化しない
+ * @param {Object} entry - 履歴（idがある場合は上書き）
+ * @returns {Promise<number>} 履歴のID
+ */
+async function putSyncHistory(entry) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([SYNC_HISTORY_STORE_NAME], 'readwrite');
+        const request = transaction.objectStore(SYNC_HISTORY_STORE_NAME).put(entry);
+
+        request.onsuccess = (event) => {
+            resolve(event.target.result);
+        };
+
+        request.onerror = (event) => {
+            console.error('IndexedDB: 同期履歴保存エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 最近の同期の実行を取得（新しい順）
+ * @param {number} limit - 最大件数
+ * @returns {Promise<Array<Object>>} 同期の実行
+ */
+async function getSyncRuns(limit) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([SYNC_HISTORY_STORE_NAME], 'readonly');
+        const index = transaction.objectStore(SYNC_HISTORY_STORE_NAME).index('kind_startedAt');
+        const request = index.openCursor(IDBKeyRange.bound(['run', ''], ['run', '\uffff']), 'prev');
+        const runs = [];
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor && runs.length < limit) {
+                runs.push(cursor.value);
+                cursor.continue();
+            }
+        };
+
+        transaction.oncomplete = () => {
+            resolve(runs);
+        };
+
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: 同期履歴取得エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * データまたは同期の実行ごとの送信の試行を取得（古い順）
+ * @param {string} indexName - 'recordId' | 'runId'
+ * @param {number|string} key - データのIDまたは同期の実行のID
+ * @returns {Promise<Array<Object>>} 送信の試行
+ */
+async function getSyncAttempts(indexName, key) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([SYNC_HISTORY_STORE_NAME], 'readonly');
+        const request = transaction.objectStore(SYNC_HISTORY_STORE_NAME).index(indexName).getAll(key);
+
+        request.onsuccess = (event) => {
+            const attempts = event.target.result.filter(entry => entry.kind === 'attempt');
+            resolve(attempts.sort((a, b) => a.id - b.id));
+        };
+
+        request.onerror = (event) => {
+            console.error('IndexedDB: 同期履歴取得エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 古い同期履歴を削除して件数を上限以下にする
+ * @param {number} maxEntries - 残す件数
+ * @returns {Promise<number>} 削除した件数
+ */
+async function pruneSyncHistory(maxEntries) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([SYNC_HISTORY_STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(SYNC_HISTORY_STORE_NAME);
+        let deleted = 0;
+
+        objectStore.count().onsuccess = (event) => {
+            const excess = event.target.result - maxEntries;
+            if (excess <= 0) {
+                return;
+            }
+
+            // IDは自動採番のため、IDの小さい順が古い順
+            objectStore.openKeyCursor().onsuccess = (cursorEvent) => {
+                const cursor = cursorEvent.target.result;
+                if (cursor && deleted < excess) {
+                    objectStore.delete(cursor.primaryKey);
+                    deleted++;
+                    cursor.continue();
+                }
+            };
+        };
+
+        transaction.oncomplete = () => {
+            if (deleted > 0) {
+                console.log('IndexedDB: 古い同期履歴を削除', deleted, '件');
+            }
+            resolve(deleted);
+        };
+
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: 同期履歴削除エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 未同期データ数を取得
+ * 未送信の新規データと、未送信の更新・削除操作、未送信の添付ファイルの合計
+ * 平文のメタデータ（同期ステータス等）のみで数えるため、ロック中でも取得できる
+ * @returns {Promise<number>} 未同期データの件数
+ */
+async function getPendingCount() {
+    const database = await openDatabase();
+    const storeNames = [STORE_NAME, OPERATIONS_STORE_NAME, ATTACHMENTS_STORE_NAME];
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, 'readonly');
+        let count = 0;
+
+        transaction.objectStore(STORE_NAME).index('syncStatus').count('pending').onsuccess = (event) => {
+            count += event.target.result;
+        };
+        transaction.objectStore(OPERATIONS_STORE_NAME).getAll().onsuccess = (event) => {
+            count += event.target.result.filter(op => op.status !== 'failed').length;
+        };
+        transaction.objectStore(ATTACHMENTS_STORE_NAME).index('uploadStatus').count('pending').onsuccess = (event) => {
+            count += event.target.result;
+        };
+
+        transaction.oncomplete = () => {
+            resolve(count);
+        };
+
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: 未同期データ数取得エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 暗号化の対象のストアを全件書き換える（暗号化の有効化・パスフレーズの変更用）
+ * 変換（暗号化・復号）は非同期のためトランザクションの外で行い、保存時に読み込んだ時点から
+ * 変更されていないことを確認する。変換中に他のタブ等で追加・更新・削除されたデータがある場合は
+ * 保存せずに読み込み直し、変更されたデータだけを変換し直す
+ * 変換結果と同期状態は1つのトランザクションで保存する（途中で失敗した場合は何も書き換えない）
+ * @param {Function} transform - async (storeName, value) => 保存する値
+ * @param {string} stateKey - 同時に保存する同期状態のキー
+ * @param {*} stateValue - 保存する値
+ * @returns {Promise<void>}
+ */
+async function rewriteStoredValues(transform, stateKey, stateValue) {
+    const database = await openDatabase();
+    const storeNames = [STORE_NAME, OPERATIONS_STORE_NAME, ATTACHMENTS_STORE_NAME, DRAFTS_STORE_NAME];
+
+    // ストア名 → (キー → {original: 読み込んだ値, value: 変換結果})
+    const rewritten = Object.fromEntries(storeNames.map(storeName => [storeName, new Map()]));
+
+    for (let attempt = 1; attempt <= REWRITE_MAX_ATTEMPTS; attempt++) {
+        const storedEntries = await readStoredEntries(database, storeNames);
+
+        for (const storeName of storeNames) {
+            const entries = rewritten[storeName];
+            const keys = new Set();
+
+            for (const { key, value } of storedEntries[storeName]) {
+                keys.add(key);
+                const entry = entries.get(key);
+                if (!entry || !isSameStoredValue(entry.original, value)) {
+                    entries.set(key, { original: value, value: await transform(storeName, value) });
+                }
+            }
+
+            // 変換中に削除されたデータは書き戻さない
+            [...entries.keys()].filter(key => !keys.has(key)).forEach(key => entries.delete(key));
+        }
+
+        if (await writeRewrittenValues(database, rewritten, stateKey, stateValue)) {
+            console.log('IndexedDB: 全件書き換え完了');
+            return;
+        }
+        console.log(`IndexedDB: 書き換え中に変更されたデータを変換し直します (${attempt}/${REWRITE_MAX_ATTEMPTS})`);
+    }
+
+    throw new Error(t('db.rewriteConflict'));
+}
+
+/**
+ * ストアの全件をキーとともに読み込む（1つのトランザクションで読み込み、ストア間で一貫させる）
+ * @param {IDBDatabase} database - データベース
+ * @param {Array<string>} storeNames - ストア名
+ * @returns {Promise<Object<string, Array<{key: *, value: Object}>>>}
+ */
+function readStoredEntries(database, storeNames) {
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, 'readonly');
+        const entries = {};
+
+        storeNames.forEach(storeName => {
+            const objectStore = transaction.objectStore(storeName);
+            const keysRequest = objectStore.getAllKeys();
+            const valuesRequest = objectStore.getAll();
+
+            valuesRequest.onsuccess = () => {
+                entries[storeName] = valuesRequest.result.map((value, index) => ({ key: keysRequest.result[index], value }));
+            };
+        });
+
+        transaction.oncomplete = () => {
+            resolve(entries);
+        };
+
+        transaction.onerror = (event) => {
+            console.error('IndexedDB: データ取得エラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 変換結果を保存（読み込んだ時点から件数・内容が変わっていない場合のみ）
+ * 変わっていた場合はトランザクションを中止し、何も書き換えない
+ * @param {IDBDatabase} database - データベース
+ * @param {Object<string, Map>} rewritten - rewriteStoredValuesの変換結果
+ * @param {string} stateKey - 同時に保存する同期状態のキー
+ * @param {*} stateValue - 保存する値
+ * @returns {Promise<boolean>} 保存した場合true
+ */
+function writeRewrittenValues(database, rewritten, stateKey, stateValue) {
+    const storeNames = Object.keys(rewritten);
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([...storeNames, SYNC_STATE_STORE_NAME], 'readwrite');
+        let changed = false;
+
+        const abortAsChanged = () => {
+            if (!changed) {
+                changed = true;
+                transaction.abort();
+            }
+        };
+
+        storeNames.forEach(storeName => {
+            const objectStore = transaction.objectStore(storeName);
+            const entries = rewritten[storeName];
+
+            // 追加されたデータ（件数の違い）・更新または削除されたデータがあれば中止
+            objectStore.count().onsuccess = (event) => {
+                if (event.target.result !== entries.size) {
+                    abortAsChanged();
+                }
+            };
+
+            entries.forEach(({ original, value }, key) => {
+                objectStore.get(key).onsuccess = (event) => {
+                    if (changed) {
+                        return;
+                    }
+                    if (!isSameStoredValue(original, event.target.result)) {
+                        abortAsChanged();
+                        return;
+                    }
+                    objectStore.put(value);
+                };
+            });
+        });
+        transaction.objectStore(SYNC_STATE_STORE_NAME).put({ key: stateKey, value: stateValue });
+
+        transaction.oncomplete = () => {
+            resolve(true);
+        };
+
+        transaction.onabort = (event) => {
+            if (changed) {
+                resolve(false);
+                return;
+            }
+            console.error('IndexedDB: 全件書き換えエラー', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * 保存されている値が同じかどうか（rewriteStoredValuesの変更の検出用）
+ * Blobは内容を同期的に比較できないため、種類とサイズで比較する（保存済みのBlobは書き換えない）
+ * @param {*} a - 値
+ * @param {*} b - 値
+ * @returns {boolean}
+ */
+function isSameStoredValue(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+
+    if (typeof Blob !== 'undefined' && (a instanceof Blob || b instanceof Blob)) {
+        return a instanceof Blob && b instanceof Blob && a.type === b.type && a.size === b.size;
+    }
+
+    if (a instanceof ArrayBuffer || ArrayBuffer.isView(a)) {
+        const bytesA = new Uint8Array(ArrayBuffer.isView(a) ? a.buffer.slice(a.byteOffset, a.byteOffset + a.byteLength) : a);
+        const bytesB = (b instanceof ArrayBuffer || ArrayBuffer.isView(b))
+            ? new Uint8Array(ArrayBuffer.isView(b) ? b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength) : b)
+            : null;
+        return Boolean(bytesB) && bytesA.length === bytesB.length && bytesA.every((byte, index) => byte === bytesB[index]);
+    }
+
+    if (a instanceof Date || b instanceof Date) {
+        return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    }
+
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => key in b && isSameStoredValue(a[key], b[key]));
+}
+
+/**
+ * データベースを初期化（開発/テスト用）
+ * @returns {Promise<void>}
+ */
+async function clearDatabase() {
+    const database = await openDatabase();
+
+    // データ・操作ログ・添付ファイル・同期状態（差分取得カーソル）・同期履歴・下書きをまとめてクリア
+    const storeNames = [
+        STORE_NAME, OPERATIONS_STORE_NAME, ATTACHMENTS_STORE_NAME, SYNC_STATE_STORE_NAME, SYNC_HISTORY_STORE_NAME,
+        DRAFTS_STORE_NAME
+    ];
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, 'readwrite');
+        storeNames.forEach(storeName => transaction.objectStore(storeName).clear());
+
+        transaction.oncomplete = () => {
+            console.log('IndexedDB: データベースクリア完了');
+            // 暗号化の設定も削除されたため、キャッシュと鍵を破棄する
+            resetEncryptionState();
+            resolve();
+        };
+
+        transaction.onerror = (event) => {
             console.error('IndexedDB: データベースクリアエラー', event.target.error);
             reject(event.target.error);
         };
     });
 }
 
-// 初期化: ページ読み込み時にデータベースを開く
+// 初期化: ページ読み込み時にデータベースを開く（未ログインの場合はログイン後に開く）
 openDatabase().catch(error => {
-    console.error('IndexedDB: 初期化エラー', error);
+    if (!isAuthenticationError(error)) {
+        console.error('IndexedDB: 初期化エラー', error);
+    }
 });
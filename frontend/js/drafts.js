@@ -0,0 +1,55 @@
+/**
+ * 下書きモジュール
+ * 入力途中のフォームの内容を下書きとして扱うための表示用の処理（ページ専用）
+ * 保存はdb.jsのsaveDraft、自動保存のタイミングはapp.jsで制御する
+ */
+
+// 入力が止まってから下書きを自動保存するまでの待ち時間（ミリ秒）
+const DRAFT_AUTOSAVE_DELAY = 1000;
+
+/**
+ * 下書きとして保存する入力があるかどうか（未入力・未チェックのみの場合は保存しない）
+ * @param {Object} values - collectFormValuesの戻り値
+ * @returns {boolean}
+ */
+function hasDraftContent(values) {
+    return Object.values(values).some(value => value !== null && value !== false);
+}
+
+/**
+ * 下書きの表示名（名前を付けていない場合はタイトル）
+ * @param {Object} draft - 下書き
+ * @returns {string}
+ */
+function getDraftLabel(draft) {
+    return draft.name || (draft.values && draft.values.title) || t('drafts.untitled');
+}
+
+/**
+ * 下書き一覧のHTMLを生成
+ * @param {Array<Object>} drafts - 下書き（更新日時の新しい順）
+ * @param {number|null} currentDraftId - フォームで入力中の下書きのID
+ * @returns {string} HTML文字列
+ */
+function createDraftListHtml(drafts, currentDraftId) {
+    const items = drafts.map(draft => {
+        const current = draft.id === currentDraftId;
+        return `
+            <li class="draft-item ${current ? 'current' : ''}">
+                <div>
+                    <div class="draft-name">${escapeHtml(getDraftLabel(draft))}${current ? ` <span class="draft-badge">${t('drafts.current')}</span>` : ''}</div>
+                    <div class="draft-updated">${formatDateTime(draft.updatedAt)}</div>
+                </div>
+                <div class="draft-actions">
+                    ${current ? '' : `<button type="button" class="btn-small" data-action="draft-open" data-id="${draft.id}">${t('drafts.open')}</button>`}
+                    <button type="button" class="btn-small btn-danger" data-action="draft-delete" data-id="${draft.id}">${t('common.delete')}</button>
+                </div>
+            </li>
+        `;
+    }).join('');
+
+    return `
+        <h3>${t('drafts.heading', { count: drafts.length })}</h3>
+        <ul>${items}</ul>
+    `;
+}
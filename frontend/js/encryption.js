@@ -0,0 +1,495 @@
+/**
+ * 保存データの暗号化モジュール
+ * ユーザーのパスフレーズからPBKDF2で導出した鍵で、IndexedDBに保存する内容をAES-GCMで暗号化する
+ * ページ・Service Worker・Web Workerで共通（鍵は各コンテキストのメモリにのみ保持し、保存しない）
+ *
+ * 同期ステータス・記録日時等のメタデータは平文のまま保存してインデックスに使い、
+ * それ以外のフィールド（入力内容・位置情報・添付ファイル等）は1項目ずつ暗号化して
+ * encryptedプロパティにまとめる
+ */
+
+// 暗号化の設定（ソルト・反復回数・確認用データ）を保存する同期状態のキー
+const ENCRYPTION_STATE_KEY = 'encryption';
+
+// PBKDF2の反復回数（SHA-256）
+const PBKDF2_ITERATIONS = 310000;
+
+// パスフレーズの最小文字数
+const PASSPHRASE_MIN_LENGTH = 8;
+
+// パスフレーズの確認用の平文（暗号化して設定に保存し、復号できれば正しいパスフレーズ）
+const ENCRYPTION_VERIFIER_TEXT = 'pwa-offline-collector';
+
+// 他のコンテキストに鍵を問い合わせる際の待ち時間
+const ENCRYPTION_KEY_REQUEST_TIMEOUT = 1000;
+
+// 平文のまま保存するフィールド（ストアごと）。ここにないフィールドはすべて暗号化する
+const PLAINTEXT_FIELDS = {
+    [STORE_NAME]: [
+        'id', 'uuid', 'syncStatus', 'timestamp', 'attempts', 'lastAttemptAt', 'nextAttemptAt',
+        'errorMessage', 'serverId', 'serverRevision', 'serverUpdatedAt', 'localRevision',
+        'deletedAt', 'schemaVersion', 'ownerId'
+    ],
+    [OPERATIONS_STORE_NAME]: [
+        'opId', 'recordId', 'type', 'serverId', 'uuid', 'status', 'attempts',
+        'lastAttemptAt', 'nextAttemptAt', 'errorMessage', 'createdAt'
+    ],
+    [ATTACHMENTS_STORE_NAME]: [
+        'id', 'uuid', 'recordId', 'type', 'size', 'uploadStatus', 'uploadedBytes',
+        'serverAttachmentId', 'errorMessage', 'createdAt'
+    ],
+    [DRAFTS_STORE_NAME]: [
+        'id', 'active', 'schemaVersion', 'createdAt', 'updatedAt'
+    ]
+};
+
+// ロック解除中の鍵（ロック中はnull）
+let encryptionKey = null;
+
+// 暗号化の設定のキャッシュ（undefined: 未読み込み、null: 暗号化しない）
+let encryptionConfig;
+
+// 鍵・設定の変更を他のタブ・Service Worker・Web Workerに通知するチャネル
+const encryptionChannel = typeof BroadcastChannel === 'function'
+    ? new BroadcastChannel('pwa-offline-collector-encryption')
+    : null;
+
+if (encryptionChannel) {
+    encryptionChannel.onmessage = (event) => {
+        const message = event.data;
+
+        if (message.type === 'config-changed') {
+            encryptionConfig = undefined;
+            encryptionKey = message.key;
+            if (typeof handleEncryptionConfigChanged === 'function') {
+                handleEncryptionConfigChanged();
+            }
+        } else if (message.type === 'unlocked') {
+            encryptionKey = message.key;
+            if (typeof handleEncryptionUnlocked === 'function') {
+                handleEncryptionUnlocked();
+            }
+        } else if (message.type === 'locked') {
+            encryptionKey = null;
+            if (typeof handleEncryptionLocked === 'function') {
+                handleEncryptionLocked();
+            }
+        } else if (message.type === 'key-request' && encryptionKey) {
+            encryptionChannel.postMessage({ type: 'unlocked', key: encryptionKey });
+        }
+    };
+}
+
+/**
+ * 他のコンテキストに通知
+ * @param {Object} message - 通知内容
+ */
+function broadcastEncryptionChange(message) {
+    if (encryptionChannel) {
+        encryptionChannel.postMessage(message);
+    }
+}
+
+/**
+ * 暗号化の設定を取得
+ * @returns {Promise<Object|null>} 設定（暗号化しない場合はnull）
+ */
+async function getEncryptionConfig() {
+    if (encryptionConfig === undefined) {
+        encryptionConfig = await getSyncState(ENCRYPTION_STATE_KEY);
+    }
+    return encryptionConfig;
+}
+
+/**
+ * 暗号化が有効かどうか
+ * @returns {Promise<boolean>}
+ */
+async function isEncryptionEnabled() {
+    return Boolean(await getEncryptionConfig());
+}
+
+/**
+ * ロック解除中（鍵を保持している）かどうか
+ * @returns {boolean}
+ */
+function isEncryptionUnlocked() {
+    return encryptionKey !== null;
+}
+
+/**
+ * 暗号化が有効な場合に鍵を用意する
+ * 鍵がなければ他のコンテキスト（ロック解除中のタブ）に問い合わせる
+ * @returns {Promise<boolean>} 読み書きできる場合はtrue（ロック中はfalse）
+ */
+async function ensureEncryptionUnlocked() {
+    if (encryptionKey || !(await isEncryptionEnabled())) {
+        return true;
+    }
+    if (!encryptionChannel) {
+        return false;
+    }
+
+    return new Promise((resolve) => {
+        const onMessage = (event) => {
+            if (event.data.type === 'unlocked') {
+                finish();
+            }
+        };
+        const finish = () => {
+            clearTimeout(timer);
+            encryptionChannel.removeEventListener('message', onMessage);
+            resolve(encryptionKey !== null);
+        };
+        const timer = setTimeout(finish, ENCRYPTION_KEY_REQUEST_TIMEOUT);
+
+        encryptionChannel.addEventListener('message', onMessage);
+        encryptionChannel.postMessage({ type: 'key-request' });
+    });
+}
+
+/**
+ * ロック中の読み書きで投げるエラーを作成
+ * @returns {Error} nameがEncryptionLockedErrorのエラー
+ */
+function createEncryptionLockedError() {
+    const error = new Error(t('encryption.locked'));
+    error.name = 'EncryptionLockedError';
+    return error;
+}
+
+/**
+ * パスフレーズから鍵を導出
+ * @param {string} passphrase - パスフレーズ
+ * @param {Uint8Array} salt - ソルト
+ * @param {number} iterations - 反復回数
+ * @returns {Promise<CryptoKey>} AES-GCM（256ビット）の鍵（取り出し不可）
+ */
+async function deriveEncryptionKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * バイト列を暗号化
+ * @param {CryptoKey} key - 鍵
+ * @param {BufferSource} bytes - 平文
+ * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>} IV（毎回ランダム）と暗号文
+ */
+async function encryptBytes(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv, data };
+}
+
+/**
+ * バイト列を復号（鍵が異なる・改ざんされている場合はOperationError）
+ * @param {CryptoKey} key - 鍵
+ * @param {{iv: Uint8Array, data: ArrayBuffer}} entry - 暗号化したデータ
+ * @returns {Promise<ArrayBuffer>} 平文
+ */
+function decryptBytes(key, entry) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: entry.iv }, key, entry.data);
+}
+
+/**
+ * フィールドの値を暗号化（Blobはバイト列のまま、それ以外はJSONにして暗号化）
+ * @param {CryptoKey} key - 鍵
+ * @param {*} value - 値
+ * @returns {Promise<Object>} 暗号化したデータ（Blobの場合はblobTypeを含む）
+ */
+async function encryptFieldValue(key, value) {
+    if (value instanceof Blob) {
+        const entry = await encryptBytes(key, await value.arrayBuffer());
+        return { ...entry, blobType: value.type };
+    }
+
+    const json = JSON.stringify(value === undefined ? null : value);
+    return encryptBytes(key, new TextEncoder().encode(json));
+}
+
+/**
+ * フィールドの値を復号
+ * @param {CryptoKey} key - 鍵
+ * @param {Object} entry - 暗号化したデータ
+ * @returns {Promise<*>} 値
+ */
+async function decryptFieldValue(key, entry) {
+    const bytes = await decryptBytes(key, entry);
+
+    if ('blobType' in entry) {
+        return new Blob([bytes], { type: entry.blobType });
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * 保存する値の平文のフィールド以外を暗号化
+ * 既にencryptedを持つ値（保存済みの値に変更を加えたもの）は、暗号化したフィールドを上書きする
+ * @param {string} storeName - ストア名
+ * @param {Object} value - 保存する値（更新内容のみでもよい）
+ * @param {CryptoKey} key - 鍵
+ * @returns {Promise<Object>} 保存する値
+ */
+async function encryptValue(storeName, value, key) {
+    const plaintextFields = PLAINTEXT_FIELDS[storeName];
+    const { encrypted: existing, ...fields } = value;
+    const result = {};
+    const encrypted = { ...existing };
+
+    for (const [field, fieldValue] of Object.entries(fields)) {
+        if (plaintextFields.includes(field)) {
+            result[field] = fieldValue;
+        } else {
+            encrypted[field] = await encryptFieldValue(key, fieldValue);
+        }
+    }
+
+    if (Object.keys(encrypted).length > 0) {
+        result.encrypted = encrypted;
+    }
+    return result;
+}
+
+/**
+ * 保存されている値を復号
+ * @param {Object} value - 保存されている値
+ * @param {CryptoKey} key - 鍵
+ * @returns {Promise<Object>} 平文の値
+ */
+async function decryptValue(value, key) {
+    const { encrypted, ...result } = value;
+
+    for (const [field, entry] of Object.entries(encrypted)) {
+        result[field] = await decryptFieldValue(key, entry);
+    }
+    return result;
+}
+
+/**
+ * 保存前の値を変換（暗号化が有効な場合のみ暗号化する）
+ * @param {string} storeName - ストア名
+ * @param {Object|null|undefined} value - 保存する値または更新内容
+ * @returns {Promise<Object|null|undefined>} 保存する値
+ */
+async function encodeStoredValue(storeName, value) {
+    if (!value || !(await isEncryptionEnabled())) {
+        return value;
+    }
+    if (!encryptionKey) {
+        throw createEncryptionLockedError();
+    }
+    return encryptValue(storeName, value, encryptionKey);
+}
+
+/**
+ * 読み込んだ値を変換（暗号化されている場合のみ復号する）
+ * @param {Object|undefined} value - 保存されている値
+ * @returns {Promise<Object|undefined>} 平文の値
+ */
+async function decodeStoredValue(value) {
+    if (!value || !value.encrypted) {
+        return value;
+    }
+    if (!encryptionKey) {
+        throw createEncryptionLockedError();
+    }
+    return decryptValue(value, encryptionKey);
+}
+
+/**
+ * 読み込んだ値の配列を変換
+ * @param {Array<Object>} values - 保存されている値
+ * @returns {Promise<Array<Object>>} 平文の値
+ */
+function decodeStoredValues(values) {
+    return Promise.all(values.map(decodeStoredValue));
+}
+
+/**
+ * 保存されている値に変換済みの更新内容を適用
+ * 暗号化したフィールドはencryptedの中で項目ごとに上書きする
+ * @param {Object} stored - 保存されている値
+ * @param {Object|null|undefined} updates - encodeStoredValueで変換した更新内容
+ * @returns {Object} 保存する値
+ */
+function mergeStoredValue(stored, updates) {
+    const merged = { ...stored, ...updates };
+    if (stored.encrypted && updates && updates.encrypted) {
+        merged.encrypted = { ...stored.encrypted, ...updates.encrypted };
+    }
+    return merged;
+}
+
+/**
+ * パスフレーズの形式を確認
+ * @param {string} passphrase - パスフレーズ
+ */
+function validatePassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < PASSPHRASE_MIN_LENGTH) {
+        throw new Error(t('encryption.passphraseTooShort', { min: PASSPHRASE_MIN_LENGTH }));
+    }
+}
+
+/**
+ * 新しいパスフレーズの鍵と設定を作成
+ * @param {string} passphrase - パスフレーズ
+ * @returns {Promise<{key: CryptoKey, config: Object}>}
+ */
+async function createEncryptionKey(passphrase) {
+    validatePassphrase(passphrase);
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveEncryptionKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const verifier = await encryptBytes(key, new TextEncoder().encode(ENCRYPTION_VERIFIER_TEXT));
+
+    return {
+        key,
+        config: {
+            algorithm: 'AES-GCM',
+            kdf: 'PBKDF2-SHA-256',
+            iterations: PBKDF2_ITERATIONS,
+            salt,
+            verifier,
+            updatedAt: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * 保存されている設定でパスフレーズを確認して鍵を導出
+ * @param {Object} config - 暗号化の設定
+ * @param {string} passphrase - パスフレーズ
+ * @returns {Promise<CryptoKey|null>} 鍵（パスフレーズが誤っている場合はnull）
+ */
+async function verifyPassphrase(config, passphrase) {
+    const key = await deriveEncryptionKey(passphrase, config.salt, config.iterations);
+
+    try {
+        const text = new TextDecoder().decode(await decryptBytes(key, config.verifier));
+        return text === ENCRYPTION_VERIFIER_TEXT ? key : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * パスフレーズでロックを解除（他のタブ・Service Workerにも鍵を渡す）
+ * @param {string} passphrase - パスフレーズ
+ * @returns {Promise<boolean>} 解除できた場合はtrue
+ */
+async function unlockEncryption(passphrase) {
+    const config = await getEncryptionConfig();
+    if (!config) {
+        return true;
+    }
+
+    const key = await verifyPassphrase(config, passphrase);
+    if (!key) {
+        return false;
+    }
+
+    encryptionKey = key;
+    broadcastEncryptionChange({ type: 'unlocked', key });
+    console.log('暗号化: ロック解除');
+    return true;
+}
+
+/**
+ * ロック（すべてのコンテキストの鍵を破棄）
+ */
+function lockEncryption() {
+    encryptionKey = null;
+    broadcastEncryptionChange({ type: 'locked' });
+    console.log('暗号化: ロック');
+}
+
+/**
+ * 保存済みのデータを新しい鍵で書き換えて設定を保存
+ * @param {CryptoKey|null} currentKey - 現在の鍵（暗号化していない場合はnull）
+ * @param {CryptoKey|null} newKey - 新しい鍵（暗号化を解除する場合はnull）
+ * @param {Object|null} config - 新しい設定（暗号化を解除する場合はnull）
+ * @returns {Promise<void>}
+ */
+async function reencryptStoredValues(currentKey, newKey, config) {
+    await rewriteStoredValues(async (storeName, value) => {
+        const plain = value.encrypted ? await decryptValue(value, currentKey) : value;
+        return newKey ? encryptValue(storeName, plain, newKey) : plain;
+    }, ENCRYPTION_STATE_KEY, config);
+
+    encryptionConfig = config;
+    encryptionKey = newKey;
+    broadcastEncryptionChange({ type: 'config-changed', key: newKey });
+}
+
+/**
+ * 暗号化を有効にして保存済みのデータを暗号化
+ * @param {string} passphrase - 新しいパスフレーズ
+ * @returns {Promise<void>}
+ */
+async function enableEncryption(passphrase) {
+    if (await isEncryptionEnabled()) {
+        throw new Error(t('encryption.alreadyEnabled'));
+    }
+
+    const { key, config } = await createEncryptionKey(passphrase);
+    await reencryptStoredValues(null, key, config);
+    console.log('暗号化: 有効化');
+}
+
+/**
+ * パスフレーズを変更して保存済みのデータを再暗号化
+ * @param {string} currentPassphrase - 現在のパスフレーズ
+ * @param {string} newPassphrase - 新しいパスフレーズ
+ * @returns {Promise<void>}
+ */
+async function changeEncryptionPassphrase(currentPassphrase, newPassphrase) {
+    const currentKey = await verifyPassphrase(await getEncryptionConfig(), currentPassphrase);
+    if (!currentKey) {
+        throw new Error(t('encryption.wrongCurrentPassphrase'));
+    }
+
+    const { key, config } = await createEncryptionKey(newPassphrase);
+    await reencryptStoredValues(currentKey, key, config);
+    console.log('暗号化: パスフレーズ変更');
+}
+
+/**
+ * 暗号化を解除して保存済みのデータを平文に戻す
+ * @param {string} passphrase - 現在のパスフレーズ
+ * @returns {Promise<void>}
+ */
+async function disableEncryption(passphrase) {
+    const currentKey = await verifyPassphrase(await getEncryptionConfig(), passphrase);
+    if (!currentKey) {
+        throw new Error(t('encryption.wrongPassphrase'));
+    }
+
+    await reencryptStoredValues(currentKey, null, null);
+    console.log('暗号化: 解除');
+}
+
+/**
+ * このコンテキストの設定のキャッシュと鍵を破棄（別のユーザーのデータベースに切り替える場合）
+ */
+function discardEncryptionState() {
+    encryptionConfig = undefined;
+    encryptionKey = null;
+}
+
+/**
+ * 設定のキャッシュと鍵を破棄し、他のコンテキストにも通知（データベースの初期化後）
+ */
+function resetEncryptionState() {
+    discardEncryptionState();
+    broadcastEncryptionChange({ type: 'config-changed', key: null });
+}
@@ -0,0 +1,129 @@
+/**
+ * エクスポート用Web Worker
+ * IndexedDBのデータを読み込んでCSV/JSONファイルを作成する（オフラインで動作）
+ * export.jsから起動される
+ *
+ * 受信メッセージ: {format: 'csv' | 'json', filters: Object, schema: Object, language: string}
+ * 送信メッセージ: {type: 'complete', blob: Blob, count: number} | {type: 'error', message: string}
+ */
+
+importScripts('./messages.js', './i18n.js', './schema.js', './auth.js', './encryption.js', './db.js');
+
+// フォームの入力値以外に出力する列（インポート時もこの列名で対応付ける）
+const EXPORT_META_COLUMNS = ['uuid', 'timestamp', 'sync_status', 'schema_version'];
+const EXPORT_LOCATION_COLUMNS = ['latitude', 'longitude', 'accuracy'];
+
+// Excelで数式として解釈される先頭文字（CSVインジェクション対策）
+const FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+self.addEventListener('message', async (event) => {
+    const { format, filters, schema, language } = event.data;
+
+    // エラーメッセージをページの表示言語にする
+    setLanguage(language);
+
+    try {
+        // 暗号化されている場合はロック解除中のページから鍵を受け取る
+        if (!(await ensureEncryptionUnlocked())) {
+            throw createEncryptionLockedError();
+        }
+
+        const { records } = await queryRecords({ filters, sort: 'oldest', limit: Infinity });
+        const columns = [
+            ...EXPORT_META_COLUMNS,
+            ...schema.fields.map(field => field.name),
+            ...EXPORT_LOCATION_COLUMNS
+        ];
+        const rows = records.map(record => toExportRow(record, columns));
+
+        const blob = format === 'json'
+            ? createJsonBlob(rows, schema)
+            : createCsvBlob(rows, columns);
+
+        self.postMessage({ type: 'complete', blob, count: rows.length });
+
+    } catch (error) {
+        console.error('エクスポートエラー:', error);
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
+
+/**
+ * データを出力用の行に変換
+ * @param {Object} record - IndexedDBのデータ
+ * @param {Array<string>} columns - 出力する列
+ * @returns {Object} 列名 → 値
+ */
+function toExportRow(record, columns) {
+    const location = record.captureContext && record.captureContext.location;
+    const values = {
+        ...record,
+        sync_status: record.syncStatus,
+        schema_version: record.schemaVersion ?? null,
+        latitude: location ? location.latitude : null,
+        longitude: location ? location.longitude : null,
+        accuracy: location ? location.accuracy : null
+    };
+
+    const row = {};
+    columns.forEach(column => {
+        row[column] = values[column] ?? null;
+    });
+    return row;
+}
+
+/**
+ * JSONファイルを作成
+ * @param {Array<Object>} rows - 出力する行
+ * @param {Object} schema - フォームスキーマ
+ * @returns {Blob}
+ */
+function createJsonBlob(rows, schema) {
+    const body = {
+        exported_at: new Date().toISOString(),
+        schema_version: schema.version,
+        count: rows.length,
+        data: rows
+    };
+
+    return new Blob([JSON.stringify(body, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * CSVファイルを作成
+ * Excelで日本語が文字化けしないようUTF-8のBOMを付け、改行はCRLFにする
+ * @param {Array<Object>} rows - 出力する行
+ * @param {Array<string>} columns - 出力する列
+ * @returns {Blob}
+ */
+function createCsvBlob(rows, columns) {
+    const lines = [
+        columns.map(formatCsvValue).join(','),
+        ...rows.map(row => columns.map(column => formatCsvValue(row[column])).join(','))
+    ];
+
+    return new Blob(['\uFEFF' + lines.join('\r\n') + '\r\n'], { type: 'text/csv;charset=utf-8' });
+}
+
+/**
+ * CSVの1セルの値を作成
+ * @param {*} value - 値
+ * @returns {string} エスケープ済みの値
+ */
+function formatCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = String(value);
+
+    // 文字列の先頭が数式の記号の場合は'を付けて文字列として扱わせる
+    if (typeof value === 'string' && FORMULA_PREFIXES.includes(text.charAt(0))) {
+        text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
@@ -0,0 +1,102 @@
+/**
+ * エクスポートモジュール
+ * Web Worker（export-worker.js）でファイルを作成し、ダウンロードまたは共有する（ページ専用）
+ */
+
+// エクスポート形式ごとの拡張子とMIMEタイプ
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', type: 'text/csv' },
+    json: { extension: 'json', type: 'application/json' }
+};
+
+/**
+ * エクスポートファイルを作成
+ * IndexedDBの読み込みとファイルの作成はWorkerで行い、画面の操作を妨げない
+ * @param {string} format - 'csv' | 'json'
+ * @param {Object} filters - 絞り込み条件（queryRecordsのfilters）
+ * @param {Object} schema - フォームスキーマ（出力する列）
+ * @returns {Promise<{file: File, count: number}>} 作成したファイルと件数
+ */
+function createExportFile(format, filters, schema) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker('js/export-worker.js');
+
+        worker.onmessage = (event) => {
+            worker.terminate();
+
+            if (event.data.type === 'error') {
+                reject(new Error(event.data.message));
+                return;
+            }
+
+            const { extension, type } = EXPORT_FORMATS[format];
+            const file = new File([event.data.blob], createExportFilename(extension), { type });
+            resolve({ file, count: event.data.count });
+        };
+
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message));
+        };
+
+        worker.postMessage({ format, filters, schema, language: getLanguage() });
+    });
+}
+
+/**
+ * エクスポートファイル名を作成（例: records-20251021-1530.csv）
+ * @param {string} extension - 拡張子
+ * @returns {string} ファイル名
+ */
+function createExportFilename(extension) {
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, '0');
+    const date = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`;
+    const time = `${pad(now.getHours())}${pad(now.getMinutes())}`;
+    return `records-${date}-${time}.${extension}`;
+}
+
+/**
+ * ファイルをダウンロード
+ * @param {File} file - ダウンロードするファイル
+ */
+function downloadFile(file) {
+    const url = URL.createObjectURL(file);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // ダウンロードの開始を待ってから解放する
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Web Share APIでファイルを共有できるかどうか
+ * @returns {boolean}
+ */
+function canShareFiles() {
+    if (!navigator.canShare) {
+        return false;
+    }
+    return navigator.canShare({ files: [new File([''], 'records.csv', { type: 'text/csv' })] });
+}
+
+/**
+ * Web Share APIでファイルを共有（メール・チャットアプリ等に送る）
+ * @param {File} file - 共有するファイル
+ * @returns {Promise<boolean>} 共有した場合はtrue（ユーザーが取り消した場合はfalse）
+ */
+async function shareFile(file) {
+    try {
+        await navigator.share({ files: [file], title: file.name });
+        return true;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return false;
+        }
+        throw error;
+    }
+}
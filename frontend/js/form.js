@@ -0,0 +1,321 @@
+/**
+ * 動的フォームモジュール
+ * サーバから取得したフォームスキーマに従って入力フォームを描画・検証する
+ * スキーマはIndexedDB（syncState）にキャッシュし、オフラインでも利用する
+ */
+
+// サーバから一度も取得できていない場合に使用する組み込みスキーマ（サーバのversion 1と同じ）
+// 表示名の訳はtranslationsに持つ（選択肢のvalueは保存・送信する値のため言語によらず同じ）
+const DEFAULT_FORM_SCHEMA = {
+    version: 1,
+    title: 'データ入力',
+    translations: { en: { title: 'Data entry' } },
+    fields: [
+        {
+            name: 'title',
+            type: 'text',
+            label: 'タイトル',
+            required: true,
+            placeholder: 'タイトルを入力してください',
+            translations: { en: { label: 'Title', placeholder: 'Enter a title' } }
+        },
+        {
+            name: 'description',
+            type: 'textarea',
+            label: '説明',
+            rows: 3,
+            placeholder: '説明を入力してください（任意）',
+            translations: { en: { label: 'Description', placeholder: 'Enter a description (optional)' } }
+        },
+        {
+            name: 'category',
+            type: 'select',
+            label: 'カテゴリ',
+            required: true,
+            translations: { en: { label: 'Category' } },
+            options: [
+                { value: '業務', label: '業務', translations: { en: { label: 'Work' } } },
+                { value: '調査', label: '調査', translations: { en: { label: 'Survey' } } },
+                { value: '報告', label: '報告', translations: { en: { label: 'Report' } } },
+                { value: 'その他', label: 'その他', translations: { en: { label: 'Other' } } }
+            ]
+        },
+        {
+            name: 'value',
+            type: 'number',
+            label: '数値',
+            placeholder: '数値を入力してください（任意）',
+            translations: { en: { label: 'Value', placeholder: 'Enter a number (optional)' } }
+        },
+        {
+            name: 'memo',
+            type: 'textarea',
+            label: 'メモ',
+            rows: 4,
+            placeholder: 'メモを入力してください（任意）',
+            translations: { en: { label: 'Memo', placeholder: 'Enter a memo (optional)' } }
+        }
+    ]
+};
+
+// スキーマのキャッシュキー（syncStateストア）
+const FORM_SCHEMA_STATE_KEY = 'formSchema';
+
+/**
+ * キャッシュ済みのフォームスキーマを読み込む
+ * @returns {Promise<Object>} フォームスキーマ（未取得の場合は組み込みスキーマ）
+ */
+async function loadFormSchema() {
+    try {
+        const cached = await getSyncState(FORM_SCHEMA_STATE_KEY);
+        return cached || DEFAULT_FORM_SCHEMA;
+    } catch (error) {
+        console.error('フォームスキーマ読み込みエラー:', error);
+        return DEFAULT_FORM_SCHEMA;
+    }
+}
+
+/**
+ * サーバから最新のフォームスキーマを取得してキャッシュ
+ * @returns {Promise<Object|null>} 取得したスキーマ（取得できなかった場合はnull）
+ */
+async function refreshFormSchema() {
+    if (!navigator.onLine) {
+        return null;
+    }
+
+    try {
+        const response = await fetch(API_ENDPOINTS.formSchema, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(t('sync.serverError', { detail: `${response.status} ${response.statusText}` }));
+        }
+
+        const body = await response.json();
+        await setSyncState(FORM_SCHEMA_STATE_KEY, body.schema);
+        console.log('フォームスキーマ取得:', body.schema.version);
+        return body.schema;
+
+    } catch (error) {
+        console.error('フォームスキーマ取得エラー:', error);
+        return null;
+    }
+}
+
+/**
+ * フィールドの表示名を表示言語で取得
+ * @param {Object} schema - フォームスキーマ
+ * @param {string} name - フィールド名
+ * @returns {string} 表示名（スキーマにない場合はフィールド名）
+ */
+function getFieldLabel(schema, name) {
+    const field = schema.fields.find(f => f.name === name);
+    return field ? getLocalizedText(field, 'label') : name;
+}
+
+/**
+ * 値の表示用テキストを取得（選択肢は表示言語の表示名、数値は表示言語の形式に変換）
+ * @param {Object} schema - フォームスキーマ
+ * @param {string} name - フィールド名
+ * @param {*} value - 値
+ * @returns {string} 表示用テキスト
+ */
+function formatFieldValue(schema, name, value) {
+    const field = schema.fields.find(f => f.name === name);
+
+    if (field && field.type === 'select') {
+        const option = (field.options || []).find(o => o.value === value);
+        return option ? getLocalizedText(option, 'label') : String(value);
+    }
+
+    if (field && field.type === 'checkbox') {
+        return value ? t('common.yes') : t('common.no');
+    }
+
+    if (field && field.type === 'number' && typeof value === 'number') {
+        return formatNumber(value, { maximumFractionDigits: 20 });
+    }
+
+    return String(value);
+}
+
+/**
+ * スキーマに従ってフォームの入力項目を描画
+ * @param {Object} schema - フォームスキーマ
+ * @param {HTMLElement} container - 入力項目を描画する要素
+ */
+function renderForm(schema, container) {
+    container.innerHTML = schema.fields.map(createFieldHtml).join('');
+}
+
+/**
+ * 入力項目のHTMLを生成
+ * @param {Object} field - フィールド定義
+ * @returns {string} HTML文字列
+ */
+function createFieldHtml(field) {
+    const id = `field-${field.name}`;
+    const required = field.required ? 'required' : '';
+    const requiredMark = field.required ? ' <span class="required">*</span>' : '';
+    const label = getLocalizedText(field, 'label');
+    const placeholderText = getLocalizedText(field, 'placeholder');
+    const placeholder = placeholderText ? `placeholder="${escapeHtml(placeholderText)}"` : '';
+    let input;
+
+    switch (field.type) {
+        case 'textarea':
+            input = `<textarea id="${id}" name="${field.name}" rows="${field.rows || 3}" ${placeholder} ${required}></textarea>`;
+            break;
+
+        case 'select': {
+            const options = (field.options || [])
+                .map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(getLocalizedText(o, 'label'))}</option>`)
+                .join('');
+            input = `<select id="${id}" name="${field.name}" ${required}><option value="">${t('form.selectPlaceholder')}</option>${options}</select>`;
+            break;
+        }
+
+        case 'number': {
+            const min = field.min !== undefined ? `min="${field.min}"` : '';
+            const max = field.max !== undefined ? `max="${field.max}"` : '';
+            input = `<input type="number" id="${id}" name="${field.name}" step="any" ${min} ${max} ${placeholder} ${required}>`;
+            break;
+        }
+
+        case 'checkbox':
+            return `
+                <div class="form-group">
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="${id}" name="${field.name}" ${required}>
+                        ${escapeHtml(label)}${requiredMark}
+                    </label>
+                </div>
+            `;
+
+        default: {
+            const type = field.type === 'date' ? 'date' : 'text';
+            const pattern = field.pattern ? `pattern="${escapeHtml(field.pattern)}"` : '';
+            input = `<input type="${type}" id="${id}" name="${field.name}" ${pattern} ${placeholder} ${required}>`;
+        }
+    }
+
+    return `
+        <div class="form-group">
+            <label for="${id}">${escapeHtml(label)}${requiredMark}</label>
+            ${input}
+        </div>
+    `;
+}
+
+/**
+ * フォームの入力値をスキーマの型に合わせて取得
+ * @param {Object} schema - フォームスキーマ
+ * @param {HTMLFormElement} form - フォーム要素
+ * @returns {Object} フィールド名 → 値（未入力はnull）
+ */
+function collectFormValues(schema, form) {
+    const values = {};
+
+    schema.fields.forEach(field => {
+        const element = form.elements[field.name];
+        values[field.name] = field.type === 'checkbox'
+            ? element.checked
+            : parseFieldValue(field, element.value);
+    });
+
+    return values;
+}
+
+/**
+ * 文字列の入力値をフィールドの型に合わせて変換（フォーム入力とインポートで共通）
+ * @param {Object} field - フィールド定義
+ * @param {*} raw - 入力値
+ * @returns {*} 変換後の値（未入力はnull、数値に変換できない場合はNaN）
+ */
+function parseFieldValue(field, raw) {
+    if (field.type === 'checkbox') {
+        return raw === true || ['true', '1', 'はい', 'yes'].includes(String(raw).trim().toLowerCase());
+    }
+
+    const text = raw === null || raw === undefined ? '' : String(raw).trim();
+    if (text === '') {
+        return null;
+    }
+
+    return field.type === 'number' ? Number(text) : text;
+}
+
+/**
+ * フォームにデータの値を設定（編集時）
+ * @param {Object} schema - フォームスキーマ
+ * @param {HTMLFormElement} form - フォーム要素
+ * @param {Object} record - データ
+ */
+function fillForm(schema, form, record) {
+    schema.fields.forEach(field => {
+        const element = form.elements[field.name];
+
+        if (field.type === 'checkbox') {
+            element.checked = Boolean(record[field.name]);
+        } else {
+            element.value = record[field.name] ?? '';
+        }
+    });
+}
+
+/**
+ * スキーマに従って入力値を検証（サーバのvalidate_submissionと同じ規則）
+ * @param {Object} schema - フォームスキーマ
+ * @param {Object} values - collectFormValuesの戻り値
+ * @returns {Object<string, string>} フィールド名 → エラーメッセージ（エラーがなければ空）
+ */
+function validateFormValues(schema, values) {
+    const errors = {};
+
+    schema.fields.forEach(field => {
+        const value = values[field.name];
+        const label = getLocalizedText(field, 'label');
+
+        if (value === null || value === undefined || value === false || value === '') {
+            if (field.required) {
+                errors[field.name] = t('validation.required', { label });
+            }
+            return;
+        }
+
+        if (field.type === 'number') {
+            if (!Number.isFinite(value)) {
+                errors[field.name] = t('validation.number', { label });
+            } else if (field.min !== undefined && value < field.min) {
+                errors[field.name] = t('validation.min', { label, min: field.min });
+            } else if (field.max !== undefined && value > field.max) {
+                errors[field.name] = t('validation.max', { label, max: field.max });
+            }
+            return;
+        }
+
+        if (field.type === 'select') {
+            if (!(field.options || []).some(o => o.value === value)) {
+                errors[field.name] = t('validation.option', { label });
+            }
+            return;
+        }
+
+        if (['text', 'textarea', 'date'].includes(field.type)) {
+            if (field.min !== undefined && value.length < field.min) {
+                errors[field.name] = t('validation.minLength', { label, min: field.min });
+            } else if (field.max !== undefined && value.length > field.max) {
+                errors[field.name] = t('validation.maxLength', { label, max: field.max });
+            } else if (field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(value)) {
+                errors[field.name] = t('validation.pattern', { label });
+            }
+        }
+    });
+
+    return errors;
+}
@@ -0,0 +1,194 @@
+/**
+ * 同期履歴モジュール
+ * 同期の実行とデータごとの送信の試行（sync.jsが記録）を一覧・タイムラインとして表示し、
+ * 問い合わせ用にJSONファイルとして書き出す（ページ専用）
+ */
+
+// 同期履歴パネルに表示する実行の件数
+const SYNC_HISTORY_DISPLAY_RUNS = 20;
+
+// 書き出す実行の件数
+const SYNC_HISTORY_EXPORT_RUNS = 100;
+
+// 同期の実行結果 → 表示名のメッセージのキー
+const SYNC_RUN_OUTCOME_MESSAGES = {
+    'running': 'history.run.running',
+    'finished': 'history.run.finished',
+    'cancelled': 'history.run.cancelled',
+    'unauthenticated': 'history.run.unauthenticated',
+    'error': 'history.run.error'
+};
+
+// 送信の試行結果 → 表示名のメッセージのキー（recordSyncResultの同期ステータスを含む）
+const SYNC_ATTEMPT_OUTCOME_MESSAGES = {
+    'created': 'history.attempt.created',
+    'duplicate': 'history.attempt.duplicate',
+    'updated': 'history.attempt.updated',
+    'deleted': 'history.attempt.deleted',
+    'uploaded': 'history.attempt.uploaded',
+    'conflict': 'history.attempt.conflict',
+    'error': 'history.attempt.retrying',
+    'pending': 'history.attempt.retrying',
+    'failed': 'history.attempt.failed',
+    'cancelled': 'history.run.cancelled',
+    'unauthenticated': 'history.run.unauthenticated'
+};
+
+// 送信の種類 → 表示名のメッセージのキー
+const SYNC_ATTEMPT_ACTION_MESSAGES = {
+    'create': 'history.action.create',
+    'update': 'history.action.update',
+    'delete': 'history.action.delete',
+    'upload': 'history.action.upload'
+};
+
+/**
+ * 同期履歴パネルのHTMLを生成
+ * @param {Array<Object>} runs - getSyncRunsの同期の実行（新しい順）
+ * @returns {string} HTML文字列
+ */
+function createSyncHistoryHtml(runs) {
+    if (runs.length === 0) {
+        return `<p class="no-data">${t('history.empty')}</p>`;
+    }
+
+    const rows = runs.map(run => {
+        const outcome = getMessageLabel(SYNC_RUN_OUTCOME_MESSAGES, run.outcome);
+        const counts = run.outcome === 'finished'
+            ? t('history.runCounts', { success: run.success, failed: run.failed, uploaded: run.uploaded, pulled: run.pulled })
+            : run.total ? t('history.runProgress', { done: run.done, total: run.total }) : '';
+        const error = run.errorMessage ? `<div class="history-error">${escapeHtml(run.errorMessage)}</div>` : '';
+
+        return `
+            <tr class="history-run ${run.outcome}">
+                <td>${formatHistoryTime(run.startedAt)}</td>
+                <td>${t(run.context === 'worker' ? 'history.context.worker' : 'history.context.page')}</td>
+                <td>${escapeHtml(outcome)}${error}</td>
+                <td>${counts}</td>
+                <td>${formatHistoryDuration(run.durationMs)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <table class="history-table">
+            <tr>
+                <th>${t('history.column.startedAt')}</th>
+                <th>${t('history.column.context')}</th>
+                <th>${t('history.column.outcome')}</th>
+                <th>${t('history.column.counts')}</th>
+                <th>${t('history.column.duration')}</th>
+            </tr>
+            ${rows}
+        </table>
+    `;
+}
+
+/**
+ * データごとの送信のタイムラインのHTMLを生成
+ * @param {Object} record - データ
+ * @param {Array<Object>} attempts - getSyncAttemptsの送信の試行（古い順）
+ * @returns {string} HTML文字列
+ */
+function createSyncTimelineHtml(record, attempts) {
+    if (attempts.length === 0) {
+        return `<div class="sync-timeline"><p class="history-empty">${t('history.timelineEmpty')}</p></div>`;
+    }
+
+    const items = attempts.map(attempt => {
+        const action = getMessageLabel(SYNC_ATTEMPT_ACTION_MESSAGES, attempt.action);
+        const outcome = getMessageLabel(SYNC_ATTEMPT_OUTCOME_MESSAGES, attempt.outcome);
+        const status = attempt.httpStatus ? ` HTTP ${attempt.httpStatus}` : '';
+        const serverId = attempt.serverId ? ` / ${t('history.serverId', { id: escapeHtml(String(attempt.serverId)) })}` : '';
+        const error = attempt.errorMessage ? `<div class="history-error">${escapeHtml(attempt.errorMessage)}</div>` : '';
+
+        return `
+            <li class="sync-timeline-item ${attempt.outcome}">
+                <div>${formatHistoryTime(attempt.startedAt)} ${escapeHtml(action)}: ${escapeHtml(outcome)}</div>
+                <div class="history-detail">${attempt.method} ${escapeHtml(attempt.endpoint)}${status}${serverId} / ${formatHistoryDuration(attempt.durationMs)}</div>
+                ${error}
+            </li>
+        `;
+    }).join('');
+
+    return `
+        <div class="sync-timeline">
+            <ol>${items}</ol>
+            <button type="button" class="btn-small" data-action="history-export" data-id="${record.id}">${t('history.exportRecord')}</button>
+        </div>
+    `;
+}
+
+/**
+ * 同期履歴の書き出しファイルを作成（最近の同期の実行と、実行ごとの送信の試行）
+ * @returns {Promise<File>} JSONファイル
+ */
+async function createSyncHistoryExportFile() {
+    const runs = await getSyncRuns(SYNC_HISTORY_EXPORT_RUNS);
+    const entries = await Promise.all(runs.map(async run => ({
+        ...run,
+        attempts: await getSyncAttempts('runId', run.runId)
+    })));
+
+    return createSyncHistoryFile('sync-history', { runs: entries });
+}
+
+/**
+ * データごとの送信の履歴の書き出しファイルを作成
+ * 入力内容は含めず、UUIDと同期ステータスのみを書き出す
+ * @param {Object} record - データ
+ * @returns {Promise<File>} JSONファイル
+ */
+async function createRecordHistoryExportFile(record) {
+    const attempts = await getSyncAttempts('recordId', record.id);
+
+    return createSyncHistoryFile(`sync-history-${record.id}`, {
+        record: {
+            id: record.id,
+            uuid: record.uuid,
+            serverId: record.serverId ?? null,
+            syncStatus: record.syncStatus,
+            attempts: record.attempts || 0,
+            errorMessage: record.errorMessage || null
+        },
+        attempts
+    });
+}
+
+/**
+ * 同期履歴をJSONファイルにする（問い合わせ時に添付できるよう端末の情報を付ける）
+ * @param {string} prefix - ファイル名の先頭
+ * @param {Object} content - 書き出す内容
+ * @returns {File} JSONファイル
+ */
+function createSyncHistoryFile(prefix, content) {
+    const body = {
+        exportedAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        online: navigator.onLine,
+        ...content
+    };
+    const name = createExportFilename('json').replace(/^records/, prefix);
+    return new File([JSON.stringify(body, null, 2)], name, { type: 'application/json' });
+}
+
+/**
+ * 同期履歴の日時を表示言語の形式に変換
+ * @param {string} value - ISO 8601文字列
+ * @returns {string}
+ */
+function formatHistoryTime(value) {
+    return value ? formatDateTime(value) : '-';
+}
+
+/**
+ * 所要時間を表示用に変換
+ * @param {number} durationMs - 所要時間（ミリ秒）
+ * @returns {string}
+ */
+function formatHistoryDuration(durationMs) {
+    if (durationMs == null) {
+        return '-';
+    }
+    return durationMs < 1000 ? `${durationMs}ms` : t('history.seconds', { seconds: (durationMs / 1000).toFixed(1) });
+}
@@ -0,0 +1,180 @@
+/**
+ * 多言語対応モジュール
+ * メッセージカタログ（messages.js）から表示言語の文言を取得し、日時・数値を表示言語の形式で表示する
+ * ページ・Service Worker・Web Workerで共通（messages.jsの次、ほかのモジュールより前に読み込むこと）
+ *
+ * 表示言語はページでは設定（localStorage）に保存する。Service WorkerはlocalStorageを読めないため、
+ * 通知・オフライン時の応答に使えるようセッション用のデータベース（auth.js）にも保存する
+ */
+
+// 対応する言語（MESSAGESのキー）
+const SUPPORTED_LANGUAGES = ['ja', 'en'];
+
+// 端末の言語に対応していない場合・カタログに文言がない場合に使う言語
+const DEFAULT_LANGUAGE = 'ja';
+
+// 言語 → 日時・数値の表示に使うロケール
+const LANGUAGE_LOCALES = {
+    ja: 'ja-JP',
+    en: 'en-US'
+};
+
+// 表示言語を保存するセッション用のデータベースのキー
+const LANGUAGE_STATE_KEY = 'language';
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * 表示言語の文言を取得
+ * 文言の{name}はparamsの値に置き換える。表示言語にない文言は既定の言語、それもなければキーを返す
+ * @param {string} key - メッセージのキー
+ * @param {Object} params - 置き換える値
+ * @returns {string}
+ */
+function t(key, params = {}) {
+    const message = MESSAGES[currentLanguage][key] ?? MESSAGES[DEFAULT_LANGUAGE][key];
+
+    if (message === undefined) {
+        console.warn('i18n: 文言が見つかりません', key);
+        return key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * 値 → メッセージのキーの対応表から表示名を取得（ステータス等の表示用）
+ * @param {Object<string, string>} messageKeys - 値 → メッセージのキー
+ * @param {string} value - 値
+ * @returns {string} 表示名（対応表にない値はそのまま）
+ */
+function getMessageLabel(messageKeys, value) {
+    return messageKeys[value] ? t(messageKeys[value]) : String(value);
+}
+
+/**
+ * 表示言語を取得
+ * @returns {string} 'ja' または 'en'
+ */
+function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * 表示言語のロケールを取得
+ * @returns {string} 例: 'ja-JP'
+ */
+function getLocale() {
+    return LANGUAGE_LOCALES[currentLanguage];
+}
+
+/**
+ * 言語コードを対応する言語に変換（'en-US' → 'en'）
+ * @param {string} language - 言語コード
+ * @returns {string|null} 対応していない場合はnull
+ */
+function normalizeLanguage(language) {
+    const code = String(language || '').toLowerCase().split('-')[0];
+    return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+}
+
+/**
+ * 端末の言語設定から表示言語を決める
+ * @returns {string}
+ */
+function detectLanguage() {
+    const languages = (typeof navigator !== 'undefined' && navigator.languages) || [];
+    return languages.map(normalizeLanguage).find(Boolean) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * 表示言語を切り替える（ページではhtmlのlang属性も変える）
+ * @param {string} language - 言語コード
+ * @returns {string} 切り替えた言語（対応していない場合は既定の言語）
+ */
+function setLanguage(language) {
+    currentLanguage = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+
+    if (typeof document !== 'undefined') {
+        document.documentElement.lang = currentLanguage;
+    }
+    return currentLanguage;
+}
+
+/**
+ * セッション用のデータベースに保存した表示言語を読み込んで切り替える
+ * 保存されていない場合は端末の言語設定に従う
+ * @returns {Promise<string>} 切り替えた言語
+ */
+async function loadLanguage() {
+    try {
+        const saved = await readSessionEntry(LANGUAGE_STATE_KEY);
+        return setLanguage(saved ? saved.language : detectLanguage());
+    } catch (error) {
+        console.error('表示言語読み込みエラー:', error);
+        return setLanguage(detectLanguage());
+    }
+}
+
+/**
+ * 表示言語をセッション用のデータベースに保存（Service Workerと共有する）
+ * @param {string} language - 言語コード
+ * @returns {Promise<void>}
+ */
+async function saveLanguage(language) {
+    await writeSessionEntry(LANGUAGE_STATE_KEY, { language });
+}
+
+/**
+ * 日時を表示言語の形式に変換
+ * @param {string|number|Date} value - 日時
+ * @returns {string}
+ */
+function formatDateTime(value) {
+    return new Date(value).toLocaleString(getLocale());
+}
+
+/**
+ * 数値を表示言語の形式に変換
+ * @param {number} value - 数値
+ * @param {Object} options - Intl.NumberFormatのオプション
+ * @returns {string}
+ */
+function formatNumber(value, options = {}) {
+    return value.toLocaleString(getLocale(), options);
+}
+
+/**
+ * スキーマ等の表示名を表示言語で取得
+ * 表示言語の訳はtranslations.<言語>.<プロパティ>に持ち、ない場合は元のプロパティを返す
+ * @param {Object} item - フォームスキーマ・フィールド・選択肢
+ * @param {string} property - 'label'・'placeholder'・'title'等
+ * @returns {string|undefined}
+ */
+function getLocalizedText(item, property) {
+    const translation = item.translations && item.translations[currentLanguage];
+    return (translation && translation[property]) ?? item[property];
+}
+
+/**
+ * HTMLの固定の文言を表示言語に置き換える
+ * data-i18n（本文）・data-i18n-placeholder・data-i18n-title・data-i18n-aria-labelにメッセージのキーを指定する
+ * @param {ParentNode} root - 置き換える範囲
+ */
+function translatePage(root = document) {
+    const attributes = {
+        'data-i18n-placeholder': 'placeholder',
+        'data-i18n-title': 'title',
+        'data-i18n-aria-label': 'aria-label'
+    };
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+
+    Object.entries(attributes).forEach(([dataAttribute, attribute]) => {
+        root.querySelectorAll(`[${dataAttribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(dataAttribute)));
+        });
+    });
+}
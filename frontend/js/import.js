@@ -0,0 +1,316 @@
+/**
+ * インポートモジュール
+ * CSV/JSONファイル（エクスポートしたファイルや/api/dataの応答を含む）を読み込み、
+ * 列をフォームの項目に対応付けて検証し、送信待ちのデータとして追加する（ページ専用）
+ */
+
+// プレビューに表示する行数
+const IMPORT_PREVIEW_ROWS = 5;
+
+// エラー一覧に表示する最大件数
+const IMPORT_MAX_ERROR_ROWS = 20;
+
+// エクスポート時に数式の実行を防ぐため先頭に付けた'（この後に続く文字の場合のみ取り除く）
+const ESCAPED_FORMULA_PATTERN = /^'[=+\-@]/;
+
+/**
+ * インポートファイルを読み込む
+ * @param {File} file - CSVまたはJSONファイル
+ * @returns {Promise<{columns: Array<string>, rows: Array<Object>}>} 列名と行（列名 → 値）
+ */
+async function parseImportFile(file) {
+    const text = (await file.text()).replace(/^\uFEFF/, '');
+    const isJson = file.name.toLowerCase().endsWith('.json') || file.type === 'application/json';
+    return isJson ? parseImportJson(text) : parseImportCsv(text);
+}
+
+/**
+ * JSONを読み込む
+ * 配列、またはdataプロパティに配列を持つオブジェクト（エクスポート・/api/dataの形式）に対応
+ * @param {string} text - JSON文字列
+ * @returns {{columns: Array<string>, rows: Array<Object>}}
+ */
+function parseImportJson(text) {
+    const body = JSON.parse(text);
+    const rows = Array.isArray(body) ? body : body && body.data;
+
+    if (!Array.isArray(rows)) {
+        throw new Error(t('import.noArray'));
+    }
+
+    const objects = rows.filter(row => row && typeof row === 'object' && !Array.isArray(row));
+    const columns = [...new Set(objects.flatMap(row => Object.keys(row)))];
+    return { columns, rows: objects };
+}
+
+/**
+ * CSVを読み込む（1行目を列名とする）
+ * ダブルクォートで囲まれた値の中のカンマ・改行・""に対応
+ * @param {string} text - CSV文字列
+ * @returns {{columns: Array<string>, rows: Array<Object>}}
+ */
+function parseImportCsv(text) {
+    const records = [];
+    let record = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(value);
+            records.push(record);
+            record = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    if (value !== '' || record.length > 0) {
+        record.push(value);
+        records.push(record);
+    }
+
+    // 空行は読み飛ばす
+    const [header = [], ...lines] = records.filter(r => r.length > 1 || r[0] !== '');
+    const columns = header.map(column => column.trim());
+
+    const rows = lines.map(line => {
+        const row = {};
+        columns.forEach((column, index) => {
+            const cell = line[index] ?? '';
+            row[column] = ESCAPED_FORMULA_PATTERN.test(cell) ? cell.slice(1) : cell;
+        });
+        return row;
+    });
+
+    return { columns, rows };
+}
+
+/**
+ * 列名からフォームの項目への対応付けを推定（フィールド名、または既定の言語・表示言語の表示名が一致する列）
+ * @param {Object} schema - フォームスキーマ
+ * @param {Array<string>} columns - ファイルの列名
+ * @returns {Object<string, string>} フィールド名 → 列名（対応する列がなければ空文字）
+ */
+function suggestColumnMapping(schema, columns) {
+    const mapping = {};
+
+    schema.fields.forEach(field => {
+        const column = columns.find(c => c === field.name)
+            || columns.find(c => c === field.label || c === getLocalizedText(field, 'label'))
+            || columns.find(c => c.toLowerCase() === field.name.toLowerCase());
+        mapping[field.name] = column || '';
+    });
+
+    return mapping;
+}
+
+/**
+ * 行をフォームの入力値に変換
+ * @param {Object} schema - フォームスキーマ
+ * @param {Object<string, string>} mapping - フィールド名 → 列名
+ * @param {Object} row - ファイルの行
+ * @returns {Object} フィールド名 → 値（フォーム入力と同じ型）
+ */
+function mapImportRow(schema, mapping, row) {
+    const values = {};
+
+    schema.fields.forEach(field => {
+        const column = mapping[field.name];
+        values[field.name] = parseFieldValue(field, column ? row[column] : null);
+    });
+
+    return values;
+}
+
+/**
+ * インポート内容を検証
+ * フォーム入力と同じ規則（validateFormValues）で各行を検証し、
+ * UUIDまたは入力内容が端末内のデータ・ファイル内の前の行と同じ行は重複として除外する
+ * @param {Object} schema - フォームスキーマ
+ * @param {Object<string, string>} mapping - フィールド名 → 列名
+ * @param {Array<Object>} rows - ファイルの行
+ * @returns {Promise<Object>} {records: 追加するデータ, errors: [{row, messages}], duplicates: number}
+ */
+async function prepareImport(schema, mapping, rows) {
+    const existing = (await getAllData()).filter(record => record.syncStatus !== 'deleted');
+    const knownUuids = new Set(existing.map(record => record.uuid));
+    const knownHashes = new Set(await Promise.all(
+        existing.map(record => computeContentHash(schema, record))
+    ));
+
+    const records = [];
+    const errors = [];
+    let duplicates = 0;
+
+    for (const [index, row] of rows.entries()) {
+        // CSVの行番号（1行目は列名）
+        const rowNumber = index + 2;
+        const values = mapImportRow(schema, mapping, row);
+
+        const fieldErrors = Object.values(validateFormValues(schema, values));
+        if (fieldErrors.length > 0) {
+            errors.push({ row: rowNumber, messages: fieldErrors });
+            continue;
+        }
+
+        const uuid = normalizeImportUuid(row.uuid);
+        const hash = await computeContentHash(schema, values);
+
+        if ((uuid && knownUuids.has(uuid)) || knownHashes.has(hash)) {
+            duplicates++;
+            continue;
+        }
+
+        if (uuid) {
+            knownUuids.add(uuid);
+        }
+        knownHashes.add(hash);
+
+        records.push({
+            ...values,
+            uuid: uuid || undefined,
+            timestamp: normalizeImportTimestamp(row.timestamp),
+            schemaVersion: schema.version,
+            captureContext: createImportCaptureContext(row)
+        });
+    }
+
+    return { records, errors, duplicates };
+}
+
+/**
+ * 入力内容のハッシュを計算（UUIDのないデータの重複判定用）
+ * @param {Object} schema - フォームスキーマ
+ * @param {Object} values - フォームの入力値
+ * @returns {Promise<string>} SHA-256の16進文字列
+ */
+async function computeContentHash(schema, values) {
+    const normalized = schema.fields.map(field => values[field.name] ?? null);
+    const bytes = new TextEncoder().encode(JSON.stringify(normalized));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * UUID列の値を正規化（UUIDの形式でない場合はnull）
+ * @param {*} value - UUID列の値
+ * @returns {string|null}
+ */
+function normalizeImportUuid(value) {
+    const text = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(text) ? text : null;
+}
+
+/**
+ * 記録日時の値を正規化（日時として解釈できない場合はnullで、取り込み時刻を使う）
+ * @param {*} value - timestamp列の値
+ * @returns {string|null} ISO 8601文字列
+ */
+function normalizeImportTimestamp(value) {
+    if (!value) {
+        return null;
+    }
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * 位置情報の列から記録時の状況を作成
+ * @param {Object} row - ファイルの行
+ * @returns {Object|null} 記録時の状況（位置情報の列がない場合はnull）
+ */
+function createImportCaptureContext(row) {
+    const latitude = Number(row.latitude);
+    const longitude = Number(row.longitude);
+
+    if (row.latitude === '' || row.latitude == null || Number.isNaN(latitude) || Number.isNaN(longitude)) {
+        return null;
+    }
+
+    const accuracy = Number(row.accuracy);
+    return {
+        location: {
+            latitude,
+            longitude,
+            accuracy: Number.isNaN(accuracy) ? null : accuracy,
+            capturedAt: null
+        },
+        locationStatus: 'ok',
+        device: null,
+        appVersion: null,
+        online: null
+    };
+}
+
+/**
+ * インポートのプレビュー（列の対応付け・先頭行・検証結果）のHTMLを生成
+ * @param {Object} schema - フォームスキーマ
+ * @param {Object} state - {fileName, columns, rows, mapping, result}
+ * @returns {string} HTML文字列
+ */
+function createImportPreviewHtml(schema, state) {
+    const columnOptions = (selected) => ['', ...state.columns]
+        .map(column => `<option value="${escapeHtml(column)}" ${column === selected ? 'selected' : ''}>${column ? escapeHtml(column) : t('import.skipColumn')}</option>`)
+        .join('');
+
+    const mappingRows = schema.fields.map(field => `
+        <tr>
+            <th>${escapeHtml(getLocalizedText(field, 'label'))}${field.required ? ' <span class="required">*</span>' : ''}</th>
+            <td><select data-field="${field.name}">${columnOptions(state.mapping[field.name])}</select></td>
+        </tr>
+    `).join('');
+
+    const previewRows = state.rows.slice(0, IMPORT_PREVIEW_ROWS).map(row => {
+        const values = mapImportRow(schema, state.mapping, row);
+        return `<tr>${schema.fields.map(field => `<td>${values[field.name] === null ? '' : escapeHtml(formatFieldValue(schema, field.name, values[field.name]))}</td>`).join('')}</tr>`;
+    }).join('');
+
+    const { records, errors, duplicates } = state.result;
+    const errorItems = errors.slice(0, IMPORT_MAX_ERROR_ROWS)
+        .map(error => `<li>${t('import.errorRow', { row: error.row })}: ${error.messages.map(escapeHtml).join(' / ')}</li>`)
+        .join('');
+    const moreErrors = errors.length > IMPORT_MAX_ERROR_ROWS
+        ? `<li>${t('import.moreErrors', { count: errors.length - IMPORT_MAX_ERROR_ROWS })}</li>`
+        : '';
+
+    return `
+        <div class="import-title">${escapeHtml(t('import.title', { name: state.fileName, rows: state.rows.length }))}</div>
+        <table class="import-mapping">${mappingRows}</table>
+        <div class="import-preview">
+            <table>
+                <tr>${schema.fields.map(field => `<th>${escapeHtml(getLocalizedText(field, 'label'))}</th>`).join('')}</tr>
+                ${previewRows}
+            </table>
+        </div>
+        <div class="import-summary">
+            ${t('import.summary', { records: records.length, duplicates, errors: errors.length })}
+        </div>
+        ${errors.length > 0 ? `<ul class="import-errors">${errorItems}${moreErrors}</ul>` : ''}
+        <div class="import-actions">
+            <button type="button" class="btn-small" data-action="import-confirm" ${records.length === 0 ? 'disabled' : ''}>${t('import.confirm', { count: records.length })}</button>
+            <button type="button" class="btn-small btn-danger" data-action="import-cancel">${t('common.cancel')}</button>
+        </div>
+    `;
+}
@@ -0,0 +1,698 @@
+/**
+ * メッセージカタログ
+ * 画面・通知に表示する文言を言語ごとに定義する（キーは「画面や機能.内容」）
+ * 文言の{name}はt()の引数で置き換える。言語を追加する場合はi18n.jsのSUPPORTED_LANGUAGES・LANGUAGE_LOCALESも追加すること
+ */
+
+const MESSAGES = {
+    ja: {
+        // 共通
+        'common.cancel': 'キャンセル',
+        'common.yes': 'はい',
+        'common.no': 'いいえ',
+        'common.delete': '削除',
+        'common.refresh': '更新',
+
+        // ステータスバー
+        'header.pending': '未同期:',
+        'header.syncStrategy': '同期方式:',
+        'header.checking': '確認中...',
+        'header.storage': '容量:',
+        'header.user': 'ユーザー:',
+        'header.syncing': '同期中:',
+
+        // 更新の通知
+        'update.available': '新しいバージョンがあります',
+        'update.reload': '更新',
+
+        // オンライン/オフライン
+        'network.online': 'オンラインに戻りました。データを同期します...',
+        'network.offline': 'オフラインです。データはローカルに保存されます',
+        'network.badge.online': 'Online',
+        'network.badge.offline': 'Offline',
+
+        // ログイン
+        'login.expiredDescription': 'ログインの有効期限が切れました。記録したデータは端末に保存され、再ログイン後に送信します',
+        'login.description': 'データを送信するユーザーでログインしてください',
+        'login.submitting': 'ログイン中...',
+        'login.submit': 'ログイン',
+        'login.succeeded': 'ログインしました',
+        'login.offline': 'オフラインのためログインできません',
+        'login.heading': 'ログイン',
+        'login.username': 'ユーザー名',
+        'login.password': 'パスワード',
+        'login.later': 'あとで',
+
+        // セッション
+        'session.expiredUser': '{username}（要再ログイン）',
+        'session.relogin': '再ログイン',
+        'session.logout': 'ログアウト',
+        'session.logoutConfirmPending': '未同期のデータが{count}件あります。端末に残り、次回ログインした後に送信します。ログアウトしますか？',
+        'session.logoutConfirm': 'ログアウトしますか？',
+        'session.logoutFailed': 'ログアウトに失敗しました',
+
+        // 認証
+        'auth.loginRequired': 'ログインが必要です',
+        'auth.invalidCredentials': 'ユーザー名またはパスワードが正しくありません',
+        'auth.sessionExpired': 'ログインの有効期限が切れました。再度ログインしてください',
+
+        // ロック画面
+        'lock.submitting': '確認中...',
+        'lock.submit': 'ロック解除',
+        'lock.heading': 'ロック中',
+        'lock.description': '保存データは暗号化されています。パスフレーズを入力してください',
+
+        // データの暗号化
+        'encryption.locked': 'データがロックされています。パスフレーズを入力してください',
+        'encryption.passphraseTooShort': 'パスフレーズは{min}文字以上にしてください',
+        'encryption.alreadyEnabled': '既に暗号化されています',
+        'encryption.wrongCurrentPassphrase': '現在のパスフレーズが正しくありません',
+        'encryption.wrongPassphrase': 'パスフレーズが正しくありません',
+        'encryption.statusEnabled': '暗号化しています（操作がない状態が{minutes}分続くとロックします）',
+        'encryption.statusDisabled': '暗号化していません',
+        'encryption.passphraseMismatch': '新しいパスフレーズが一致しません',
+        'encryption.enabled': '保存データを暗号化しました',
+        'encryption.changed': 'パスフレーズを変更しました',
+        'encryption.disabled': '暗号化を解除しました',
+        'encryption.rewriting': '保存データを書き換えています...',
+        'encryption.syncInProgress': '同期処理中です。同期が終わってから操作してください',
+        'encryption.heading': 'データの暗号化',
+        'encryption.currentPlaceholder': '現在のパスフレーズ',
+        'encryption.newPlaceholder': '新しいパスフレーズ（8文字以上）',
+        'encryption.confirmPlaceholder': '新しいパスフレーズ（確認）',
+        'encryption.enable': '暗号化する',
+        'encryption.change': 'パスフレーズを変更',
+        'encryption.disable': '暗号化を解除',
+        'encryption.lockNow': '今すぐロック',
+
+        // 入力フォーム
+        'form.selectPlaceholder': '選択してください',
+        'form.editTitle': 'データ編集',
+        'form.defaultTitle': 'データ入力',
+        'form.save': '保存',
+        'form.update': '更新',
+
+        // 入力値の検証
+        'validation.required': '{label}は必須です',
+        'validation.number': '{label}は数値で入力してください',
+        'validation.min': '{label}は{min}以上で入力してください',
+        'validation.max': '{label}は{max}以下で入力してください',
+        'validation.option': '{label}の選択肢が不正です',
+        'validation.minLength': '{label}は{min}文字以上で入力してください',
+        'validation.maxLength': '{label}は{max}文字以内で入力してください',
+        'validation.pattern': '{label}の形式が正しくありません',
+
+        // 添付ファイル
+        'attachments.empty': '{name}は空のファイルです',
+        'attachments.tooLarge': '{name}は{size}を超えています',
+        'attachments.convertFailed': '画像の変換に失敗しました',
+        'attachments.quotaExceeded': 'ストレージの空き容量が不足しています（必要: {required}、空き: {available}）',
+        'attachments.notFound': '添付ファイルが見つかりません',
+        'attachments.remove': '取消',
+        'attachments.uploaded': '送信済み（{size}）',
+        'attachments.failed': '送信失敗（{message}）',
+        'attachments.uploading': '送信中 {percent}%（{size}）',
+        'attachments.waiting': '送信待ち（{size}）',
+        'attachments.heading': '添付ファイル',
+        'attachments.takePhoto': '写真を撮影',
+        'attachments.chooseFile': 'ファイルを選択',
+
+        // 位置情報
+        'location.ok': '取得済み',
+        'location.disabled': '取得しない設定',
+        'location.denied': '許可されていません',
+        'location.unavailable': '測位できませんでした',
+        'location.unsupported': '非対応の端末です',
+        'location.coordinates': '{latitude}, {longitude}（±{accuracy}m）',
+        'location.acquiring': '位置情報を取得しています...',
+        'location.permissionRequired': '位置情報が許可されていません。ブラウザの設定で許可してください',
+        'location.enabled': '保存時に位置情報を記録します',
+
+        // 下書き
+        'drafts.untitled': '無題の下書き',
+        'drafts.current': '入力中',
+        'drafts.open': '開く',
+        'drafts.heading': '下書き（{count}件）',
+        'drafts.noInput': '入力されていません',
+        'drafts.namePrompt': '下書きの名前',
+        'drafts.savedWithoutAttachments': '下書きを保存しました（添付ファイルは下書きに保存されません）',
+        'drafts.saved': '下書きを保存しました',
+        'drafts.saveFailed': '下書きの保存に失敗しました',
+        'drafts.deleteConfirm': 'この下書きを削除しますか？',
+        'drafts.actionFailed': '下書きの操作に失敗しました',
+        'drafts.restoreConfirm': '下書きを復元しますか？\n「{name}」（{updatedAt}）',
+        'drafts.restored': '下書きを復元しました',
+        'drafts.save': '下書き保存',
+
+        // データ
+        'data.notFound': 'データが見つかりません',
+        'data.updated': 'データを更新しました',
+        'data.saved': 'データを保存しました',
+        'data.quotaExceeded': 'ストレージの空き容量が不足しているため保存できませんでした',
+        'data.saveFailed': 'データの保存に失敗しました',
+        'data.loadFailed': 'データの取得に失敗しました',
+        'data.deleteConfirm': 'このデータを削除しますか？',
+        'data.deleted': 'データを削除しました',
+        'data.deleteFailed': 'データの削除に失敗しました',
+        'data.nextAttempt': ' / 次回: {time}',
+        'data.attempts': '（試行{count}回{next}）',
+        'data.location': '位置',
+        'data.history': '履歴',
+        'data.edit': '編集',
+
+        // 同期ステータス
+        'status.pending': '未同期',
+        'status.synced': '同期済み',
+        'status.modified': '変更未同期',
+        'status.conflict': '競合',
+        'status.error': '再送待ち',
+        'status.failed': '送信失敗',
+
+        // 競合
+        'conflict.resolved': '競合を解決しました',
+        'conflict.resolveFailed': '競合の解決に失敗しました',
+        'conflict.empty': '（なし）',
+        'conflict.title': '他の端末で変更されています。採用する内容を選択してください',
+        'conflict.column.field': '項目',
+        'conflict.column.mine': '自分の変更',
+        'conflict.column.server': 'サーバ',
+        'conflict.useMine': '自分の変更を採用',
+        'conflict.useServer': 'サーバの内容を採用',
+        'conflict.merge': '選択した項目で統合',
+        'conflict.deletedTitle': '他の端末で削除されています。自分の変更で再作成するか、削除を受け入れるかを選択してください',
+        'conflict.recreate': '自分の変更で再作成',
+        'conflict.acceptDelete': '削除を受け入れる',
+
+        // データ一覧
+        'list.allCategories': 'すべてのカテゴリ',
+        'list.allStatuses': 'すべての状態',
+        'list.page': '{page}ページ',
+        'list.empty': 'データがありません',
+        'list.heading': '保存済みデータ',
+        'list.tab': '一覧',
+        'list.searchPlaceholder': 'キーワードで検索',
+        'list.sort.newest': '新しい順',
+        'list.sort.oldest': '古い順',
+        'list.sort.title': 'タイトル順',
+        'list.period': '期間',
+        'list.periodTo': '〜',
+        'list.prev': '前へ',
+        'list.next': '次へ',
+
+        // エクスポート
+        'export.empty': 'エクスポートするデータがありません',
+        'export.shared': '{count}件のデータを共有しました',
+        'export.exported': '{count}件のデータをエクスポートしました',
+        'export.failed': 'エクスポートに失敗しました',
+        'export.format.csv': 'CSV（Excel）',
+        'export.button': 'エクスポート',
+        'export.share': '共有',
+
+        // インポート
+        'import.noArray': 'JSONにデータの配列が見つかりません',
+        'import.skipColumn': '（取り込まない）',
+        'import.errorRow': '{row}行目',
+        'import.moreErrors': 'ほか{count}件',
+        'import.title': 'インポート: {name}（{rows}行）',
+        'import.summary': '取り込み: {records}件 / 重複（スキップ）: {duplicates}件 / エラー: {errors}件',
+        'import.confirm': '{count}件を取り込む',
+        'import.empty': 'インポートするデータがありません',
+        'import.readFailed': 'ファイルを読み込めませんでした。CSVまたはJSONファイルを選択してください',
+        'import.imported': '{count}件のデータを取り込みました',
+        'import.failed': 'インポートに失敗しました。データは取り込まれていません',
+        'import.button': 'インポート',
+
+        // 同期
+        'sync.cancelled': '同期をキャンセルしました',
+        'sync.serverError': 'サーバエラー: {detail}',
+        'sync.conflict': 'サーバのデータと競合しています',
+        'sync.conflictNotFound': '競合中のデータが見つかりません',
+        'sync.pullError': '差分取得: {message}',
+        'sync.detailUploaded': '添付ファイル{count}件送信',
+        'sync.detailPulled': 'サーバから{count}件取得',
+        'sync.detailSeparator': '、',
+        'sync.detailSuffix': '（{details}）',
+        'sync.resultFailed': '成功: {success}件, 失敗: {failed}件{suffix}',
+        'sync.resultDetailsOnly': '{details}しました',
+        'sync.resultSynced': '{count}件のデータを同期しました{suffix}',
+        'sync.offline': 'オフラインです',
+        'sync.locked': 'データがロックされています',
+        'sync.serverUnavailable': 'サーバに接続できません',
+        'sync.inProgress': '同期処理中です',
+        'sync.offlineRetry': 'オフラインです。オンラインになってから同期してください',
+        'sync.button.sync': '同期',
+        'sync.button.syncing': '同期中...',
+        'sync.failed': '同期に失敗しました',
+        'sync.cancelledProgress': '同期をキャンセルしました（{done}/{total}件完了）',
+        'sync.error': '同期処理でエラーが発生しました',
+        'sync.nothing': '同期するデータがありません',
+        'sync.timeout': '{timeoutMs}ms以内に応答がありません',
+
+        // 同期履歴
+        'history.run.running': '実行中',
+        'history.run.finished': '完了',
+        'history.run.cancelled': 'キャンセル',
+        'history.run.unauthenticated': 'ログイン切れ',
+        'history.run.error': 'エラー',
+        'history.attempt.created': '登録',
+        'history.attempt.duplicate': '登録済み',
+        'history.attempt.updated': '更新',
+        'history.attempt.deleted': '削除',
+        'history.attempt.uploaded': 'アップロード',
+        'history.attempt.conflict': '競合',
+        'history.attempt.retrying': '再送待ち',
+        'history.attempt.failed': '送信失敗',
+        'history.action.create': '新規登録',
+        'history.action.update': '更新',
+        'history.action.delete': '削除',
+        'history.action.upload': '添付ファイル',
+        'history.empty': '同期履歴がありません',
+        'history.runCounts': '成功 {success} / 失敗 {failed} / 添付 {uploaded} / 取得 {pulled}',
+        'history.runProgress': '{done}/{total}件完了',
+        'history.context.worker': 'バックグラウンド',
+        'history.context.page': '画面',
+        'history.column.startedAt': '開始',
+        'history.column.context': '実行元',
+        'history.column.outcome': '結果',
+        'history.column.counts': '件数',
+        'history.column.duration': '所要時間',
+        'history.timelineEmpty': '送信の履歴がありません',
+        'history.serverId': 'サーバID: {id}',
+        'history.exportRecord': '履歴を書き出す',
+        'history.seconds': '{seconds}秒',
+        'history.loadFailed': '同期履歴の取得に失敗しました',
+        'history.recordLoadFailed': '送信履歴の取得に失敗しました',
+        'history.exported': '同期履歴を書き出しました',
+        'history.exportFailed': '同期履歴の書き出しに失敗しました',
+        'history.recordExported': '送信履歴を書き出しました',
+        'history.recordExportFailed': '送信履歴の書き出しに失敗しました',
+        'history.heading': '同期履歴',
+        'history.export': '書き出す',
+
+        // 集計
+        'dashboard.empty': '集計するデータがありません',
+        'dashboard.totalCount': '{count}件',
+        'dashboard.totalSum': '{label}の合計',
+        'dashboard.totalAvg': '平均',
+        'dashboard.countByCategory': 'カテゴリ別の件数',
+        'dashboard.sumByCategory': 'カテゴリ別の{label}の合計',
+        'dashboard.countByDay': '日別の件数',
+        'dashboard.countByDayRecent': '日別の件数（直近{days}日）',
+        'dashboard.countBySyncStatus': '同期ステータス別の件数',
+        'dashboard.comparison': 'サーバとの比較',
+        'dashboard.allCategories': 'すべて',
+        'dashboard.serverGeneratedAt': 'サーバの集計日時: {time}',
+        'dashboard.comparisonNote': '端末の件数には未同期のデータが含まれ、保存期間を過ぎて端末から削除した同期済みのデータは含まれません。',
+        'dashboard.uncategorized': '未分類',
+        'dashboard.column.category': 'カテゴリ',
+        'dashboard.column.date': '日付',
+        'dashboard.column.count': '件数',
+        'dashboard.column.sum': '合計',
+        'dashboard.column.avg': '平均',
+        'dashboard.column.min': '最小',
+        'dashboard.column.max': '最大',
+        'dashboard.column.localCount': '件数（端末）',
+        'dashboard.column.serverCount': '件数（サーバ）',
+        'dashboard.column.localSum': '合計（端末）',
+        'dashboard.column.serverSum': '合計（サーバ）',
+        'dashboard.failed': '集計に失敗しました',
+        'dashboard.serverOffline': 'オフラインのためサーバの集計を取得できません',
+        'dashboard.serverFailed': 'サーバの集計を取得できませんでした: {message}',
+        'dashboard.tab': '集計',
+        'dashboard.compare': 'サーバと比較',
+
+        // 設定
+        'settings.fallbackSync': 'ページ内再試行',
+        'settings.heading': '設定',
+        'settings.periodicSync': '定期バックグラウンド同期（長期間起動しない端末向け）',
+        'settings.locationCapture': '保存時に位置情報を記録する',
+        'settings.retentionDays': '同期済みデータを端末に残す期間',
+        'settings.retention.30': '30日',
+        'settings.retention.90': '90日',
+        'settings.retention.180': '180日',
+        'settings.retention.365': '1年',
+        'settings.retention.0': '削除しない',
+        'settings.language': '表示言語',
+
+        // ストレージ
+        'storage.persistent': '永続ストレージ（ブラウザの容量不足時も削除されません）',
+        'storage.temporary': '一時ストレージ（ブラウザの容量不足時に削除される場合があります）',
+        'storage.lowConfirm': '端末の空き容量が少なくなっています（{usage}）。\n同期して、設定で同期済みデータを残す期間を短くすると空き容量を増やせます。\nこのまま保存しますか？',
+        'storage.pruned': '同期済みデータを{count}件削除しました',
+
+        // データベース
+        'db.upgradeBlocked': 'データベースを更新しています。他のタブで開いているアプリを閉じてください',
+        'db.versionChanged': 'アプリが更新されました。ページを再読み込みしてください',
+        'db.rewriteConflict': '書き換え中にデータが更新され続けたため中止しました。しばらくしてから再度実行してください',
+
+        // オフラインページ
+        'offline.title': 'オフライン - PWA Offline Data Collector',
+        'offline.description': 'このページはオフラインでは表示できません。入力画面はオフラインでも使えます。',
+        'offline.back': '入力画面に戻る'
+    },
+    en: {
+        // 共通
+        'common.cancel': 'Cancel',
+        'common.yes': 'Yes',
+        'common.no': 'No',
+        'common.delete': 'Delete',
+        'common.refresh': 'Refresh',
+
+        // ステータスバー
+        'header.pending': 'Pending:',
+        'header.syncStrategy': 'Sync method:',
+        'header.checking': 'Checking...',
+        'header.storage': 'Storage:',
+        'header.user': 'User:',
+        'header.syncing': 'Syncing:',
+
+        // 更新の通知
+        'update.available': 'A new version is available',
+        'update.reload': 'Update',
+
+        // オンライン/オフライン
+        'network.online': 'Back online. Syncing your data...',
+        'network.offline': 'You are offline. Data will be saved on this device',
+        'network.badge.online': 'Online',
+        'network.badge.offline': 'Offline',
+
+        // ログイン
+        'login.expiredDescription': 'Your login has expired. Records stay on this device and will be sent after you log in again',
+        'login.description': 'Log in as the user who will send the data',
+        'login.submitting': 'Logging in...',
+        'login.submit': 'Log in',
+        'login.succeeded': 'Logged in',
+        'login.offline': 'Cannot log in while offline',
+        'login.heading': 'Log In',
+        'login.username': 'Username',
+        'login.password': 'Password',
+        'login.later': 'Later',
+
+        // セッション
+        'session.expiredUser': '{username} (login required)',
+        'session.relogin': 'Log in again',
+        'session.logout': 'Log out',
+        'session.logoutConfirmPending': '{count} records have not been synced. They will stay on this device and be sent after you next log in. Log out?',
+        'session.logoutConfirm': 'Log out?',
+        'session.logoutFailed': 'Failed to log out',
+
+        // 認証
+        'auth.loginRequired': 'You need to log in',
+        'auth.invalidCredentials': 'Incorrect username or password',
+        'auth.sessionExpired': 'Your login has expired. Please log in again',
+
+        // ロック画面
+        'lock.submitting': 'Checking...',
+        'lock.submit': 'Unlock',
+        'lock.heading': 'Locked',
+        'lock.description': 'Stored data is encrypted. Enter your passphrase',
+
+        // データの暗号化
+        'encryption.locked': 'Data is locked. Please enter your passphrase',
+        'encryption.passphraseTooShort': 'The passphrase must be at least {min} characters',
+        'encryption.alreadyEnabled': 'Data is already encrypted',
+        'encryption.wrongCurrentPassphrase': 'The current passphrase is incorrect',
+        'encryption.wrongPassphrase': 'Incorrect passphrase',
+        'encryption.statusEnabled': 'Encrypted (locks after {minutes} minutes of inactivity)',
+        'encryption.statusDisabled': 'Not encrypted',
+        'encryption.passphraseMismatch': 'The new passphrases do not match',
+        'encryption.enabled': 'Stored data is now encrypted',
+        'encryption.changed': 'Passphrase changed',
+        'encryption.disabled': 'Encryption turned off',
+        'encryption.rewriting': 'Rewriting stored data...',
+        'encryption.syncInProgress': 'A sync is in progress. Try again after it finishes',
+        'encryption.heading': 'Data Encryption',
+        'encryption.currentPlaceholder': 'Current passphrase',
+        'encryption.newPlaceholder': 'New passphrase (8+ characters)',
+        'encryption.confirmPlaceholder': 'Confirm new passphrase',
+        'encryption.enable': 'Encrypt',
+        'encryption.change': 'Change passphrase',
+        'encryption.disable': 'Turn off encryption',
+        'encryption.lockNow': 'Lock now',
+
+        // 入力フォーム
+        'form.selectPlaceholder': 'Please select',
+        'form.editTitle': 'Edit Record',
+        'form.defaultTitle': 'Data Entry',
+        'form.save': 'Save',
+        'form.update': 'Update',
+
+        // 入力値の検証
+        'validation.required': '{label} is required',
+        'validation.number': '{label} must be a number',
+        'validation.min': '{label} must be at least {min}',
+        'validation.max': '{label} must be at most {max}',
+        'validation.option': '{label} has an invalid option',
+        'validation.minLength': '{label} must be at least {min} characters',
+        'validation.maxLength': '{label} must be at most {max} characters',
+        'validation.pattern': '{label} is not in the correct format',
+
+        // 添付ファイル
+        'attachments.empty': '{name} is an empty file',
+        'attachments.tooLarge': '{name} is larger than {size}',
+        'attachments.convertFailed': 'Failed to convert the image',
+        'attachments.quotaExceeded': 'Not enough storage space (required: {required}, available: {available})',
+        'attachments.notFound': 'Attachment not found',
+        'attachments.remove': 'Remove',
+        'attachments.uploaded': 'Uploaded ({size})',
+        'attachments.failed': 'Upload failed ({message})',
+        'attachments.uploading': 'Uploading {percent}% ({size})',
+        'attachments.waiting': 'Waiting to upload ({size})',
+        'attachments.heading': 'Attachments',
+        'attachments.takePhoto': 'Take photo',
+        'attachments.chooseFile': 'Choose file',
+
+        // 位置情報
+        'location.ok': 'Captured',
+        'location.disabled': 'Not captured (disabled)',
+        'location.denied': 'Permission denied',
+        'location.unavailable': 'Position unavailable',
+        'location.unsupported': 'Not supported on this device',
+        'location.coordinates': '{latitude}, {longitude} (±{accuracy} m)',
+        'location.acquiring': 'Getting your location...',
+        'location.permissionRequired': 'Location access is blocked. Allow it in your browser settings',
+        'location.enabled': 'Location will be recorded when you save',
+
+        // 下書き
+        'drafts.untitled': 'Untitled draft',
+        'drafts.current': 'Editing',
+        'drafts.open': 'Open',
+        'drafts.heading': 'Drafts ({count})',
+        'drafts.noInput': 'Nothing has been entered',
+        'drafts.namePrompt': 'Draft name',
+        'drafts.savedWithoutAttachments': 'Draft saved (attachments are not saved in drafts)',
+        'drafts.saved': 'Draft saved',
+        'drafts.saveFailed': 'Failed to save the draft',
+        'drafts.deleteConfirm': 'Delete this draft?',
+        'drafts.actionFailed': 'Draft operation failed',
+        'drafts.restoreConfirm': 'Restore your draft?\n"{name}" ({updatedAt})',
+        'drafts.restored': 'Draft restored',
+        'drafts.save': 'Save draft',
+
+        // データ
+        'data.notFound': 'Data not found',
+        'data.updated': 'Record updated',
+        'data.saved': 'Record saved',
+        'data.quotaExceeded': 'Could not save because the device is out of storage space',
+        'data.saveFailed': 'Failed to save the record',
+        'data.loadFailed': 'Failed to load records',
+        'data.deleteConfirm': 'Delete this record?',
+        'data.deleted': 'Record deleted',
+        'data.deleteFailed': 'Failed to delete the record',
+        'data.nextAttempt': ' / next: {time}',
+        'data.attempts': ' ({count} attempts{next})',
+        'data.location': 'Location',
+        'data.history': 'History',
+        'data.edit': 'Edit',
+
+        // 同期ステータス
+        'status.pending': 'Not synced',
+        'status.synced': 'Synced',
+        'status.modified': 'Changes not synced',
+        'status.conflict': 'Conflict',
+        'status.error': 'Waiting to retry',
+        'status.failed': 'Failed',
+
+        // 競合
+        'conflict.resolved': 'Conflict resolved',
+        'conflict.resolveFailed': 'Failed to resolve the conflict',
+        'conflict.empty': '(empty)',
+        'conflict.title': 'This record was changed on another device. Choose which values to keep',
+        'conflict.column.field': 'Field',
+        'conflict.column.mine': 'My changes',
+        'conflict.column.server': 'Server',
+        'conflict.useMine': 'Keep my changes',
+        'conflict.useServer': 'Use server version',
+        'conflict.merge': 'Merge selected values',
+        'conflict.deletedTitle': 'This record was deleted on another device. Re-create it with your changes or accept the deletion',
+        'conflict.recreate': 'Re-create with my changes',
+        'conflict.acceptDelete': 'Accept deletion',
+
+        // データ一覧
+        'list.allCategories': 'All categories',
+        'list.allStatuses': 'All statuses',
+        'list.page': 'Page {page}',
+        'list.empty': 'No records',
+        'list.heading': 'Saved Records',
+        'list.tab': 'List',
+        'list.searchPlaceholder': 'Search by keyword',
+        'list.sort.newest': 'Newest first',
+        'list.sort.oldest': 'Oldest first',
+        'list.sort.title': 'By title',
+        'list.period': 'From',
+        'list.periodTo': 'to',
+        'list.prev': 'Previous',
+        'list.next': 'Next',
+
+        // エクスポート
+        'export.empty': 'No records to export',
+        'export.shared': 'Shared {count} records',
+        'export.exported': 'Exported {count} records',
+        'export.failed': 'Export failed',
+        'export.format.csv': 'CSV (Excel)',
+        'export.button': 'Export',
+        'export.share': 'Share',
+
+        // インポート
+        'import.noArray': 'No data array was found in the JSON',
+        'import.skipColumn': '(Do not import)',
+        'import.errorRow': 'Row {row}',
+        'import.moreErrors': '{count} more',
+        'import.title': 'Import: {name} ({rows} rows)',
+        'import.summary': 'To import: {records} / Duplicates (skipped): {duplicates} / Errors: {errors}',
+        'import.confirm': 'Import {count} record(s)',
+        'import.empty': 'No records to import',
+        'import.readFailed': 'Could not read the file. Choose a CSV or JSON file',
+        'import.imported': 'Imported {count} records',
+        'import.failed': 'Import failed. No records were imported',
+        'import.button': 'Import',
+
+        // 同期
+        'sync.cancelled': 'Sync cancelled',
+        'sync.serverError': 'Server error: {detail}',
+        'sync.conflict': 'Conflicts with the data on the server',
+        'sync.conflictNotFound': 'The conflicting data was not found',
+        'sync.pullError': 'Fetching changes: {message}',
+        'sync.detailUploaded': '{count} attachment(s) uploaded',
+        'sync.detailPulled': '{count} record(s) received from the server',
+        'sync.detailSeparator': ', ',
+        'sync.detailSuffix': ' ({details})',
+        'sync.resultFailed': 'Succeeded: {success}, failed: {failed}{suffix}',
+        'sync.resultDetailsOnly': '{details}',
+        'sync.resultSynced': 'Synced {count} record(s){suffix}',
+        'sync.offline': 'You are offline',
+        'sync.locked': 'Data is locked',
+        'sync.serverUnavailable': 'Cannot connect to the server',
+        'sync.inProgress': 'Sync is already in progress',
+        'sync.offlineRetry': 'You are offline. Sync again once you are back online',
+        'sync.button.sync': 'Sync',
+        'sync.button.syncing': 'Syncing...',
+        'sync.failed': 'Sync failed',
+        'sync.cancelledProgress': 'Sync cancelled ({done}/{total} done)',
+        'sync.error': 'An error occurred while syncing',
+        'sync.nothing': 'Nothing to sync',
+        'sync.timeout': 'No response within {timeoutMs}ms',
+
+        // 同期履歴
+        'history.run.running': 'Running',
+        'history.run.finished': 'Finished',
+        'history.run.cancelled': 'Cancelled',
+        'history.run.unauthenticated': 'Logged out',
+        'history.run.error': 'Error',
+        'history.attempt.created': 'Created',
+        'history.attempt.duplicate': 'Already registered',
+        'history.attempt.updated': 'Updated',
+        'history.attempt.deleted': 'Deleted',
+        'history.attempt.uploaded': 'Uploaded',
+        'history.attempt.conflict': 'Conflict',
+        'history.attempt.retrying': 'Waiting to retry',
+        'history.attempt.failed': 'Failed',
+        'history.action.create': 'Create',
+        'history.action.update': 'Update',
+        'history.action.delete': 'Delete',
+        'history.action.upload': 'Attachment',
+        'history.empty': 'No sync history',
+        'history.runCounts': 'Succeeded {success} / Failed {failed} / Attachments {uploaded} / Received {pulled}',
+        'history.runProgress': '{done}/{total} done',
+        'history.context.worker': 'Background',
+        'history.context.page': 'Page',
+        'history.column.startedAt': 'Started',
+        'history.column.context': 'Source',
+        'history.column.outcome': 'Result',
+        'history.column.counts': 'Counts',
+        'history.column.duration': 'Duration',
+        'history.timelineEmpty': 'No send history',
+        'history.serverId': 'Server ID: {id}',
+        'history.exportRecord': 'Export history',
+        'history.seconds': '{seconds} s',
+        'history.loadFailed': 'Failed to load the sync history',
+        'history.recordLoadFailed': 'Failed to load the record history',
+        'history.exported': 'Sync history exported',
+        'history.exportFailed': 'Failed to export the sync history',
+        'history.recordExported': 'Record history exported',
+        'history.recordExportFailed': 'Failed to export the record history',
+        'history.heading': 'Sync History',
+        'history.export': 'Export',
+
+        // 集計
+        'dashboard.empty': 'No data to aggregate',
+        'dashboard.totalCount': '{count} records',
+        'dashboard.totalSum': 'Total {label}',
+        'dashboard.totalAvg': 'Average',
+        'dashboard.countByCategory': 'Records by category',
+        'dashboard.sumByCategory': 'Total {label} by category',
+        'dashboard.countByDay': 'Records by day',
+        'dashboard.countByDayRecent': 'Records by day (last {days} days)',
+        'dashboard.countBySyncStatus': 'Records by sync status',
+        'dashboard.comparison': 'Comparison with the server',
+        'dashboard.allCategories': 'All',
+        'dashboard.serverGeneratedAt': 'Server figures as of: {time}',
+        'dashboard.comparisonNote': 'Device figures include unsynced data and exclude synced data removed from this device after the retention period.',
+        'dashboard.uncategorized': 'Uncategorized',
+        'dashboard.column.category': 'Category',
+        'dashboard.column.date': 'Date',
+        'dashboard.column.count': 'Count',
+        'dashboard.column.sum': 'Sum',
+        'dashboard.column.avg': 'Average',
+        'dashboard.column.min': 'Min',
+        'dashboard.column.max': 'Max',
+        'dashboard.column.localCount': 'Count (device)',
+        'dashboard.column.serverCount': 'Count (server)',
+        'dashboard.column.localSum': 'Sum (device)',
+        'dashboard.column.serverSum': 'Sum (server)',
+        'dashboard.failed': 'Failed to compute aggregates',
+        'dashboard.serverOffline': 'Cannot fetch server aggregates while offline',
+        'dashboard.serverFailed': 'Could not fetch server aggregates: {message}',
+        'dashboard.tab': 'Summary',
+        'dashboard.compare': 'Compare with server',
+
+        // 設定
+        'settings.fallbackSync': 'In-page retry',
+        'settings.heading': 'Settings',
+        'settings.periodicSync': 'Periodic background sync (for devices that stay closed for long periods)',
+        'settings.locationCapture': 'Record location when saving',
+        'settings.retentionDays': 'Keep synced records on this device for',
+        'settings.retention.30': '30 days',
+        'settings.retention.90': '90 days',
+        'settings.retention.180': '180 days',
+        'settings.retention.365': '1 year',
+        'settings.retention.0': 'Forever',
+        'settings.language': 'Language',
+
+        // ストレージ
+        'storage.persistent': 'Persistent storage (not cleared when the browser runs low on space)',
+        'storage.temporary': 'Temporary storage (may be cleared when the browser runs low on space)',
+        'storage.lowConfirm': 'This device is running low on storage ({usage}).\nSync and shorten how long synced records are kept in Settings to free up space.\nSave anyway?',
+        'storage.pruned': 'Deleted {count} synced records',
+
+        // データベース
+        'db.upgradeBlocked': 'Updating the database. Please close the app in other tabs',
+        'db.versionChanged': 'The app has been updated. Please reload the page',
+        'db.rewriteConflict': 'Stopped because data kept changing during the rewrite. Try again later',
+
+        // オフラインページ
+        'offline.title': 'Offline - PWA Offline Data Collector',
+        'offline.description': 'This page is not available offline. The data entry screen works offline.',
+        'offline.back': 'Back to data entry'
+    }
+};
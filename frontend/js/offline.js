@@ -0,0 +1,6 @@
+/**
+ * オフラインページ（offline.html）の表示
+ * Service Workerが返すページのため、表示言語はページの設定ではなくセッション用のデータベースから読み込む
+ */
+
+loadLanguage().then(() => translatePage());
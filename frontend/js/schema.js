@@ -0,0 +1,182 @@
+/**
+ * IndexedDBスキーマ定義モジュール
+ * ページ（<script>）とService Worker（importScripts）で共有する
+ * db.jsより前に読み込むこと
+ *
+ * スキーマを変更する場合はMIGRATIONSの末尾にバージョンを1つ上げたステップを追加する。
+ * 既存のステップは書き換えないこと（旧バージョンの端末が順番に適用するため）
+ */
+
+const DB_NAME = 'OfflineDataDB';
+const STORE_NAME = 'pendingData';
+const SYNC_STATE_STORE_NAME = 'syncState';
+const OPERATIONS_STORE_NAME = 'operations';
+const ATTACHMENTS_STORE_NAME = 'attachments';
+const SYNC_HISTORY_STORE_NAME = 'syncHistory';
+const DRAFTS_STORE_NAME = 'drafts';
+
+/**
+ * マイグレーションステップ（バージョン昇順）
+ * migrateはversionchangeトランザクション内で呼び出される
+ * @type {Array<{version: number, description: string, migrate: Function}>}
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'pendingDataストア作成',
+        migrate(database, transaction) {
+            const objectStore = ensureStore(database, transaction, STORE_NAME, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+
+            // インデックスを作成（検索用）
+            ensureIndex(objectStore, 'syncStatus', 'syncStatus', { unique: false });
+            ensureIndex(objectStore, 'timestamp', 'timestamp', { unique: false });
+        }
+    },
+    {
+        version: 2,
+        description: '冪等性キー（UUID）のインデックス追加と既存データへのUUID付与',
+        migrate(database, transaction) {
+            const objectStore = transaction.objectStore(STORE_NAME);
+            ensureIndex(objectStore, 'uuid', 'uuid', { unique: true });
+
+            backfillStore(objectStore, (data) => data.uuid ? null : { ...data, uuid: generateUUID() });
+        }
+    },
+    {
+        version: 3,
+        description: '差分取得用の同期状態ストアとサーバID検索用インデックスを追加',
+        migrate(database, transaction) {
+            const objectStore = transaction.objectStore(STORE_NAME);
+            ensureIndex(objectStore, 'serverId', 'serverId', { unique: false });
+
+            ensureStore(database, transaction, SYNC_STATE_STORE_NAME, { keyPath: 'key' });
+        }
+    },
+    {
+        version: 4,
+        description: '同期済みデータの更新・削除を記録する操作ログストアを追加',
+        migrate(database, transaction) {
+            const operationStore = ensureStore(database, transaction, OPERATIONS_STORE_NAME, {
+                keyPath: 'opId',
+                autoIncrement: true
+            });
+            ensureIndex(operationStore, 'recordId', 'recordId', { unique: false });
+        }
+    },
+    {
+        version: 5,
+        description: '写真・ファイルを保存する添付ファイルストアを追加',
+        migrate(database, transaction) {
+            const attachmentStore = ensureStore(database, transaction, ATTACHMENTS_STORE_NAME, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+            ensureIndex(attachmentStore, 'recordId', 'recordId', { unique: false });
+            ensureIndex(attachmentStore, 'uuid', 'uuid', { unique: true });
+            ensureIndex(attachmentStore, 'uploadStatus', 'uploadStatus', { unique: false });
+        }
+    },
+    {
+        version: 6,
+        description: '一覧の絞り込み・並べ替え用の複合インデックスを追加',
+        migrate(database, transaction) {
+            const objectStore = transaction.objectStore(STORE_NAME);
+            ensureIndex(objectStore, 'category_timestamp', ['category', 'timestamp'], { unique: false });
+            ensureIndex(objectStore, 'syncStatus_timestamp', ['syncStatus', 'timestamp'], { unique: false });
+            ensureIndex(objectStore, 'title', 'title', { unique: false });
+        }
+    },
+    {
+        version: 7,
+        description: '同期の実行とデータごとの送信の試行を記録する同期履歴ストアを追加',
+        migrate(database, transaction) {
+            const historyStore = ensureStore(database, transaction, SYNC_HISTORY_STORE_NAME, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+            ensureIndex(historyStore, 'kind_startedAt', ['kind', 'startedAt'], { unique: false });
+            ensureIndex(historyStore, 'recordId', 'recordId', { unique: false });
+            ensureIndex(historyStore, 'runId', 'runId', { unique: false });
+        }
+    },
+    {
+        version: 8,
+        description: '入力途中のフォームを保存する下書きストアを追加',
+        migrate(database, transaction) {
+            const draftStore = ensureStore(database, transaction, DRAFTS_STORE_NAME, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+            ensureIndex(draftStore, 'updatedAt', 'updatedAt', { unique: false });
+        }
+    }
+];
+
+// 現在のスキーマバージョン（最後のマイグレーションのバージョン）
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * oldVersionより新しいマイグレーションを順番に適用
+ * @param {IDBDatabase} database - アップグレード中のデータベース
+ * @param {IDBTransaction} transaction - versionchangeトランザクション
+ * @param {number} oldVersion - アップグレード前のバージョン（新規作成時は0）
+ */
+function runMigrations(database, transaction, oldVersion) {
+    MIGRATIONS
+        .filter(migration => migration.version > oldVersion)
+        .forEach(migration => {
+            migration.migrate(database, transaction);
+            console.log(`IndexedDB: マイグレーション v${migration.version} 適用 (${migration.description})`);
+        });
+}
+
+/**
+ * オブジェクトストアを取得（存在しない場合は作成）
+ * @param {IDBDatabase} database - アップグレード中のデータベース
+ * @param {IDBTransaction} transaction - versionchangeトランザクション
+ * @param {string} name - ストア名
+ * @param {Object} options - createObjectStoreのオプション
+ * @returns {IDBObjectStore}
+ */
+function ensureStore(database, transaction, name, options) {
+    if (database.objectStoreNames.contains(name)) {
+        return transaction.objectStore(name);
+    }
+    return database.createObjectStore(name, options);
+}
+
+/**
+ * インデックスを作成（既に存在する場合は何もしない）
+ * @param {IDBObjectStore} objectStore - 対象のストア
+ * @param {string} name - インデックス名
+ * @param {string|Array<string>} keyPath - キーパス
+ * @param {Object} options - createIndexのオプション
+ */
+function ensureIndex(objectStore, name, keyPath, options) {
+    if (!objectStore.indexNames.contains(name)) {
+        objectStore.createIndex(name, keyPath, options);
+    }
+}
+
+/**
+ * 既存データを1件ずつ書き換える（フィールドの追加・補完用）
+ * @param {IDBObjectStore} objectStore - 対象のストア
+ * @param {Function} update - (value) => 書き換え後の値（変更しない場合はnull）
+ */
+function backfillStore(objectStore, update) {
+    objectStore.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+            return;
+        }
+
+        const updated = update(cursor.value);
+        if (updated) {
+            cursor.update(updated);
+        }
+        cursor.continue();
+    };
+}
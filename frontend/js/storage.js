@@ -0,0 +1,99 @@
+/**
+ * ストレージ管理モジュール
+ * 永続ストレージの要求、使用量・割り当て容量の確認、
+ * 保存期間を過ぎた同期済みデータの削除（メンテナンス）を行う（ページ専用）
+ */
+
+// 空き容量が少ないと警告する使用量（割り当て容量に対する割合）
+const STORAGE_WARNING_RATIO = 0.8;
+
+// 同期済みデータの既定の保存期間（日）
+const DEFAULT_RETENTION_DAYS = 90;
+
+// メンテナンスの実行間隔（同期のたびに実行しない）
+const STORAGE_MAINTENANCE_INTERVAL = 24 * 60 * 60 * 1000;
+
+// 前回のメンテナンスの日時を保存する同期状態のキー（ユーザーごとのデータベースに保存）
+const STORAGE_MAINTENANCE_STATE_KEY = 'storageMaintenanceAt';
+
+/**
+ * 永続ストレージを要求（ブラウザの容量不足時に未送信のデータが削除されないようにする）
+ * 許可するかどうかはブラウザが判断する（インストール済みのPWAは許可されやすい）
+ * @returns {Promise<boolean|null>} 永続化されたかどうか（未対応の環境ではnull）
+ */
+async function requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) {
+        return null;
+    }
+
+    try {
+        if (await navigator.storage.persisted()) {
+            return true;
+        }
+
+        const persisted = await navigator.storage.persist();
+        console.log('永続ストレージの要求:', persisted ? '許可' : '拒否');
+        return persisted;
+    } catch (error) {
+        console.error('永続ストレージ要求エラー:', error);
+        return null;
+    }
+}
+
+/**
+ * ストレージの使用状況を取得
+ * @returns {Promise<Object|null>} {usage, quota, ratio, low, persisted}（未対応の環境ではnull）
+ */
+async function getStorageStatus() {
+    if (!navigator.storage || !navigator.storage.estimate) {
+        return null;
+    }
+
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+        const ratio = quota > 0 ? usage / quota : 0;
+
+        return { usage, quota, ratio, low: ratio >= STORAGE_WARNING_RATIO, persisted };
+    } catch (error) {
+        console.error('ストレージ使用量取得エラー:', error);
+        return null;
+    }
+}
+
+/**
+ * 使用状況を表示用の文字列に変換（例: 12.3 MB / 1.2 GB）
+ * @param {Object} status - getStorageStatusの使用状況
+ * @returns {string}
+ */
+function formatStorageUsage(status) {
+    const formatQuota = (bytes) => bytes >= 1024 * 1024 * 1024
+        ? `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`
+        : formatFileSize(bytes);
+    return `${formatFileSize(status.usage)} / ${formatQuota(status.quota)}`;
+}
+
+/**
+ * 保存期間を過ぎた同期済みデータを削除
+ * 未同期・送信エラー・競合のデータは保存期間に関係なく残す
+ * @param {number} retentionDays - 保存期間（日、0は削除しない）
+ * @param {Object} options - {force: 前回の実行から間隔が空いていなくても実行, keepIds: 削除しないデータのID}
+ * @returns {Promise<number|null>} 削除した件数（実行しなかった場合はnull）
+ */
+async function runStorageMaintenance(retentionDays, { force = false, keepIds = [] } = {}) {
+    if (!retentionDays) {
+        return null;
+    }
+
+    const lastRun = await getSyncState(STORAGE_MAINTENANCE_STATE_KEY);
+    if (!force && lastRun && Date.now() - new Date(lastRun).getTime() < STORAGE_MAINTENANCE_INTERVAL) {
+        return null;
+    }
+
+    const before = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const deleted = await pruneSyncedRecords(before, keepIds);
+    await setSyncState(STORAGE_MAINTENANCE_STATE_KEY, new Date().toISOString());
+
+    console.log(`ストレージメンテナンス: ${retentionDays}日より前の同期済みデータを${deleted}件削除`);
+    return deleted;
+}
@@ -1,185 +1,1642 @@
 /**
  * 同期ロジックモジュール
  * サーバとのデータ同期を管理
+ * ページ（<script>）とService Worker（importScripts）の両方から読み込まれる
+ * 認証が必要なAPIはauth.jsのauthFetchでアクセストークンを付けて送信する
+ *
+ * 同期の経過は同期イベント（onSyncEventで購読）として通知する。他のコンテキストの同期イベントも
+ * BroadcastChannel経由で同じ購読者に届く（remote: true）
+ *   sync-started / sync-progress {done, total} / sync-item-succeeded・sync-item-failed {kind, id, title, error} /
+ *   sync-finished {success, failed, uploaded, pulled, errors} / sync-aborted {reason, error} / attachment-progress
  */
 
+// 実行コンテキスト（'page' または 'worker'）
+const SYNC_CONTEXT = typeof window === 'undefined' ? 'worker' : 'page';
+
 // サーバAPIのベースURL（環境に応じて変更）
-const API_BASE_URL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
-    ? `${window.location.protocol}//${window.location.hostname}:5000`
+const API_BASE_URL = self.location.hostname === 'localhost' || self.location.hostname === '127.0.0.1'
+    ? `${self.location.protocol}//${self.location.hostname}:5000`
     : '';
 
-const API_ENDPOINTS = {
-    submit: `${API_BASE_URL}/api/submit`,
-    health: `${API_BASE_URL}/api/health`
-};
+const API_ENDPOINTS = {
+    submit: `${API_BASE_URL}/api/submit`,
+    submitBatch: `${API_BASE_URL}/api/submit/batch`,
+    data: `${API_BASE_URL}/api/data`,
+    aggregates: `${API_BASE_URL}/api/data/aggregates`,
+    formSchema: `${API_BASE_URL}/api/form-schema`,
+    attachmentUploads: `${API_BASE_URL}/api/attachments/uploads`,
+    health: `${API_BASE_URL}/api/health`,
+    login: `${API_BASE_URL}/api/auth/login`,
+    refresh: `${API_BASE_URL}/api/auth/refresh`,
+    logout: `${API_BASE_URL}/api/auth/logout`
+};
+
+// Background Sync / Periodic Background Syncのタグ
+const SYNC_TAGS = {
+    oneOff: 'sync-data',
+    periodic: 'periodic-sync-data'
+};
+
+// 一括送信1回あたりの件数（サーバのBATCH_MAX_SIZE以下にすること）
+const SYNC_BATCH_SIZE = 20;
+
+// 差分取得1回あたりの件数
+const PULL_PAGE_SIZE = 200;
+
+// 添付ファイルの分割アップロード1回あたりのバイト数（サーバのATTACHMENT_CHUNK_MAX_SIZE以下にすること）
+const ATTACHMENT_CHUNK_SIZE = 512 * 1024;
+
+// IndexedDBのデータのうち端末内の管理用フィールド（サーバに送信しない）
+const LOCAL_ONLY_FIELDS = [
+    'id', 'syncStatus', 'attempts', 'lastAttemptAt', 'nextAttemptAt', 'errorMessage',
+    'serverId', 'serverRevision', 'serverUpdatedAt', 'localRevision', 'conflict', 'deletedAt',
+    'schemaVersion', 'captureContext', 'ownerId'
+];
+
+// サーバのデータのうちフォームの入力値ではない管理用フィールド
+const SERVER_META_FIELDS = [
+    'id', 'uuid', 'user_id', 'schema_version', 'capture_context', 'timestamp', 'received_at', 'updated_at',
+    'revision', 'deleted', 'deleted_at'
+];
+
+// 再送ポリシー
+const RETRY_POLICY = {
+    maxAttempts: 5,              // この回数失敗したら'failed'にして再送を停止
+    baseDelay: 30 * 1000,        // 初回再送までの基準待ち時間（ミリ秒）
+    maxDelay: 60 * 60 * 1000     // 再送待ち時間の上限（ミリ秒）
+};
+
+// 同期履歴に残す件数の上限（同期の実行と送信の試行の合計。超えた分は古いものから削除）
+const SYNC_HISTORY_MAX_ENTRIES = 2000;
+
+// ページとService Workerで共有する同期ロック名
+const SYNC_LOCK_NAME = 'pwa-offline-collector-sync';
+
+// 同期イベントを他のコンテキストと送受信するBroadcastChannel
+const syncChannel = typeof BroadcastChannel === 'function'
+    ? new BroadcastChannel('pwa-offline-collector-sync')
+    : null;
+
+// Web Locks API未対応時の同一コンテキスト内フラグ
+let syncInProgress = false;
+
+// このコンテキストで実行中の同期 {runId: string, controller: AbortController, done: number, total: number}
+let activeSyncRun = null;
+
+// 同期イベントの購読者
+const syncEventListeners = new Set();
+
+// 同期の状態（他のコンテキストの同期も含む）
+let syncStatus = { state: 'idle', source: null, done: 0, total: 0, lastResult: null };
+
+if (syncChannel) {
+    syncChannel.onmessage = (event) => {
+        const message = event.data;
+
+        // 他のコンテキストからのキャンセル要求（このコンテキストで同期中の場合のみ中断する）
+        if (message.type === 'sync-cancel') {
+            if (activeSyncRun) {
+                activeSyncRun.controller.abort();
+            }
+            return;
+        }
+
+        dispatchSyncEvent({ ...message, remote: true });
+    };
+}
+
+/**
+ * 同期イベントを購読
+ * @param {Function} listener - イベントを受け取る関数（event.typeで種類を判別）
+ * @returns {Function} 購読を解除する関数
+ */
+function onSyncEvent(listener) {
+    syncEventListeners.add(listener);
+    return () => syncEventListeners.delete(listener);
+}
+
+/**
+ * 現在の同期の状態を取得
+ * @returns {Object} {state: 'idle' | 'syncing', source: 'page' | 'worker' | null, done, total, lastResult}
+ */
+function getSyncStatus() {
+    return { ...syncStatus };
+}
+
+/**
+ * 同期イベントを発行（このコンテキストの購読者と他のコンテキストに通知）
+ * @param {Object} event - イベント（typeプロパティ必須）
+ */
+function emitSyncEvent(event) {
+    const message = { ...event, source: SYNC_CONTEXT };
+
+    if (syncChannel) {
+        syncChannel.postMessage(message);
+    }
+    dispatchSyncEvent({ ...message, remote: false });
+}
+
+/**
+ * 同期イベントで状態を更新し、購読者に渡す
+ * @param {Object} event - イベント
+ */
+function dispatchSyncEvent(event) {
+    if (event.type === 'sync-started') {
+        syncStatus = { ...syncStatus, state: 'syncing', source: event.source, done: 0, total: 0 };
+    } else if (event.type === 'sync-progress') {
+        syncStatus = { ...syncStatus, state: 'syncing', source: event.source, done: event.done, total: event.total };
+    } else if (event.type === 'sync-finished' || event.type === 'sync-aborted') {
+        syncStatus = { state: 'idle', source: event.source, done: 0, total: 0, lastResult: event };
+    }
+
+    syncEventListeners.forEach(listener => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('同期イベント処理エラー:', error);
+        }
+    });
+}
+
+/**
+ * 同期の対象件数を追加（同期の各段階で対象が決まるたびに呼ぶ。減らす場合は負の数）
+ * @param {number} count - 追加する件数
+ */
+function addSyncTotal(count) {
+    if (!activeSyncRun || count === 0) {
+        return;
+    }
+
+    activeSyncRun.total += count;
+    emitSyncEvent({ type: 'sync-progress', done: activeSyncRun.done, total: activeSyncRun.total });
+}
+
+/**
+ * 1件の同期結果を通知
+ * @param {string} kind - 'record' | 'operation' | 'attachment'
+ * @param {number} id - データのID（添付ファイルの場合は紐付くデータのID）
+ * @param {string} title - 表示用の名前
+ * @param {Error|null} error - 失敗時のエラー
+ */
+function reportSyncItem(kind, id, title, error) {
+    emitSyncEvent({
+        type: error ? 'sync-item-failed' : 'sync-item-succeeded',
+        kind,
+        id,
+        title,
+        error: error ? error.message : null
+    });
+
+    if (activeSyncRun) {
+        activeSyncRun.done++;
+        emitSyncEvent({ type: 'sync-progress', done: activeSyncRun.done, total: activeSyncRun.total });
+    }
+}
+
+/**
+ * 同期をキャンセル
+ * 送信中のリクエストを中断する。他のコンテキスト（Service Worker等）で同期中の場合はそちらに要求する
+ */
+function cancelSync() {
+    if (activeSyncRun) {
+        activeSyncRun.controller.abort();
+        return;
+    }
+
+    if (syncChannel) {
+        syncChannel.postMessage({ type: 'sync-cancel' });
+    }
+}
+
+/**
+ * 同期のリクエストに渡す中断用のシグナル
+ * @returns {AbortSignal|undefined}
+ */
+function getSyncSignal() {
+    return activeSyncRun ? activeSyncRun.controller.signal : undefined;
+}
+
+/**
+ * キャンセルされていれば中断する（リクエストの合間に呼ぶ）
+ */
+function throwIfSyncCancelled() {
+    if (activeSyncRun && activeSyncRun.controller.signal.aborted) {
+        throw new DOMException(t('sync.cancelled'), 'AbortError');
+    }
+}
+
+/**
+ * キャンセルによる中断のエラーかどうか
+ * @param {Error} error - エラー
+ * @returns {boolean}
+ */
+function isSyncAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * 同期全体を中断するエラー（キャンセル・セッション切れ）かどうか
+ * 個々のデータの失敗として記録せず、送信待ちのまま次回の同期に回す
+ * @param {Error} error - エラー
+ * @returns {boolean}
+ */
+function isSyncInterruption(error) {
+    return isSyncAbortError(error) || isAuthenticationError(error);
+}
+
+/**
+ * 中断のエラーを同期履歴の結果に変換
+ * @param {Error} error - isSyncInterruptionに該当するエラー
+ * @returns {string} 'cancelled' | 'unauthenticated'
+ */
+function getInterruptionOutcome(error) {
+    return isSyncAbortError(error) ? 'cancelled' : 'unauthenticated';
+}
+
+/**
+ * APIのURLを同期履歴に記録するパスに変換（サーバのアドレスは含めない）
+ * @param {string} url - APIのURL
+ * @returns {string} /api/... のパス
+ */
+function toEndpointPath(url) {
+    return url.startsWith(API_BASE_URL) ? url.slice(API_BASE_URL.length) : url;
+}
+
+/**
+ * データごとの送信結果を同期履歴に記録
+ * 記録に失敗しても同期は続ける
+ * @param {Object} attempt - {recordId, action, method, endpoint, httpStatus, outcome, errorMessage, serverId, startedAt, durationMs, ...}
+ * @returns {Promise<void>}
+ */
+async function recordSyncAttempt(attempt) {
+    try {
+        await putSyncHistory({
+            kind: 'attempt',
+            runId: activeSyncRun ? activeSyncRun.runId : null,
+            context: SYNC_CONTEXT,
+            ...attempt
+        });
+    } catch (error) {
+        console.error('同期履歴の記録エラー:', error);
+    }
+}
+
+/**
+ * 同期の実行を同期履歴に記録
+ * 記録に失敗しても同期は続ける
+ * @param {Object} run - 同期の実行（idがあれば上書き）
+ * @returns {Promise<Object>} 保存した記録（idを含む）
+ */
+async function saveSyncRun(run) {
+    try {
+        run.id = await putSyncHistory(run);
+    } catch (error) {
+        console.error('同期履歴の記録エラー:', error);
+    }
+    return run;
+}
+
+/**
+ * 同期の実行の記録を完了状態にして、古い履歴を削除
+ * @param {Object} run - saveSyncRunで保存した記録
+ * @param {Object} fields - 結果 {outcome, success, failed, ...}
+ * @returns {Promise<void>}
+ */
+async function finishSyncRun(run, fields) {
+    const startedAt = new Date(run.startedAt).getTime();
+    await saveSyncRun(Object.assign(run, {
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt,
+        ...fields
+    }));
+
+    try {
+        await pruneSyncHistory(SYNC_HISTORY_MAX_ENTRIES);
+    } catch (error) {
+        console.error('同期履歴の削除エラー:', error);
+    }
+}
+
+/**
+ * サーバのヘルスチェック
+ * @returns {Promise<boolean>} サーバが利用可能かどうか
+ */
+async function checkServerHealth() {
+    try {
+        const response = await fetch(API_ENDPOINTS.health, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            timeout: 5000
+        });
+
+        return response.ok;
+    } catch (error) {
+        console.error('サーバヘルスチェックエラー:', error);
+        return false;
+    }
+}
+
+/**
+ * データをサーバに送信
+ * @param {Object} data - 送信するデータ
+ * @returns {Promise<Object>} サーバからのレスポンス
+ */
+async function submitToServer(data) {
+    const response = await authFetch(API_ENDPOINTS.submit, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            // 再送時に重複登録されないよう冪等性キーを付与
+            'Idempotency-Key': data.uuid
+        },
+        body: JSON.stringify(toSubmitPayload(data)),
+        signal: getSyncSignal()
+    });
+
+    if (!response.ok) {
+        throw await createResponseError(response);
+    }
+
+    return await response.json();
+}
+
+/**
+ * 複数データをサーバに一括送信
+ * @param {Array<Object>} records - 送信するデータの配列
+ * @returns {Promise<Array<Object>>} 各データの結果（recordsと同じ順序、httpStatusは一括送信のHTTPステータス）
+ */
+async function submitBatchToServer(records) {
+    const response = await authFetch(API_ENDPOINTS.submitBatch, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(records.map(toSubmitPayload)),
+        signal: getSyncSignal()
+    });
+
+    if (!response.ok) {
+        throw await createResponseError(response);
+    }
+
+    const body = await response.json();
+    return records.map((data, index) => ({
+        ...(body.results.find(result => result.index === index) || {
+            index,
+            status: 'error',
+            error: 'No result returned for item'
+        }),
+        httpStatus: response.status
+    }));
+}
+
+/**
+ * IndexedDBのデータを送信用の形式に変換
+ * ローカル管理用のフィールド（id, syncStatus等）は送信せず、フォームの入力値はスキーマによらずすべて送る
+ * @param {Object} data - IndexedDBのデータ
+ * @returns {Object} 送信用データ
+ */
+function toSubmitPayload(data) {
+    const payload = {};
+
+    Object.keys(data).forEach(key => {
+        if (!LOCAL_ONLY_FIELDS.includes(key)) {
+            payload[key] = data[key];
+        }
+    });
+
+    // サーバはこのバージョンのスキーマで検証する
+    payload.schema_version = data.schemaVersion;
+    payload.capture_context = toCaptureContextPayload(data.captureContext);
+    return payload;
+}
+
+/**
+ * 記録時の状況を送信用の形式に変換
+ * @param {Object|undefined} context - 記録時の状況（capture.jsのcollectCaptureContext）
+ * @returns {Object|null} 送信用データ
+ */
+function toCaptureContextPayload(context) {
+    if (!context) {
+        return null;
+    }
+
+    return {
+        location: context.location && {
+            latitude: context.location.latitude,
+            longitude: context.location.longitude,
+            accuracy: context.location.accuracy,
+            captured_at: context.location.capturedAt
+        },
+        location_status: context.locationStatus,
+        device: context.device,
+        app_version: context.appVersion,
+        online: context.online
+    };
+}
+
+/**
+ * サーバの記録時の状況をIndexedDBの形式に変換
+ * @param {Object|null|undefined} context - サーバのcapture_context
+ * @returns {Object|null} 記録時の状況
+ */
+function fromCaptureContextPayload(context) {
+    if (!context) {
+        return null;
+    }
+
+    return {
+        location: context.location && {
+            latitude: context.location.latitude,
+            longitude: context.location.longitude,
+            accuracy: context.location.accuracy,
+            capturedAt: context.location.captured_at
+        },
+        locationStatus: context.location_status,
+        device: context.device,
+        appVersion: context.app_version,
+        online: context.online
+    };
+}
+
+/**
+ * データのフォーム入力値のフィールド名を取得
+ * @param {Object} data - IndexedDBのデータまたはサーバのデータ
+ * @returns {Array<string>} フィールド名
+ */
+function getFormFieldNames(data) {
+    return Object.keys(data).filter(key =>
+        !LOCAL_ONLY_FIELDS.includes(key) && !SERVER_META_FIELDS.includes(key)
+    );
+}
+
+/**
+ * 一括送信の要素ごとの結果からErrorを生成
+ * 要素単位のエラーはバリデーションエラーのため再送対象外
+ * @param {Object} itemResult - 一括送信の要素ごとの結果
+ * @returns {Error} status, retryableを付与したError
+ */
+function createItemError(itemResult) {
+    const fields = itemResult.errors
+        ? `: ${Object.entries(itemResult.errors).map(([name, reason]) => `${name} ${reason}`).join(', ')}`
+        : '';
+    const error = new Error(t('sync.serverError', { detail: `${itemResult.error}${fields}` }));
+    error.status = 400;
+    error.retryable = false;
+    return error;
+}
+
+/**
+ * エラーレスポンスから再送可否を判定したErrorを生成
+ * 5xx・408・429は再送対象、それ以外の4xx（バリデーションエラー等）は再送しても結果が変わらないため対象外
+ * @param {Response} response - fetchのレスポンス
+ * @returns {Promise<Error>} status, body, retryable, retryAfterを付与したError
+ */
+async function createResponseError(response) {
+    let body = null;
+    try {
+        body = await response.json();
+    } catch (error) {
+        // JSON以外のレスポンスは詳細なし
+    }
+
+    const detail = body && body.error ? ` (${body.error})` : '';
+    const error = new Error(t('sync.serverError', { detail: `${response.status} ${response.statusText}${detail}` }));
+    error.status = response.status;
+    error.body = body;
+    error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    return error;
+}
+
+/**
+ * Retry-Afterヘッダを解析
+ * @param {string|null} value - ヘッダ値（秒数またはHTTP日付）
+ * @returns {number|null} 待ち時間（ミリ秒、解析できない場合はnull）
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+
+    // Infinity等は再送時刻を日時に変換できないため、指定がないものとして扱う
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 再送までの待ち時間を計算（指数バックオフ + ジッター）
+ * サーバが指定した待ち時間もRETRY_POLICY.maxDelayを上限とする（setTimeoutの上限を超えると即座に発火するため）
+ * @param {number} attempts - これまでの試行回数
+ * @param {number|null} retryAfter - サーバが指定した待ち時間（ミリ秒）
+ * @returns {number} 待ち時間（ミリ秒）
+ */
+function calculateRetryDelay(attempts, retryAfter) {
+    if (retryAfter !== null && retryAfter !== undefined) {
+        return Math.min(retryAfter, RETRY_POLICY.maxDelay);
+    }
+
+    const delay = Math.min(RETRY_POLICY.maxDelay, RETRY_POLICY.baseDelay * 2 ** (attempts - 1));
+
+    // 複数端末が同時に再送しないよう待ち時間の後半をランダム化
+    return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * 送信対象のデータを取得
+ * 未送信データと、再送時刻を過ぎたエラーデータを返す
+ * @returns {Promise<Array>} データの配列
+ */
+async function getSyncQueue() {
+    const now = Date.now();
+    const pendingData = await getDataByStatus('pending');
+    const errorData = await getDataByStatus('error');
+
+    const dueData = errorData.filter(data =>
+        !data.nextAttemptAt || new Date(data.nextAttemptAt).getTime() <= now
+    );
+
+    return [...pendingData, ...dueData].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * 操作が送信対象かどうか（未送信、または再送時刻を過ぎたエラー）
+ * @param {Object} operation - 操作
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {boolean}
+ */
+function isOperationDue(operation, now) {
+    return operation.status === 'pending' ||
+        (operation.status === 'error' && new Date(operation.nextAttemptAt).getTime() <= now);
+}
+
+/**
+ * 送信対象の操作（更新・削除）を取得
+ * @returns {Promise<Array>} 操作の配列（追加順）
+ */
+async function getOperationQueue() {
+    const now = Date.now();
+    return (await getOperations()).filter(operation => isOperationDue(operation, now));
+}
+
+/**
+ * 次回の再送予定時刻を取得（データと操作の再送待ちのうち最も早いもの）
+ * @returns {Promise<Date|null>} 最も早い再送予定時刻（再送待ちがなければnull）
+ */
+async function getNextRetryTime() {
+    const errorData = await getDataByStatus('error');
+    const errorOperations = (await getOperations()).filter(operation => operation.status === 'error');
+    const times = [...errorData, ...errorOperations]
+        .filter(item => item.nextAttemptAt)
+        .map(item => new Date(item.nextAttemptAt).getTime());
+
+    return times.length > 0 ? new Date(Math.min(...times)) : null;
+}
+
+/**
+ * 同期ロックを取得して処理を実行
+ * ページとService Workerが同じレコードを同時に送信しないよう、
+ * Web Locks APIでコンテキストをまたいだ排他制御を行う
+ * @param {Function} callback - ロック取得中に実行する処理
+ * @returns {Promise<*|null>} callbackの戻り値（ロックを取得できなかった場合はnull）
+ */
+async function withSyncLock(callback) {
+    if (self.navigator && navigator.locks) {
+        return navigator.locks.request(SYNC_LOCK_NAME, { ifAvailable: true }, async (lock) => {
+            if (!lock) {
+                return null;
+            }
+            return await callback();
+        });
+    }
+
+    // Web Locks API未対応: 同一コンテキスト内のみ排他
+    if (syncInProgress) {
+        return null;
+    }
+
+    syncInProgress = true;
+    try {
+        return await callback();
+    } finally {
+        syncInProgress = false;
+    }
+}
+
+/**
+ * 送信失敗時の再送状態を決定
+ * 再送可能なエラーは'error'として次回の再送時刻を設定し、
+ * 再送不可のエラーまたは最大試行回数に達した場合は'failed'にする
+ * @param {number} attempts - 今回を含む試行回数
+ * @param {Error} error - 送信エラー
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {{status: string, nextAttemptAt: string|null}} 再送状態
+ */
+function resolveFailureState(attempts, error, now) {
+    // ネットワークエラー等でretryableが未設定の場合は再送対象とする
+    const retryable = error.retryable !== false;
+
+    if (!retryable || attempts >= RETRY_POLICY.maxAttempts) {
+        return { status: 'failed', nextAttemptAt: null };
+    }
+
+    const delay = calculateRetryDelay(attempts, error.retryAfter);
+    return { status: 'error', nextAttemptAt: new Date(now + delay).toISOString() };
+}
+
+/**
+ * 同期結果をIndexedDBに記録
+ * 送信中にローカルで編集・削除された場合は、その変更を操作ログに追加する
+ * @param {Object} data - 送信したデータ（送信時点の内容）
+ * @param {Object|null} result - サーバからのレスポンス（成功時）
+ * @param {Error|null} error - 送信エラー（失敗時）
+ * @returns {Promise<string>} 記録した同期ステータス
+ */
+async function recordSyncResult(data, result, error) {
+    const now = Date.now();
+    const attempts = (data.attempts || 0) + 1;
+    const attemptMeta = {
+        attempts,
+        lastAttemptAt: new Date(now).toISOString()
+    };
+    const current = await getData(data.id);
+
+    if (!error) {
+        const syncedMeta = {
+            ...attemptMeta,
+            syncStatus: 'synced',
+            serverId: result.id,
+            serverRevision: result.revision || 1,
+            nextAttemptAt: null,
+            errorMessage: null
+        };
+
+        if (!current) {
+            // 送信中にローカルで削除された: サーバ側も削除する
+            await queueOperation(data.id, null, { type: 'delete', serverId: result.id, uuid: data.uuid });
+        } else if ((current.localRevision || 0) !== (data.localRevision || 0)) {
+            // 送信中にローカルで編集された: 最新の内容を更新として送る
+            await queueOperation(data.id, { ...syncedMeta, syncStatus: 'modified' }, {
+                type: 'update',
+                serverId: result.id,
+                uuid: data.uuid,
+                payload: toSubmitPayload(current)
+            });
+        } else {
+            await updateData(data.id, syncedMeta);
+        }
+        return 'synced';
+    }
+
+    const { status, nextAttemptAt } = resolveFailureState(attempts, error, now);
+
+    if (current) {
+        await updateData(data.id, {
+            ...attemptMeta,
+            syncStatus: status,
+            nextAttemptAt,
+            errorMessage: error.message
+        });
+    }
+    return status;
+}
+
+/**
+ * 未同期データを順次送信
+ * 同期ロック取得中に呼び出すこと
+ * @returns {Promise<Object>} 同期結果 {success: number, failed: number, errors: Array}
+ */
+async function syncPendingRecords() {
+    // 送信対象データを取得（再送待ち時間中のデータは除く）
+    const pendingData = await getSyncQueue();
+
+    if (pendingData.length === 0) {
+        console.log('同期対象データなし');
+        return { success: 0, failed: 0, errors: [] };
+    }
+
+    console.log(`同期対象データ: ${pendingData.length}件`);
+    addSyncTotal(pendingData.length);
+
+    let successCount = 0;
+    let failedCount = 0;
+    const errors = [];
+
+    // SYNC_BATCH_SIZE件ずつ一括送信
+    for (let start = 0; start < pendingData.length; start += SYNC_BATCH_SIZE) {
+        const batch = pendingData.slice(start, start + SYNC_BATCH_SIZE);
+        let itemResults;
+
+        throwIfSyncCancelled();
+
+        // 一括送信のため、HTTPステータスと所要時間はバッチ内の全データで同じ
+        const requestStartedAt = new Date();
+        const logAttempt = (data, fields) => recordSyncAttempt({
+            recordId: data.id,
+            recordUuid: data.uuid,
+            action: 'create',
+            method: 'POST',
+            endpoint: toEndpointPath(API_ENDPOINTS.submitBatch),
+            startedAt: requestStartedAt.toISOString(),
+            durationMs: Date.now() - requestStartedAt.getTime(),
+            ...fields
+        });
+
+        try {
+            itemResults = await submitBatchToServer(batch);
+            console.log(`一括送信成功: ${batch.length}件`);
+        } catch (error) {
+            // キャンセル・セッション切れの場合は失敗として記録せず、次回の同期で送信する
+            if (isSyncInterruption(error)) {
+                for (const data of batch) {
+                    await logAttempt(data, { httpStatus: error.status || null, outcome: getInterruptionOutcome(error), errorMessage: error.message });
+                }
+                throw error;
+            }
+
+            // リクエスト自体の失敗はバッチ内の全データに同じエラーを記録
+            console.error('一括送信失敗:', error);
+            itemResults = batch.map(() => ({ status: 'error', requestError: error }));
+        }
+
+        // 各データの結果を個別に記録
+        for (let i = 0; i < batch.length; i++) {
+            const data = batch[i];
+            const itemResult = itemResults[i];
+
+            if (itemResult.status === 'created' || itemResult.status === 'duplicate') {
+                await recordSyncResult(data, itemResult, null);
+                await logAttempt(data, { httpStatus: itemResult.httpStatus, outcome: itemResult.status, serverId: itemResult.id, errorMessage: null });
+                reportSyncItem('record', data.id, data.title, null);
+                successCount++;
+                continue;
+            }
+
+            const error = itemResult.requestError || createItemError(itemResult);
+            console.error('送信失敗:', data.id, error);
+
+            const status = await recordSyncResult(data, null, error);
+            await logAttempt(data, {
+                httpStatus: itemResult.requestError ? error.status || null : itemResult.httpStatus,
+                outcome: status,
+                errorMessage: error.message
+            });
+            reportSyncItem('record', data.id, data.title, error);
+            failedCount++;
+            errors.push({
+                id: data.id,
+                title: data.title,
+                error: error.message
+            });
+        }
+    }
+
+    console.log(`送信完了: 成功 ${successCount}件, 失敗 ${failedCount}件`);
+
+    return { success: successCount, failed: failedCount, errors };
+}
+
+/**
+ * 更新・削除操作をサーバに送信
+ * 更新操作は編集元のサーバのリビジョンをIf-Matchで送り、他の端末の変更を上書きしないようにする
+ * @param {Object} operation - 操作ログの操作
+ * @param {Object} record - 操作対象のデータ（serverRevisionを参照）
+ * @returns {Promise<Object>} サーバからのレスポンス（httpStatusを追加）
+ */
+async function submitOperation(operation, record) {
+    const isDelete = operation.type === 'delete';
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+
+    if (!isDelete && record && record.serverRevision) {
+        headers['If-Match'] = `"${record.serverRevision}"`;
+    }
+
+    const response = await authFetch(`${API_ENDPOINTS.data}/${operation.serverId}`, {
+        method: isDelete ? 'DELETE' : 'PUT',
+        headers,
+        body: isDelete ? undefined : JSON.stringify(operation.payload),
+        signal: getSyncSignal()
+    });
+
+    // 削除済みのデータへの削除は成功として扱う
+    if (isDelete && response.status === 404) {
+        return { success: true, id: operation.serverId, httpStatus: response.status };
+    }
+
+    if (!response.ok) {
+        throw await createResponseError(response);
+    }
+
+    return { ...await response.json(), httpStatus: response.status };
+}
+
+/**
+ * 操作ログの更新・削除を追加順に送信
+ * 同じデータの先行する操作が再送待ち・失敗・競合の場合、後続の操作は順序を守るため送信しない
+ * 同期ロック取得中に呼び出すこと
+ * @returns {Promise<Object>} 送信結果 {success: number, failed: number, errors: Array}
+ */
+async function syncOperations() {
+    const now = Date.now();
+    const operations = await getOperations();
+    const blockedRecords = new Set();
+    let successCount = 0;
+    let failedCount = 0;
+    const errors = [];
+
+    const isDue = (operation) => isOperationDue(operation, now);
+    addSyncTotal(operations.filter(isDue).length);
+
+    for (const operation of operations) {
+        const due = isDue(operation);
+
+        if (!due || blockedRecords.has(operation.recordId)) {
+            // 先行する操作の失敗で送信しない操作は対象件数から除く
+            if (due) {
+                addSyncTotal(-1);
+            }
+            blockedRecords.add(operation.recordId);
+            continue;
+        }
+
+        throwIfSyncCancelled();
+
+        const attempts = (operation.attempts || 0) + 1;
+        const attemptMeta = { attempts, lastAttemptAt: new Date().toISOString() };
+
+        const requestStartedAt = new Date();
+        const logAttempt = (fields) => recordSyncAttempt({
+            recordId: operation.recordId,
+            recordUuid: operation.uuid,
+            action: operation.type,
+            method: operation.type === 'delete' ? 'DELETE' : 'PUT',
+            endpoint: toEndpointPath(`${API_ENDPOINTS.data}/${operation.serverId}`),
+            serverId: operation.serverId,
+            startedAt: requestStartedAt.toISOString(),
+            durationMs: Date.now() - requestStartedAt.getTime(),
+            ...fields
+        });
+
+        try {
+            const record = await getData(operation.recordId);
+            const result = await submitOperation(operation, record);
+            console.log('操作送信成功:', operation.opId, operation.type);
+
+            // 後続の操作の編集元リビジョンとなるよう、リビジョンは常に反映する
+            await completeOperation(operation, {
+                serverRevision: result.revision || (record && record.serverRevision)
+            }, {
+                syncStatus: 'synced',
+                errorMessage: null
+            });
+            await logAttempt({
+                httpStatus: result.httpStatus,
+                outcome: operation.type === 'delete' ? 'deleted' : 'updated',
+                errorMessage: null
+            });
+            reportSyncItem('operation', operation.recordId, operation.payload ? operation.payload.title : '', null);
+            successCount++;
+
+        } catch (error) {
+            if (isSyncInterruption(error)) {
+                await logAttempt({ httpStatus: error.status || null, outcome: getInterruptionOutcome(error), errorMessage: error.message });
+                throw error;
+            }
+
+            failedCount++;
+            blockedRecords.add(operation.recordId);
+
+            if (error.status === 409 && error.body && error.body.current) {
+                console.warn('操作の競合:', operation.opId, error.body.current);
+                await markConflict(operation, error.body.current);
+
+                const conflictError = new Error(t('sync.conflict'));
+                await logAttempt({ httpStatus: error.status, outcome: 'conflict', errorMessage: conflictError.message });
+                reportSyncItem('operation', operation.recordId, operation.payload ? operation.payload.title : '', conflictError);
+                errors.push({
+                    id: operation.recordId,
+                    title: operation.payload ? operation.payload.title : '',
+                    error: conflictError.message
+                });
+                continue;
+            }
+
+            console.error('操作送信失敗:', operation.opId, error);
+
+            const { status, nextAttemptAt } = resolveFailureState(attempts, error, Date.now());
+            await updateOperation(operation.opId, { ...attemptMeta, status, nextAttemptAt, errorMessage: error.message });
+
+            // 削除操作の失敗はトゥームストーンのまま残す（一覧には表示しない）
+            if (status === 'failed' && operation.type === 'update') {
+                await updateData(operation.recordId, { syncStatus: 'failed', errorMessage: error.message });
+            }
+
+            await logAttempt({ httpStatus: error.status || null, outcome: status, errorMessage: error.message });
+            reportSyncItem('operation', operation.recordId, operation.payload ? operation.payload.title : '', error);
+
+            errors.push({
+                id: operation.recordId,
+                title: operation.payload ? operation.payload.title : '',
+                error: error.message
+            });
+        }
+    }
+
+    if (successCount + failedCount > 0) {
+        console.log(`操作送信完了: 成功 ${successCount}件, 失敗 ${failedCount}件`);
+    }
+
+    return { success: successCount, failed: failedCount, errors };
+}
 
 /**
- * サーバのヘルスチェック
- * @returns {Promise<boolean>} サーバが利用可能かどうか
+ * 更新操作の競合を記録
+ * 操作は'conflict'として送信を止め、データにサーバの現在の内容を保存してユーザの解決を待つ
+ * @param {Object} operation - 競合した操作
+ * @param {Object} serverCopy - サーバの現在のデータ
+ * @returns {Promise<void>}
  */
-async function checkServerHealth() {
-    try {
-        const response = await fetch(API_ENDPOINTS.health, {
+async function markConflict(operation, serverCopy) {
+    await updateOperation(operation.opId, { status: 'conflict', nextAttemptAt: null });
+    await updateData(operation.recordId, {
+        syncStatus: 'conflict',
+        errorMessage: null,
+        conflict: {
+            server: serverCopy,
+            detectedAt: new Date().toISOString()
+        }
+    });
+}
+
+/**
+ * 競合しているフィールドを取得
+ * @param {Object} record - 競合中のデータ
+ * @returns {Array<string>} ローカルとサーバで値が異なるフィールド名
+ */
+function getConflictFields(record) {
+    if (!record.conflict) {
+        return [];
+    }
+
+    const server = record.conflict.server;
+    const fields = new Set([...getFormFieldNames(record), ...getFormFieldNames(server)]);
+    return [...fields].filter(field => (record[field] ?? null) !== (server[field] ?? null));
+}
+
+/**
+ * 競合を解決
+ * フィールドごとに自分の変更（mine）かサーバの内容（theirs）を選び、
+ * すべてサーバの内容を選んだ場合は未送信の操作を破棄して同期済みに戻す。
+ * それ以外は統合した内容をサーバの現在のリビジョンを編集元として再送する。
+ * サーバで削除済みの場合はresolveDeletedConflictでdefaultChoiceに従って解決する
+ * @param {number} id - データのID
+ * @param {Object<string, string>} choices - フィールド名 → 'mine' | 'theirs'
+ * @param {string} defaultChoice - choicesにないフィールドの選択（'mine' | 'theirs'）
+ * @returns {Promise<void>}
+ */
+async function resolveConflict(id, choices, defaultChoice = 'mine') {
+    const record = await getData(id);
+    if (!record || !record.conflict) {
+        throw new Error(t('sync.conflictNotFound'));
+    }
+
+    const server = record.conflict.server;
+    if (server.deleted) {
+        await resolveDeletedConflict(record, defaultChoice);
+        return;
+    }
+
+    const conflictFields = getConflictFields(record);
+    const merged = {};
+    conflictFields.forEach(field => {
+        merged[field] = (choices[field] || defaultChoice) === 'theirs' ? server[field] : record[field];
+    });
+
+    const serverMeta = {
+        serverRevision: server.revision || 1,
+        serverUpdatedAt: server.updated_at || server.received_at,
+        conflict: null,
+        errorMessage: null
+    };
+
+    const keepsMine = conflictFields.some(field => (choices[field] || defaultChoice) !== 'theirs');
+
+    if (!keepsMine) {
+        await discardOperations(id, {
+            ...merged,
+            ...serverMeta,
+            schemaVersion: server.schema_version,
+            syncStatus: 'synced'
+        });
+        return;
+    }
+
+    await queueOperation(id, {
+        ...merged,
+        ...serverMeta,
+        localRevision: (record.localRevision || 0) + 1,
+        syncStatus: 'modified'
+    }, {
+        type: 'update',
+        serverId: record.serverId,
+        uuid: record.uuid,
+        payload: toSubmitPayload({ ...record, ...merged })
+    });
+}
+
+/**
+ * サーバで削除済みのデータとの競合を解決
+ * 自分の変更（mine）は新しいUUIDの未送信データとして再作成し、添付ファイルも送信し直す
+ * （元のUUIDはサーバのトゥームストーンと重複し、登録済みとして扱われるため）。
+ * サーバの内容（theirs）は削除を受け入れ、端末のデータと添付ファイルを削除する
+ * @param {Object} record - 競合中のデータ
+ * @param {string} choice - 'mine' | 'theirs'
+ * @returns {Promise<void>}
+ */
+async function resolveDeletedConflict(record, choice) {
+    if (choice === 'theirs') {
+        await deleteAttachmentsByRecord(record.id);
+        await discardOperations(record.id, {});
+        await deleteData(record.id);
+        return;
+    }
+
+    // 添付ファイルを先に未送信に戻す（途中で失敗しても送信済みのまま残らないようにする）
+    const attachments = (await getAttachmentsByRecords([record.id])).get(record.id) || [];
+    for (const attachment of attachments) {
+        await updateAttachment(attachment.id, {
+            uuid: generateUUID(),
+            uploadStatus: 'pending',
+            uploadedBytes: 0,
+            serverAttachmentId: null,
+            errorMessage: null
+        });
+    }
+
+    await discardOperations(record.id, {
+        uuid: generateUUID(),
+        serverId: null,
+        serverRevision: null,
+        serverUpdatedAt: null,
+        conflict: null,
+        errorMessage: null,
+        syncStatus: 'pending',
+        attempts: 0,
+        lastAttemptAt: null,
+        nextAttemptAt: null
+    });
+}
+
+/**
+ * データを編集
+ * 未送信のデータは内容を書き換えるだけで、登録時に最新の内容が送信される。
+ * 同期済みのデータは操作ログに更新操作を追加し、PUTで送信する
+ * @param {number} id - データのID
+ * @param {Object} fields - 編集後のフォームの値
+ * @returns {Promise<void>}
+ */
+async function editRecord(id, fields) {
+    const record = await getData(id);
+    if (!record) {
+        throw new Error(t('data.notFound'));
+    }
+
+    const localRevision = (record.localRevision || 0) + 1;
+
+    if (!record.serverId) {
+        await updateData(id, {
+            ...fields,
+            localRevision,
+            syncStatus: 'pending',
+            attempts: 0,
+            nextAttemptAt: null,
+            errorMessage: null
+        });
+        return;
+    }
+
+    await queueOperation(id, { ...fields, localRevision, syncStatus: 'modified', errorMessage: null }, {
+        type: 'update',
+        serverId: record.serverId,
+        uuid: record.uuid,
+        payload: toSubmitPayload({ ...record, ...fields })
+    });
+}
+
+/**
+ * データを削除
+ * 未送信のデータはそのまま削除する。
+ * 同期済みのデータはトゥームストーン（syncStatus: 'deleted'）として残し、削除操作の送信後に取り除く
+ * @param {number} id - データのID
+ * @returns {Promise<void>}
+ */
+async function removeRecord(id) {
+    const record = await getData(id);
+    if (!record) {
+        return;
+    }
+
+    // 端末内の添付ファイルは送信状況にかかわらず削除する
+    await deleteAttachmentsByRecord(id);
+
+    if (!record.serverId) {
+        await deleteData(id);
+        return;
+    }
+
+    await queueOperation(id, { syncStatus: 'deleted', deletedAt: new Date().toISOString() }, {
+        type: 'delete',
+        serverId: record.serverId,
+        uuid: record.uuid
+    });
+}
+
+/**
+ * サーバで追加・更新されたデータを取得してIndexedDBに統合
+ * 前回取得時のカーソル以降の差分のみ取得し、カーソルを保存する
+ * @returns {Promise<number>} 統合した件数
+ */
+async function pullFromServer() {
+    let cursor = await getSyncState('pullCursor');
+    let pulledCount = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+        throwIfSyncCancelled();
+
+        const params = new URLSearchParams({ limit: PULL_PAGE_SIZE });
+        if (cursor) {
+            params.set('since', cursor);
+        }
+
+        const response = await authFetch(`${API_ENDPOINTS.data}?${params}`, {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json'
             },
-            timeout: 5000
+            signal: getSyncSignal()
         });
 
-        return response.ok;
-    } catch (error) {
-        console.error('サーバヘルスチェックエラー:', error);
-        return false;
+        if (!response.ok) {
+            throw await createResponseError(response);
+        }
+
+        const body = await response.json();
+        pulledCount += await mergeRecords(body.data, mergePulledRecord);
+
+        // 統合が完了してからカーソルを進める
+        if (body.cursor) {
+            cursor = body.cursor;
+            await setSyncState('pullCursor', cursor);
+        }
+
+        hasMore = body.has_more && body.data.length > 0;
     }
+
+    console.log(`差分取得完了: ${pulledCount}件`);
+    return pulledCount;
 }
 
 /**
- * データをサーバに送信
- * @param {Object} data - 送信するデータ
- * @returns {Promise<Object>} サーバからのレスポンス
+ * サーバのデータとローカルのデータを統合
+ * ローカルに未送信の変更（編集・削除を含む）がある場合はローカルを優先して上書きしない
+ * @param {Object|undefined} local - ローカルのデータ
+ * @param {Object} remote - サーバのデータ
+ * @returns {Object|null} 統合内容 {action: 'put', record} | {action: 'delete', id}（変更しない場合はnull）
  */
-async function submitToServer(data) {
-    const response = await fetch(API_ENDPOINTS.submit, {
+function mergePulledRecord(local, remote) {
+    if (local && local.syncStatus !== 'synced') {
+        return null;
+    }
+
+    // サーバで削除されたデータ
+    if (remote.deleted) {
+        return local ? { action: 'delete', id: local.id } : null;
+    }
+
+    const fields = {};
+    getFormFieldNames(remote).forEach(field => {
+        fields[field] = remote[field];
+    });
+
+    const record = {
+        ...(local || { attempts: 0, lastAttemptAt: null, nextAttemptAt: null }),
+        ...fields,
+        uuid: remote.uuid || (local && local.uuid) || generateUUID(),
+        timestamp: remote.timestamp,
+        ownerId: remote.user_id,
+        schemaVersion: remote.schema_version,
+        captureContext: fromCaptureContextPayload(remote.capture_context),
+        syncStatus: 'synced',
+        serverId: remote.id,
+        serverRevision: remote.revision || 1,
+        serverUpdatedAt: remote.updated_at || remote.received_at,
+        errorMessage: null
+    };
+
+    return { action: 'put', record };
+}
+
+/**
+ * アップロード対象の添付ファイルを取得
+ * 紐付くデータがサーバに登録済み（serverIdあり）で削除されていないものが対象
+ * @returns {Promise<Array<{attachment: Object, serverId: number}>>} アップロード対象
+ */
+async function getUploadQueue() {
+    const queue = [];
+
+    for (const attachment of await getAttachmentsByStatus('pending')) {
+        const record = await getData(attachment.recordId);
+        if (record && record.serverId && record.syncStatus !== 'deleted') {
+            queue.push({ attachment, serverId: record.serverId });
+        }
+    }
+
+    return queue;
+}
+
+/**
+ * 添付ファイルの分割アップロードを開始（または再開）
+ * 同じUUIDで開始済みの場合、サーバは受信済みのバイト数を返す
+ * @param {Object} attachment - 添付ファイル
+ * @param {number} serverId - 紐付けるデータのサーバID
+ * @returns {Promise<Object>} アップロード状態 {upload_id, attachment_id, received, complete}
+ */
+async function startAttachmentUpload(attachment, serverId) {
+    const response = await authFetch(API_ENDPOINTS.attachmentUploads, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-            title: data.title,
-            description: data.description,
-            category: data.category,
-            value: data.value,
-            memo: data.memo,
-            timestamp: data.timestamp
-        })
+            uuid: attachment.uuid,
+            record_id: serverId,
+            name: attachment.name,
+            type: attachment.type,
+            size: attachment.size
+        }),
+        signal: getSyncSignal()
     });
 
     if (!response.ok) {
-        throw new Error(`サーバエラー: ${response.status} ${response.statusText}`);
+        throw await createResponseError(response);
     }
 
-    return await response.json();
+    return { ...await response.json(), httpStatus: response.status };
 }
 
 /**
- * 未同期データをサーバと同期
- * @returns {Promise<Object>} 同期結果 {success: number, failed: number, errors: Array}
+ * 添付ファイルの一部をアップロード
+ * サーバの受信済み位置と一致しない場合（409）はサーバの受信済み位置を返す
+ * @param {Object} attachment - 添付ファイル
+ * @param {number} start - 送信する範囲の開始位置（バイト）
+ * @returns {Promise<Object>} アップロード状態 {received, complete, attachment_id}
  */
-async function syncData() {
-    console.log('同期処理開始');
+async function uploadAttachmentChunk(attachment, start) {
+    const end = Math.min(start + ATTACHMENT_CHUNK_SIZE, attachment.size);
 
-    try {
-        // オンライン状態チェック
-        if (!navigator.onLine) {
-            console.log('オフライン: 同期をスキップ');
-            return { success: 0, failed: 0, errors: ['オフラインです'] };
-        }
+    const response = await authFetch(`${API_ENDPOINTS.attachmentUploads}/${attachment.uuid}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/octet-stream',
+            'Content-Range': `bytes ${start}-${end - 1}/${attachment.size}`
+        },
+        body: attachment.blob.slice(start, end),
+        signal: getSyncSignal()
+    });
 
-        // サーバヘルスチェック
-        const serverAvailable = await checkServerHealth();
-        if (!serverAvailable) {
-            console.log('サーバ接続不可: 同期をスキップ');
-            return { success: 0, failed: 0, errors: ['サーバに接続できません'] };
+    if (response.status === 409) {
+        const body = await response.json();
+        return { received: body.received, complete: false, httpStatus: response.status };
+    }
+
+    if (!response.ok) {
+        throw await createResponseError(response);
+    }
+
+    return { ...await response.json(), httpStatus: response.status };
+}
+
+/**
+ * 添付ファイルのアップロード進捗を通知
+ * @param {Object} attachment - 添付ファイル
+ * @param {number} uploadedBytes - 送信済みのバイト数
+ */
+function reportAttachmentProgress(attachment, uploadedBytes) {
+    emitSyncEvent({
+        type: 'attachment-progress',
+        attachmentId: attachment.id,
+        uploadedBytes,
+        size: attachment.size
+    });
+}
+
+/**
+ * 添付ファイルを1件アップロード
+ * サーバの受信済み位置から再開し、分割ごとに送信済みのバイト数を保存する
+ * @param {Object} attachment - 添付ファイル
+ * @param {number} serverId - 紐付けるデータのサーバID
+ * @returns {Promise<void>}
+ */
+async function uploadAttachment(attachment, serverId) {
+    let status = await startAttachmentUpload(attachment, serverId);
+
+    if (status.received > 0 && !status.complete) {
+        console.log(`添付ファイルアップロード再開: ${attachment.name} (${status.received}/${attachment.size})`);
+    }
+
+    while (!status.complete) {
+        throwIfSyncCancelled();
+        status = await uploadAttachmentChunk(attachment, status.received);
+
+        await updateAttachment(attachment.id, { uploadedBytes: status.received });
+        reportAttachmentProgress(attachment, status.received);
+    }
+
+    await updateAttachment(attachment.id, {
+        uploadStatus: 'uploaded',
+        uploadedBytes: attachment.size,
+        serverAttachmentId: status.attachment_id,
+        errorMessage: null
+    });
+
+    console.log(`添付ファイルアップロード成功: ${attachment.name}`);
+    return status;
+}
+
+/**
+ * 未送信の添付ファイルをアップロード
+ * 再送可能なエラーは'pending'のまま残し、次回の同期で続きから送信する
+ * @returns {Promise<Object>} 結果 {uploaded: number, failed: number, errors: Array}
+ */
+async function uploadAttachments() {
+    const result = { uploaded: 0, failed: 0, errors: [] };
+    const queue = await getUploadQueue();
+
+    addSyncTotal(queue.length);
+
+    for (const { attachment, serverId } of queue) {
+        const requestStartedAt = new Date();
+        const logAttempt = (fields) => recordSyncAttempt({
+            recordId: attachment.recordId,
+            action: 'upload',
+            method: 'PUT',
+            endpoint: toEndpointPath(`${API_ENDPOINTS.attachmentUploads}/${attachment.uuid}`),
+            attachmentUuid: attachment.uuid,
+            serverId,
+            startedAt: requestStartedAt.toISOString(),
+            durationMs: Date.now() - requestStartedAt.getTime(),
+            ...fields
+        });
+
+        try {
+            const status = await uploadAttachment(attachment, serverId);
+            await logAttempt({
+                httpStatus: status.httpStatus,
+                outcome: 'uploaded',
+                serverAttachmentId: status.attachment_id,
+                errorMessage: null
+            });
+            reportSyncItem('attachment', attachment.recordId, attachment.name, null);
+            result.uploaded++;
+        } catch (error) {
+            if (isSyncInterruption(error)) {
+                await logAttempt({ httpStatus: error.status || null, outcome: getInterruptionOutcome(error), errorMessage: error.message });
+                throw error;
+            }
+
+            console.error('添付ファイルアップロードエラー:', attachment.name, error);
+            result.failed++;
+            result.errors.push({ id: attachment.recordId, error: `${attachment.name}: ${error.message}` });
+
+            await updateAttachment(attachment.id, {
+                uploadStatus: error.retryable === false ? 'failed' : 'pending',
+                errorMessage: error.message
+            });
+            await logAttempt({
+                httpStatus: error.status || null,
+                outcome: error.retryable === false ? 'failed' : 'pending',
+                errorMessage: error.message
+            });
+            reportSyncItem('attachment', attachment.recordId, attachment.name, error);
         }
+    }
+
+    return result;
+}
+
+/**
+ * 送信と差分取得を実行
+ * 同期ロック取得中に呼び出すこと。経過は同期イベントで通知し、cancelSyncで中断できる
+ * @returns {Promise<Object>} 同期結果 {success: number, failed: number, uploaded: number, pulled: number, errors: Array}
+ */
+async function runSync() {
+    const runId = generateUUID();
+    activeSyncRun = { runId, controller: new AbortController(), done: 0, total: 0 };
+    emitSyncEvent({ type: 'sync-started' });
 
-        // 未同期データを取得
-        const pendingData = await getDataByStatus('pending');
+    const run = await saveSyncRun({
+        kind: 'run',
+        runId,
+        context: SYNC_CONTEXT,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        outcome: 'running'
+    });
+
+    try {
+        // 新規登録 → 更新・削除 → 添付ファイル → 差分取得の順に行う
+        // （更新・削除と添付ファイルは登録済みのデータのみが対象）
+        const result = await syncPendingRecords();
+        const operationResult = await syncOperations();
+        result.success += operationResult.success;
+        result.failed += operationResult.failed;
+        result.errors.push(...operationResult.errors);
+
+        const uploadResult = await uploadAttachments();
+        result.uploaded = uploadResult.uploaded;
+        result.failed += uploadResult.failed;
+        result.errors.push(...uploadResult.errors);
+        result.pulled = 0;
 
-        if (pendingData.length === 0) {
-            console.log('同期対象データなし');
-            if (typeof showMessage === 'function') {
-                showMessage('同期するデータがありません', 'info');
+        // 差分取得の失敗は送信結果に影響させない
+        try {
+            result.pulled = await pullFromServer();
+        } catch (error) {
+            if (isSyncInterruption(error)) {
+                throw error;
             }
-            return { success: 0, failed: 0, errors: [] };
+
+            console.error('差分取得エラー:', error);
+            result.errors.push({ error: t('sync.pullError', { message: error.message }) });
         }
 
-        console.log(`同期対象データ: ${pendingData.length}件`);
+        await finishSyncRun(run, {
+            outcome: 'finished',
+            success: result.success,
+            failed: result.failed,
+            uploaded: result.uploaded,
+            pulled: result.pulled,
+            errorCount: result.errors.length,
+            errorMessage: null
+        });
 
-        let successCount = 0;
-        let failedCount = 0;
-        const errors = [];
+        emitSyncEvent({
+            type: 'sync-finished',
+            success: result.success,
+            failed: result.failed,
+            uploaded: result.uploaded,
+            pulled: result.pulled,
+            errors: result.errors
+        });
 
-        // 各データを順次送信
-        for (const data of pendingData) {
-            try {
-                // サーバに送信
-                const result = await submitToServer(data);
-                console.log('送信成功:', data.id, result);
+        return result;
 
-                // ステータスを'synced'に更新
-                await updateData(data.id, {
-                    syncStatus: 'synced',
-                    serverId: result.id
-                });
+    } catch (error) {
+        // 完了した分は記録済みで、残りは送信待ちのまま次回の同期で送信する
+        let reason = 'error';
+        if (isSyncAbortError(error)) {
+            reason = 'cancelled';
+        } else if (isAuthenticationError(error)) {
+            reason = 'unauthenticated';
+        }
 
-                successCount++;
+        await finishSyncRun(run, {
+            outcome: reason,
+            done: activeSyncRun.done,
+            total: activeSyncRun.total,
+            errorMessage: error.message
+        });
 
-            } catch (error) {
-                console.error('送信失敗:', data.id, error);
+        emitSyncEvent({
+            type: 'sync-aborted',
+            reason,
+            error: error.message,
+            done: activeSyncRun.done,
+            total: activeSyncRun.total
+        });
+        throw error;
 
-                // ステータスを'error'に更新
-                await updateData(data.id, {
-                    syncStatus: 'error',
-                    errorMessage: error.message
-                });
+    } finally {
+        activeSyncRun = null;
+    }
+}
 
-                failedCount++;
-                errors.push({
-                    id: data.id,
-                    title: data.title,
-                    error: error.message
-                });
-            }
+/**
+ * 同期結果を表示用のメッセージに変換
+ * @param {Object} result - 同期結果
+ * @returns {{message: string, type: string}} メッセージとメッセージタイプ
+ */
+function describeSyncResult(result) {
+    const details = [];
+    if (result.uploaded) {
+        details.push(t('sync.detailUploaded', { count: result.uploaded }));
+    }
+    if (result.pulled) {
+        details.push(t('sync.detailPulled', { count: result.pulled }));
+    }
+    const detailText = details.join(t('sync.detailSeparator'));
+    const suffix = details.length > 0 ? t('sync.detailSuffix', { details: detailText }) : '';
+
+    if (result.failed > 0) {
+        return { message: t('sync.resultFailed', { success: result.success, failed: result.failed, suffix }), type: 'error' };
+    }
+
+    if (result.success === 0 && details.length > 0) {
+        return { message: t('sync.resultDetailsOnly', { details: detailText }), type: 'success' };
+    }
+
+    return { message: t('sync.resultSynced', { count: result.success, suffix }), type: 'success' };
+}
+
+/**
+ * 未同期データをサーバと同期
+ * 画面への反映は呼び出し元ではなく同期イベントの購読者が行う
+ * @returns {Promise<Object>} 同期結果 {success: number, failed: number, errors: Array}
+ */
+async function syncData() {
+    console.log(`同期処理開始 (${SYNC_CONTEXT})`);
+
+    try {
+        // オンライン状態チェック
+        if (!navigator.onLine) {
+            console.log('オフライン: 同期をスキップ');
+            return { success: 0, failed: 0, errors: [t('sync.offline')] };
         }
 
-        console.log(`同期完了: 成功 ${successCount}件, 失敗 ${failedCount}件`);
+        // 未ログイン・セッション切れの場合は送信待ちのまま残し、再ログイン後の同期に回す
+        const session = await getSession();
+        if (!session || session.expired) {
+            console.log('未ログイン: 同期を延期');
+            return { success: 0, failed: 0, errors: [t('auth.loginRequired')], deferred: true };
+        }
 
-        // UI更新
-        if (typeof updateUI === 'function') {
-            await updateUI();
+        // 暗号化が有効で鍵がない（どのタブもロック解除されていない）場合は、ロック解除後の同期に回す
+        if (!(await ensureEncryptionUnlocked())) {
+            console.log('ロック中: 同期を延期');
+            return { success: 0, failed: 0, errors: [t('sync.locked')], deferred: true };
         }
 
-        // メッセージ表示
-        if (typeof showMessage === 'function') {
-            if (failedCount === 0) {
-                showMessage(`${successCount}件のデータを同期しました`, 'success');
-            } else {
-                showMessage(`成功: ${successCount}件, 失敗: ${failedCount}件`, 'error');
-            }
+        // サーバヘルスチェック
+        const serverAvailable = await checkServerHealth();
+        if (!serverAvailable) {
+            console.log('サーバ接続不可: 同期をスキップ');
+            return { success: 0, failed: 0, errors: [t('sync.serverUnavailable')] };
+        }
+
+        // 同期ロックを取得して送信・差分取得
+        const result = await withSyncLock(runSync);
+
+        if (result === null) {
+            console.log('他のコンテキストで同期中: 同期をスキップ');
+            return { success: 0, failed: 0, errors: [t('sync.inProgress')] };
         }
 
-        return { success: successCount, failed: failedCount, errors };
+        return result;
 
     } catch (error) {
-        console.error('同期処理エラー:', error);
+        if (isSyncAbortError(error)) {
+            console.log('同期をキャンセルしました');
+            return { success: 0, failed: 0, errors: [error.message], cancelled: true };
+        }
 
-        if (typeof showMessage === 'function') {
-            showMessage('同期処理でエラーが発生しました', 'error');
+        // 同期中にセッションが切れた場合、送信済みの分は記録済みで、残りは再ログイン後に送信する
+        if (isAuthenticationError(error)) {
+            console.log('セッション切れ: 同期を中断');
+            return { success: 0, failed: 0, errors: [error.message], deferred: true };
         }
 
+        console.error('同期処理エラー:', error);
         return { success: 0, failed: 0, errors: [error.message] };
     }
 }
 
 /**
  * Background Sync用の同期処理
- * Service Workerから呼び出される
+ * Service Workerのsyncイベントから呼び出される
  */
 async function backgroundSync() {
     console.log('Background Sync実行');
 
     try {
+        // 結果・エラーの記録と通知をページで選択した表示言語にする
+        await loadLanguage();
+
         const result = await syncData();
         console.log('Background Sync結果:', result);
 
         // 同期成功時は通知を表示（オプション）
-        if (result.success > 0 && 'Notification' in window && Notification.permission === 'granted') {
-            new Notification('PWA Offline Collector', {
-                body: `${result.success}件のデータを同期しました`,
-                icon: '/manifest-icon-192.png',
-                badge: '/manifest-icon-192.png'
-            });
+        if (result.success > 0 && 'Notification' in self && Notification.permission === 'granted') {
+            await showSyncNotification(t('sync.resultSynced', { count: result.success, suffix: '' }));
         }
 
         return result;
@@ -190,24 +1647,66 @@ async function backgroundSync() {
     }
 }
 
+/**
+ * 同期完了通知を表示
+ * Service Worker内ではNotificationコンストラクタが使えないためregistration経由で表示
+ * @param {string} body - 通知本文
+ * @returns {Promise<void>}
+ */
+async function showSyncNotification(body) {
+    const options = {
+        body,
+        icon: '/manifest-icon-192.png',
+        badge: '/manifest-icon-192.png'
+    };
+
+    if (SYNC_CONTEXT === 'worker') {
+        await self.registration.showNotification('PWA Offline Collector', options);
+    } else {
+        new Notification('PWA Offline Collector', options);
+    }
+}
+
 /**
  * エラー再試行処理
- * 'error'ステータスのデータを再度同期
+ * 'error'・'failed'ステータスのデータ・操作・添付ファイルを試行回数をリセットして即時に再同期
  */
 async function retryFailedSync() {
     console.log('エラーデータ再同期開始');
 
     try {
-        const errorData = await getDataByStatus('error');
+        const errorData = [
+            ...await getDataByStatus('error'),
+            ...await getDataByStatus('failed')
+        ];
+        const failedOperations = (await getOperations())
+            .filter(operation => operation.status === 'error' || operation.status === 'failed');
+        const failedAttachments = await getAttachmentsByStatus('failed');
 
-        if (errorData.length === 0) {
+        if (errorData.length === 0 && failedOperations.length === 0 && failedAttachments.length === 0) {
             console.log('再同期対象データなし');
             return { success: 0, failed: 0, errors: [] };
         }
 
-        // 'pending'に戻して再同期
+        // 未登録のデータは'pending'、登録済みのデータ（更新・削除の失敗）は'modified'に戻す
         for (const data of errorData) {
-            await updateData(data.id, { syncStatus: 'pending' });
+            await updateData(data.id, {
+                syncStatus: data.serverId ? 'modified' : 'pending',
+                attempts: 0,
+                nextAttemptAt: null
+            });
+        }
+
+        for (const operation of failedOperations) {
+            await updateOperation(operation.opId, {
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: null
+            });
+        }
+
+        for (const attachment of failedAttachments) {
+            await updateAttachment(attachment.id, { uploadStatus: 'pending' });
         }
 
         // 同期実行
@@ -0,0 +1,102 @@
+// tools/build_precache_manifest.py で生成（直接編集しない）
+self.PRECACHE_MANIFEST = {
+    "version": "1c6a17fba5bc",
+    "files": [
+        {
+            "url": "./index.html",
+            "revision": "459028405e43"
+        },
+        {
+            "url": "./offline.html",
+            "revision": "bb7cc120dcaf"
+        },
+        {
+            "url": "./manifest.json",
+            "revision": "b63a4347854c"
+        },
+        {
+            "url": "./css/style.css",
+            "revision": "b764dfa27b4c"
+        },
+        {
+            "url": "./js/app.js",
+            "revision": "8a9c6580b9ec"
+        },
+        {
+            "url": "./js/attachments.js",
+            "revision": "d4d26dd43012"
+        },
+        {
+            "url": "./js/auth.js",
+            "revision": "c99144e81a8e"
+        },
+        {
+            "url": "./js/cache-strategies.js",
+            "revision": "318c84296ba7"
+        },
+        {
+            "url": "./js/capture.js",
+            "revision": "4101f5a4592b"
+        },
+        {
+            "url": "./js/dashboard.js",
+            "revision": "c6f9dbc40bd2"
+        },
+        {
+            "url": "./js/db.js",
+            "revision": "681a97a405c8"
+        },
+        {
+            "url": "./js/drafts.js",
+            "revision": "81e01f97ccd7"
+        },
+        {
+            "url": "./js/encryption.js",
+            "revision": "47836b056b9b"
+        },
+        {
+            "url": "./js/export-worker.js",
+            "revision": "fa5195c5e3c2"
+        },
+        {
+            "url": "./js/export.js",
+            "revision": "a16c7e77f1f7"
+        },
+        {
+            "url": "./js/form.js",
+            "revision": "b7390753d9d4"
+        },
+        {
+            "url": "./js/history.js",
+            "revision": "598743d07d02"
+        },
+        {
+            "url": "./js/i18n.js",
+            "revision": "8eaee0583167"
+        },
+        {
+            "url": "./js/import.js",
+            "revision": "809efec25209"
+        },
+        {
+            "url": "./js/messages.js",
+            "revision": "dd6e2c34ea25"
+        },
+        {
+            "url": "./js/offline.js",
+            "revision": "4861aa1919a5"
+        },
+        {
+            "url": "./js/schema.js",
+            "revision": "a619911a189c"
+        },
+        {
+            "url": "./js/storage.js",
+            "revision": "e598ee8f691f"
+        },
+        {
+            "url": "./js/sync.js",
+            "revision": "9b08e8eba5fd"
+        }
+    ]
+};
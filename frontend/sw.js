@@ -3,44 +3,120 @@
  * オフライン対応、キャッシュ管理、Background Sync
  */
 
-const CACHE_NAME = 'pwa-offline-collector-v1';
-const CACHE_FILES = [
-    './',
-    './index.html',
-    './css/style.css',
-    './js/app.js',
-    './js/db.js',
-    './js/sync.js',
-    './manifest.json'
+// ページと共通のIndexedDB操作・同期ロジックを読み込む
+importScripts('./js/messages.js', './js/i18n.js', './js/schema.js', './js/auth.js', './js/encryption.js', './js/db.js', './js/sync.js');
+
+// ルートごとのキャッシュ戦略
+importScripts('./js/cache-strategies.js');
+
+// キャッシュする静的ファイルと内容のハッシュ（tools/build_precache_manifest.pyで生成）
+// 内容が変わるとこのファイルが変わり、ブラウザが新しいService Workerとして検出する
+importScripts('./precache-manifest.js');
+
+const CACHE_PREFIX = 'pwa-offline-collector-';
+const CACHE_NAME = `${CACHE_PREFIX}${self.PRECACHE_MANIFEST.version}`;
+
+// 読み取り専用APIの実行時キャッシュ（静的ファイルのバージョンが変わっても残す）
+const API_CACHE_NAME = `${CACHE_PREFIX}api`;
+
+// キャッシュするファイルの絶対URL
+const PRECACHE_URLS = new Set(
+    self.PRECACHE_MANIFEST.files.map(entry => new URL(entry.url, location).href)
+);
+
+// 画面遷移（./ 等）に返すページ
+const APP_SHELL_URL = new URL('./index.html', location).href;
+const APP_SHELL_URLS = new Set([new URL('./', location).href, APP_SHELL_URL]);
+
+// ネットワークにもキャッシュにもない画面遷移に返すページ
+const OFFLINE_PAGE = { cacheName: CACHE_NAME, url: new URL('./offline.html', location).href };
+
+// HTMLのネットワークの応答を待つ時間（過ぎたらキャッシュのページを返す）
+const NAVIGATION_TIMEOUT = 3000;
+
+/**
+ * URLがAPIのエンドポイントかどうか（クエリは無視）
+ * @param {URL} url - リクエストのURL
+ * @param {string} endpoint - API_ENDPOINTSのURL
+ * @returns {boolean}
+ */
+function isApiEndpoint(url, endpoint) {
+    return `${url.origin}${url.pathname}` === new URL(endpoint, location).href;
+}
+
+// fetchのルート（上から順に判定し、どれにも一致しなければネットワークのみ）
+// 利用者ごとのデータ（/api/data等）は同期の差分取得と他の利用者への漏洩を避けるためキャッシュしない
+const FETCH_ROUTES = [
+    {
+        name: 'health',
+        match: ({ url }) => isApiEndpoint(url, API_ENDPOINTS.health),
+        strategy: 'networkOnly'
+    },
+    {
+        name: 'app-shell',
+        match: ({ request, url }) => request.mode === 'navigate' && APP_SHELL_URLS.has(`${url.origin}${url.pathname}`),
+        strategy: 'networkFirst',
+        options: { timeoutMs: NAVIGATION_TIMEOUT, cacheName: CACHE_NAME, fallbackKey: APP_SHELL_URL, offlinePage: OFFLINE_PAGE }
+    },
+    {
+        name: 'navigation',
+        match: ({ request }) => request.mode === 'navigate',
+        strategy: 'networkOnly',
+        options: { offlinePage: OFFLINE_PAGE }
+    },
+    {
+        name: 'precache',
+        match: ({ url }) => PRECACHE_URLS.has(`${url.origin}${url.pathname}`),
+        strategy: 'cacheFirst',
+        options: { cacheName: CACHE_NAME }
+    },
+    {
+        name: 'form-schema',
+        match: ({ url }) => isApiEndpoint(url, API_ENDPOINTS.formSchema),
+        strategy: 'staleWhileRevalidate',
+        options: { cacheName: API_CACHE_NAME, maxEntries: 10, maxAgeSeconds: 24 * 60 * 60 }
+    }
 ];
 
+// どのルートにも一致しないリクエスト
+const DEFAULT_FETCH_ROUTE = { name: 'default', strategy: 'networkOnly' };
+
 /**
  * Service Workerインストール時
- * 静的ファイルをキャッシュ
+ * マニフェストの静的ファイルを新しいバージョンのキャッシュに保存
+ * 1件でも取得できなければインストールを失敗させ、現在のバージョンを使い続ける
+ * 待機中のバージョンはページの「更新」（SKIP_WAITING）で有効にする
  */
 self.addEventListener('install', (event) => {
-    console.log('Service Worker: インストール開始');
+    console.log('Service Worker: インストール開始', CACHE_NAME);
 
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then((cache) => {
                 console.log('Service Worker: キャッシュ作成');
-                return cache.addAll(CACHE_FILES);
+                // HTTPキャッシュの古い内容を保存しないよう、サーバから取得し直す
+                return Promise.all(self.PRECACHE_MANIFEST.files.map(async (entry) => {
+                    const response = await fetch(new Request(entry.url, { cache: 'reload' }));
+                    if (!response.ok) {
+                        throw new Error(`${entry.url}: ${response.status}`);
+                    }
+                    await cache.put(entry.url, response);
+                }));
             })
             .then(() => {
                 console.log('Service Worker: インストール完了');
-                // 即座にアクティブ化
-                return self.skipWaiting();
             })
-            .catch((error) => {
+            .catch(async (error) => {
                 console.error('Service Worker: キャッシュエラー', error);
+                await caches.delete(CACHE_NAME);
+                throw error;
             })
     );
 });
 
 /**
  * Service Workerアクティベーション時
- * 古いキャッシュを削除
+ * 古いバージョンのキャッシュを削除（有効になるまでは古いバージョンのページが使うため残す）
  */
 self.addEventListener('activate', (event) => {
     console.log('Service Worker: アクティベーション開始');
@@ -50,7 +126,7 @@ self.addEventListener('activate', (event) => {
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames.map((cacheName) => {
-                        if (cacheName !== CACHE_NAME) {
+                        if (cacheName.startsWith(CACHE_PREFIX) && cacheName !== CACHE_NAME && cacheName !== API_CACHE_NAME) {
                             console.log('Service Worker: 古いキャッシュ削除', cacheName);
                             return caches.delete(cacheName);
                         }
@@ -67,7 +143,7 @@ self.addEventListener('activate', (event) => {
 
 /**
  * フェッチイベント
- * キャッシュファーストストラテジー
+ * FETCH_ROUTESで一致したルートの戦略で応答する
  */
 self.addEventListener('fetch', (event) => {
     // POSTリクエストはキャッシュしない
@@ -75,55 +151,8 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    event.respondWith(
-        caches.match(event.request)
-            .then((cachedResponse) => {
-                // キャッシュがあればそれを返す
-                if (cachedResponse) {
-                    console.log('Service Worker: キャッシュから返却', event.request.url);
-                    return cachedResponse;
-                }
-
-                // キャッシュがなければネットワークから取得
-                console.log('Service Worker: ネットワークから取得', event.request.url);
-                return fetch(event.request)
-                    .then((response) => {
-                        // レスポンスが有効でない場合はそのまま返す
-                        if (!response || response.status !== 200 || response.type !== 'basic') {
-                            return response;
-                        }
-
-                        // レスポンスをキャッシュに追加（静的ファイルのみ）
-                        const responseToCache = response.clone();
-                        const url = new URL(event.request.url);
-
-                        // 同一オリジンの静的ファイルのみキャッシュ
-                        if (url.origin === location.origin &&
-                            (url.pathname.endsWith('.html') ||
-                             url.pathname.endsWith('.css') ||
-                             url.pathname.endsWith('.js') ||
-                             url.pathname.endsWith('.json'))) {
-                            caches.open(CACHE_NAME)
-                                .then((cache) => {
-                                    cache.put(event.request, responseToCache);
-                                });
-                        }
-
-                        return response;
-                    })
-                    .catch((error) => {
-                        console.error('Service Worker: フェッチエラー', error);
-                        // オフライン時のフォールバック（オプション）
-                        return new Response('オフラインです', {
-                            status: 503,
-                            statusText: 'Service Unavailable',
-                            headers: new Headers({
-                                'Content-Type': 'text/plain'
-                            })
-                        });
-                    });
-            })
-    );
+    const route = findRoute(FETCH_ROUTES, event.request) || DEFAULT_FETCH_ROUTE;
+    event.respondWith(handleRoute(route, event));
 });
 
 /**
@@ -133,9 +162,9 @@ self.addEventListener('fetch', (event) => {
 self.addEventListener('sync', (event) => {
     console.log('Service Worker: Background Sync イベント', event.tag);
 
-    if (event.tag === 'sync-data') {
+    if (event.tag === SYNC_TAGS.oneOff) {
         event.waitUntil(
-            syncPendingData()
+            backgroundSync()
                 .then((result) => {
                     console.log('Service Worker: 同期完了', result);
                 })
@@ -149,150 +178,24 @@ self.addEventListener('sync', (event) => {
 });
 
 /**
- * 未同期データの同期処理
- * @returns {Promise}
+ * Periodic Background Sync
+ * 長時間起動されていない端末でも定期的に未同期データを送信
  */
-async function syncPendingData() {
-    try {
-        // IndexedDBから未同期データを取得
-        const db = await openIndexedDB();
-        const pendingData = await getPendingDataFromDB(db);
-
-        if (pendingData.length === 0) {
-            console.log('Service Worker: 同期対象データなし');
-            return { success: 0, failed: 0 };
-        }
+self.addEventListener('periodicsync', (event) => {
+    console.log('Service Worker: Periodic Sync イベント', event.tag);
 
-        console.log(`Service Worker: 同期対象データ ${pendingData.length}件`);
-
-        let successCount = 0;
-        let failedCount = 0;
-
-        // 各データをサーバに送信
-        for (const data of pendingData) {
-            try {
-                const response = await fetch('/api/submit', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(data)
-                });
-
-                if (response.ok) {
-                    // 成功: ステータスを更新
-                    await updateDataStatus(db, data.id, 'synced');
-                    successCount++;
-                } else {
-                    // 失敗: エラーステータスに更新
-                    await updateDataStatus(db, data.id, 'error');
-                    failedCount++;
-                }
-
-            } catch (error) {
-                console.error('Service Worker: データ送信エラー', error);
-                await updateDataStatus(db, data.id, 'error');
-                failedCount++;
-            }
-        }
-
-        // クライアントに通知
-        await notifyClients({ type: 'sync-complete', success: successCount, failed: failedCount });
-
-        return { success: successCount, failed: failedCount };
-
-    } catch (error) {
-        console.error('Service Worker: 同期処理エラー', error);
-        throw error;
+    if (event.tag === SYNC_TAGS.periodic) {
+        event.waitUntil(
+            backgroundSync()
+                .then((result) => {
+                    console.log('Service Worker: 定期同期完了', result);
+                })
+                .catch((error) => {
+                    console.error('Service Worker: 定期同期エラー', error);
+                })
+        );
     }
-}
-
-/**
- * IndexedDBを開く
- * @returns {Promise<IDBDatabase>}
- */
-function openIndexedDB() {
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open('OfflineDataDB', 1);
-
-        request.onsuccess = (event) => {
-            resolve(event.target.result);
-        };
-
-        request.onerror = (event) => {
-            reject(event.target.error);
-        };
-    });
-}
-
-/**
- * 未同期データを取得
- * @param {IDBDatabase} db
- * @returns {Promise<Array>}
- */
-function getPendingDataFromDB(db) {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['pendingData'], 'readonly');
-        const objectStore = transaction.objectStore('pendingData');
-        const index = objectStore.index('syncStatus');
-        const request = index.getAll('pending');
-
-        request.onsuccess = (event) => {
-            resolve(event.target.result);
-        };
-
-        request.onerror = (event) => {
-            reject(event.target.error);
-        };
-    });
-}
-
-/**
- * データの同期ステータスを更新
- * @param {IDBDatabase} db
- * @param {number} id
- * @param {string} status
- * @returns {Promise}
- */
-function updateDataStatus(db, id, status) {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['pendingData'], 'readwrite');
-        const objectStore = transaction.objectStore('pendingData');
-        const getRequest = objectStore.get(id);
-
-        getRequest.onsuccess = (event) => {
-            const data = event.target.result;
-            data.syncStatus = status;
-
-            const updateRequest = objectStore.put(data);
-
-            updateRequest.onsuccess = () => {
-                resolve();
-            };
-
-            updateRequest.onerror = (event) => {
-                reject(event.target.error);
-            };
-        };
-
-        getRequest.onerror = (event) => {
-            reject(event.target.error);
-        };
-    });
-}
-
-/**
- * 全クライアントに通知
- * @param {Object} message
- * @returns {Promise}
- */
-async function notifyClients(message) {
-    const clients = await self.clients.matchAll({ type: 'window' });
-
-    clients.forEach(client => {
-        client.postMessage(message);
-    });
-}
+});
 
 /**
  * メッセージイベント
@@ -0,0 +1,455 @@
+/**
+ * キャッシュ戦略（frontend/js/cache-strategies.js）とService Worker（frontend/sw.js）のルートのテスト
+ * CacheStorageとfetchはテスト用の実装に置き換える
+ */
+
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createScriptContext, loadScripts, evaluate } = require('./helpers/load-scripts');
+
+const PAGE_ORIGIN = 'http://localhost:8000';
+const API_ORIGIN = 'http://localhost:5000';
+
+const CACHED_AT_HEADER = 'X-SW-Cached-At';
+
+// sw.jsのimportScriptsのうち、ルートの判定に必要なもの（db.js等はIndexedDBを開くため読み込まない）
+const SERVICE_WORKER_SCRIPTS = ['js/messages.js', 'js/i18n.js', 'js/sync.js', 'js/cache-strategies.js', 'precache-manifest.js'];
+
+/**
+ * リクエストまたはURLからキャッシュのキーを作成
+ * @param {Object|string} request - リクエスト
+ * @returns {string}
+ */
+function toCacheKey(request) {
+    return typeof request === 'string' ? request : request.url;
+}
+
+/**
+ * テスト用のCache（保存した順にkeysを返す）
+ */
+class FakeCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async match(request) {
+        const response = this.entries.get(toCacheKey(request));
+        return response ? response.clone() : undefined;
+    }
+
+    async put(request, response) {
+        this.entries.set(toCacheKey(request), response);
+    }
+
+    async delete(request) {
+        return this.entries.delete(toCacheKey(request));
+    }
+
+    async keys() {
+        return [...this.entries.keys()].map(url => ({ url }));
+    }
+}
+
+/**
+ * テスト用のCacheStorage
+ */
+class FakeCacheStorage {
+    constructor() {
+        this.cachesByName = new Map();
+    }
+
+    async open(name) {
+        if (!this.cachesByName.has(name)) {
+            this.cachesByName.set(name, new FakeCache());
+        }
+        return this.cachesByName.get(name);
+    }
+
+    async keys() {
+        return [...this.cachesByName.keys()];
+    }
+
+    async delete(name) {
+        return this.cachesByName.delete(name);
+    }
+
+    /**
+     * 全てのキャッシュに保存されているURL
+     * @returns {Array<string>}
+     */
+    cachedUrls() {
+        return [...this.cachesByName.values()].flatMap(cache => [...cache.entries.keys()]);
+    }
+}
+
+/**
+ * テスト用のリクエスト（Requestはmode: 'navigate'を作成できないため、使用するプロパティだけを持つ）
+ * @param {string} url - URL
+ * @param {Object} init - {mode, method}
+ * @returns {Object}
+ */
+function createRequest(url, { mode = 'cors', method = 'GET' } = {}) {
+    return { url, mode, method };
+}
+
+/**
+ * テスト用のfetchイベント
+ * @param {Object} request - リクエスト
+ * @returns {Object} respondWith・waitUntilに渡されたPromiseを持つイベント
+ */
+function createFetchEvent(request) {
+    return {
+        request,
+        response: null,
+        pending: [],
+        respondWith(promise) {
+            this.response = promise;
+        },
+        waitUntil(promise) {
+            this.pending.push(promise);
+        }
+    };
+}
+
+/**
+ * テスト用のコンテキストを作成
+ * setTimeoutは呼び出し時点のグローバルを使う（mock.timersで置き換えられるようにする）
+ * @param {Object} state - {caches, fetch}（テスト中に差し替える）
+ * @returns {Object} コンテキスト
+ */
+function createWorkerContext(state) {
+    return createScriptContext({
+        // 接続できない場合のテストでhandleRouteが出力するエラーも表示しない
+        console: { log() {}, info() {}, warn() {}, error() {} },
+        caches: state.caches,
+        fetch: (...args) => state.fetch(...args),
+        Response,
+        Headers,
+        URL,
+        setTimeout: (...args) => setTimeout(...args),
+        clearTimeout: (...args) => clearTimeout(...args),
+        location: new URL(`${PAGE_ORIGIN}/`),
+        // 表示言語はセッション用のデータベースに保存されていない扱い（既定の言語）
+        readSessionEntry: async () => null
+    });
+}
+
+/**
+ * cache-strategies.jsを読み込んだコンテキストを作成
+ * @param {Object} state - {caches, fetch}
+ * @returns {Object} コンテキスト
+ */
+function createStrategiesContext(state) {
+    const context = createWorkerContext(state);
+    loadScripts(context, ['js/messages.js', 'js/i18n.js', 'js/cache-strategies.js']);
+    return context;
+}
+
+/**
+ * sw.jsを読み込んだコンテキストを作成（addEventListenerに登録された処理をlistenersに保持する）
+ * @param {Object} state - {caches, fetch}
+ * @returns {Object} コンテキスト
+ */
+function createServiceWorkerContext(state) {
+    const context = createWorkerContext(state);
+    context.listeners = {};
+    context.addEventListener = (type, listener) => {
+        context.listeners[type] = listener;
+    };
+    context.importScripts = (...files) => {
+        const paths = files.map(file => file.replace(/^\.\//, ''));
+        loadScripts(context, paths.filter(path => SERVICE_WORKER_SCRIPTS.includes(path)));
+    };
+    loadScripts(context, ['sw.js']);
+    return context;
+}
+
+/**
+ * 保存時刻のヘッダー付きの応答（実行時キャッシュに保存したものと同じ形式）
+ * @param {string} body - 本文
+ * @param {number} cachedAt - 保存した時刻
+ * @returns {Response}
+ */
+function createStampedResponse(body, cachedAt) {
+    return new Response(body, { headers: { [CACHED_AT_HEADER]: String(cachedAt) } });
+}
+
+/**
+ * 接続できないfetch
+ * @returns {Promise<never>}
+ */
+async function failingFetch() {
+    throw new TypeError('Failed to fetch');
+}
+
+describe('キャッシュ戦略', () => {
+    let state;
+    let context;
+
+    beforeEach(() => {
+        state = { caches: new FakeCacheStorage(), fetch: failingFetch };
+        context = createStrategiesContext(state);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    test('cacheFirst: キャッシュにあればネットワークに接続しない', async () => {
+        const request = createRequest(`${PAGE_ORIGIN}/js/app.js`);
+        await (await state.caches.open('static')).put(request, new Response('cached'));
+        state.fetch = mock.fn(failingFetch);
+
+        const response = await context.cacheFirst(request, { cacheName: 'static' });
+
+        assert.equal(await response.text(), 'cached');
+        assert.equal(state.fetch.mock.callCount(), 0);
+    });
+
+    test('cacheFirst: キャッシュになければ取得して保存する（失敗した応答は保存しない）', async () => {
+        const request = createRequest(`${PAGE_ORIGIN}/js/app.js`);
+        state.fetch = async () => new Response('network');
+
+        const response = await context.cacheFirst(request, { cacheName: 'static' });
+
+        assert.equal(await response.text(), 'network');
+        assert.equal(await (await (await state.caches.open('static')).match(request)).text(), 'network');
+
+        const missing = createRequest(`${PAGE_ORIGIN}/js/missing.js`);
+        state.fetch = async () => new Response('not found', { status: 404 });
+
+        assert.equal((await context.cacheFirst(missing, { cacheName: 'static' })).status, 404);
+        assert.equal(await (await state.caches.open('static')).match(missing), undefined);
+    });
+
+    test('networkFirst: 待ち時間以内の応答はネットワークの応答を返す', async () => {
+        const request = createRequest(`${PAGE_ORIGIN}/`, { mode: 'navigate' });
+        await (await state.caches.open('static')).put(`${PAGE_ORIGIN}/index.html`, new Response('cached'));
+        state.fetch = async () => new Response('network');
+
+        const response = await context.networkFirst(request, {
+            timeoutMs: 3000,
+            cacheName: 'static',
+            fallbackKey: `${PAGE_ORIGIN}/index.html`
+        });
+
+        assert.equal(await response.text(), 'network');
+    });
+
+    test('networkFirst: 3秒以内に応答がなければキャッシュのページを返す', async () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const request = createRequest(`${PAGE_ORIGIN}/`, { mode: 'navigate' });
+        await (await state.caches.open('static')).put(`${PAGE_ORIGIN}/index.html`, new Response('cached'));
+        state.fetch = () => new Promise(() => {});
+
+        let settled = false;
+        const pending = context.networkFirst(request, {
+            timeoutMs: 3000,
+            cacheName: 'static',
+            fallbackKey: `${PAGE_ORIGIN}/index.html`
+        }).finally(() => {
+            settled = true;
+        });
+
+        mock.timers.tick(2999);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(settled, false);
+
+        mock.timers.tick(1);
+        assert.equal(await (await pending).text(), 'cached');
+    });
+
+    test('networkFirst: 接続できなければ待ち時間を待たずにキャッシュのページを返す', async () => {
+        const request = createRequest(`${PAGE_ORIGIN}/`, { mode: 'navigate' });
+        await (await state.caches.open('static')).put(`${PAGE_ORIGIN}/index.html`, new Response('cached'));
+
+        const response = await context.networkFirst(request, {
+            timeoutMs: 3000,
+            cacheName: 'static',
+            fallbackKey: `${PAGE_ORIGIN}/index.html`
+        });
+
+        assert.equal(await response.text(), 'cached');
+    });
+
+    test('networkFirst: キャッシュのページがなければ待ち時間を過ぎてもネットワークの応答を待つ', async () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const request = createRequest(`${PAGE_ORIGIN}/`, { mode: 'navigate' });
+        let respond = null;
+        state.fetch = () => new Promise(resolve => {
+            respond = resolve;
+        });
+
+        const pending = context.networkFirst(request, {
+            timeoutMs: 3000,
+            cacheName: 'static',
+            fallbackKey: `${PAGE_ORIGIN}/index.html`
+        });
+
+        mock.timers.tick(3000);
+        await new Promise(resolve => setImmediate(resolve));
+        respond(new Response('late'));
+
+        assert.equal(await (await pending).text(), 'late');
+    });
+
+    test('networkOnly: キャッシュを使わずに取得する', async () => {
+        const request = createRequest(`${API_ORIGIN}/api/health`);
+        await (await state.caches.open('static')).put(request, new Response('cached'));
+        state.fetch = async () => new Response('network');
+
+        assert.equal(await (await context.networkOnly(request)).text(), 'network');
+        await assert.rejects(() => {
+            state.fetch = failingFetch;
+            return context.networkOnly(request);
+        }, TypeError);
+    });
+
+    test('staleWhileRevalidate: 有効期限内のキャッシュを返し、バックグラウンドで更新する', async () => {
+        const request = createRequest(`${API_ORIGIN}/api/form-schema`);
+        const cache = await state.caches.open('api');
+        await cache.put(request, createStampedResponse('cached', Date.now()));
+        state.fetch = async () => new Response('network');
+        const event = createFetchEvent(request);
+
+        const response = await context.staleWhileRevalidate(request, { cacheName: 'api', maxEntries: 10, maxAgeSeconds: 60 }, event);
+
+        assert.equal(await response.text(), 'cached');
+        assert.equal(event.pending.length, 1);
+        await Promise.all(event.pending);
+        assert.equal(await (await cache.match(request)).text(), 'network');
+    });
+
+    test('staleWhileRevalidate: キャッシュがない・期限切れの場合はネットワークの応答を待つ', async () => {
+        const request = createRequest(`${API_ORIGIN}/api/form-schema`);
+        const options = { cacheName: 'api', maxEntries: 10, maxAgeSeconds: 60 };
+        state.fetch = async () => new Response('network');
+
+        assert.equal(await (await context.staleWhileRevalidate(request, options, createFetchEvent(request))).text(), 'network');
+
+        const cache = await state.caches.open('api');
+        await cache.put(request, createStampedResponse('expired', Date.now() - 61 * 1000));
+        state.fetch = async () => new Response('refreshed');
+
+        assert.equal(await (await context.staleWhileRevalidate(request, options, createFetchEvent(request))).text(), 'refreshed');
+        assert.ok(Number((await cache.match(request)).headers.get(CACHED_AT_HEADER)) > Date.now() - 1000);
+    });
+
+    test('staleWhileRevalidate: 接続できない場合は期限切れのキャッシュを返す', async () => {
+        const request = createRequest(`${API_ORIGIN}/api/form-schema`);
+        await (await state.caches.open('api')).put(request, createStampedResponse('expired', Date.now() - 61 * 1000));
+
+        const response = await context.staleWhileRevalidate(request, { cacheName: 'api', maxEntries: 10, maxAgeSeconds: 60 }, createFetchEvent(request));
+
+        assert.equal(await response.text(), 'expired');
+    });
+
+    test('putRuntimeCache: maxEntriesを超えた古いものから削除する（保存し直すと最新になる）', async () => {
+        const cache = await state.caches.open('api');
+        const put = (path) => context.putRuntimeCache(cache, createRequest(`${API_ORIGIN}${path}`), new Response(path), 2);
+
+        await put('/a');
+        await put('/b');
+        await put('/a');
+        await put('/c');
+
+        assert.deepEqual([...cache.entries.keys()], [`${API_ORIGIN}/a`, `${API_ORIGIN}/c`]);
+        assert.ok((await cache.match(`${API_ORIGIN}/c`)).headers.get(CACHED_AT_HEADER));
+    });
+
+    test('handleRoute: 接続できない画面遷移はオフラインページを返す', async () => {
+        const offlinePage = { cacheName: 'static', url: `${PAGE_ORIGIN}/offline.html` };
+        await (await state.caches.open('static')).put(offlinePage.url, new Response('offline page'));
+        const event = createFetchEvent(createRequest(`${PAGE_ORIGIN}/history`, { mode: 'navigate' }));
+
+        const response = await context.handleRoute({ name: 'navigation', strategy: 'networkOnly', options: { offlinePage } }, event);
+
+        assert.equal(await response.text(), 'offline page');
+    });
+
+    test('handleRoute: 画面遷移以外はJSONの503を返す', async () => {
+        const event = createFetchEvent(createRequest(`${API_ORIGIN}/api/data`));
+
+        const response = await context.handleRoute({ name: 'default', strategy: 'networkOnly' }, event);
+
+        assert.equal(response.status, 503);
+        assert.deepEqual(await response.json(), { error: evaluate(context, "t('sync.offline')") });
+    });
+});
+
+describe('Service Workerのルート', () => {
+    let state;
+    let context;
+
+    beforeEach(() => {
+        state = { caches: new FakeCacheStorage(), fetch: failingFetch };
+        context = createServiceWorkerContext(state);
+    });
+
+    /**
+     * リクエストに一致するルート（どれにも一致しない場合はDEFAULT_FETCH_ROUTE）
+     * @param {string} url - URL
+     * @param {Object} init - {mode}
+     * @returns {Object}
+     */
+    function routeFor(url, init) {
+        return context.findRoute(evaluate(context, 'FETCH_ROUTES'), createRequest(url, init)) || evaluate(context, 'DEFAULT_FETCH_ROUTE');
+    }
+
+    test('URLをそれぞれのルートの戦略に振り分ける', () => {
+        const cases = [
+            [`${API_ORIGIN}/api/health`, {}, 'health', 'networkOnly'],
+            [`${PAGE_ORIGIN}/`, { mode: 'navigate' }, 'app-shell', 'networkFirst'],
+            [`${PAGE_ORIGIN}/index.html?source=pwa`, { mode: 'navigate' }, 'app-shell', 'networkFirst'],
+            [`${PAGE_ORIGIN}/unknown`, { mode: 'navigate' }, 'navigation', 'networkOnly'],
+            [`${PAGE_ORIGIN}/index.html`, {}, 'precache', 'cacheFirst'],
+            [`${PAGE_ORIGIN}/js/app.js?v=2`, {}, 'precache', 'cacheFirst'],
+            [`${PAGE_ORIGIN}/offline.html`, {}, 'precache', 'cacheFirst'],
+            [`${API_ORIGIN}/api/form-schema`, {}, 'form-schema', 'staleWhileRevalidate'],
+            [`${API_ORIGIN}/api/data`, {}, 'default', 'networkOnly'],
+            [`${API_ORIGIN}/api/data?since=2024-01-01T00:00:00|1`, {}, 'default', 'networkOnly'],
+            [`${API_ORIGIN}/api/data/aggregates`, {}, 'default', 'networkOnly'],
+            [`${API_ORIGIN}/api/attachments/uploads`, {}, 'default', 'networkOnly'],
+            [`${PAGE_ORIGIN}/js/not-in-manifest.js`, {}, 'default', 'networkOnly']
+        ];
+
+        cases.forEach(([url, init, name, strategy]) => {
+            const route = routeFor(url, init);
+            assert.deepEqual([route.name, route.strategy], [name, strategy], url);
+        });
+    });
+
+    test('app-shellはNAVIGATION_TIMEOUT（3秒）を過ぎるとキャッシュのindex.htmlを返す', () => {
+        const route = routeFor(`${PAGE_ORIGIN}/`, { mode: 'navigate' });
+
+        assert.equal(route.options.timeoutMs, 3000);
+        assert.equal(route.options.fallbackKey, `${PAGE_ORIGIN}/index.html`);
+        assert.equal(route.options.offlinePage.url, `${PAGE_ORIGIN}/offline.html`);
+    });
+
+    test('/api/dataは応答をキャッシュせず、接続できない場合もキャッシュから返さない', async () => {
+        const fetchData = async () => {
+            const event = createFetchEvent(createRequest(`${API_ORIGIN}/api/data?limit=200`));
+            context.listeners.fetch(event);
+            await Promise.all(event.pending);
+            return event.response;
+        };
+
+        state.fetch = async () => new Response(JSON.stringify({ data: [{ id: 1 }] }), { headers: { 'Content-Type': 'application/json' } });
+        assert.deepEqual(await (await fetchData()).json(), { data: [{ id: 1 }] });
+        assert.deepEqual(state.caches.cachedUrls(), []);
+
+        state.fetch = failingFetch;
+        const offline = await fetchData();
+        assert.equal(offline.status, 503);
+        assert.deepEqual(state.caches.cachedUrls(), []);
+    });
+
+    test('GET以外のリクエストには応答しない（ブラウザがそのまま送信する）', () => {
+        const event = createFetchEvent(createRequest(`${API_ORIGIN}/api/data`, { method: 'POST' }));
+
+        context.listeners.fetch(event);
+
+        assert.equal(event.response, null);
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * フロントエンドのスクリプトをテスト用のコンテキストに読み込む
+ * フロントエンドはモジュールではなく<script>・importScriptsで読み込むため、
+ * ブラウザと同じく1つのコンテキストにトップレベルの関数・定数を共有させる
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const FRONTEND_DIR = path.join(__dirname, '..', '..', 'frontend');
+
+// マイグレーション等のログはテストの出力に含めない
+const quietConsole = {
+    log() {},
+    info() {},
+    warn() {},
+    error: console.error
+};
+
+/**
+ * テスト用のコンテキストを作成（selfはコンテキスト自身）
+ * @param {Object} globals - コンテキストに置くグローバル（indexedDB・caches・fetch等）
+ * @returns {Object} コンテキスト
+ */
+function createScriptContext(globals = {}) {
+    const context = vm.createContext({ console: quietConsole, ...globals });
+    context.self = context;
+    return context;
+}
+
+/**
+ * フロントエンドのスクリプトを順番に読み込む
+ * @param {Object} context - createScriptContextのコンテキスト
+ * @param {Array<string>} files - frontendからの相対パス
+ */
+function loadScripts(context, files) {
+    files.forEach(file => {
+        const fullPath = path.join(FRONTEND_DIR, file);
+        vm.runInContext(fs.readFileSync(fullPath, 'utf8'), context, { filename: fullPath });
+    });
+}
+
+/**
+ * コンテキストの式を評価（トップレベルのconst・letはコンテキストのプロパティにならないため）
+ * @param {Object} context - コンテキスト
+ * @param {string} expression - 式
+ * @returns {*}
+ */
+function evaluate(context, expression) {
+    return vm.runInContext(expression, context);
+}
+
+module.exports = { createScriptContext, loadScripts, evaluate };
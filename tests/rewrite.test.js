@@ -0,0 +1,174 @@
+/**
+ * 暗号化の対象のストアの全件書き換え（frontend/js/db.jsのrewriteStoredValues）のテスト
+ * 変換中に他のタブ等で追加・更新・削除されたデータが、変換前の内容で上書きされないことを確認する
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { createScriptContext, loadScripts, evaluate } = require('./helpers/load-scripts');
+
+const TEST_DB_NAME = 'OfflineDataDB-test';
+
+const STATE_KEY = 'encryption';
+
+/**
+ * IDBRequestをPromiseに変換
+ * @param {IDBRequest} request - リクエスト
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * テスト用のコンテキストを作成し、db.jsでテスト用のデータベースを開く
+ * @returns {Promise<{context: Object, database: IDBDatabase}>}
+ */
+async function openTestDatabase() {
+    const context = createScriptContext({
+        indexedDB: new IDBFactory(),
+        IDBKeyRange,
+        crypto: globalThis.crypto,
+        getUserDatabaseName: async () => TEST_DB_NAME,
+        isAuthenticationError: () => false
+    });
+    loadScripts(context, ['js/messages.js', 'js/i18n.js', 'js/schema.js', 'js/db.js']);
+    return { context, database: await context.openDatabase() };
+}
+
+/**
+ * データを保存（他のタブからの書き込みの代わり）
+ * @param {IDBDatabase} database - データベース
+ * @param {string} storeName - ストア名
+ * @param {Object} value - 保存する値
+ * @returns {Promise<*>} キー
+ */
+function putRow(database, storeName, value) {
+    return promisifyRequest(database.transaction(storeName, 'readwrite').objectStore(storeName).put(value));
+}
+
+/**
+ * データを削除
+ * @param {IDBDatabase} database - データベース
+ * @param {string} storeName - ストア名
+ * @param {*} key - キー
+ * @returns {Promise<void>}
+ */
+function deleteRow(database, storeName, key) {
+    return promisifyRequest(database.transaction(storeName, 'readwrite').objectStore(storeName).delete(key));
+}
+
+/**
+ * ストアの全件を取得（キーの順）
+ * @param {IDBDatabase} database - データベース
+ * @param {string} storeName - ストア名
+ * @returns {Promise<Array<Object>>}
+ */
+function getAllRows(database, storeName) {
+    return promisifyRequest(database.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+}
+
+/**
+ * 同期状態を取得
+ * @param {IDBDatabase} database - データベース
+ * @returns {Promise<*>}
+ */
+async function getState(database) {
+    const entry = await promisifyRequest(database.transaction('syncState', 'readonly').objectStore('syncState').get(STATE_KEY));
+    return entry && entry.value;
+}
+
+/**
+ * 暗号化の代わりの変換（titleの末尾に印を付ける）
+ * @param {string} storeName - ストア名
+ * @param {Object} value - 値
+ * @returns {Promise<Object>}
+ */
+async function markRewritten(storeName, value) {
+    return { ...value, title: `${value.title}*` };
+}
+
+describe('rewriteStoredValues', () => {
+    let context;
+    let database;
+
+    beforeEach(async () => {
+        ({ context, database } = await openTestDatabase());
+        await putRow(database, 'pendingData', { title: 'A', syncStatus: 'pending', timestamp: '2024-01-01T00:00:00.000Z' });
+        await putRow(database, 'pendingData', { title: 'B', syncStatus: 'pending', timestamp: '2024-01-02T00:00:00.000Z' });
+        await putRow(database, 'drafts', { title: 'D', updatedAt: '2024-01-03T00:00:00.000Z' });
+    });
+
+    test('全件を変換し、同期状態とともに保存する', async () => {
+        await context.rewriteStoredValues(markRewritten, STATE_KEY, { enabled: true });
+
+        assert.deepEqual((await getAllRows(database, 'pendingData')).map(row => row.title), ['A*', 'B*']);
+        assert.deepEqual((await getAllRows(database, 'drafts')).map(row => row.title), ['D*']);
+        assert.deepEqual({ ...await getState(database) }, { enabled: true });
+    });
+
+    test('変換中に更新されたデータは更新後の内容を変換し直す', async () => {
+        let updated = false;
+
+        await context.rewriteStoredValues(async (storeName, value) => {
+            if (!updated) {
+                updated = true;
+                await putRow(database, 'pendingData', { id: 2, title: 'B2', syncStatus: 'pending', timestamp: '2024-01-02T00:00:00.000Z' });
+            }
+            return markRewritten(storeName, value);
+        }, STATE_KEY, { enabled: true });
+
+        assert.deepEqual((await getAllRows(database, 'pendingData')).map(row => row.title), ['A*', 'B2*']);
+    });
+
+    test('変換中に追加されたデータも変換する', async () => {
+        let added = false;
+
+        await context.rewriteStoredValues(async (storeName, value) => {
+            if (!added) {
+                added = true;
+                await putRow(database, 'pendingData', { title: 'C', syncStatus: 'pending', timestamp: '2024-01-04T00:00:00.000Z' });
+            }
+            return markRewritten(storeName, value);
+        }, STATE_KEY, { enabled: true });
+
+        assert.deepEqual((await getAllRows(database, 'pendingData')).map(row => row.title), ['A*', 'B*', 'C*']);
+    });
+
+    test('変換中に削除されたデータは書き戻さない', async () => {
+        let deleted = false;
+
+        await context.rewriteStoredValues(async (storeName, value) => {
+            if (!deleted) {
+                deleted = true;
+                await deleteRow(database, 'pendingData', 2);
+            }
+            return markRewritten(storeName, value);
+        }, STATE_KEY, { enabled: true });
+
+        assert.deepEqual((await getAllRows(database, 'pendingData')).map(row => row.title), ['A*']);
+    });
+
+    test('変換中に更新され続けた場合は何も書き換えずにエラーにする', async () => {
+        let count = 0;
+
+        await assert.rejects(
+            context.rewriteStoredValues(async (storeName, value) => {
+                if (storeName === 'pendingData' && value.id === 1) {
+                    count++;
+                    await putRow(database, 'pendingData', { id: 1, title: `A${count}`, syncStatus: 'pending', timestamp: '2024-01-01T00:00:00.000Z' });
+                }
+                return markRewritten(storeName, value);
+            }, STATE_KEY, { enabled: true }),
+            { message: evaluate(context, "t('db.rewriteConflict')") }
+        );
+
+        assert.equal(count, evaluate(context, 'REWRITE_MAX_ATTEMPTS'));
+        assert.deepEqual((await getAllRows(database, 'drafts')).map(row => row.title), ['D']);
+        assert.equal(await getState(database), undefined);
+    });
+});
@@ -0,0 +1,344 @@
+/**
+ * IndexedDBのマイグレーション（frontend/js/schema.js）のテスト
+ * fake-indexeddbで旧バージョンのデータベースを作成してデータを登録し、
+ * db.jsのopenDatabaseで現在のバージョン（DB_VERSION）にアップグレードした結果を確認する
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { createScriptContext, loadScripts, evaluate } = require('./helpers/load-scripts');
+
+const TEST_DB_NAME = 'OfflineDataDB-test';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+// バージョンごとのスキーマの変更（ストア名 → {keyPath, autoIncrement, indexes: {インデックス名: [keyPath, unique]}}）
+// マイグレーションの実装とは別に、各バージョンで期待する構造を記述する
+const SCHEMA_CHANGES = {
+    1: {
+        pendingData: {
+            keyPath: 'id',
+            autoIncrement: true,
+            indexes: { syncStatus: ['syncStatus', false], timestamp: ['timestamp', false] }
+        }
+    },
+    2: {
+        pendingData: { indexes: { uuid: ['uuid', true] } }
+    },
+    3: {
+        pendingData: { indexes: { serverId: ['serverId', false] } },
+        syncState: { keyPath: 'key', autoIncrement: false, indexes: {} }
+    },
+    4: {
+        operations: { keyPath: 'opId', autoIncrement: true, indexes: { recordId: ['recordId', false] } }
+    },
+    5: {
+        attachments: {
+            keyPath: 'id',
+            autoIncrement: true,
+            indexes: {
+                recordId: ['recordId', false],
+                uuid: ['uuid', true],
+                uploadStatus: ['uploadStatus', false]
+            }
+        }
+    },
+    6: {
+        pendingData: {
+            indexes: {
+                category_timestamp: [['category', 'timestamp'], false],
+                syncStatus_timestamp: [['syncStatus', 'timestamp'], false],
+                title: ['title', false]
+            }
+        }
+    },
+    7: {
+        syncHistory: {
+            keyPath: 'id',
+            autoIncrement: true,
+            indexes: {
+                kind_startedAt: [['kind', 'startedAt'], false],
+                recordId: ['recordId', false],
+                runId: ['runId', false]
+            }
+        }
+    },
+    8: {
+        drafts: { keyPath: 'id', autoIncrement: true, indexes: { updatedAt: ['updatedAt', false] } }
+    }
+};
+
+// 旧バージョンで登録しておくデータ（ストアが存在するバージョン以降で登録する）
+const SEED_ROWS = {
+    pendingData: [
+        { title: 'UUIDなし', category: '業務', syncStatus: 'pending', timestamp: '2024-01-01T00:00:00.000Z' },
+        { title: 'UUIDあり', category: '調査', syncStatus: 'synced', timestamp: '2024-01-02T00:00:00.000Z', uuid: '11111111-1111-4111-8111-111111111111' }
+    ],
+    syncState: [{ key: 'pullCursor', value: '2024-01-02T00:00:00.000000|2' }],
+    operations: [{ recordId: 2, type: 'update', createdAt: '2024-01-03T00:00:00.000Z' }],
+    attachments: [{ recordId: 1, uuid: '22222222-2222-4222-8222-222222222222', uploadStatus: 'pending', name: 'photo.jpg' }],
+    syncHistory: [{ kind: 'run', startedAt: '2024-01-04T00:00:00.000Z', runId: 'run-1' }],
+    drafts: [{ updatedAt: '2024-01-05T00:00:00.000Z', values: { title: '下書き' } }]
+};
+
+/**
+ * 指定したバージョンで期待するスキーマ
+ * @param {number} version - バージョン（0は空のデータベース）
+ * @returns {Object} ストア名 → {keyPath, autoIncrement, indexes}
+ */
+function getExpectedSchema(version) {
+    const schema = {};
+
+    for (let step = 1; step <= version; step++) {
+        Object.entries(SCHEMA_CHANGES[step]).forEach(([storeName, change]) => {
+            const store = schema[storeName] || { indexes: {} };
+            schema[storeName] = {
+                keyPath: change.keyPath ?? store.keyPath,
+                autoIncrement: change.autoIncrement ?? store.autoIncrement,
+                indexes: { ...store.indexes, ...change.indexes }
+            };
+        });
+    }
+    return schema;
+}
+
+/**
+ * キーパスをこのテストの配列にコピー（複合キーパスはスクリプトのコンテキストの配列のため、そのままでは比較できない）
+ * @param {string|Array<string>} keyPath - キーパス
+ * @returns {string|Array<string>}
+ */
+function copyKeyPath(keyPath) {
+    return Array.isArray(keyPath) ? [...keyPath] : keyPath;
+}
+
+/**
+ * データベースの実際のスキーマ（getExpectedSchemaと同じ形式）
+ * @param {IDBDatabase} database - データベース
+ * @returns {Object}
+ */
+function describeSchema(database) {
+    const storeNames = Array.from(database.objectStoreNames);
+    const schema = {};
+
+    if (storeNames.length === 0) {
+        return schema;
+    }
+
+    const transaction = database.transaction(storeNames, 'readonly');
+    storeNames.forEach(storeName => {
+        const store = transaction.objectStore(storeName);
+        const indexes = {};
+
+        Array.from(store.indexNames).forEach(indexName => {
+            const index = store.index(indexName);
+            indexes[indexName] = [copyKeyPath(index.keyPath), index.unique];
+        });
+        schema[storeName] = { keyPath: copyKeyPath(store.keyPath), autoIncrement: store.autoIncrement, indexes };
+    });
+    return schema;
+}
+
+/**
+ * IDBRequestをPromiseに変換
+ * @param {IDBRequest} request - リクエスト
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * テスト用のコンテキストを作成し、schema.js・db.jsを読み込む
+ * マイグレーションはdb.jsのgenerateUUIDを使うため、旧バージョンの作成にもdb.jsが必要
+ * @returns {Object} コンテキスト
+ */
+function createDatabaseContext() {
+    const context = createScriptContext({
+        indexedDB: new IDBFactory(),
+        IDBKeyRange,
+        crypto: globalThis.crypto,
+        // db.jsの読み込み時のopenDatabaseは未ログインとして扱う（旧バージョンのデータベースを先に作成するため）
+        getUserDatabaseName: async () => {
+            throw new Error('login required');
+        },
+        isAuthenticationError: () => true
+    });
+    loadScripts(context, ['js/messages.js', 'js/i18n.js', 'js/schema.js', 'js/db.js']);
+    return context;
+}
+
+/**
+ * db.jsのopenDatabaseで現在のバージョンに開く（ログインしてからの初回の接続と同じ）
+ * @param {Object} context - createDatabaseContextのコンテキスト
+ * @returns {Promise<IDBDatabase>}
+ */
+async function openWithDatabaseModule(context) {
+    context.getUserDatabaseName = async () => TEST_DB_NAME;
+    return context.openDatabase();
+}
+
+/**
+ * 旧バージョンのアプリと同じく、指定したバージョンまでのマイグレーションだけを適用して開く
+ * @param {Object} context - createDatabaseContextのコンテキスト
+ * @param {number} version - 開くバージョン
+ * @returns {Promise<IDBDatabase>}
+ */
+function openAtVersion(context, version) {
+    const request = context.indexedDB.open(TEST_DB_NAME, version);
+
+    request.onupgradeneeded = (event) => {
+        evaluate(context, 'MIGRATIONS')
+            .filter(migration => migration.version > event.oldVersion && migration.version <= version)
+            .forEach(migration => migration.migrate(request.result, request.transaction));
+    };
+    return promisifyRequest(request);
+}
+
+/**
+ * 存在するストアにSEED_ROWSを登録
+ * @param {IDBDatabase} database - データベース
+ * @returns {Promise<void>}
+ */
+function seedRows(database) {
+    const storeNames = Object.keys(SEED_ROWS).filter(name => database.objectStoreNames.contains(name));
+    const transaction = database.transaction(storeNames, 'readwrite');
+
+    storeNames.forEach(storeName => {
+        SEED_ROWS[storeName].forEach(row => transaction.objectStore(storeName).add(row));
+    });
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * ストアの全件を取得
+ * @param {IDBDatabase} database - データベース
+ * @param {string} storeName - ストア名
+ * @returns {Promise<Array<Object>>}
+ */
+function getAllRows(database, storeName) {
+    return promisifyRequest(database.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+}
+
+/**
+ * 登録時に自動採番されたキーを除いた行
+ * @param {Object} row - 行
+ * @param {string} keyPath - ストアのキーパス
+ * @returns {Object}
+ */
+function withoutKey(row, keyPath) {
+    const { [keyPath]: key, ...rest } = row;
+    return rest;
+}
+
+describe('IndexedDBのマイグレーション', () => {
+    test('MIGRATIONSはバージョン1から欠番なく並び、DB_VERSIONは最後のバージョン', () => {
+        const context = createDatabaseContext();
+        const versions = evaluate(context, 'MIGRATIONS.map(migration => migration.version)');
+
+        assert.deepEqual([...versions], Object.keys(SCHEMA_CHANGES).map(Number));
+        assert.equal(evaluate(context, 'DB_VERSION'), versions[versions.length - 1]);
+    });
+
+    test('新規インストールで全ステップを適用したスキーマになる', async () => {
+        const context = createDatabaseContext();
+        const database = await openWithDatabaseModule(context);
+
+        assert.equal(database.version, evaluate(context, 'DB_VERSION'));
+        assert.deepEqual(describeSchema(database), getExpectedSchema(database.version));
+        context.closeDatabase();
+    });
+
+    const latestVersion = Math.max(...Object.keys(SCHEMA_CHANGES).map(Number));
+
+    for (let version = 1; version <= latestVersion; version++) {
+        test(`v${version - 1} → v${version} のステップで期待するストア・インデックスになる`, async () => {
+            const context = createDatabaseContext();
+
+            if (version > 1) {
+                const previous = await openAtVersion(context, version - 1);
+                assert.deepEqual(describeSchema(previous), getExpectedSchema(version - 1));
+                await seedRows(previous);
+                previous.close();
+            }
+
+            const database = await openAtVersion(context, version);
+            assert.deepEqual(describeSchema(database), getExpectedSchema(version));
+            database.close();
+        });
+    }
+
+    for (let version = 1; version < latestVersion; version++) {
+        test(`v${version} のデータを保ったまま最新バージョンにアップグレードする`, async () => {
+            const context = createDatabaseContext();
+
+            const previous = await openAtVersion(context, version);
+            await seedRows(previous);
+            const seeded = {};
+            for (const storeName of Array.from(previous.objectStoreNames)) {
+                seeded[storeName] = await getAllRows(previous, storeName);
+            }
+            previous.close();
+
+            const database = await openWithDatabaseModule(context);
+            assert.equal(database.version, latestVersion);
+            assert.deepEqual(describeSchema(database), getExpectedSchema(latestVersion));
+
+            // 旧バージョンのストアのデータは残る（キーも変わらない）
+            for (const [storeName, rows] of Object.entries(seeded)) {
+                const upgraded = await getAllRows(database, storeName);
+                const keyPath = getExpectedSchema(latestVersion)[storeName].keyPath;
+
+                assert.deepEqual(upgraded.map(row => row[keyPath]), rows.map(row => row[keyPath]));
+                if (storeName !== 'pendingData') {
+                    assert.deepEqual(upgraded, rows);
+                }
+            }
+
+            // v2のbackfillStoreはv1からのアップグレードでのみ実行され、UUIDのないデータにだけUUIDを付与する
+            const records = await getAllRows(database, 'pendingData');
+            const [withoutUuid, withUuid] = records;
+
+            assert.deepEqual(withoutKey(withUuid, 'id'), SEED_ROWS.pendingData[1]);
+            if (version < 2) {
+                assert.match(withoutUuid.uuid, UUID_PATTERN);
+                assert.notEqual(withoutUuid.uuid, withUuid.uuid);
+                assert.deepEqual(withoutKey(withoutKey(withoutUuid, 'id'), 'uuid'), SEED_ROWS.pendingData[0]);
+            } else {
+                assert.deepEqual(withoutKey(withoutUuid, 'id'), SEED_ROWS.pendingData[0]);
+            }
+
+            // 付与したUUIDのインデックスで検索できる
+            if (version < 2) {
+                const found = await promisifyRequest(
+                    database.transaction('pendingData', 'readonly').objectStore('pendingData').index('uuid').get(withoutUuid.uuid)
+                );
+                assert.equal(found.id, withoutUuid.id);
+            }
+
+            context.closeDatabase();
+        });
+    }
+
+    test('新しいバージョンが要求されると接続を閉じ、アップグレードを妨げない', async () => {
+        const context = createDatabaseContext();
+        const database = await openWithDatabaseModule(context);
+
+        const request = context.indexedDB.open(TEST_DB_NAME, database.version + 1);
+        let blocked = false;
+        request.onblocked = () => {
+            blocked = true;
+        };
+
+        const upgraded = await promisifyRequest(request);
+        assert.equal(upgraded.version, latestVersion + 1);
+        assert.equal(blocked, false);
+        upgraded.close();
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * 同期ロジック（frontend/js/sync.js）の再送・競合の解決のテスト
+ * IndexedDB操作（db.jsの関数）はテスト用の実装に置き換える
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createScriptContext, loadScripts, evaluate } = require('./helpers/load-scripts');
+
+/**
+ * sync.jsを読み込んだコンテキストを作成
+ * @param {Object} stored - {data: Array, operations: Array}（テスト中に差し替える）
+ * @returns {Object} コンテキスト
+ */
+function createSyncContext(stored) {
+    const context = createScriptContext({
+        location: new URL('http://localhost:8000/'),
+        getDataByStatus: async (status) => stored.data.filter(data => data.syncStatus === status),
+        getOperations: async () => stored.operations
+    });
+    loadScripts(context, ['js/messages.js', 'js/i18n.js', 'js/sync.js']);
+    return context;
+}
+
+/**
+ * 現在時刻からの相対時刻（ISO 8601）
+ * @param {number} offsetMs - 現在時刻からの差（ミリ秒）
+ * @returns {string}
+ */
+function fromNow(offsetMs) {
+    return new Date(Date.now() + offsetMs).toISOString();
+}
+
+describe('操作（更新・削除）の再送', () => {
+    let stored;
+    let context;
+
+    beforeEach(() => {
+        stored = { data: [], operations: [] };
+        context = createSyncContext(stored);
+    });
+
+    test('再送待ちの更新操作の再送時刻に同期を予約する', async () => {
+        const nextAttemptAt = fromNow(60 * 1000);
+        stored.operations = [
+            { opId: 1, recordId: 1, type: 'update', status: 'error', nextAttemptAt },
+            { opId: 2, recordId: 2, type: 'update', status: 'failed', nextAttemptAt: fromNow(1000) }
+        ];
+
+        assert.equal((await context.getNextRetryTime()).toISOString(), nextAttemptAt);
+        assert.deepEqual([...await context.getOperationQueue()], []);
+    });
+
+    test('データと操作の再送待ちのうち早いほうの時刻に予約する', async () => {
+        const earlier = fromNow(30 * 1000);
+        stored.data = [{ id: 1, syncStatus: 'error', nextAttemptAt: fromNow(90 * 1000) }];
+        stored.operations = [{ opId: 1, recordId: 2, type: 'delete', status: 'error', nextAttemptAt: earlier }];
+
+        assert.equal((await context.getNextRetryTime()).toISOString(), earlier);
+    });
+
+    test('再送時刻を過ぎたエラーの操作と未送信の操作を送信対象にする', async () => {
+        stored.operations = [
+            { opId: 1, recordId: 1, type: 'update', status: 'error', nextAttemptAt: fromNow(-1000) },
+            { opId: 2, recordId: 2, type: 'delete', status: 'pending' },
+            { opId: 3, recordId: 3, type: 'update', status: 'error', nextAttemptAt: fromNow(60 * 1000) },
+            { opId: 4, recordId: 4, type: 'update', status: 'conflict' }
+        ];
+
+        assert.deepEqual((await context.getOperationQueue()).map(operation => operation.opId), [1, 2]);
+    });
+
+    test('再送待ちがなければ予約しない', async () => {
+        stored.operations = [{ opId: 1, recordId: 1, type: 'update', status: 'pending' }];
+
+        assert.equal(await context.getNextRetryTime(), null);
+    });
+});
+
+describe('Retry-Afterの待ち時間', () => {
+    let context;
+    let maxDelay;
+
+    beforeEach(() => {
+        context = createSyncContext({ data: [], operations: [] });
+        maxDelay = evaluate(context, 'RETRY_POLICY.maxDelay');
+    });
+
+    test('秒数とHTTP日付を解析する', () => {
+        assert.equal(context.parseRetryAfter('120'), 120 * 1000);
+        assert.equal(context.parseRetryAfter('-5'), 0);
+
+        const delay = context.parseRetryAfter(new Date(Date.now() + 60 * 1000).toUTCString());
+        assert.ok(delay > 58 * 1000 && delay <= 60 * 1000);
+    });
+
+    test('有限でない値は指定がないものとして扱う', () => {
+        assert.equal(context.parseRetryAfter('Infinity'), null);
+        assert.equal(context.parseRetryAfter('1e400'), null);
+        assert.equal(context.parseRetryAfter('soon'), null);
+    });
+
+    test('サーバが指定した待ち時間もRETRY_POLICY.maxDelayを上限とする', () => {
+        assert.equal(context.calculateRetryDelay(1, 10 * 1000), 10 * 1000);
+        assert.equal(context.calculateRetryDelay(1, 30 * 24 * 60 * 60 * 1000), maxDelay);
+        assert.equal(context.calculateRetryDelay(1, context.parseRetryAfter('Fri, 31 Dec 9999 23:59:59 GMT')), maxDelay);
+    });
+
+    test('非常に大きいRetry-Afterでも再送時刻を記録できる', () => {
+        const now = Date.now();
+        const error = { retryable: true, retryAfter: context.parseRetryAfter('99999999999') };
+
+        const state = context.resolveFailureState(1, error, now);
+
+        assert.equal(state.status, 'error');
+        assert.equal(state.nextAttemptAt, new Date(now + maxDelay).toISOString());
+    });
+});
+
+describe('サーバで削除済みのデータとの競合', () => {
+    let context;
+    let calls;
+
+    const record = {
+        id: 5,
+        uuid: '11111111-1111-4111-8111-111111111111',
+        serverId: 12,
+        serverRevision: 3,
+        title: '端末で編集したタイトル',
+        syncStatus: 'conflict',
+        conflict: { server: { id: 12, revision: 4, deleted: true }, detectedAt: '2024-01-01T00:00:00.000Z' }
+    };
+
+    beforeEach(() => {
+        calls = [];
+        context = createSyncContext({ data: [], operations: [] });
+        Object.assign(context, {
+            getData: async () => record,
+            getAttachmentsByRecords: async (ids) => new Map([[ids[0], [{ id: 1, uuid: 'old', uploadStatus: 'uploaded' }]]]),
+            updateAttachment: async (id, updates) => calls.push(['updateAttachment', id, { ...updates }]),
+            discardOperations: async (id, updates) => calls.push(['discardOperations', id, { ...updates }]),
+            deleteAttachmentsByRecord: async (id) => calls.push(['deleteAttachmentsByRecord', id]),
+            deleteData: async (id) => calls.push(['deleteData', id]),
+            generateUUID: () => '22222222-2222-4222-8222-222222222222'
+        });
+    });
+
+    test('自分の変更を採用すると新しいUUIDの未送信データとして再作成し、添付ファイルも送信し直す', async () => {
+        await context.resolveConflict(record.id, {}, 'mine');
+
+        const [attachmentCall, recordCall] = calls;
+        assert.deepEqual(attachmentCall.slice(0, 2), ['updateAttachment', 1]);
+        assert.equal(attachmentCall[2].uploadStatus, 'pending');
+        assert.notEqual(attachmentCall[2].uuid, 'old');
+
+        assert.deepEqual(recordCall.slice(0, 2), ['discardOperations', record.id]);
+        assert.equal(recordCall[2].syncStatus, 'pending');
+        assert.equal(recordCall[2].serverId, null);
+        assert.equal(recordCall[2].conflict, null);
+        assert.notEqual(recordCall[2].uuid, record.uuid);
+    });
+
+    test('サーバの内容を採用すると削除を受け入れ、端末のデータと添付ファイルを削除する', async () => {
+        await context.resolveConflict(record.id, {}, 'theirs');
+
+        assert.deepEqual(calls.map(call => call[0]), ['deleteAttachmentsByRecord', 'discardOperations', 'deleteData']);
+        assert.ok(calls.every(call => call[1] === record.id));
+    });
+});
@@ -0,0 +1,78 @@
+"""
+プリキャッシュマニフェストの生成
+Service Workerがインストール時にキャッシュする静的ファイルと、その内容のハッシュを
+frontend/precache-manifest.js に書き出す（フロントエンドのファイルを変更したら実行する）
+
+使い方: python3 tools/build_precache_manifest.py
+"""
+
+import hashlib
+import json
+import os
+
+FRONTEND_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), '..', 'frontend')
+MANIFEST_FILE = os.path.join(FRONTEND_DIR, 'precache-manifest.js')
+
+# キャッシュするファイル（frontendからの相対パス、ディレクトリは直下の該当する拡張子のファイル）
+PRECACHE_SOURCES = [
+    ('index.html', None),
+    ('offline.html', None),
+    ('manifest.json', None),
+    ('css', '.css'),
+    ('js', '.js'),
+]
+
+# ハッシュの長さ（16進の文字数）
+REVISION_LENGTH = 12
+
+
+def list_precache_files():
+    """キャッシュするファイルの相対パスを列挙（sw.jsとマニフェスト自身は含めない）"""
+    files = []
+    for path, extension in PRECACHE_SOURCES:
+        if extension is None:
+            files.append(path)
+            continue
+
+        directory = os.path.join(FRONTEND_DIR, path)
+        files.extend(
+            f'{path}/{name}'
+            for name in sorted(os.listdir(directory))
+            if name.endswith(extension)
+        )
+    return files
+
+
+def compute_revision(path):
+    """ファイルの内容のハッシュ"""
+    with open(os.path.join(FRONTEND_DIR, path), 'rb') as f:
+        return hashlib.sha256(f.read()).hexdigest()[:REVISION_LENGTH]
+
+
+def build_manifest():
+    """マニフェストを作成（versionは全ファイルのハッシュから求め、いずれかが変わると変わる）"""
+    entries = [
+        {'url': f'./{path}', 'revision': compute_revision(path)}
+        for path in list_precache_files()
+    ]
+
+    digest = hashlib.sha256()
+    for entry in entries:
+        digest.update(f'{entry["url"]} {entry["revision"]}\n'.encode('utf-8'))
+
+    return {'version': digest.hexdigest()[:REVISION_LENGTH], 'files': entries}
+
+
+def main():
+    manifest = build_manifest()
+    body = json.dumps(manifest, indent=4, ensure_ascii=False)
+
+    with open(MANIFEST_FILE, 'w', encoding='utf-8', newline='\n') as f:
+        f.write('// tools/build_precache_manifest.py で生成（直接編集しない）\n')
+        f.write(f'self.PRECACHE_MANIFEST = {body};\n')
+
+    print(f'{os.path.relpath(MANIFEST_FILE)}: {len(manifest["files"])}ファイル, version {manifest["version"]}')
+
+
+if __name__ == '__main__':
+    main()